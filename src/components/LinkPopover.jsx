@@ -0,0 +1,61 @@
+import { memo, useState } from "react";
+
+/**
+ * The popover of the link under the caret of the editor, drawn under the link: its url is edited in an input
+ * ( Enter applies it, Escape goes back to the editor ), and buttons open the link or remove it.
+ *
+ * The url of a reference link is written in its definition, it is only displayed.
+ *
+ * @param {Object} props
+ * @param {import("../utils/LinkUtils").LinkTarget} props.target - The target of the link.
+ * @param {{left: Number, top: Number}} props.position - The position of the popover, relative to the editor.
+ * @param {(url: String) => void} props.onURLChange - Called with the url entered in the input.
+ * @param {() => void} props.onOpen - Called to open the link.
+ * @param {() => void} props.onRemove - Called to remove the link, keeping its text.
+ * @param {() => void} props.onCancel - Called when the input is left with Escape.
+ * @param {() => void} props.onClose - Called when the focus leaves the popover.
+ */
+const LinkPopover = memo(({ target, position, onURLChange, onOpen, onRemove, onCancel, onClose }) => {
+    // The url being edited, the popover is given a new key for each link.
+    const [url, setURL] = useState(target.url);
+
+    /**
+     * Handles the keys of the url input.
+     *
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @returns {void}
+     */
+    const handleKeyDown = (event) => {
+        if (event.key === "Enter") {
+            event.preventDefault();
+            onURLChange(url.trim());
+        } else if (event.key === "Escape") {
+            event.preventDefault();
+            onCancel();
+        }
+    };
+
+    return (
+        <div
+            className="md-link-popover"
+            style={{ left: position.left, top: position.top }}
+            // The buttons do not take the focus, the editor keeps its cursor in the link.
+            onMouseDown={event => event.target.matches("input") || event.preventDefault()}
+            onBlur={event => event.currentTarget.contains(event.relatedTarget) || onClose()}>
+            <input
+                className="md-link-url"
+                type="text"
+                aria-label="URL"
+                spellCheck={false}
+                value={url}
+                readOnly={!target.editable}
+                onChange={event => setURL(event.target.value)}
+                onKeyDown={handleKeyDown} />
+            <button type="button" disabled={!target.href} onClick={onOpen}>Open</button>
+            <button type="button" onClick={onRemove}>Remove</button>
+        </div>
+    );
+});
+
+export default LinkPopover;
@@ -1,72 +1,1280 @@
 import "./MarkdownEditor.scss";
 
-import ContentEditable from "react-contenteditable";
-import { memo, useEffect, useRef, useState } from "react";
+import { Fragment, memo, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from "react";
 
-import { parseMarkdownString } from "../renderer/MarkdownRenderer";
-import { parseHTMLElement } from "../renderer/Restorer";
-import { saveCursorSelection, restoreCursorSelection, getElementUnderCursor, insertAtCursor } from "../utils/CursorUtils";
+import MarkdownSource from "./MarkdownSource";
+import SlashCommandMenu from "./SlashCommandMenu";
+import LinkPopover from "./LinkPopover";
+
+import { createIncrementalRenderer } from "../renderer/IncrementalRenderer";
+import { convertHTMLToMarkdown } from "../renderer/HTMLConverter";
+import { getHighlighterLanguages, lexMarkdownString, renderPreviewTokens } from "../renderer/MarkdownRenderer";
+import { parseHTMLElement, getMarkdownSelection, getMarkdownRange, restoreMarkdownSelection } from "../renderer/Restorer";
+import { rules } from "../renderer/rules";
+import {
+    getElementUnderCursor, insertAtCursor, getSelectionRects
+} from "../utils/CursorUtils";
 import { findClosestElement, findFurthestElement } from "../utils/DOMUtils";
 import { debounce } from "../utils/BaseUtils";
+import { createHistory } from "../utils/HistoryUtils";
+import { toggleInlineFormat } from "../utils/FormatUtils";
+import { getClipboardContent } from "../utils/ClipboardUtils";
+import { buildOutline, getOutline, applyOutline, findHeading } from "../utils/OutlineUtils";
+import { applyFootnotePreviews } from "../utils/ReferenceUtils";
+import { createCollaborationSession } from "../utils/CollaborationUtils";
+import {
+    applyTextChange, getTextChange, mapTextOffset, mapTextSelection, rebaseTextChange
+} from "../utils/SharedTextUtils";
+import { getBlockLines, getPreviewScrollTop, getSourceLine } from "../utils/ScrollSyncUtils";
+import {
+    getImageFiles, readFileAsDataURL, createImageMarkdown, findImagePlaceholders, getImagePlaceholderInsertions,
+    isOnImageResizeHandle, startImageResize
+} from "../utils/ImageUtils";
+import { applyBlockSignRule, applyThematicBreakRule, downgradeBlock, exitBlockquote } from "../utils/InputRuleUtils";
+import { applySlashCommand, filterSlashCommands, getSlashCommandQuery, mergeSlashCommands } from "../utils/SlashCommandUtils";
+import { convertBareURL, findLink, getLinkTarget, removeLink, setLinkURL } from "../utils/LinkUtils";
+import { findCodeBlock, openCodeFence, insertCodeLineBreak, indentCodeLines, setCodeBlockLanguage } from "../utils/CodeBlockUtils";
+import {
+    findListItem, isListItemEmpty, splitListItem, exitListItem, indentListItem, outdentListItem, toggleTaskListItem
+} from "../utils/ListUtils";
+import {
+    findTableCell, focusTableCell, moveToSiblingCell, moveToCellBelow,
+    insertTableRow, deleteTableRow, insertTableColumn, deleteTableColumn
+} from "../utils/TableUtils";
+
+/**
+ * A live markdown editor.
+ * 
+ * The editor is uncontrolled with `md` ( the initial markdown ), or controlled with `value`: the parent that echoes
+ * the markdown given by `onChange` back to `value` does not re-render the editor, so the cursor stays where it is.
+ * The cursor is kept as offsets in the markdown, which it is restored to after the blocks have been rendered again,
+ * across blocks and backwards included.
+ * The `ref` exposes `getMarkdown()`, `setMarkdown(markdown)`, `focus()` and `getSelection()`, and the undo/redo history
+ * with `undo()`, `redo()`, `clearHistory()` and `getHistory()`.
+ * 
+ * A block is rendered as soon as its sign is typed at the start of a paragraph ( `# `, `> `, `- `, `1. `, ```` ``` ````
+ * or `---` and Enter ). Backspace at the start of a heading, a blockquote or a list item turns it back into
+ * a paragraph, and Enter on an empty line of a blockquote exits it.
+ * 
+ * `/` typed in an empty paragraph opens a menu of the blocks to insert ( headings, quote, code block, table, lists,
+ * divider and image ), filtered by the text typed after it. The arrow keys move through the menu, Enter ( or Tab )
+ * inserts the block and Escape closes it. The host adds its own commands ( or replaces the default ones )
+ * with `slashCommands`.
+ * 
+ * The link under the cursor shows a popover to edit its url, open it or remove it, and Ctrl/Cmd + click opens a link.
+ * A url followed by a space or a line break ( or pasted on its own ) is written as an autolink ( `<https://…>` ).
+ * 
+ * The HTML that is pasted ( e.g. from a web page or a word processor ) is converted to markdown,
+ * Ctrl/Cmd + Shift + V pastes the plain text as it is. A copy ( or a cut ) puts the selected markdown on the clipboard.
+ * 
+ * The images dropped or pasted in the live view are uploaded with `uploadImage`, and displayed from the local file
+ * until their URL is known: they are part of the markdown ( notified, shared and recorded ) once uploaded. An image
+ * that cannot be uploaded is written with its data URL, and `onImageUploadError` is called. An image is resized
+ * by dragging its bottom-right corner, its width is written after it ( `![alt](url){width=300}` ).
+ * 
+ * The formulas ( `$…$` and `$$…$$` ) are displayed as MathML, and as their TeX source while the cursor is in them.
+ * The diagrams ( ```` ```mermaid ```` ) are previewed under their code while the cursor is out of them.
+ * 
+ * The headings get unique anchors ( like the anchors of GitHub ), listed by the tables of contents ( `[[toc]]` ).
+ * `onOutlineChange` is called with the tree of the headings when it changes, and the `ref` exposes `getOutline()`
+ * and `scrollToHeading(anchor)` to navigate to a section.
+ * 
+ * The link definitions ( `[id]: url` ) and the footnotes ( `[^1]: text` ) are edited as blocks, the reference links
+ * and the footnote references preview their url or their text on hover.
+ * 
+ * With a `syncProvider` ( e.g. `createBroadcastChannelProvider` or `createWebSocketProvider` ), the markdown is edited
+ * with the other participants of the provider: their edits are merged, the cursor moves with them, and their carets
+ * and selections are drawn over the editor. The undo/redo history keeps the remote edits, an undo reverts the local
+ * edits only.
+ * 
+ * The `mode` switches between the live view ( `live` ), the markdown as plain text with line numbers ( `source` ),
+ * and the plain text next to its read-only preview ( see `renderMarkdownToHTML` ) that scrolls with it ( `split` ).
+ * The cursor keeps its position in the markdown from a view to the other.
+ * 
+ * @param {Object} props
+ * @param {String} [props.md=""] - The initial markdown of an uncontrolled editor.
+ * @param {String} [props.value] - The markdown of a controlled editor.
+ * @param {(markdown: String) => void} [props.onChange] - Called with the markdown after each edit.
+ * @param {Function} [props.onTaskToggle] - Called when a task list item is toggled from its checkbox.
+ * @param {(outline: [import("../utils/OutlineUtils").OutlineHeading]) => void} [props.onOutlineChange] - Called with
+ *      the outline of the document ( the tree of its headings ) when it is rendered and each time it changes.
+ * @param {Boolean} [props.rawPaste=false] - Whether the plain text of the clipboard is always pasted as it is.
+ * @param {import("../utils/CollaborationUtils").SyncProvider} [props.syncProvider] - The provider that shares
+ *      the markdown with the other participants.
+ * @param {{name?: String, color?: String}} [props.user] - The local user, shown to the other participants.
+ * @param {"live"|"source"|"split"} [props.mode="live"] - The view of the editor.
+ * @param {(file: File) => Promise<String>} [props.uploadImage] - Uploads an image dropped or pasted in the editor,
+ *      and gives its URL. The images are written as data URLs by default.
+ * @param {(error: *, file: File) => void} [props.onImageUploadError] - Called when the upload of an image fails.
+ * @param {[import("../utils/SlashCommandUtils").SlashCommand]} [props.slashCommands] - The commands added
+ *      to the slash command menu. A command replaces the default command with its id.
+ * @param {React.Ref} [props.ref] - The imperative handle of the editor.
+ */
+const MarkdownEditor = memo(({
+    md = "", value, onChange, onTaskToggle, onOutlineChange, rawPaste = false, syncProvider, user, mode = "live",
+    uploadImage, onImageUploadError, slashCommands, ref, ...props
+}) => {
+    /** @type {React.RefObject<Node|null>} */
+    const editorElementRef = useRef(null);
+    /**
+     * The markdown of the content, without the zero-width spaces.
+     * @type {React.RefObject<String|null>}
+     */
+    const markdownRef = useRef(null);
+    /** @type {React.RefObject<Node|null>} */
+    const lastHasSignDisplayElementRef = useRef(null);
+    /** @type {React.RefObject<Object|null>} */
+    const incrementalRendererRef = useRef(null);
+    /**
+     * Whether the next paste has been asked for as plain text ( with Ctrl/Cmd + Shift + V ).
+     * @type {React.RefObject<Boolean>}
+     */
+    const rawPasteRequestedRef = useRef(false);
+    /**
+     * The last outline given to `onOutlineChange`, serialized to be compared.
+     * @type {React.RefObject<String|null>}
+     */
+    const outlineRef = useRef(null);
+    /**
+     * The collaborative editing session, while there is a `syncProvider`.
+     * @type {React.RefObject<Object|null>}
+     */
+    const sessionRef = useRef(null);
+    /**
+     * The handler of the remote edits, the latest one being called by the session.
+     * @type {React.RefObject<Function|null>}
+     */
+    const remoteChangeHandlerRef = useRef(null);
+    /**
+     * The handler of the uploaded images, the latest one being called when an upload ends.
+     * @type {React.RefObject<Function|null>}
+     */
+    const imageUploadHandlerRef = useRef(null);
+    /**
+     * The placeholders of the images being uploaded, displayed in the live view only.
+     * @type {React.RefObject<[import("../utils/ImageUtils").ImagePlaceholder]>}
+     */
+    const imagePlaceholdersRef = useRef([]);
+    /**
+     * The handler of the markdown given from outside, the latest one being called when `value` ( or `md` ) changes.
+     * @type {React.RefObject<Function|null>}
+     */
+    const externalMarkdownHandlerRef = useRef(null);
+    /**
+     * The handler of the view switches, the latest one being called when `mode` changes.
+     * @type {React.RefObject<Function|null>}
+     */
+    const modeChangeHandlerRef = useRef(null);
+    /**
+     * The local user, read by the session when it is created.
+     * @type {React.RefObject<{name?: String, color?: String}|undefined>}
+     */
+    const userRef = useRef(user);
+    userRef.current = user;
+    /** @type {React.RefObject<Node|null>} */
+    const wrapperElementRef = useRef(null);
+    /**
+     * The view that is displayed, to switch from it when the `mode` changes.
+     * @type {React.RefObject<String>}
+     */
+    const modeRef = useRef(mode);
+    /**
+     * The imperative handle of the source view, and the rendered preview of the split view.
+     * @type {React.RefObject<Object|null>}
+     */
+    const sourceRef = useRef(null);
+    /** @type {React.RefObject<HTMLElement|null>} */
+    const previewElementRef = useRef(null);
+    /**
+     * The selection of the source view and whether it has the focus, kept once the view is closed.
+     * @type {React.RefObject<{selection: {start: Number, end: Number}, focused: Boolean}>}
+     */
+    const sourceStateRef = useRef({ selection: { start: 0, end: 0 }, focused: false });
+    /**
+     * The view that is being scrolled by the user in the split view, the other one follows it.
+     * @type {React.RefObject<"source"|"preview"|null>}
+     */
+    const scrollingViewRef = useRef(null);
+    /**
+     * The slash command menu while it is open, and all its commands.
+     * @type {React.RefObject<Object|null>}
+     */
+    const slashMenuRef = useRef(null);
+    /** @type {React.RefObject<[import("../utils/SlashCommandUtils").SlashCommand]>} */
+    const slashCommandsRef = useRef([]);
+    /**
+     * The popover of the link under the cursor while it is displayed.
+     * @type {React.RefObject<Object|null>}
+     */
+    const linkPopoverRef = useRef(null);
+
+    /**
+     * The number of renderings of the live view, 0 until it is first rendered. The blocks are rendered into
+     * the container by the incremental renderer, React does not hold its HTML.
+     * @type {[renderCount: Number, setRenderCount: React.Dispatch<React.SetStateAction<Number>>]}
+     */
+    const [renderCount, setRenderCount] = useState(0);
+    const [cursor, setCursor] = useState({ start: 0, end: 0 });
+    // The changed blocks are replaced on every change, which clears the native undo stack of the browser.
+    const [history] = useState(createHistory);
+    /** @type {[[import("../utils/CollaborationUtils").Peer], Function]} */
+    const [peers, setPeers] = useState([]);
+    const [remoteCursors, setRemoteCursors] = useState([]);
+    // The markdown of the source view, without the zero-width spaces.
+    const [sourceText, setSourceText] = useState("");
+    /**
+     * The slash command menu while it is open: the query typed after `/`, the highlighted command,
+     * and the position of the menu in the editor.
+     * @type {[{query: String, index: Number, left: Number, top: Number}|null, Function]}
+     */
+    const [slashMenu, setSlashMenuState] = useState(null);
+
+    const allSlashCommands = useMemo(() => mergeSlashCommands(slashCommands), [slashCommands]);
+    const slashMenuCommands = slashMenu ? filterSlashCommands(allSlashCommands, slashMenu.query) : [];
+    /**
+     * The popover of the link under the cursor: the target of the link, the position of the popover,
+     * and the cursor in the markdown, which finds the link again while the url input has the focus.
+     * @type {[{target: import("../utils/LinkUtils").LinkTarget, left: Number, top: Number,
+     *      selection: {start: Number, end: Number}}|null, Function]}
+     */
+    const [linkPopover, setLinkPopoverState] = useState(null);
+    // The handlers of the editable element are not renewed on every render, they read the commands here.
+    slashCommandsRef.current = allSlashCommands;
+
+    /**
+     * Opens, moves or closes the slash command menu.
+     * 
+     * @function
+     * @param {{query: String, index: Number, left: Number, top: Number}|null} menu - The menu, null to close it.
+     * @returns {void}
+     */
+    const setSlashMenu = (menu) => {
+        slashMenuRef.current = menu;
+        setSlashMenuState(menu);
+    };
+
+    /**
+     * Displays, moves or hides the link popover.
+     * 
+     * @function
+     * @param {Object|null} popover - The popover, null to hide it.
+     * @returns {void}
+     */
+    const setLinkPopover = (popover) => {
+        linkPopoverRef.current = popover;
+        setLinkPopoverState(popover);
+    };
+
+    /**
+     * Gets the position of a popup drawn under an element of the editor.
+     * 
+     * @function
+     * @param {HTMLElement} element - The element.
+     * @returns {{left: Number, top: Number}} The position, relative to the container of the editor.
+     */
+    const getPositionUnder = (element) => {
+        const rect = element.getBoundingClientRect();
+        const origin = wrapperElementRef.current.getBoundingClientRect();
+
+        return {
+            left: rect.left - origin.left + wrapperElementRef.current.scrollLeft,
+            top: rect.bottom - origin.top + wrapperElementRef.current.scrollTop
+        };
+    };
+
+    /**
+     * Gets the incremental renderer of the editor, which re-renders only the blocks that have changed.
+     * 
+     * @function
+     * @returns {Object} The renderer created by `createIncrementalRenderer`.
+     */
+    const getIncrementalRenderer = () => {
+        incrementalRendererRef.current ??= createIncrementalRenderer(editorElementRef.current);
+        return incrementalRendererRef.current;
+    };
+
+    /**
+     * Renders a whole markdown document, and the source view with it.
+     * 
+     * @function
+     * @param {String} markdown - The markdown to render.
+     * @returns {void}
+     */
+    const renderDocument = (markdown) => {
+        // The images being uploaded are displayed from their placeholder, whose offset does not count
+        // the zero-width spaces.
+        const placeholders = imagePlaceholdersRef.current;
+        const rendered = placeholders.length ? getImagePlaceholderInsertions(placeholders)
+            .reduce(applyTextChange, markdown.replace(rules.restorer.zeroWidthSpace, "")) : markdown;
+
+        getIncrementalRenderer().render(rendered);
+        updateOutline(buildOutline(getIncrementalRenderer().getHeadings()));
+        applyFootnotePreviews(editorElementRef.current);
+        setRenderCount(count => count + 1);
+        setSourceText(markdown.replace(rules.restorer.zeroWidthSpace, ""));
+    };
+
+    /**
+     * Takes the placeholders of the images being uploaded out of the markdown of the live view: they are displayed,
+     * but they are not notified, shared or recorded until their URL replaces them.
+     * 
+     * @function
+     * @param {String} rendered - The markdown of the live view, as restored from its blocks.
+     * @returns {{rendered: String, markdown: String, placeholders: [import("../utils/ImageUtils").ImagePlaceholder],
+     *      removals: [import("../utils/SharedTextUtils").TextChange]}} The rendered markdown without the placeholders,
+     *      the same without the zero-width spaces, the placeholders that are still displayed, and the changes that
+     *      move the offsets of the live view ( without the zero-width spaces ) to the markdown.
+     */
+    const takeImagePlaceholders = (rendered) => {
+        const text = rendered.replace(rules.restorer.zeroWidthSpace, "");
+        const { placeholders, removals } = findImagePlaceholders(text, imagePlaceholdersRef.current);
+
+        return {
+            rendered: placeholders
+                .reduce((markdown, { markdown: placeholder }) => markdown.replace(placeholder, ""), rendered),
+            markdown: removals.reduce(applyTextChange, text),
+            placeholders,
+            removals
+        };
+    };
+
+    /**
+     * Moves the placeholders of the images being uploaded through a change of the markdown.
+     * 
+     * @function
+     * @param {import("../utils/SharedTextUtils").TextChange|null} change - The change, null if there is none.
+     * @returns {void}
+     */
+    const moveImagePlaceholders = (change) => {
+        if (!change) return;
+
+        imagePlaceholdersRef.current = imagePlaceholdersRef.current
+            .map(placeholder => ({ ...placeholder, offset: mapTextOffset(placeholder.offset, change) }));
+    };
+
+    /**
+     * Moves the cursor of the displayed view. Both views place the cursor at the same markdown offsets.
+     * 
+     * @function
+     * @param {{start: Number, end: Number}} selection - The cursor.
+     * @returns {void}
+     */
+    const moveCursor = (selection) => {
+        if (modeRef.current === "live") {
+            // The live view also displays the placeholders of the images being uploaded.
+            setCursor(mapTextSelection(selection, getImagePlaceholderInsertions(imagePlaceholdersRef.current)));
+        } else {
+            sourceRef.current?.setSelection(selection);
+        }
+    };
+
+    /**
+     * Applies the outline of the markdown to the rendered headings and tables of contents,
+     * and notifies `onOutlineChange` if it has changed.
+     * 
+     * @function
+     * @param {[import("../utils/OutlineUtils").OutlineHeading]} outline - The outline of the markdown.
+     * @returns {void}
+     */
+    const updateOutline = (outline) => {
+        applyOutline(editorElementRef.current, outline);
+
+        const serializedOutline = JSON.stringify(outline);
+        if (serializedOutline === outlineRef.current) return;
+
+        outlineRef.current = serializedOutline;
+        onOutlineChange?.(outline);
+    };
+
+    /**
+     * Moves the cursor to the start of the heading that has the given anchor, and scrolls to it.
+     * 
+     * @function
+     * @param {String} anchor - The anchor of the heading.
+     * @returns {Boolean} Whether the heading has been found.
+     */
+    const scrollToHeading = (anchor) => {
+        const heading = findHeading(editorElementRef.current, anchor);
+        if (!heading) return false;
+
+        editorElementRef.current.focus();
+        window.getSelection().collapse(heading.querySelector(":scope>.md-content") || heading, 0);
+        heading.scrollIntoView?.({ block: "start" });
+        requestAnimationFrame(handleCursorMove);
+
+        return true;
+    };
+
+    /**
+     * Re-renders the blocks that have been edited, and records the change: the markdown is notified, shared
+     * and added to the history, and the cursor is restored in the rendered blocks.
+     * 
+     * @function
+     * @param {Event} [event] - The input event, for a change made by typing.
+     * @returns {void}
+     */
+    const renderChange = (event) => {
+        const container = editorElementRef.current;
+        // The changes made by typing ( given by the input event ) are coalesced in the history.
+        const isTyping = event !== null && typeof event === "object";
+
+        // The cursor is saved as markdown offsets, which do not depend on how the blocks are rendered.
+        // The blocks that have not been edited are not restored again to count their offsets.
+        const selection = getMarkdownSelection(container, getIncrementalRenderer().getBlockCache());
+
+        // Re-render the blocks that have changed, and restore the document back to a markdown string.
+        // The zero-width spaces only hold the cursor, they are not part of the markdown given to the parent.
+        const { text, hasChangedOutline, hasChangedFootnotes } = getIncrementalRenderer().update();
+        const {
+            rendered: markdown, markdown: changedMarkdown, placeholders, removals
+        } = takeImagePlaceholders(text);
+        imagePlaceholdersRef.current = placeholders;
+
+        if (changedMarkdown !== markdownRef.current) {
+            markdownRef.current = changedMarkdown;
+            onChange?.(changedMarkdown);
+            sessionRef.current?.setText(changedMarkdown);
+        }
+
+        // The outline is only built again when a heading ( or a table of contents ) has been rendered or removed.
+        if (hasChangedOutline) {
+            updateOutline(buildOutline(getIncrementalRenderer().getHeadings()));
+        }
+        // Likewise, the references are only completed again when a footnote has been rendered or removed.
+        if (hasChangedFootnotes) {
+            applyFootnotePreviews(editorElementRef.current);
+        }
+
+        // The blocks have been patched in place, the HTML of the container is not serialized.
+        setRenderCount(count => count + 1);
+
+        if (selection) {
+            setCursor(selection);
+        }
+        history.record({
+            markdown,
+            cursor: selection ? mapTextSelection(selection, removals) : { start: 0, end: 0 }
+        }, isTyping);
+    };
+
+    // The edits are rendered once the typing pauses, the input rules render theirs at once.
+    const handleChange = debounce(renderChange, 100);
+
+    /**
+     * Renders a state of the history, with its cursor, and notifies `onChange`.
+     * 
+     * @function
+     * @param {import("../utils/HistoryUtils").HistorySnapshot|null} snapshot - The state to render.
+     * @returns {Promise<Boolean>} Whether a state has been rendered.
+     */
+    const renderHistorySnapshot = async (snapshot) => {
+        if (!snapshot) return false;
+
+        const markdown = snapshot.markdown.replace(rules.restorer.zeroWidthSpace, "");
+        // The images being uploaded stay where the change of the markdown moves them.
+        moveImagePlaceholders(getTextChange(readEditedMarkdown(), markdown));
+        markdownRef.current = markdown;
+        onChange?.(markdown);
+        sessionRef.current?.setText(markdown);
+
+        renderDocument(snapshot.markdown);
+        moveCursor({ ...snapshot.cursor });
+
+        return true;
+    };
+
+    /**
+     * Renders the markdown merged with the edits of the other participants. The cursor is moved by their change,
+     * and so are the states of the history: an undo reverts the local edits only, the remote edits are kept.
+     * 
+     * @function
+     * @param {String} markdown - The merged markdown.
+     * @param {import("../utils/SharedTextUtils").TextChange} change - The change of the markdown.
+     * @returns {void}
+     */
+    const applyRemoteMarkdown = (markdown, change) => {
+        const container = editorElementRef.current;
+        const selection = container.contains(document.activeElement) ? getMarkdownSelection(container) : null;
+        // The change has been made to the markdown as it is edited, with the edits that are waiting for `handleChange`.
+        const editedMarkdown = readEditedMarkdown();
+        const newCursor = selection ?
+            mapTextSelection(selection, [...takeImagePlaceholders(parseHTMLElement(container).text).removals, change]) :
+            { start: 0, end: 0 };
+
+        recordPendingChanges();
+        moveImagePlaceholders(change);
+        history.map(snapshot => {
+            const text = snapshot.markdown.replace(rules.restorer.zeroWidthSpace, "");
+            const snapshotChange = rebaseTextChange(change, editedMarkdown, text);
+
+            return {
+                markdown: applyTextChange(text, snapshotChange),
+                cursor: {
+                    start: mapTextOffset(snapshot.cursor.start, snapshotChange),
+                    end: mapTextOffset(snapshot.cursor.end, snapshotChange)
+                }
+            };
+        });
+
+        markdownRef.current = markdown;
+        onChange?.(markdown);
+        renderDocument(markdown);
+
+        if (selection) {
+            moveCursor(newCursor);
+        }
+    };
+    remoteChangeHandlerRef.current = applyRemoteMarkdown;
+
+    /**
+     * Records the content as it is, so that the edits that are waiting for the debounced `handleChange`
+     * are part of the history before it is moved through.
+     * 
+     * @function
+     * @returns {void}
+     */
+    const recordPendingChanges = () => {
+        const container = editorElementRef.current;
+        // The edits of the source view are recorded as they are made.
+        if (!container || renderCount === 0 || modeRef.current !== "live") return;
+
+        const { rendered, placeholders, removals } = takeImagePlaceholders(parseHTMLElement(container).text);
+        const selection = getMarkdownSelection(container);
+        imagePlaceholdersRef.current = placeholders;
+
+        history.record({
+            markdown: rendered,
+            cursor: selection ? mapTextSelection(selection, removals) : { start: 0, end: 0 }
+        }, true);
+    };
+
+    /**
+     * Reads the markdown as it is edited: the markdown of the live view with the edits that are waiting
+     * for `handleChange` ( without the images being uploaded ), or the markdown of the source view.
+     * 
+     * @function
+     * @returns {String} The markdown, without the zero-width spaces.
+     */
+    const readEditedMarkdown = () => {
+        const container = editorElementRef.current;
+        if (!container || renderCount === 0 || modeRef.current !== "live") return markdownRef.current ?? "";
+
+        return takeImagePlaceholders(parseHTMLElement(container).text).markdown;
+    };
+
+    /**
+     * Undoes the last change.
+     * 
+     * @function
+     * @returns {Promise<Boolean>} Whether a change has been undone.
+     */
+    const undo = () => {
+        recordPendingChanges();
+        return renderHistorySnapshot(history.undo());
+    };
+
+    /**
+     * Redoes the last undone change.
+     * 
+     * @function
+     * @returns {Promise<Boolean>} Whether a change has been redone.
+     */
+    const redo = () => {
+        recordPendingChanges();
+        return renderHistorySnapshot(history.redo());
+    };
+
+    /**
+     * Handle the `blur` event and clear the markdown signs display status.
+     * This function is called when an element loses focus.
+     * 
+     * @function
+     * @returns {void}
+     */
+    const handleBlur = (event) => {
+        // The language input of a code block is applied when it loses the focus.
+        if (event?.target.matches?.(".md-code-language")) {
+            applyCodeLanguage(event.target);
+            return;
+        }
+
+        // The popups are closed, unless the focus moves to the link popover. The text typed since the last change
+        // is rendered before the editor is rendered again without them.
+        if (!event?.relatedTarget?.closest?.(".md-link-popover") && (slashMenuRef.current || linkPopoverRef.current)) {
+            renderChange();
+            setSlashMenu(null);
+            setLinkPopover(null);
+        }
+
+        // Clear the display state of markdown signs by passing `null` to `renderSigns`.
+        renderSigns(null);
+    };
+
+    /**
+     * Handles the `keyup` event and prevents the default action.
+     * This is used to prevent the `Keyup` from affecting the active state of an HTML element.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @returns {void}
+     */
+    const handleKeyUp = (event) => {
+        // Cancel the keyboard key release event, as this may affect the active state of the HTML element.
+        event.preventDefault();
+
+        // `/` typed in an empty paragraph opens the slash command menu, the other keys filter it.
+        updateSlashMenu(event);
+    };
+
+    /**
+     * Handles the `click` event on the checkbox of a task list item.
+     * The `[ ]` / `[x]` marker is rewritten and the markdown is re-rendered, then `onTaskToggle` is notified.
+     * A click on the preview of a formula or a diagram opens its source, a link of a table of contents
+     * moves to its heading. Ctrl/Cmd + click opens a link.
+     * 
+     * @function
+     * @param {MouseEvent} event - The mouse event object.
+     * @returns {void}
+     */
+    const handleClick = (event) => {
+        // Ctrl/Cmd + click opens a link.
+        const anchor = event.target.closest?.(".md-i[data-type=link]>a[href]");
+        if (anchor && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            openLink(anchor.getAttribute("href"));
+
+            return;
+        }
+
+        // A link of a table of contents moves to its heading.
+        const tocLink = event.target.closest?.(".md-toc-link");
+        if (tocLink) {
+            event.preventDefault();
+            scrollToHeading(tocLink.dataset.anchor);
+
+            return;
+        }
+
+        // A click on the preview of a formula ( or a diagram ) places the cursor at the end of its source,
+        // which is then displayed.
+        const preview = event.target.closest?.(".md-preview");
+        if (preview) {
+            const source = preview.parentElement.querySelector(":scope>.md-content, :scope>code");
+            if (!source) return;
+
+            window.getSelection().collapse(source, source.childNodes.length);
+            requestAnimationFrame(handleCursorMove);
+
+            return;
+        }
+
+        const checkbox = event.target.closest?.(".md-task-checkbox");
+        if (!checkbox) return;
+
+        // The state is taken from the marker, the checkbox is updated by the next rendering.
+        event.preventDefault();
+
+        const item = findListItem(checkbox);
+        const checked = toggleTaskListItem(item);
+        if (checked === null) return;
+
+        handleChange();
+
+        onTaskToggle?.({
+            // The position of the task among all the tasks of the document.
+            index: Array.from(editorElementRef.current.querySelectorAll(".md-task-checkbox")).indexOf(checkbox),
+            checked,
+            text: Array.from(item.children)
+                .filter(child => child.matches(".md-b[data-type=paragraph]"))
+                .map(child => child.textContent.replace(/\u200b/g, ""))
+                .join("\n")
+        });
+    };
+
+    /**
+     * Rewrites the language of a code block from its language input.
+     * 
+     * @function
+     * @param {HTMLInputElement} input - The `.md-code-language` input of the code block.
+     * @returns {void}
+     */
+    const applyCodeLanguage = (input) => {
+        const block = findCodeBlock(input);
+
+        if (block && setCodeBlockLanguage(block, input.value)) {
+            handleChange();
+        }
+    };
+
+    /**
+     * Handles the keys that edit a code block: Enter inserts a line break with the indentation of the line
+     * ( or opens the block from an opening fence that is not closed yet ), Tab and Shift+Tab indent and outdent the lines.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @param {HTMLElement} block - The code block under the cursor.
+     * @returns {Boolean} Whether the event has been handled.
+     */
+    const handleCodeBlockKeyDown = (event, block) => {
+        if (event.ctrlKey || event.metaKey || event.altKey) return false;
+
+        if (event.key === "Enter") {
+            // Enter at the end of a closed code block leaves it, like after any other block.
+            if (!openCodeFence(block) && !insertCodeLineBreak(block)) return false;
+
+            event.preventDefault();
+            handleChange();
+
+            return true;
+        }
+
+        if (event.key === "Tab") {
+            event.preventDefault();
+
+            if (indentCodeLines(block, event.shiftKey)) {
+                handleChange();
+            }
+
+            return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * Handles the keys that edit a list item: Enter continues the list ( or exits it from an empty item ),
+     * Tab and Shift+Tab indent and outdent the item. Backspace at the start of an item is an input rule.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @param {HTMLElement} item - The list item under the cursor.
+     * @returns {Boolean} Whether the event has been handled.
+     */
+    const handleListKeyDown = (event, item) => {
+        if (!event.shiftKey && event.key === "Enter") {
+            event.preventDefault();
+
+            isListItemEmpty(item) ? exitListItem(item) : splitListItem(item);
+            handleChange();
+
+            return true;
+        }
+
+        if (event.key === "Tab") {
+            // Tab never leaves the editor from a list item, even if the item cannot be moved.
+            event.preventDefault();
+
+            if (event.shiftKey ? outdentListItem(item) : indentListItem(item)) {
+                handleChange();
+            }
+
+            return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * Handles the keys that edit a table cell: Tab and Shift+Tab move between the cells, Enter moves to the cell below.
+     * The rows and the columns are edited with the following commands:
+     * - Ctrl/Cmd + Enter: insert a row below.
+     * - Ctrl/Cmd + Shift + Enter: insert a column on the right.
+     * - Ctrl/Cmd + Shift + Backspace: delete the row.
+     * - Ctrl/Cmd + Alt + Backspace: delete the column.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @param {HTMLElement} cell - The table cell under the cursor.
+     * @returns {Boolean} Whether the event has been handled.
+     */
+    const handleTableKeyDown = (event, cell) => {
+        const isModified = event.ctrlKey || event.metaKey;
+        let command = null;
+
+        if (isModified && event.key === "Enter") {
+            command = event.shiftKey ?
+                () => insertTableColumn(cell) :
+                () => focusTableCell(insertTableRow(cell).firstElementChild);
+        } else if (isModified && event.shiftKey && event.key === "Backspace") {
+            command = () => deleteTableRow(cell);
+        } else if (isModified && event.altKey && event.key === "Backspace") {
+            command = () => deleteTableColumn(cell);
+        } else if (event.key === "Tab") {
+            command = () => moveToSiblingCell(cell, event.shiftKey);
+        } else if (event.key === "Enter") {
+            // A pipe table cannot hold a line break, so Shift+Enter does nothing.
+            command = () => !event.shiftKey && moveToCellBelow(cell);
+        }
+
+        if (!command) return false;
+
+        event.preventDefault();
+
+        // Only the commands that modify the table need to re-render it.
+        if (command() !== false) {
+            handleChange();
+        }
+
+        return true;
+    };
+
+    /**
+     * Handles the shortcuts that toggle an inline format on the selection:
+     * - Ctrl/Cmd + B: bold.
+     * - Ctrl/Cmd + I: italic.
+     * - Ctrl/Cmd + E: code.
+     * - Ctrl/Cmd + Shift + X: strikethrough.
+     * - Ctrl/Cmd + K: link.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @returns {Boolean} Whether the event has been handled.
+     */
+    const handleFormatKeyDown = (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return false;
+
+        const type = event.shiftKey ?
+            { x: "del" }[event.key.toLowerCase()] :
+            { b: "strong", i: "em", e: "codespan", k: "link" }[event.key.toLowerCase()];
+        if (!type) return false;
+
+        event.preventDefault();
+
+        if (toggleInlineFormat(editorElementRef.current, type)) {
+            handleChange();
+        }
+
+        return true;
+    };
+
+    /**
+     * Handles the input rules, which turn the block under the cursor into another one as soon as its sign is typed:
+     * a space after `#`, `>`, `-` or `1.` at the start of a paragraph, Enter after `---`. Backspace at the start
+     * of a heading, a blockquote or a list item turns it back into a paragraph, Enter on an empty line of a blockquote
+     * exits it.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @param {Node} elementUnderCursor - The element under the cursor.
+     * @returns {Boolean} Whether the event has been handled.
+     */
+    const handleInputRuleKeyDown = (event, elementUnderCursor) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return false;
+
+        const paragraph = findClosestElement(elementUnderCursor, ".md-b[data-type=paragraph]", true);
+        const isRuleApplied = (event.key === " " && paragraph && applyBlockSignRule(paragraph)) ||
+            (event.key === "Enter" && !event.shiftKey && ((paragraph && applyThematicBreakRule(paragraph)) ||
+                exitBlockquote(elementUnderCursor))) ||
+            (event.key === "Backspace" && downgradeBlock(elementUnderCursor));
+        if (!isRuleApplied) return false;
+
+        event.preventDefault();
+        renderChange();
+
+        return true;
+    };
+
+    /**
+     * Opens, updates or closes the slash command menu from the paragraph under the cursor: the menu is opened
+     * when `/` has just been typed in an empty paragraph, its query follows the text typed after `/`,
+     * and it is closed once the paragraph holds something else or the cursor leaves it.
+     * 
+     * @function
+     * @param {KeyboardEvent} [event] - The `keyup` event of the key that has been typed, if any.
+     * @returns {void}
+     */
+    const updateSlashMenu = (event) => {
+        const menu = slashMenuRef.current;
+        if (!menu && event?.key !== "/") return;
+
+        const elementUnderCursor = getElementUnderCursor(editorElementRef.current);
+        const paragraph = findClosestElement(elementUnderCursor, ".md-b[data-type=paragraph]", true);
+        const query = paragraph && window.getSelection().isCollapsed ? getSlashCommandQuery(paragraph) : null;
+
+        let nextMenu = menu;
+        if (query === null) {
+            nextMenu = null;
+        } else if (menu) {
+            if (menu.query !== query) nextMenu = { ...menu, query, index: 0 };
+        } else if (query === "") {
+            // The menu is anchored under the element that holds the cursor.
+            nextMenu = { query, index: 0, ...getPositionUnder(elementUnderCursor) };
+        }
+        if (nextMenu === menu) return;
+
+        // The editor is rendered again with the menu, the text typed since the last change is rendered first
+        // so that it is not lost.
+        renderChange(event);
+        setSlashMenu(nextMenu);
+    };
+
+    /**
+     * Replaces the paragraph where the slash command has been typed with the markdown of a command,
+     * and renders it.
+     * 
+     * @function
+     * @param {import("../utils/SlashCommandUtils").SlashCommand} command - The chosen command.
+     * @returns {void}
+     */
+    const applySlashMenuCommand = (command) => {
+        setSlashMenu(null);
+
+        const elementUnderCursor = getElementUnderCursor(editorElementRef.current);
+        const paragraph = findClosestElement(elementUnderCursor, ".md-b[data-type=paragraph]", true);
+        if (!paragraph || getSlashCommandQuery(paragraph) === null) return;
+
+        applySlashCommand(paragraph, command);
+        renderChange();
+        requestAnimationFrame(handleCursorMove);
+    };
 
-const MarkdownEditor = memo(({ md = "", ...props }) => {
-    /** @type {React.RefObject<Node|null>} */
-    const editorElementRef = useRef(null);
-    /** @type {React.RefObject<Node|null>} */
-    const lastHasSignDisplayElementRef = useRef(null);
+    /**
+     * Handles the keys of the slash command menu while it is open: the arrow keys move through the commands,
+     * Enter or Tab applies the highlighted one, Escape closes the menu.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @returns {Boolean} Whether the event has been handled.
+     */
+    const handleSlashMenuKeyDown = (event) => {
+        const menu = slashMenuRef.current;
+        const commands = menu ? filterSlashCommands(slashCommandsRef.current, menu.query) : [];
+        if (!commands.length || event.isComposing) return false;
 
-    /** @type {[content: String|null, setContent: React.Dispatch<React.SetStateAction<String|null>>]} */
-    const [content, setContent] = useState(null);
-    const [cursor, setCursor] = useState({ start: 0, end: 0 });
+        const count = commands.length;
+        const index = Math.min(menu.index, count - 1);
 
-    const handleChange = debounce(async (cursorOffset = 0) => {
-        const container = editorElementRef.current;
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            const step = event.key === "ArrowDown" ? 1 : -1;
+            setSlashMenu({ ...menu, index: (index + step + count) % count });
+        } else if ((event.key === "Enter" || event.key === "Tab") && !event.shiftKey) {
+            applySlashMenuCommand(commands[index]);
+        } else if (event.key === "Escape") {
+            setSlashMenu(null);
+        } else {
+            return false;
+        }
+
+        event.preventDefault();
+
+        return true;
+    };
+
+    /**
+     * Displays the popover of the link under the cursor, or hides it once the cursor has left the link.
+     * 
+     * @function
+     * @returns {void}
+     */
+    const updateLinkPopover = () => {
+        // The popover follows the cursor of the live view while it has the focus.
+        const editor = editorElementRef.current;
+        const link = modeRef.current === "live" && editor?.contains(document.activeElement) ?
+            findLink(getElementUnderCursor(editor)) : null;
+        const popover = linkPopoverRef.current;
+        if (!link && !popover) return;
+
+        const nextPopover = link && {
+            target: getLinkTarget(link),
+            ...getPositionUnder(link),
+            selection: getMarkdownSelection(editor)
+        };
+
+        // The cursor moves in the same link, only its position in the markdown is kept.
+        if (nextPopover && popover && nextPopover.left === popover.left && nextPopover.top === popover.top &&
+            ["url", "href", "editable"].every(key => nextPopover.target[key] === popover.target[key])) {
+            linkPopoverRef.current = { ...popover, selection: nextPopover.selection };
+            return;
+        }
+
+        // The editor is rendered again with the popover, the text typed since the last change is rendered first.
+        renderChange();
+        setLinkPopover(nextPopover);
+    };
+
+    /**
+     * Gives the focus back to the editor, with the cursor in the link of the popover.
+     * 
+     * @function
+     * @returns {HTMLElement|null} The link, or null if it is not found any more.
+     */
+    const focusPopoverLink = () => {
+        const popover = linkPopoverRef.current;
+        if (!popover) return null;
+
+        editorElementRef.current.focus();
+        restoreMarkdownSelection(editorElementRef.current, popover.selection);
+
+        return findLink(getElementUnderCursor(editorElementRef.current));
+    };
+
+    /**
+     * Changes the url of the link of the popover, an empty url removes the link.
+     * 
+     * @function
+     * @param {String} url - The url entered in the popover.
+     * @returns {void}
+     */
+    const changeLinkURL = (url) => {
+        const link = focusPopoverLink();
+        if (!link) return;
+
+        if (!url) {
+            removeLink(link);
+        } else if (!setLinkURL(link, url)) {
+            return;
+        }
+
+        renderChange();
+    };
+
+    /**
+     * Removes the link of the popover, keeping its text.
+     * 
+     * @function
+     * @returns {void}
+     */
+    const removePopoverLink = () => {
+        const link = focusPopoverLink();
+        if (!link) return;
+
+        removeLink(link);
+        renderChange();
+    };
+
+    /**
+     * Opens a link in a new tab.
+     * 
+     * @function
+     * @param {String} href - The url of the link, allowed by the sanitizer.
+     * @returns {void}
+     */
+    const openLink = (href) => {
+        window.open(href, "_blank", "noopener,noreferrer");
+    };
+
+    /**
+     * Handles the `paste` event: the HTML of the clipboard is converted to markdown, which is inserted at the cursor
+     * in place of the selection, and rendered. The plain text is inserted as it is when the clipboard holds no HTML,
+     * in code, with `rawPaste`, or with Ctrl/Cmd + Shift + V. The image files are inserted like dropped images,
+     * and a url is inserted as an autolink.
+     * 
+     * @function
+     * @param {ClipboardEvent} event - The clipboard event object.
+     * @returns {void}
+     */
+    const handlePaste = (event) => {
+        if (event.target.matches?.(".md-code-language")) return;
+
+        const isRawPasteRequested = rawPasteRequestedRef.current;
+        rawPasteRequestedRef.current = false;
+
+        const clipboard = event.clipboardData;
+        const selection = window.getSelection();
+        if (!clipboard || !selection.rangeCount) return;
+
+        event.preventDefault();
+
+        const elementUnderCursor = getElementUnderCursor(editorElementRef.current);
+        const isCode = Boolean(findClosestElement(elementUnderCursor, "pre, code", true));
+        const html = clipboard.getData("text/html");
+
+        // The image files are uploaded, unless they come with their HTML ( e.g. an image copied from a web page ).
+        const imageFiles = getImageFiles(clipboard);
+        if (imageFiles.length && !html && !isCode) {
+            selection.getRangeAt(0).deleteContents();
+            insertImages(imageFiles);
+
+            return;
+        }
+
+        let markdown = html && !isCode && !rawPaste && !isRawPasteRequested ?
+            convertHTMLToMarkdown(html) :
+            clipboard.getData("text/plain").replace(/\r\n?/g, "\n");
+
+        // A url pasted on its own as plain text is written as an autolink, unless it is pasted in a link.
+        if (!html && !isCode && !rawPaste && !isRawPasteRequested && !findLink(elementUnderCursor) &&
+            rules.link.bareURL.exec(markdown)?.[1] === markdown) {
+            markdown = `<${markdown}>`;
+        }
+
+        // A pipe table cannot hold a line break.
+        if (findTableCell(elementUnderCursor)) {
+            markdown = markdown.replace(/\s*\n\s*/g, " ");
+        }
+
+        if (!markdown) return;
+
+        selection.getRangeAt(0).deleteContents();
+        insertAtCursor(markdown);
+
+        // The cursor stays after the pasted markdown, whatever the blocks it is rendered to.
+        handleChange();
+    };
+
+    /**
+     * Handles the `copy` event: the markdown of the selection is put on the clipboard as plain text,
+     * and its HTML ( without the signs of the editor ) as HTML.
+     * 
+     * @function
+     * @param {ClipboardEvent} event - The clipboard event object.
+     * @returns {Boolean} Whether the clipboard has been filled.
+     */
+    const handleCopy = (event) => {
+        if (event.target.matches?.(".md-code-language")) return false;
+
+        const clipboardContent = getClipboardContent(editorElementRef.current);
+        if (!clipboardContent || !event.clipboardData) return false;
+
+        event.preventDefault();
+        event.clipboardData.setData("text/plain", clipboardContent.markdown);
+        event.clipboardData.setData("text/html", clipboardContent.html);
+
+        return true;
+    };
 
-        // Save the cursor position before rendering.
-        const selection = saveCursorSelection(container);
+    /**
+     * Handles the `cut` event: the selection is copied like by `handleCopy`, then removed.
+     * 
+     * @function
+     * @param {ClipboardEvent} event - The clipboard event object.
+     * @returns {void}
+     */
+    const handleCut = (event) => {
+        if (!handleCopy(event)) return;
+
+        window.getSelection().deleteFromDocument();
+        handleChange();
+    };
+
+    /**
+     * Replaces the placeholder of an image whose upload has ended with the image, in the view that is displayed.
+     * The image is then part of the markdown. A placeholder that has been deleted is not replaced.
+     * 
+     * @function
+     * @param {String} placeholder - The markdown of the placeholder.
+     * @param {String} image - The markdown of the image, or an empty string if its file cannot be read.
+     * @returns {void}
+     */
+    const replaceImagePlaceholder = (placeholder, image) => {
+        if (modeRef.current !== "live") {
+            const imagePlaceholder = imagePlaceholdersRef.current.find(({ markdown }) => markdown === placeholder);
+            if (!imagePlaceholder) return;
+
+            imagePlaceholdersRef.current = imagePlaceholdersRef.current.filter(other => other !== imagePlaceholder);
+            if (!image) return;
+
+            const change = { from: imagePlaceholder.offset, to: imagePlaceholder.offset, insert: image };
+            handleSourceChange(
+                applyTextChange(markdownRef.current ?? "", change),
+                mapTextSelection(sourceStateRef.current.selection, [change])
+            );
+
+            return;
+        }
 
-        // Restore the node back to a markdown string.
-        const tokens = parseHTMLElement(container);
-        const markdown = tokens.text.replace(/(\n{2})+$/gm, "");
+        // The placeholder is a single text, in the content of the image or in the text that was inserted.
+        const walker = document.createTreeWalker(editorElementRef.current, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            if (!walker.currentNode.data.includes(placeholder)) continue;
 
-        // Re-render markdown
-        const html = await parseMarkdownString(markdown);
-        setContent(html);
+            imagePlaceholdersRef.current = imagePlaceholdersRef.current
+                .filter(({ markdown }) => markdown !== placeholder);
+            walker.currentNode.data = walker.currentNode.data.replace(placeholder, image);
+            renderChange();
 
-        if (typeof cursorOffset !== "number") {
-            cursorOffset = 0;
+            return;
         }
+    };
+    imageUploadHandlerRef.current = replaceImagePlaceholder;
+
+    /**
+     * Inserts images at the cursor. Each image is displayed from its file ( an object URL ) while it is uploaded,
+     * then its URL replaces the placeholder. An image that cannot be uploaded is written with its data URL.
+     * 
+     * @function
+     * @param {[File]} files - The image files.
+     * @returns {void}
+     */
+    const insertImages = (files) => {
+        const placeholders = files.map(file => {
+            const url = URL.createObjectURL(file);
 
-        setCursor({
-            // Possible cursor offset or removed zero-width spaces.
-            start: selection.start + cursorOffset - (tokens?.zwpAmount || 0),
-            end: selection.end + cursorOffset - (tokens?.zwpAmount || 0)
+            return { file, url, markdown: createImageMarkdown(file, url) };
         });
-    }, 100);
+
+        insertAtCursor(placeholders.map(placeholder => placeholder.markdown).join(" "));
+        // The placeholders are found in the rendered blocks, which give their offset.
+        imagePlaceholdersRef.current = [
+            ...imagePlaceholdersRef.current,
+            ...placeholders.map(({ markdown }) => ({ markdown, offset: 0 }))
+        ];
+        renderChange();
+
+        placeholders.forEach(({ file, url, markdown }) => {
+            Promise.resolve()
+                .then(() => uploadImage ? uploadImage(file) : readFileAsDataURL(file))
+                .catch(error => {
+                    onImageUploadError?.(error, file);
+                    // The image is kept, written with its data URL.
+                    if (uploadImage) return readFileAsDataURL(file);
+
+                    throw error;
+                })
+                .then(imageURL => createImageMarkdown(file, imageURL), () => "")
+                .then(image => {
+                    imageUploadHandlerRef.current?.(markdown, image);
+                    URL.revokeObjectURL(url);
+                });
+        });
+    };
 
     /**
-     * Handle the `blur` event and clear the markdown signs display status.
-     * This function is called when an element loses focus.
+     * Handles the `drop` event: the image files are inserted where they are dropped.
      * 
      * @function
+     * @param {DragEvent} event - The drag event object.
      * @returns {void}
      */
-    const handleBlur = () => {
-        // Clear the display state of markdown signs by passing `null` to `renderSigns`.
-        renderSigns(null);
+    const handleDrop = (event) => {
+        const files = getImageFiles(event.dataTransfer);
+        if (!files.length) return;
+
+        event.preventDefault();
+
+        const container = editorElementRef.current;
+        const position = document.caretPositionFromPoint?.(event.clientX, event.clientY);
+        const range = position ? document.createRange() : document.caretRangeFromPoint?.(event.clientX, event.clientY);
+        if (position) range.setStart(position.offsetNode, position.offset);
+
+        const selection = window.getSelection();
+
+        if (range && container.contains(range.startContainer)) {
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+        } else if (!selection.rangeCount || !container.contains(selection.anchorNode)) {
+            // The images dropped out of the text go at its end.
+            selection.selectAllChildren(container);
+            selection.collapseToEnd();
+        }
+
+        insertImages(files);
     };
 
     /**
-     * Handles the `keyup` event and prevents the default action.
-     * This is used to prevent the `Keyup` from affecting the active state of an HTML element.
+     * Handles the `mousedown` event: dragging the bottom-right corner of an image resizes it.
      * 
      * @function
-     * @param {KeyboardEvent} event - The keyboard event object.
+     * @param {MouseEvent} event - The mouse event object.
      * @returns {void}
      */
-    const handleKeyUp = (event) => {
-        // Cancel the keyboard key release event, as this may affect the active state of the HTML element.
+    const handleMouseDown = (event) => {
+        const image = event.target.closest?.(".md-i[data-type=image]>img");
+        if (!image || !isOnImageResizeHandle(image, event)) return;
+
         event.preventDefault();
+        startImageResize(image, event, () => handleChange());
     };
 
     /**
@@ -75,19 +1283,89 @@ const MarkdownEditor = memo(({ md = "", ...props }) => {
      * @returns {void}
      */
     const handleKeyDown = (event) => {
+        // The keys typed in the language input of a code block only edit the input, Enter applies it.
+        if (event.target.matches?.(".md-code-language")) {
+            if (event.key === "Enter") {
+                event.preventDefault();
+                event.target.blur();
+            }
+
+            return;
+        }
+
+        if (handleSlashMenuKeyDown(event)) return;
+
+        // Ctrl/Cmd + Shift + V pastes the plain text as it is, the `paste` event follows.
+        rawPasteRequestedRef.current = (event.ctrlKey || event.metaKey) && event.shiftKey &&
+            event.key.toLowerCase() === "v";
+        if (rawPasteRequestedRef.current) return;
+
+        // Ctrl/Cmd + Z undoes, Ctrl/Cmd + Shift + Z redoes.
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === "z") {
+            event.preventDefault();
+            event.shiftKey ? redo() : undo();
+
+            return;
+        }
+
+        if (handleFormatKeyDown(event)) {
+            requestAnimationFrame(handleCursorMove);
+            return;
+        }
+
+        const elementUnderCursor = getElementUnderCursor(editorElementRef.current);
+        const codeBlock = findCodeBlock(elementUnderCursor);
+        const listItem = findListItem(elementUnderCursor);
+        const tableCell = findTableCell(elementUnderCursor);
+
+        // A bare url is written as an autolink once a space or a line break is typed after it, the key is then typed.
+        if ((event.key === " " || event.key === "Enter") && !codeBlock && !event.isComposing &&
+            !event.ctrlKey && !event.metaKey && !event.altKey) {
+            convertBareURL(elementUnderCursor);
+        }
+
+        if ((codeBlock && handleCodeBlockKeyDown(event, codeBlock)) ||
+            (tableCell && handleTableKeyDown(event, tableCell)) ||
+            (listItem && handleListKeyDown(event, listItem))) {
+            requestAnimationFrame(handleCursorMove);
+            return;
+        }
+
+        if (handleInputRuleKeyDown(event, elementUnderCursor)) {
+            requestAnimationFrame(handleCursorMove);
+            return;
+        }
+
+        // Enter in the source of a displayed formula inserts a line break in it.
+        if (!event.shiftKey && event.key === "Enter" &&
+            findClosestElement(elementUnderCursor, ".md-b[data-type=blockMath]>.md-content", true)) {
+            event.preventDefault();
+            window.getSelection().getRangeAt(0).deleteContents();
+            insertAtCursor("\n");
+            handleChange();
+
+            return;
+        }
+
         if (!event.shiftKey && event.key === "Enter") {
             event.preventDefault();
 
-            // Press Enter to create a new paragraph.
-            insertAtCursor("\n\n\u200b");
-            handleChange(-2);
+            const paragraph = findClosestElement(elementUnderCursor, ".md-b[data-type=paragraph]", true);
+
+            // A top-level paragraph that is an opening fence ( e.g. ```js ) opens a code block at once.
+            if (paragraph?.parentElement === editorElementRef.current && openCodeFence(paragraph)) {
+                renderChange();
+            } else {
+                // Press Enter to create a new paragraph.
+                insertAtCursor("\n\n\u200b");
+                handleChange();
+            }
         }
 
         if (event.shiftKey && event.key === "Enter") {
             event.preventDefault();
             insertAtCursor("\\\n\u200b");
-            // TODO [DOING] Hold down Ctrl + Enter to wrap lines.
-            // handleChange();
+            handleChange();
         }
 
         requestAnimationFrame(handleCursorMove);
@@ -117,17 +1395,337 @@ const MarkdownEditor = memo(({ md = "", ...props }) => {
 
         // Controls whether the markdown sign is rendered based on the container found.
         renderSigns(container, compulsion);
+
+        // The other participants see the selection in the markdown.
+        sessionRef.current?.setSelection(getMarkdownSelection(editorElementRef.current, getIncrementalRenderer().getBlockCache()));
+
+        // The slash command menu is closed when the cursor leaves its paragraph, the link popover follows the cursor.
+        updateSlashMenu();
+        updateLinkPopover();
+    };
+
+    /**
+     * Renders a markdown string that comes from outside of the editor ( the props or `setMarkdown` ).
+     * The cursor keeps its position ( as a markdown offset ) if the editor has the focus.
+     * 
+     * @function
+     * @param {String} markdown - The markdown to render.
+     * @returns {Promise<void>}
+     */
+    const renderMarkdown = async (markdown) => {
+        const container = editorElementRef.current;
+        const liveSelection = container?.contains(document.activeElement) ? getMarkdownSelection(container) : null;
+        const selection = liveSelection &&
+            mapTextSelection(liveSelection, takeImagePlaceholders(parseHTMLElement(container).text).removals);
+
+        moveImagePlaceholders(getTextChange(readEditedMarkdown(), markdown));
+        markdownRef.current = markdown;
+        sessionRef.current?.setText(markdown);
+        renderDocument(markdown);
+        // A markdown given from outside can be undone like any other change.
+        history.record({ markdown, cursor: selection || { start: 0, end: 0 } });
+
+        if (selection) {
+            moveCursor(selection);
+        }
+    };
+    externalMarkdownHandlerRef.current = renderMarkdown;
+
+    /**
+     * Handles an edit of the source view: the markdown is notified, shared and recorded like an edit of the live view.
+     * 
+     * @function
+     * @param {String} markdown - The markdown.
+     * @param {{start: Number, end: Number}} selection - The selection of the source view.
+     * @returns {void}
+     */
+    const handleSourceChange = (markdown, selection) => {
+        moveImagePlaceholders(getTextChange(markdownRef.current ?? "", markdown));
+        markdownRef.current = markdown;
+        setSourceText(markdown);
+        sourceStateRef.current.selection = selection;
+
+        onChange?.(markdown);
+        sessionRef.current?.setText(markdown);
+        updateOutline(getOutline(markdown));
+        history.record({ markdown, cursor: selection }, true);
+    };
+
+    /**
+     * Handles a move of the selection of the source view.
+     * 
+     * @function
+     * @param {{start: Number, end: Number}} selection - The selection of the source view.
+     * @returns {void}
+     */
+    const handleSourceSelectionChange = (selection) => {
+        sourceStateRef.current.selection = selection;
+        sessionRef.current?.setSelection(selection);
+    };
+
+    /**
+     * Handles the keys of the source view: Ctrl/Cmd + Z undoes and Ctrl/Cmd + Shift + Z redoes with the history
+     * of the editor, like in the live view.
+     * 
+     * @function
+     * @param {KeyboardEvent} event - The keyboard event object.
+     * @returns {void}
+     */
+    const handleSourceKeyDown = (event) => {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === "z") {
+            event.preventDefault();
+            event.shiftKey ? redo() : undo();
+        }
+    };
+
+    /**
+     * Scrolls one view of the split view with the other. The view that follows does not lead back the one it follows.
+     * 
+     * @function
+     * @param {"source"|"preview"} view - The view that has been scrolled.
+     * @returns {void}
+     */
+    const syncScroll = (view) => {
+        const preview = previewElementRef.current;
+        if (modeRef.current !== "split" || !preview || !sourceRef.current) return;
+        if (scrollingViewRef.current && scrollingViewRef.current !== view) return;
+
+        scrollingViewRef.current = view;
+
+        if (view === "source") {
+            preview.scrollTop = getPreviewScrollTop(preview, splitPreview.blockLines, sourceRef.current.getTopLine());
+        } else {
+            sourceRef.current.scrollToLine(getSourceLine(preview, splitPreview.blockLines, preview.scrollTop));
+        }
+
+        // The scroll of the view that follows is dispatched before the next frame.
+        requestAnimationFrame(() => scrollingViewRef.current = null);
+    };
+
+    /**
+     * Switches the displayed view. The markdown and the cursor ( as markdown offsets ) go from the live view
+     * to the source view, and back. The source view and the split view share the same source.
+     * 
+     * @function
+     * @param {String} previousMode - The view that was displayed.
+     * @returns {void}
+     */
+    const switchMode = (previousMode) => {
+        const container = editorElementRef.current;
+
+        if (previousMode === "live") {
+            const hasFocus = container.contains(document.activeElement);
+
+            // The edits that are waiting for `handleChange` are part of the source, the images being uploaded are not.
+            const { markdown, placeholders, removals } = takeImagePlaceholders(parseHTMLElement(container).text);
+            const selection = mapTextSelection(getMarkdownSelection(container) || { start: 0, end: 0 }, removals);
+            if (markdown !== markdownRef.current) handleSourceChange(markdown, selection);
+            imagePlaceholdersRef.current = placeholders;
+
+            setSourceText(markdown);
+            sourceRef.current?.setSelection(selection);
+            if (hasFocus) sourceRef.current?.focus();
+
+            return;
+        }
+
+        if (modeRef.current !== "live") return;
+
+        const { selection, focused } = sourceStateRef.current;
+
+        renderDocument(markdownRef.current ?? "");
+        moveCursor(selection);
+        if (focused) container.focus();
     };
+    modeChangeHandlerRef.current = switchMode;
+
+    const source = value ?? md;
+
+    useEffect(() => () => {
+        incrementalRendererRef.current?.disconnect();
+        incrementalRendererRef.current = null;
+    }, []);
+
+    useEffect(() => {
+        // The markdown echoed back by the parent is already rendered.
+        if (source === markdownRef.current) return;
+
+        externalMarkdownHandlerRef.current(source);
+    }, [source]);
+
+    useEffect(() => {
+        const previousMode = modeRef.current;
+        modeRef.current = mode;
+
+        if (previousMode !== mode) modeChangeHandlerRef.current(previousMode);
+    }, [mode]);
+
+    useEffect(() => {
+        if (!syncProvider) return;
+
+        const session = createCollaborationSession({
+            provider: syncProvider,
+            // The markdown has been rendered by the effect of the source.
+            text: markdownRef.current ?? "",
+            user: userRef.current,
+            // The edits that have not been handled yet are shared before the remote ones are merged,
+            // the images being uploaded are not.
+            getText: () => {
+                if (modeRef.current !== "live") return markdownRef.current;
+
+                const markdown = parseHTMLElement(editorElementRef.current).text
+                    .replace(rules.restorer.zeroWidthSpace, "");
+                const { removals } = findImagePlaceholders(markdown, imagePlaceholdersRef.current);
+
+                return removals.reduce(applyTextChange, markdown);
+            },
+            onChange: (markdown, change) => remoteChangeHandlerRef.current(markdown, change),
+            onPeersChange: setPeers
+        });
+        sessionRef.current = session;
+
+        return () => {
+            session.destroy();
+            sessionRef.current = null;
+            setPeers([]);
+        };
+    }, [syncProvider]);
 
+    // The user is shared again when its name or its color changes, not when the parent gives a new object.
+    const userName = user?.name;
+    const userColor = user?.color;
     useEffect(() => {
-        (async () => {
-            setContent(await parseMarkdownString(md));
-        })();
-    }, [md]);
+        sessionRef.current?.setUser({ name: userName, color: userColor });
+    }, [userName, userColor]);
+
+    useLayoutEffect(() => {
+        // The carets of the other participants follow the rendered text, they are drawn in the live view.
+        setRemoteCursors(previous => !peers.length && !previous.length ? previous : peers
+            .filter(peer => peer.selection && mode === "live")
+            .map(peer => ({
+                ...peer,
+                ...getSelectionRects(getMarkdownRange(editorElementRef.current, peer.selection, getIncrementalRenderer().getBlockCache()), wrapperElementRef.current)
+            })));
+    }, [peers, renderCount, mode]);
+
+    // The split view renders the source like a published document, with the lines of its blocks to scroll with it.
+    const splitPreview = useMemo(() => {
+        if (mode !== "split") return { html: "", blockLines: [] };
+
+        const tokens = lexMarkdownString(sourceText);
+        const lines = getBlockLines(tokens);
+        // Each displayed block is wrapped in its own element, whatever the number of elements that it renders.
+        const blocks = renderPreviewTokens(tokens, getOutline(sourceText))
+            .map((html, index) => ({ html, line: lines[index] }))
+            .filter(block => block.html.trim());
+
+        return {
+            html: blocks.map(block => `<div class="md-preview-block">${block.html}</div>`).join(""),
+            blockLines: [...blocks.map(block => block.line), lines.at(-1)]
+        };
+    }, [mode, sourceText]);
+
+    useImperativeHandle(ref, () => ({
+        /**
+         * Gets the markdown of the editor, including the edits that have not been re-rendered yet.
+         * 
+         * @returns {String} The markdown, without the zero-width spaces.
+         */
+        getMarkdown() {
+            const container = editorElementRef.current;
+            // The source view holds the markdown as it is edited.
+            if (!container || renderCount === 0 || modeRef.current !== "live") return markdownRef.current ?? source;
+
+            return takeImagePlaceholders(parseHTMLElement(container).text).markdown;
+        },
+        /**
+         * Replaces the markdown of the editor. `onChange` is not called.
+         * 
+         * @param {String} markdown - The new markdown.
+         * @returns {Promise<void>} Resolved once the markdown has been rendered.
+         */
+        setMarkdown(markdown) {
+            return renderMarkdown(markdown);
+        },
+        /**
+         * Moves the focus to the editor.
+         * 
+         * @returns {void}
+         */
+        focus() {
+            modeRef.current === "live" ? editorElementRef.current?.focus() : sourceRef.current?.focus();
+        },
+        /**
+         * Gets the selection as offsets in the markdown returned by `getMarkdown()`.
+         * 
+         * @returns {{start: Number, end: Number}|null} The offsets, or null if the selection is outside of the editor.
+         */
+        getSelection() {
+            if (modeRef.current !== "live") return sourceRef.current?.getSelection() || null;
+
+            return editorElementRef.current ? getMarkdownSelection(editorElementRef.current) : null;
+        },
+        /**
+         * Gets the outline of the document, the tree of its headings with their anchors.
+         * 
+         * @returns {[import("../utils/OutlineUtils").OutlineHeading]} The top-level headings.
+         */
+        getOutline() {
+            return getOutline(this.getMarkdown());
+        },
+        /**
+         * Moves the cursor to a heading, and scrolls to it.
+         * 
+         * @param {String} anchor - The anchor of the heading ( as given by the outline ).
+         * @returns {Boolean} Whether the heading has been found.
+         */
+        scrollToHeading,
+        /**
+         * Undoes the last change.
+         * 
+         * @returns {Promise<Boolean>} Whether a change has been undone.
+         */
+        undo,
+        /**
+         * Redoes the last undone change.
+         * 
+         * @returns {Promise<Boolean>} Whether a change has been redone.
+         */
+        redo,
+        /**
+         * Clears the undo/redo history, the current markdown becomes its only state.
+         * 
+         * @returns {void}
+         */
+        clearHistory() {
+            recordPendingChanges();
+            history.clear();
+        },
+        /**
+         * Gets the states of the undo/redo history.
+         * 
+         * @returns {{undo: [{markdown: String, cursor: Object}], current: Object|null, redo: [Object]}}
+         *      The states that can be undone ( the most recent last ), the current state,
+         *      and the states that can be redone ( the next one first ), their markdown without the zero-width spaces
+         *      and their cursor as offsets in it.
+         */
+        getHistory() {
+            const toState = snapshot => snapshot && {
+                markdown: snapshot.markdown.replace(rules.restorer.zeroWidthSpace, ""),
+                cursor: { ...snapshot.cursor }
+            };
+            const { undo, current, redo } = history.inspect();
+
+            return { undo: undo.map(toState), current: toState(current), redo: redo.map(toState) };
+        }
+    }));
 
     useEffect(() => {
+        // The live view is hidden behind the source view.
+        if (modeRef.current !== "live") return;
+
         // It is possible that the `cursor` is null, so the default value is set.
-        restoreCursorSelection(editorElementRef.current, cursor || { start: 0, end: 0 });
+        restoreMarkdownSelection(editorElementRef.current, cursor || { start: 0, end: 0 }, getIncrementalRenderer().getBlockCache());
         // When the cursor moves, you can also control the display of the markdown sign.
         requestAnimationFrame(() => handleCursorMove(true));
     }, [cursor]);
@@ -167,17 +1765,81 @@ const MarkdownEditor = memo(({ md = "", ...props }) => {
     }
 
     return (
-        <ContentEditable
-            {...props}
-            className={"markdwon-editor"}
-            innerRef={editorElementRef}
-            html={content}
-            tagName={"div"}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            onKeyUp={handleKeyUp}
-            onKeyDown={handleKeyDown}
-            onMouseUp={() => requestAnimationFrame(handleCursorMove)} />
+        <div className="md-editor-container" data-mode={mode} ref={wrapperElementRef}>
+            <div
+                {...props}
+                className={"markdwon-editor"}
+                ref={editorElementRef}
+                contentEditable
+                onInput={handleChange}
+                onBlur={handleBlur}
+                onKeyUp={handleKeyUp}
+                onKeyDown={handleKeyDown}
+                onClick={handleClick}
+                onPaste={handlePaste}
+                onCopy={handleCopy}
+                onCut={handleCut}
+                onDrop={handleDrop}
+                onMouseDown={handleMouseDown}
+                onMouseUp={() => requestAnimationFrame(handleCursorMove)} />
+            {mode !== "live" && (
+                <MarkdownSource
+                    ref={sourceRef}
+                    value={sourceText}
+                    onChange={handleSourceChange}
+                    onSelectionChange={handleSourceSelectionChange}
+                    onScroll={() => syncScroll("source")}
+                    onKeyDown={handleSourceKeyDown}
+                    onFocus={() => sourceStateRef.current.focused = true}
+                    onBlur={() => sourceStateRef.current.focused = false} />
+            )}
+            {mode === "split" && (
+                <div
+                    className="markdwon-editor md-preview-pane"
+                    ref={previewElementRef}
+                    onScroll={() => syncScroll("preview")}
+                    dangerouslySetInnerHTML={{ __html: splitPreview.html }} />
+            )}
+            {/* The carets and the selections of the other participants, drawn over the editor. */}
+            <div className="md-remote-cursors" aria-hidden="true">
+                {remoteCursors.map(({ clientId, user: peerUser, caret, rects }) => (
+                    <Fragment key={clientId}>
+                        {rects.map((rect, index) => (
+                            <div key={index} className="md-remote-selection" style={{ ...rect, "--md-peer-color": peerUser.color }} />
+                        ))}
+                        {caret && (
+                            <div
+                                className="md-remote-caret"
+                                data-name={peerUser.name || ""}
+                                style={{ left: caret.left, top: caret.top, height: caret.height, "--md-peer-color": peerUser.color }} />
+                        )}
+                    </Fragment>
+                ))}
+            </div>
+            {mode === "live" && slashMenu && slashMenuCommands.length > 0 && (
+                <SlashCommandMenu
+                    commands={slashMenuCommands}
+                    activeIndex={Math.min(slashMenu.index, slashMenuCommands.length - 1)}
+                    position={slashMenu}
+                    onSelect={applySlashMenuCommand}
+                    onActiveIndexChange={index => setSlashMenu({ ...slashMenu, index })} />
+            )}
+            {mode === "live" && linkPopover && (
+                <LinkPopover
+                    key={`${linkPopover.left},${linkPopover.top},${linkPopover.target.url}`}
+                    target={linkPopover.target}
+                    position={linkPopover}
+                    onURLChange={changeLinkURL}
+                    onOpen={() => openLink(linkPopover.target.href)}
+                    onRemove={removePopoverLink}
+                    onCancel={focusPopoverLink}
+                    onClose={() => setLinkPopover(null)} />
+            )}
+            {/* The languages suggested by the language input of the code blocks. */}
+            <datalist id="md-code-languages">
+                {getHighlighterLanguages().map(language => <option key={language} value={language} />)}
+            </datalist>
+        </div>
     );
 });
 
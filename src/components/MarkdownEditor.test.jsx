@@ -0,0 +1,382 @@
+import { act, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { createRef, useState } from "react";
+
+import MarkdownEditor from "./MarkdownEditor";
+import { createCollaborationSession, createMockSyncServer } from "../utils/CollaborationUtils";
+
+/**
+ * Gets the editable element of a rendered editor.
+ *
+ * @param {HTMLElement} container - The container given by `render`.
+ * @returns {HTMLElement} The editable element.
+ */
+function getEditor(container) {
+    return container.querySelector(".markdwon-editor[contenteditable]");
+}
+
+/**
+ * Gets a block or an inline element of a rendered editor.
+ *
+ * @param {HTMLElement} parent - The editable element, or a block that holds the element.
+ * @param {String} type - The type of the element.
+ * @param {Number} [index=0] - The index of the element among the elements of its type.
+ * @returns {HTMLElement|undefined} The element.
+ */
+function getElement(parent, type, index = 0) {
+    return parent.querySelectorAll(`[data-type=${type}]`)[index];
+}
+
+/**
+ * Gets the read-only preview of the split view.
+ *
+ * @param {HTMLElement} container - The container given by `render`.
+ * @returns {HTMLElement|null} The preview pane.
+ */
+function getPreview(container) {
+    return container.querySelector(".md-preview-pane");
+}
+
+/**
+ * Places the cursor at the end of the last text node of a block.
+ *
+ * @param {HTMLElement} editor - The editable element.
+ * @param {HTMLElement} block - The block.
+ * @returns {Text} The text node that holds the cursor.
+ */
+function placeCursorAtEnd(editor, block) {
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    let textNode = null;
+    while (walker.nextNode()) textNode = walker.currentNode;
+
+    editor.focus();
+    window.getSelection().collapse(textNode, textNode.length);
+
+    return textNode;
+}
+
+/**
+ * Types text at the end of a block, as the browser does, and dispatches the input event.
+ *
+ * @param {HTMLElement} editor - The editable element.
+ * @param {HTMLElement} block - The block to type in.
+ * @param {String} text - The typed text.
+ * @returns {void}
+ */
+function typeAtEnd(editor, block, text) {
+    placeCursorAtEnd(editor, block).appendData(text);
+    placeCursorAtEnd(editor, block);
+    fireEvent.input(editor);
+}
+
+/**
+ * An editor whose parent echoes the markdown given by `onChange` back to `value`.
+ *
+ * @param {Object} props
+ * @param {String} props.initialValue - The first value.
+ * @param {(markdown: String) => void} props.onChange - Called with the markdown after each edit.
+ * @param {React.Ref} props.editorRef - The imperative handle of the editor.
+ */
+function ControlledEditor({ initialValue, onChange, editorRef }) {
+    const [value, setValue] = useState(initialValue);
+
+    return (
+        <MarkdownEditor
+            ref={editorRef}
+            value={value}
+            onChange={markdown => {
+                setValue(markdown);
+                onChange(markdown);
+            }} />
+    );
+}
+
+describe("MarkdownEditor", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        URL.createObjectURL = jest.fn(() => "blob:cat");
+        URL.revokeObjectURL = jest.fn();
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    test("notifies the markdown once the typing pauses", () => {
+        const onChange = jest.fn();
+        const { container } = render(<MarkdownEditor md="# Title" onChange={onChange} />);
+        const editor = getEditor(container);
+
+        typeAtEnd(editor, getElement(editor, "heading"), "s");
+        expect(onChange).not.toHaveBeenCalled();
+
+        act(() => jest.advanceTimersByTime(100));
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange).toHaveBeenLastCalledWith("# Titles");
+    });
+
+    test("notifies the outline when a heading changes, and only then", () => {
+        const onOutlineChange = jest.fn();
+        const { container } = render(<MarkdownEditor md={"# A\n\nb"} onOutlineChange={onOutlineChange} />);
+        const editor = getEditor(container);
+        expect(onOutlineChange).toHaveBeenCalledTimes(1);
+
+        typeAtEnd(editor, getElement(editor, "paragraph"), "c");
+        act(() => jest.advanceTimersByTime(100));
+        expect(onOutlineChange).toHaveBeenCalledTimes(1);
+
+        typeAtEnd(editor, getElement(editor, "heading"), "d");
+        act(() => jest.advanceTimersByTime(100));
+        expect(onOutlineChange).toHaveBeenLastCalledWith([{ level: 1, text: "Ad", anchor: "ad", children: [] }]);
+        expect(getElement(editor, "heading")).toHaveAttribute("data-anchor", "ad");
+    });
+
+    test("takes a time per keystroke that does not grow with the size of the document", () => {
+        // The legacy fake timers leave the clock of `performance.now` running.
+        jest.useRealTimers();
+        jest.useFakeTimers("legacy");
+
+        /**
+         * Measures the median time of a keystroke in the middle of a document, from the input to the restored cursor:
+         * the re-rendering of the changed block, the saving and the restoring of the cursor, and the outline.
+         *
+         * @param {Number} size - The number of blocks of the document.
+         * @returns {Number} The median time, in ms.
+         */
+        const measure = (size) => {
+            const blocks = Array.from({ length: size }, (_, index) => index % 10 ?
+                `Paragraph ${index} has **bold** text and [a link](/${index}).` :
+                `## Section ${index}`);
+            const { container, unmount } = render(<MarkdownEditor md={blocks.join("\n\n")} />);
+            const editor = getEditor(container);
+
+            const times = Array.from({ length: 9 }, () => {
+                // The search of the paragraph is not part of the keystroke.
+                const paragraph = getElement(editor, "paragraph", Math.floor(size / 2));
+                const start = performance.now();
+
+                typeAtEnd(editor, paragraph, "a");
+                act(() => jest.advanceTimersByTime(100));
+
+                return performance.now() - start;
+            });
+            unmount();
+
+            return times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+        };
+
+        measure(50);
+        const small = measure(100);
+        const large = measure(2000);
+
+        // Restoring, serializing or tokenizing the whole document would take about twenty times as long.
+        expect(large).toBeLessThan(small * 3);
+    });
+
+    test("renders the line break inserted by Shift + Enter", () => {
+        const onChange = jest.fn();
+        const { container } = render(<MarkdownEditor md="a" onChange={onChange} />);
+        const editor = getEditor(container);
+
+        placeCursorAtEnd(editor, getElement(editor, "paragraph"));
+        fireEvent.keyDown(editor, { key: "Enter", shiftKey: true });
+        act(() => jest.advanceTimersByTime(100));
+
+        expect(onChange).toHaveBeenLastCalledWith("a\\\n");
+        expect(getElement(getElement(editor, "paragraph"), "br")).toBeDefined();
+    });
+
+    test("turns the list item at the start of which Backspace is pressed into a paragraph", () => {
+        const onChange = jest.fn();
+        const { container } = render(<MarkdownEditor md={"- a\n- b\n- c"} onChange={onChange} />);
+        const editor = getEditor(container);
+        const item = getElement(editor, "listitem", 1);
+
+        editor.focus();
+        window.getSelection().collapse(placeCursorAtEnd(editor, getElement(item, "paragraph")), 0);
+        fireEvent.keyDown(editor, { key: "Backspace" });
+
+        expect(onChange).toHaveBeenLastCalledWith("- a\n\nb\n\n- c");
+        // The paragraph is placed between the two lists.
+        expect(getElement(editor, "paragraph", 1)).toHaveTextContent("b");
+        expect(getElement(editor, "list", 1)).toHaveTextContent("c");
+    });
+
+    test("replaces and gets the markdown with its ref, without notifying it", async () => {
+        const onChange = jest.fn();
+        const ref = createRef();
+        const { container } = render(<MarkdownEditor ref={ref} md="a" onChange={onChange} />);
+
+        await act(() => ref.current.setMarkdown("## b\n\nc"));
+
+        expect(ref.current.getMarkdown()).toBe("## b\n\nc");
+        expect(getElement(getEditor(container), "heading")).toHaveTextContent("b");
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test("does not render again the value echoed back by its parent", () => {
+        const onChange = jest.fn();
+        const ref = createRef();
+        const { container } = render(<ControlledEditor initialValue={"a\n\nb"} onChange={onChange} editorRef={ref} />);
+        const editor = getEditor(container);
+        const [first, second] = [getElement(editor, "paragraph"), getElement(editor, "paragraph", 1)];
+
+        typeAtEnd(editor, first, "x");
+        act(() => jest.advanceTimersByTime(100));
+
+        expect(onChange).toHaveBeenLastCalledWith("ax\n\nb");
+        // The block that has not been edited is the one that was rendered first, and the cursor has not moved.
+        expect(getElement(editor, "paragraph", 1)).toBe(second);
+        expect(ref.current.getSelection()).toEqual({ start: 2, end: 2 });
+        expect(ref.current.getHistory().undo.map(({ markdown }) => markdown)).toEqual(["a\n\nb"]);
+    });
+
+    test("keeps the cursor from the live view to the source view and the split view, and back", () => {
+        const ref = createRef();
+        const { container, rerender } = render(<MarkdownEditor ref={ref} md={"# a\n\nbc"} />);
+        const editor = getEditor(container);
+
+        placeCursorAtEnd(editor, getElement(editor, "paragraph"));
+        rerender(<MarkdownEditor ref={ref} md={"# a\n\nbc"} mode="source" />);
+
+        const textarea = screen.getByRole("textbox");
+        expect(textarea).toHaveValue("# a\n\nbc");
+        expect([textarea.selectionStart, textarea.selectionEnd]).toEqual([7, 7]);
+
+        rerender(<MarkdownEditor ref={ref} md={"# a\n\nbc"} mode="split" />);
+
+        expect(screen.getByRole("textbox")).toBe(textarea);
+        expect(within(getPreview(container)).getByRole("heading", { level: 1 })).toHaveTextContent("a");
+        expect(ref.current.getSelection()).toEqual({ start: 7, end: 7 });
+
+        textarea.setSelectionRange(2, 3);
+        fireEvent.select(textarea);
+        rerender(<MarkdownEditor ref={ref} md={"# a\n\nbc"} mode="live" />);
+
+        expect(screen.queryByRole("textbox")).toBeNull();
+        expect(ref.current.getSelection()).toEqual({ start: 2, end: 3 });
+    });
+
+    test("renders the split preview like a published document, without the inputs of the editor", () => {
+        const { container } = render(<MarkdownEditor md={"# a\n\n- [x] b\n\n```js\nc\n```\n\n[r]: https://example.com"} mode="split" />);
+        const preview = within(getPreview(container));
+
+        expect(preview.getByRole("heading", { level: 1 })).toHaveAttribute("id", "a");
+        expect(preview.getByRole("checkbox")).toBeDisabled();
+        expect(preview.queryByRole("combobox")).toBeNull();
+    });
+
+    test("keeps the local history through the edits of the other participants, and undoes the local edits only", async () => {
+        const server = createMockSyncServer();
+        const ref = createRef();
+        const { container } = render(<MarkdownEditor ref={ref} md={"a\n\nb"} syncProvider={server.connect()} />);
+        const other = createCollaborationSession({ provider: server.connect(), clientId: "other", text: "a\n\nb" });
+        const editor = getEditor(container);
+        act(() => server.flush());
+
+        typeAtEnd(editor, getElement(editor, "paragraph"), "x");
+        act(() => jest.advanceTimersByTime(100));
+        act(() => server.flush());
+
+        other.setText("ax\n\nb\n\nc");
+        act(() => server.flush());
+        expect(ref.current.getMarkdown()).toBe("ax\n\nb\n\nc");
+
+        await act(() => ref.current.undo());
+        expect(ref.current.getMarkdown()).toBe("a\n\nb\n\nc");
+
+        await act(() => ref.current.redo());
+        expect(ref.current.getMarkdown()).toBe("ax\n\nb\n\nc");
+
+        other.destroy();
+    });
+
+    test("displays an image while it is uploaded, and notifies it once its URL is known", async () => {
+        let resolveUpload;
+        const uploadImage = jest.fn(() => new Promise(resolve => resolveUpload = resolve));
+        const onChange = jest.fn();
+        const ref = createRef();
+        const { container } = render(<MarkdownEditor ref={ref} md="a" onChange={onChange} uploadImage={uploadImage} />);
+        const editor = getEditor(container);
+        const file = new File(["png"], "cat.png", { type: "image/png" });
+
+        placeCursorAtEnd(editor, getElement(editor, "paragraph"));
+        fireEvent.drop(editor, { dataTransfer: { files: [file] } });
+
+        expect(uploadImage).not.toHaveBeenCalled();
+        await waitFor(() => expect(uploadImage).toHaveBeenCalledWith(file));
+        expect(screen.getByRole("img")).toHaveAttribute("src", "blob:cat");
+        expect(onChange).not.toHaveBeenCalled();
+        expect(ref.current.getMarkdown()).toBe("a");
+
+        await act(async () => resolveUpload("https://example.com/cat.png"));
+
+        expect(onChange).toHaveBeenLastCalledWith("a![cat](https://example.com/cat.png)");
+        expect(screen.getByRole("img")).toHaveAttribute("src", "https://example.com/cat.png");
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:cat");
+
+        const { undo, current } = ref.current.getHistory();
+        expect([...undo, current].map(({ markdown }) => markdown)).toEqual(["a", "a![cat](https://example.com/cat.png)"]);
+    });
+
+    test("keeps the image being uploaded through the edits of the other participants and the history", async () => {
+        let resolveUpload;
+        const server = createMockSyncServer();
+        const ref = createRef();
+        const { container } = render(
+            <MarkdownEditor
+                ref={ref}
+                md={"a\n\nb"}
+                syncProvider={server.connect()}
+                uploadImage={() => new Promise(resolve => resolveUpload = resolve)} />
+        );
+        const other = createCollaborationSession({ provider: server.connect(), clientId: "other", text: "a\n\nb" });
+        const editor = getEditor(container);
+        act(() => server.flush());
+
+        placeCursorAtEnd(editor, getElement(editor, "paragraph"));
+        fireEvent.drop(editor, { dataTransfer: { files: [new File(["png"], "cat.png", { type: "image/png" })] } });
+        typeAtEnd(editor, getElement(editor, "paragraph", 1), "c");
+        act(() => jest.advanceTimersByTime(100));
+        act(() => server.flush());
+        expect(other.getText()).toBe("a\n\nbc");
+
+        other.setText("# a\n\nbc");
+        act(() => server.flush());
+        await act(() => ref.current.undo());
+
+        expect(ref.current.getMarkdown()).toBe("# a\n\nb");
+        expect(screen.getByRole("img")).toHaveAttribute("src", "blob:cat");
+
+        await act(async () => resolveUpload("cat.png"));
+
+        expect(ref.current.getMarkdown()).toBe("# a![cat](cat.png)\n\nb");
+        act(() => server.flush());
+        expect(other.getText()).toBe("# a![cat](cat.png)\n\nb");
+
+        other.destroy();
+    });
+
+    test("keeps an image that cannot be uploaded, and reports the error", async () => {
+        // The file is read by the events of a `FileReader`.
+        jest.useRealTimers();
+        const error = new Error("Network error");
+        const onChange = jest.fn();
+        const onImageUploadError = jest.fn();
+        const { container } = render(
+            <MarkdownEditor
+                md="a"
+                onChange={onChange}
+                uploadImage={() => Promise.reject(error)}
+                onImageUploadError={onImageUploadError} />
+        );
+        const editor = getEditor(container);
+        const file = new File(["png"], "cat.png", { type: "image/png" });
+
+        placeCursorAtEnd(editor, getElement(editor, "paragraph"));
+        fireEvent.drop(editor, { dataTransfer: { files: [file] } });
+
+        await waitFor(() => expect(onChange).toHaveBeenLastCalledWith("a![cat](data:image/png;base64,cG5n)"));
+        expect(onImageUploadError).toHaveBeenCalledWith(error, file);
+    });
+});
@@ -0,0 +1,190 @@
+import { memo, useImperativeHandle, useLayoutEffect, useRef } from "react";
+
+import { getTextChange, mapTextOffset } from "../utils/SharedTextUtils";
+
+/**
+ * The source view of the markdown editor: the markdown as plain text, in a textarea with line numbers.
+ *
+ * The value is controlled. When it is changed from outside ( e.g. by an undo or the edit of another participant ),
+ * the selection is moved through the change rather than to the end of the text.
+ * The `ref` exposes `focus()`, `getSelection()`, `setSelection(selection)`, `getTopLine()` and `scrollToLine(line)`.
+ *
+ * @param {Object} props
+ * @param {String} props.value - The markdown.
+ * @param {(markdown: String, selection: {start: Number, end: Number}) => void} props.onChange - Called with
+ *      the markdown and the selection after each edit.
+ * @param {(selection: {start: Number, end: Number}) => void} [props.onSelectionChange] - Called when the selection
+ *      ( or the cursor ) moves.
+ * @param {(line: Number) => void} [props.onScroll] - Called with the line at the top of the view ( a fraction
+ *      of a line when a line is partly scrolled ) when the view is scrolled.
+ * @param {(event: KeyboardEvent) => void} [props.onKeyDown] - Called with the keys pressed in the textarea.
+ * @param {(event: FocusEvent) => void} [props.onFocus] - Called when the textarea gets the focus.
+ * @param {(event: FocusEvent) => void} [props.onBlur] - Called when the textarea loses the focus.
+ * @param {React.Ref} [props.ref] - The imperative handle of the view.
+ */
+const MarkdownSource = memo(({ value, onChange, onSelectionChange, onScroll, onKeyDown, onFocus, onBlur, ref }) => {
+    /** @type {React.RefObject<HTMLTextAreaElement|null>} */
+    const textareaRef = useRef(null);
+    /** @type {React.RefObject<HTMLElement|null>} */
+    const gutterRef = useRef(null);
+    /**
+     * The value and the selection as they were last seen, to move the selection when the value changes from outside.
+     * @type {React.RefObject<String>}
+     */
+    const valueRef = useRef(value);
+    const selectionRef = useRef({ start: 0, end: 0 });
+    /**
+     * The selection given by `setSelection` while the value is being changed, applied once the value is rendered.
+     * @type {React.RefObject<{start: Number, end: Number}|null>}
+     */
+    const pendingSelectionRef = useRef(null);
+
+    /**
+     * Gets the height of a line of the textarea.
+     *
+     * @function
+     * @returns {Number} The height, in pixels.
+     */
+    const getLineHeight = () => parseFloat(getComputedStyle(textareaRef.current).lineHeight) || 20;
+
+    /**
+     * Reads the selection of the textarea, and notifies it if it has moved.
+     *
+     * @function
+     * @returns {void}
+     */
+    const handleSelect = () => {
+        const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+        if (start === selectionRef.current.start && end === selectionRef.current.end) return;
+
+        selectionRef.current = { start, end };
+        onSelectionChange?.({ start, end });
+    };
+
+    /**
+     * Handles an edit of the textarea.
+     *
+     * @function
+     * @param {InputEvent} event - The input event.
+     * @returns {void}
+     */
+    const handleChange = (event) => {
+        const { value: markdown, selectionStart: start, selectionEnd: end } = event.target;
+
+        // The value typed is not a change from outside.
+        valueRef.current = markdown;
+        selectionRef.current = { start, end };
+        onChange(markdown, { start, end });
+    };
+
+    /**
+     * Keeps the line numbers next to their lines, and notifies the line at the top of the view.
+     *
+     * @function
+     * @returns {void}
+     */
+    const handleScroll = () => {
+        const textarea = textareaRef.current;
+        gutterRef.current.scrollTop = textarea.scrollTop;
+
+        onScroll?.(textarea.scrollTop / getLineHeight());
+    };
+
+    /**
+     * Sets the selection of the textarea.
+     *
+     * @function
+     * @param {{start: Number, end: Number}} selection - The selection, as offsets in the markdown.
+     * @returns {void}
+     */
+    const applySelection = ({ start, end }) => {
+        textareaRef.current.setSelectionRange(start, end);
+        selectionRef.current = { start, end };
+    };
+
+    useLayoutEffect(() => {
+        const change = getTextChange(valueRef.current, value);
+        valueRef.current = value;
+
+        const pendingSelection = pendingSelectionRef.current;
+        pendingSelectionRef.current = null;
+
+        if (pendingSelection) {
+            applySelection(pendingSelection);
+        } else if (change) {
+            const { start, end } = selectionRef.current;
+            applySelection({ start: mapTextOffset(start, change), end: mapTextOffset(end, change) });
+        }
+    }, [value]);
+
+    useImperativeHandle(ref, () => ({
+        /**
+         * Moves the focus to the textarea.
+         *
+         * @returns {void}
+         */
+        focus() {
+            textareaRef.current?.focus();
+        },
+        /**
+         * Gets the selection of the textarea.
+         *
+         * @returns {{start: Number, end: Number}} The selection, as offsets in the markdown.
+         */
+        getSelection() {
+            return { ...selectionRef.current };
+        },
+        /**
+         * Sets the selection of the textarea. A selection set with a new value is applied once the value is rendered.
+         *
+         * @param {{start: Number, end: Number}} selection - The selection, as offsets in the markdown.
+         * @returns {void}
+         */
+        setSelection(selection) {
+            applySelection(selection);
+            pendingSelectionRef.current = selection;
+            // The value has been rendered by then, if it was changed with the selection.
+            requestAnimationFrame(() => pendingSelectionRef.current = null);
+        },
+        /**
+         * Gets the line at the top of the view.
+         *
+         * @returns {Number} The line ( from 0 ), a fraction of a line when a line is partly scrolled.
+         */
+        getTopLine() {
+            return textareaRef.current.scrollTop / getLineHeight();
+        },
+        /**
+         * Scrolls the view to a line.
+         *
+         * @param {Number} line - The line ( from 0 ) to display at the top of the view.
+         * @returns {void}
+         */
+        scrollToLine(line) {
+            textareaRef.current.scrollTop = line * getLineHeight();
+        }
+    }));
+
+    // The line numbers are a single text, scrolled with the textarea.
+    const lineNumbers = Array.from({ length: value.split("\n").length }, (_, index) => index + 1).join("\n");
+
+    return (
+        <div className="md-source">
+            <pre className="md-source-gutter" ref={gutterRef} aria-hidden="true">{lineNumbers}</pre>
+            <textarea
+                className="md-source-text"
+                ref={textareaRef}
+                value={value}
+                spellCheck={false}
+                wrap="off"
+                onChange={handleChange}
+                onSelect={handleSelect}
+                onScroll={handleScroll}
+                onKeyDown={onKeyDown}
+                onFocus={onFocus}
+                onBlur={onBlur} />
+        </div>
+    );
+});
+
+export default MarkdownSource;
@@ -0,0 +1,59 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { createRef } from "react";
+
+import MarkdownSource from "./MarkdownSource";
+
+/**
+ * Gets the line numbers of a rendered source view.
+ *
+ * @param {HTMLElement} container - The container given by `render`.
+ * @returns {String} The line numbers, one per line.
+ */
+function getLineNumbers(container) {
+    return container.querySelector(".md-source-gutter").textContent;
+}
+
+describe("MarkdownSource", () => {
+    test("notifies the markdown and the selection after an edit", () => {
+        const onChange = jest.fn();
+        render(<MarkdownSource value="a" onChange={onChange} />);
+
+        fireEvent.change(screen.getByRole("textbox"), { target: { value: "ab" } });
+
+        expect(onChange).toHaveBeenCalledWith("ab", { start: 2, end: 2 });
+    });
+
+    test("numbers the lines of the markdown", () => {
+        const { container, rerender } = render(<MarkdownSource value={"# a\n\nb"} onChange={() => {}} />);
+        expect(getLineNumbers(container)).toBe("1\n2\n3");
+
+        rerender(<MarkdownSource value="b" onChange={() => {}} />);
+        expect(getLineNumbers(container)).toBe("1");
+    });
+
+    test("moves the selection through a change made from outside", () => {
+        const onSelectionChange = jest.fn();
+        const { rerender } = render(
+            <MarkdownSource value="world" onChange={() => {}} onSelectionChange={onSelectionChange} />
+        );
+        const textarea = screen.getByRole("textbox");
+
+        textarea.setSelectionRange(2, 4);
+        fireEvent.select(textarea);
+        expect(onSelectionChange).toHaveBeenCalledWith({ start: 2, end: 4 });
+
+        rerender(<MarkdownSource value="hello world" onChange={() => {}} onSelectionChange={onSelectionChange} />);
+        expect([textarea.selectionStart, textarea.selectionEnd]).toEqual([8, 10]);
+    });
+
+    test("applies the selection set with a new value once the value is rendered", () => {
+        const ref = createRef();
+        const { rerender } = render(<MarkdownSource ref={ref} value="a" onChange={() => {}} />);
+
+        ref.current.setSelection({ start: 4, end: 4 });
+        rerender(<MarkdownSource ref={ref} value="abcdef" onChange={() => {}} />);
+
+        expect(screen.getByRole("textbox").selectionStart).toBe(4);
+        expect(ref.current.getSelection()).toEqual({ start: 4, end: 4 });
+    });
+});
@@ -0,0 +1,49 @@
+import { memo, useLayoutEffect, useRef } from "react";
+
+/**
+ * The menu of the slash commands, drawn under the caret of the editor while `/` is typed in an empty paragraph.
+ *
+ * The menu does not take the focus: the editor keeps it, and moves through the commands with the arrow keys.
+ * A click on a command chooses it.
+ *
+ * @param {Object} props
+ * @param {[import("../utils/SlashCommandUtils").SlashCommand]} props.commands - The commands that match the query.
+ * @param {Number} props.activeIndex - The index of the highlighted command.
+ * @param {{left: Number, top: Number}} props.position - The position of the menu, relative to the editor.
+ * @param {(command: import("../utils/SlashCommandUtils").SlashCommand) => void} props.onSelect - Called with
+ *      the chosen command.
+ * @param {(index: Number) => void} [props.onActiveIndexChange] - Called when the pointer moves over a command.
+ */
+const SlashCommandMenu = memo(({ commands, activeIndex, position, onSelect, onActiveIndexChange }) => {
+    /** @type {React.RefObject<HTMLElement|null>} */
+    const menuRef = useRef(null);
+
+    // The highlighted command is kept in view when the menu scrolls.
+    useLayoutEffect(() => {
+        menuRef.current?.children[activeIndex]?.scrollIntoView?.({ block: "nearest" });
+    }, [activeIndex]);
+
+    return (
+        <ul
+            className="md-slash-menu"
+            role="listbox"
+            ref={menuRef}
+            style={{ left: position.left, top: position.top }}
+            // The editor keeps the focus, and its cursor, while a command is clicked.
+            onMouseDown={event => event.preventDefault()}>
+            {commands.map((command, index) => (
+                <li
+                    key={command.id}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={index === activeIndex ? "active" : undefined}
+                    onMouseEnter={() => onActiveIndexChange?.(index)}
+                    onClick={() => onSelect(command)}>
+                    {command.label}
+                </li>
+            ))}
+        </ul>
+    );
+});
+
+export default SlashCommandMenu;
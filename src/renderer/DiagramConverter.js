@@ -0,0 +1,461 @@
+import { escapeHTML } from "../utils/StringUtils";
+import { rules } from "./rules";
+
+/**
+ * The languages of the code blocks that are rendered as diagrams.
+ */
+const diagramLanguages = ["mermaid"];
+
+/**
+ * The shapes of the nodes, by their opening bracket: the closing bracket and the name of the shape.
+ * The longest openings are listed first, so that `((` is not read as `(`.
+ */
+const shapes = [
+    ["((", "))", "circle"], ["([", "])", "stadium"], ["[[", "]]", "subroutine"], ["[(", ")]", "cylinder"],
+    ["{{", "}}", "hexagon"], ["[", "]", "rect"], ["(", ")", "round"], ["{", "}", "diamond"], [">", "]", "flag"]
+];
+
+/**
+ * The sizes used to lay out a diagram, in pixels.
+ */
+const layout = {
+    fontSize: 14,
+    characterWidth: 8,
+    lineHeight: 18,
+    padding: 16,
+    // The space between two nodes of a rank, and between two ranks.
+    nodeGap: 32,
+    rankGap: 56
+};
+
+/**
+ * Checks whether the code of a code block in the given language is rendered as a diagram.
+ *
+ * @param {String} language - The language of the code block.
+ * @returns {Boolean} Whether the language is a diagram language.
+ *
+ * @example
+ * isDiagramLanguage("mermaid"); // true
+ */
+export function isDiagramLanguage(language) {
+    return diagramLanguages.includes(language.toLowerCase());
+}
+
+/**
+ * Splits a label into its lines ( `<br>` breaks a line, like in Mermaid ).
+ *
+ * @param {String} label - The label.
+ * @returns {[String]} The lines of the label.
+ */
+function splitLabel(label) {
+    return label.split(rules.diagram.lineBreak).map(line => line.trim());
+}
+
+/**
+ * Measures the text of a label, from the average width of a character.
+ *
+ * @param {[String]} lines - The lines of the label.
+ * @returns {{width: Number, height: Number}} The size of the text.
+ */
+function measureLines(lines) {
+    return {
+        width: Math.max(...lines.map(line => line.length)) * layout.characterWidth,
+        height: lines.length * layout.lineHeight
+    };
+}
+
+/**
+ * Creates a parser of the statements of a flowchart, which reads a line at a time.
+ *
+ * @param {Map<String, Object>} nodes - The nodes of the flowchart, by id, filled by the parser.
+ * @param {[Object]} edges - The edges of the flowchart, filled by the parser.
+ * @returns {{parseLine: (line: String) => Boolean}} The parser. `parseLine` returns false if the line cannot be read.
+ */
+function createFlowchartParser(nodes, edges) {
+    let line = "";
+    let position = 0;
+
+    const match = (pattern) => {
+        pattern.lastIndex = position;
+
+        const cap = pattern.exec(line);
+        if (cap) position = pattern.lastIndex;
+
+        return cap;
+    };
+
+    const parseNode = () => {
+        const cap = match(rules.diagram.nodeId);
+        if (!cap) return null;
+
+        const id = cap[1];
+        const node = nodes.get(id) || { id, label: id, shape: "rect" };
+        nodes.set(id, node);
+
+        const shape = shapes.find(([opening]) => line.startsWith(opening, position));
+        if (shape) {
+            const [opening, closing, name] = shape;
+            const end = line.indexOf(closing, position + opening.length);
+            if (end === -1) return null;
+
+            const label = line.slice(position + opening.length, end).trim();
+            node.label = label.replace(rules.diagram.quotedLabel, "$1");
+            node.shape = name;
+            position = end + closing.length;
+        }
+
+        match(rules.diagram.spaces);
+
+        return node;
+    };
+
+    // A group of nodes joined by `&`, e.g. `A & B --> C`.
+    const parseNodeGroup = () => {
+        const group = [];
+
+        do {
+            const node = parseNode();
+            if (!node) return null;
+
+            group.push(node);
+        } while (match(rules.diagram.ampersand));
+
+        return group;
+    };
+
+    const parseEdge = () => {
+        const cap = match(rules.diagram.edge);
+        if (!cap) return null;
+
+        const [, startHead, textOpening, text, textClosing, plainLine, head, pipedText] = cap;
+        const stroke = textOpening ? textOpening + textClosing : plainLine;
+
+        return {
+            label: (text ?? pipedText ?? "").trim(),
+            style: stroke.includes("=") ? "thick" : stroke.includes(".") ? "dotted" : "normal",
+            startHead: startHead ? "arrow" : null,
+            endHead: { ">": "arrow", o: "circle", x: "cross" }[head] || null
+        };
+    };
+
+    const parseLine = (text) => {
+        line = text;
+        position = 0;
+
+        let sources = parseNodeGroup();
+        if (!sources) return false;
+
+        while (position < line.length) {
+            const edge = parseEdge();
+            if (!edge) return false;
+
+            const targets = parseNodeGroup();
+            if (!targets) return false;
+
+            sources.forEach(from => targets.forEach(to => edges.push({ ...edge, from, to })));
+            sources = targets;
+        }
+
+        return true;
+    };
+
+    return { parseLine };
+}
+
+/**
+ * Parses a flowchart ( `graph` or `flowchart` in Mermaid ).
+ *
+ * @param {String} source - The source of the diagram.
+ * @returns {{direction: String, nodes: [Object], edges: [Object]}} The direction, the nodes and the edges of the flowchart.
+ * @throws {Error} If a line cannot be read.
+ */
+function parseFlowchart(source) {
+    const nodes = new Map();
+    const edges = [];
+    const parser = createFlowchartParser(nodes, edges);
+    let direction = null;
+
+    source.split("\n").forEach((rawLine, index) => {
+        const line = rawLine.trim().replace(rules.diagram.statementEnd, "");
+        if (!line || rules.diagram.comment.test(line)) return;
+
+        if (direction === null) {
+            const header = line.match(rules.diagram.flowchartHeader);
+            if (!header) throw new Error(`Unsupported diagram type "${line.split(/\s/)[0]}", only flowcharts are rendered`);
+
+            direction = (header[1] || "TB").toUpperCase().replace("TD", "TB");
+            return;
+        }
+
+        // The styles and the groups of the nodes are not rendered.
+        if (rules.diagram.ignoredStatement.test(line)) return;
+
+        if (!parser.parseLine(line)) throw new Error(`Parse error on line ${index + 1}: ${line}`);
+    });
+
+    if (direction === null) throw new Error("Empty diagram, start with a type, e.g. \"graph TD\"");
+
+    return { direction, nodes: Array.from(nodes.values()), edges };
+}
+
+/**
+ * Assigns a rank to every node: the nodes are placed after the nodes that link to them, the links that close a cycle
+ * are ignored.
+ *
+ * @param {[Object]} nodes - The nodes.
+ * @param {[Object]} edges - The edges between the nodes.
+ * @returns {Map<Object, Number>} The rank of each node.
+ */
+function rankNodes(nodes, edges) {
+    const outgoing = new Map(nodes.map(node => [node, []]));
+    edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+    // A depth-first search finds the links back to a node that is being visited.
+    const states = new Map();
+    const order = [];
+    const backEdges = new Set();
+
+    const visit = (node) => {
+        states.set(node, "visiting");
+
+        outgoing.get(node).forEach(target => {
+            if (states.get(target) === "visiting") backEdges.add(`${node.id}\n${target.id}`);
+            if (!states.has(target)) visit(target);
+        });
+
+        states.set(node, "visited");
+        order.unshift(node);
+    };
+
+    nodes.forEach(node => states.has(node) || visit(node));
+
+    const ranks = new Map(nodes.map(node => [node, 0]));
+
+    // The nodes are visited in topological order, so the ranks of the nodes before them are final.
+    order.forEach(node => {
+        outgoing.get(node)
+            .filter(target => target !== node && !backEdges.has(`${node.id}\n${target.id}`))
+            .forEach(target => ranks.set(target, Math.max(ranks.get(target), ranks.get(node) + 1)));
+    });
+
+    return ranks;
+}
+
+/**
+ * Orders the nodes of each rank, moving every node towards the nodes it is linked to in the previous ( or the next )
+ * rank, to reduce the crossings of the edges.
+ *
+ * @param {[[Object]]} layers - The nodes of each rank, ordered in place.
+ * @param {[Object]} edges - The edges between the nodes.
+ * @param {Map<Object, Number>} ranks - The rank of each node.
+ * @returns {void}
+ */
+function orderLayers(layers, edges, ranks) {
+    const neighbors = (node, rank) => edges
+        .flatMap(({ from, to }) => from === node ? [to] : to === node ? [from] : [])
+        .filter(neighbor => ranks.get(neighbor) === rank);
+
+    const sortLayer = (layer, rank) => {
+        const positions = new Map(layers[rank].map((node, index) => [node, index]));
+        const barycenters = new Map(layer.map((node, index) => {
+            const linked = neighbors(node, rank).map(neighbor => positions.get(neighbor));
+
+            return [node, linked.length ? linked.reduce((sum, value) => sum + value, 0) / linked.length : index];
+        }));
+
+        layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+    };
+
+    for (let sweep = 0; sweep < 4; sweep++) {
+        if (sweep % 2 === 0) {
+            layers.slice(1).forEach((layer, index) => sortLayer(layer, index));
+        } else {
+            layers.slice(0, -1).reverse().forEach((layer, index) => sortLayer(layer, layers.length - 1 - index));
+        }
+    }
+}
+
+/**
+ * Gets the point where a line from the center of a node leaves the node.
+ *
+ * @param {Object} node - The node, with its position and its size.
+ * @param {Number} dx - The horizontal direction of the line.
+ * @param {Number} dy - The vertical direction of the line.
+ * @returns {[Number, Number]} The point on the border of the node.
+ */
+function getBorderPoint(node, dx, dy) {
+    const halfWidth = node.width / 2;
+    const halfHeight = node.height / 2;
+    const ratio = node.shape === "diamond" ?
+        1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight) :
+        node.shape === "circle" ?
+            halfWidth / Math.hypot(dx, dy) :
+            Math.min(dx ? halfWidth / Math.abs(dx) : Infinity, dy ? halfHeight / Math.abs(dy) : Infinity);
+
+    return [node.x + dx * ratio, node.y + dy * ratio];
+}
+
+/**
+ * Renders the shape of a node.
+ *
+ * @param {Object} node - The node, with its position and its size.
+ * @returns {String} The SVG of the shape.
+ */
+function renderShape({ shape, x, y, width, height }) {
+    const [left, top, right, bottom] = [x - width / 2, y - height / 2, x + width / 2, y + height / 2];
+    const style = "fill=\"#eef2ff\" stroke=\"#6272a4\" stroke-width=\"1.5\"";
+    const points = list => `<polygon points="${list.map(point => point.join(",")).join(" ")}" ${style}/>`;
+
+    switch (shape) {
+        case "round":
+            return `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="8" ${style}/>`;
+        case "stadium":
+            return `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="${height / 2}" ${style}/>`;
+        case "circle":
+            return `<circle cx="${x}" cy="${y}" r="${width / 2}" ${style}/>`;
+        case "diamond":
+            return points([[x, top], [right, y], [x, bottom], [left, y]]);
+        case "hexagon":
+            return points([[left + 12, top], [right - 12, top], [right, y], [right - 12, bottom], [left + 12, bottom], [left, y]]);
+        case "flag":
+            return points([[left, top], [right, top], [right, bottom], [left, bottom], [left + 12, y]]);
+        case "subroutine":
+            return `<rect x="${left}" y="${top}" width="${width}" height="${height}" ${style}/>` +
+                `<path d="M${left + 8},${top}V${bottom}M${right - 8},${top}V${bottom}" stroke="#6272a4"/>`;
+        case "cylinder":
+            return `<path d="M${left},${top + 6}A${width / 2},6 0 0 0 ${right},${top + 6}V${bottom - 6}A${width / 2},6 0 0 1 ${left},${bottom - 6}Z" ${style}/>` +
+                `<path d="M${left},${top + 6}A${width / 2},6 0 0 1 ${right},${top + 6}" fill="none" stroke="#6272a4" stroke-width="1.5"/>`;
+        default:
+            return `<rect x="${left}" y="${top}" width="${width}" height="${height}" ${style}/>`;
+    }
+}
+
+/**
+ * Renders the lines of a label, centered on a point.
+ *
+ * @param {[String]} lines - The lines of the label.
+ * @param {Number} x - The horizontal center of the label.
+ * @param {Number} y - The vertical center of the label.
+ * @returns {String} The SVG of the text.
+ */
+function renderText(lines, x, y) {
+    const top = y - (lines.length - 1) * layout.lineHeight / 2;
+
+    return lines
+        .map((line, index) => `<text x="${x}" y="${top + index * layout.lineHeight}" text-anchor="middle" dominant-baseline="central">${escapeHTML(line)}</text>`)
+        .join("");
+}
+
+/**
+ * Renders an edge, from the border of its first node to the border of the second one.
+ *
+ * @param {Object} edge - The edge, with its nodes.
+ * @returns {String} The SVG of the edge and its label.
+ */
+function renderEdge({ from, to, label, style, startHead, endHead }) {
+    const heads = (startHead ? ` marker-start="url(#${startHead})"` : "") + (endHead ? ` marker-end="url(#${endHead})"` : "");
+    const stroke = `stroke="#333" stroke-width="${style === "thick" ? 3 : 1.5}"${style === "dotted" ? " stroke-dasharray=\"4 3\"" : ""}`;
+    let path;
+    let labelPoint;
+
+    if (from === to) {
+        // A node linked to itself has a loop on its right side.
+        const [x, y] = [from.x + from.width / 2, from.y];
+        path = `M${x},${y - 8}C${x + 32},${y - 32} ${x + 32},${y + 32} ${x},${y + 8}`;
+        labelPoint = [x + 40, y];
+    } else {
+        const [dx, dy] = [to.x - from.x, to.y - from.y];
+        const [x1, y1] = getBorderPoint(from, dx, dy);
+        const [x2, y2] = getBorderPoint(to, -dx, -dy);
+        path = `M${x1},${y1}L${x2},${y2}`;
+        labelPoint = [(x1 + x2) / 2, (y1 + y2) / 2];
+    }
+
+    let labelSVG = "";
+    if (label) {
+        const lines = splitLabel(label);
+        const { width, height } = measureLines(lines);
+        const [x, y] = labelPoint;
+
+        labelSVG = `<rect x="${x - width / 2 - 4}" y="${y - height / 2}" width="${width + 8}" height="${height}" fill="#fff"/>` +
+            renderText(lines, x, y);
+    }
+
+    return `<path d="${path}" fill="none" ${stroke}${heads}/>${labelSVG}`;
+}
+
+/**
+ * Converts the source of a diagram to an SVG image, rendered without any script or network request.
+ * The flowcharts of Mermaid ( `graph TD` or `flowchart LR` ) are rendered: their nodes and their shapes, and their
+ * edges with their styles, their heads and their labels. The styles and the subgraphs are not rendered.
+ *
+ * @param {String} source - The source of the diagram.
+ * @returns {String} The SVG of the diagram.
+ * @throws {Error} If the diagram cannot be read, with the reason as its message ( e.g. the line that cannot be read ).
+ *
+ * @example
+ * const svg = convertDiagramToSVG("graph LR\nA[Start] --> B{Done?}");
+ */
+export function convertDiagramToSVG(source) {
+    const { direction, nodes, edges } = parseFlowchart(source);
+    const isVertical = direction === "TB" || direction === "BT";
+
+    nodes.forEach(node => {
+        node.lines = splitLabel(node.label);
+
+        const text = measureLines(node.lines);
+        const [width, height] = [text.width + 2 * layout.padding, Math.max(text.height + layout.padding, 40)];
+
+        if (node.shape === "circle") {
+            node.width = node.height = Math.max(width, height);
+        } else if (node.shape === "diamond") {
+            [node.width, node.height] = [width + height, height + 24];
+        } else {
+            [node.width, node.height] = [width, height];
+        }
+    });
+
+    const ranks = rankNodes(nodes, edges);
+    const layers = [];
+    nodes.forEach(node => (layers[ranks.get(node)] ||= []).push(node));
+    orderLayers(layers, edges, ranks);
+
+    // The ranks follow each other along the main axis, the nodes of a rank are placed side by side on the cross axis.
+    const mainSize = node => isVertical ? node.height : node.width;
+    const crossSize = node => isVertical ? node.width : node.height;
+    const depths = layers.map(layer => Math.max(...layer.map(mainSize)));
+    const breadths = layers.map(layer => layer.reduce((sum, node) => sum + crossSize(node), 0) + (layer.length - 1) * layout.nodeGap);
+    const totalBreadth = Math.max(...breadths);
+    const totalDepth = depths.reduce((sum, depth) => sum + depth, 0) + (layers.length - 1) * layout.rankGap;
+
+    let main = 0;
+    layers.forEach((layer, rank) => {
+        let cross = (totalBreadth - breadths[rank]) / 2;
+
+        layer.forEach(node => {
+            const center = [main + depths[rank] / 2, cross + crossSize(node) / 2];
+            // Bottom to top and right to left are drawn in reverse.
+            if (direction === "BT" || direction === "RL") center[0] = totalDepth - center[0];
+
+            [node.x, node.y] = (isVertical ? center.reverse() : center).map(value => value + layout.padding);
+            cross += crossSize(node) + layout.nodeGap;
+        });
+
+        main += depths[rank] + layout.rankGap;
+    });
+
+    const [width, height] = (isVertical ? [totalBreadth, totalDepth] : [totalDepth, totalBreadth])
+        .map(size => Math.ceil(Math.max(size, 0)) + 2 * layout.padding + (edges.some(edge => edge.from === edge.to) ? 48 : 0));
+
+    const marker = (id, content) => `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">${content}</marker>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="${layout.fontSize}">` +
+        "<defs>" +
+        marker("arrow", "<path d=\"M0,0L10,5L0,10Z\" fill=\"#333\"/>") +
+        marker("circle", "<circle cx=\"5\" cy=\"5\" r=\"4\" fill=\"#fff\" stroke=\"#333\"/>") +
+        marker("cross", "<path d=\"M1,1L9,9M9,1L1,9\" stroke=\"#333\" stroke-width=\"2\"/>") +
+        "</defs>" +
+        edges.map(renderEdge).join("") +
+        nodes.map(node => renderShape(node) + renderText(node.lines, node.x, node.y)).join("") +
+        "</svg>";
+}
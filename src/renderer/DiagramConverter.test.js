@@ -0,0 +1,67 @@
+import { convertDiagramToSVG } from "./DiagramConverter";
+import { parseMarkdownString } from "./MarkdownRenderer";
+import { parseHTMLElement } from "./Restorer";
+
+/**
+ * Converts a diagram, and parses its SVG.
+ *
+ * @param {String} source - The source of the diagram.
+ * @returns {SVGSVGElement} The root element of the SVG.
+ */
+function draw(source) {
+    return new DOMParser().parseFromString(convertDiagramToSVG(source), "image/svg+xml").documentElement;
+}
+
+describe("convertDiagramToSVG", () => {
+    test("draws the nodes of a flowchart with their shapes and labels", () => {
+        const svg = draw("graph TD\n  A[Start] --> B{Is it?}\n  B -->|Yes| C((\"Done\"))\n  B -- No --> A;");
+
+        expect(Array.from(svg.querySelectorAll("text"), text => text.textContent)).toEqual(["Yes", "No", "Start", "Is it?", "Done"]);
+        expect(svg.querySelectorAll("polygon")).toHaveLength(1);
+        expect(svg.querySelectorAll("circle[r]:not(marker circle)")).toHaveLength(1);
+        expect(svg.querySelectorAll("path[marker-end]")).toHaveLength(3);
+    });
+
+    test.each([
+        ["TD", (a, b) => a.y < b.y && a.x === b.x],
+        ["BT", (a, b) => a.y > b.y && a.x === b.x],
+        ["LR", (a, b) => a.x < b.x && a.y === b.y],
+        ["RL", (a, b) => a.x > b.x && a.y === b.y]
+    ])("places the linked nodes in the %s direction", (direction, isPlaced) => {
+        const [a, b] = Array.from(draw(`flowchart ${direction}\nA --> B`).querySelectorAll("rect"), rect => ({
+            x: Number(rect.getAttribute("x")) + Number(rect.getAttribute("width")) / 2,
+            y: Number(rect.getAttribute("y")) + Number(rect.getAttribute("height")) / 2
+        }));
+
+        expect(isPlaced(a, b)).toBe(true);
+    });
+
+    test("reads the styles of the edges", () => {
+        const svg = draw("graph LR\nA -.-> B\nA ==> C & D\nC --- D\nD --o E\n%% comment\nstyle A fill:#f9f");
+        const paths = Array.from(svg.querySelectorAll(":scope>path"));
+
+        expect(paths.map(path => [path.getAttribute("stroke-dasharray"), path.getAttribute("stroke-width"), path.getAttribute("marker-end")]))
+            .toEqual([["4 3", "1.5", "url(#arrow)"], [null, "3", "url(#arrow)"], [null, "3", "url(#arrow)"], [null, "1.5", null], [null, "1.5", "url(#circle)"]]);
+    });
+
+    test.each([
+        ["", "Empty diagram, start with a type, e.g. \"graph TD\""],
+        ["sequenceDiagram\nA->>B: hi", "Unsupported diagram type \"sequenceDiagram\", only flowcharts are rendered"],
+        ["graph TD\nA --> B\nA -> ", "Parse error on line 3: A ->"],
+        ["graph TD\nA[unclosed", "Parse error on line 2: A[unclosed"]
+    ])("reports the error of %j", (source, message) => {
+        expect(() => convertDiagramToSVG(source)).toThrow(message);
+    });
+
+    test.each([
+        ["a diagram", "```mermaid\ngraph TD\nA --> B\n```"],
+        ["a diagram that cannot be read", "```mermaid\ngraph TD\nA -> B\n```"]
+    ])("renders %s with a preview that is not restored", async (_, markdown) => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+
+        expect(container.querySelector("pre").dataset.type).toBe("diagram");
+        expect(container.querySelector(".md-preview img, .md-diagram-error[data-error^=\"Parse error on line 2\"]")).not.toBeNull();
+        expect(parseHTMLElement(container).text).toBe(markdown);
+    });
+});
@@ -0,0 +1,204 @@
+import { escapeHTML, rtrim } from "../utils/StringUtils";
+import { rules } from "./rules";
+import { convertTeXToMathML } from "./TeXConverter";
+import { getFootnoteAnchor, renderClass, renderTableOfContents } from "./PreviewRenderer";
+
+/**
+ * Renders the preview of an element whose source is hidden while the cursor is out of it ( e.g. a formula ).
+ * The preview is not editable, and it is not restored to markdown.
+ *
+ * @param {String} tag - The tag of the preview, `span` in an inline element or `div` in a block.
+ * @param {String} HTMLContent - The HTML content of the preview.
+ * @returns {String} The HTML string of the preview.
+ */
+function renderPreview(tag, HTMLContent) {
+    return `<${tag} class="md-preview" contenteditable="false">${HTMLContent}</${tag}>`;
+}
+
+/**
+ * The extensions of the markdown syntax, given to marked with the tokenizer and the renderer.
+ * Each extension tokenizes its own syntax and renders its tokens, keeping the raw markdown as text like the renderer.
+ * Its `previewRenderer` renders the same tokens for the read-only preview ( see `renderMarkdownToHTML` ).
+ */
+export const extensions = [
+    {
+        name: "toc",
+        level: "block",
+        tokenizer(src) {
+            const cap = rules.other.tableOfContents.exec(src);
+            if (!cap) return;
+
+            return {
+                type: "toc",
+                raw: cap[0]
+            };
+        },
+        renderer({ type, raw }) {
+            // The table of contents is filled by the editor from the headings of the whole document ( see `applyOutline` ).
+            return `<div class="md-e md-b" data-type="${type}"><span class="md-sign md-prefix-sign">${escapeHTML(rtrim(raw, "\n"))}</span><nav class="md-preview md-toc" contenteditable="false"></nav></div>`;
+        },
+        previewRenderer({ type }) {
+            const outline = this.parser.options.preview?.outline || [];
+
+            return `<nav${renderClass(this.parser.options, type)}>${renderTableOfContents(outline)}</nav>\n`;
+        }
+    },
+    {
+        name: "footnoteDefinition",
+        level: "block",
+        tokenizer(src) {
+            const cap = rules.reference.footnoteDefinition.exec(src);
+            if (!cap) return;
+
+            // The text of a footnote is a paragraph: it ends at a blank line, at a block that interrupts a paragraph,
+            // or at the next definition.
+            const rest = src.slice(cap[0].length);
+            const paragraph = rest.startsWith("\n") ? "" : this.lexer.tokenizer.rules.block.paragraph.exec(rest)?.[1] || "";
+            const text = paragraph.split(rules.reference.definitionLine)[0];
+            const lineBreaks = rest.slice(text.length).match(rules.reference.leadingLineBreaks)[0];
+
+            const token = {
+                type: "footnoteDefinition",
+                raw: cap[0] + text + lineBreaks,
+                label: cap[1],
+                sign: cap[0],
+                tokens: []
+            };
+            this.lexer.inline(text, token.tokens);
+
+            return token;
+        },
+        renderer({ type, label, sign, tokens }) {
+            // An empty footnote holds a zero-width space, so that the cursor can be placed after its sign.
+            const content = tokens.length ? this.parser.parseInline(tokens) : `<span class="md-i" data-type="inlineText">\u200b</span>`;
+
+            return `<div class="md-e md-b" data-type="${type}" data-label="${escapeHTML(label)}"><span class="md-sign md-prefix-sign">${escapeHTML(sign)}</span>${content}</div>`;
+        },
+        previewRenderer({ type, label, tokens }) {
+            return `<div id="${escapeHTML(getFootnoteAnchor(label))}"${renderClass(this.parser.options, type)}><sup>${escapeHTML(label)}</sup> ${this.parser.parseInline(tokens)}</div>\n`;
+        }
+    },
+    {
+        name: "linkDefinition",
+        level: "block",
+        tokenizer(src, tokens) {
+            // A definition cannot interrupt a paragraph, marked adds it to the text of the paragraph.
+            if (tokens.at(-1)?.type === "paragraph") return;
+
+            // A label starting with `^` is a footnote, which is tokenized by its own extension.
+            const token = this.lexer.tokenizer.def(src);
+            if (!token || token.tag.startsWith("^")) return;
+
+            // The definition is kept as a block ( marked drops it ), and its link is registered like marked does:
+            // the first definition of a label is the one that is used.
+            this.lexer.tokens.links[token.tag] ??= { href: token.href, title: token.title };
+
+            return { ...token, type: "linkDefinition" };
+        },
+        renderer({ type, raw, tag }) {
+            const [, prefixSign, label, suffixSign] = rules.reference.linkDefinitionParts.exec(rtrim(raw, "\n"));
+
+            return `<div class="md-e md-b" data-type="${type}" data-label="${escapeHTML(tag)}"><span class="md-sign md-prefix-sign">${escapeHTML(prefixSign)}</span><span class="md-content">${escapeHTML(label)}</span><span class="md-sign md-suffix-sign">${escapeHTML(suffixSign)}</span></div>`;
+        },
+        previewRenderer() {
+            // A definition is not displayed, like marked does.
+            return "";
+        }
+    },
+    {
+        name: "blockMath",
+        level: "block",
+        start(src) {
+            return src.match(rules.math.blockStart)?.index;
+        },
+        tokenizer(src) {
+            const cap = rules.math.block.exec(src);
+            if (!cap) return;
+
+            return {
+                type: "blockMath",
+                raw: cap[0],
+                text: cap[2],
+                prefixSign: cap[1],
+                suffixSign: cap[3]
+            };
+        },
+        renderer({ type, text, prefixSign, suffixSign }) {
+            // The trailing line breaks of the raw belong to the space after the block, they are not part of the signs.
+            return `<div class="md-e md-b" data-type="${type}"><span class="md-sign md-prefix-sign">${escapeHTML(prefixSign)}</span><span class="md-content">${escapeHTML(text)}</span><span class="md-sign md-suffix-sign">${escapeHTML(suffixSign)}</span>${renderPreview("div", convertTeXToMathML(text, true))}</div>`;
+        },
+        previewRenderer({ type, text }) {
+            return `<div${renderClass(this.parser.options, type)}>${convertTeXToMathML(text, true)}</div>\n`;
+        }
+    },
+    {
+        name: "footnoteReference",
+        level: "inline",
+        start(src) {
+            return src.indexOf("[^");
+        },
+        tokenizer(src) {
+            const cap = rules.reference.footnoteReference.exec(src);
+            if (!cap) return;
+
+            return {
+                type: "footnoteReference",
+                raw: cap[0],
+                label: cap[1]
+            };
+        },
+        renderer({ type, label }) {
+            // The text of the footnote is previewed on hover, it is found in the whole document by `applyFootnotePreviews`.
+            return `<span class="md-i" data-type="${type}" data-label="${escapeHTML(label)}"><span class="md-sign md-prefix-sign">[^</span><sup class="md-content">${escapeHTML(label)}</sup><span class="md-sign md-suffix-sign">]</span></span>`;
+        },
+        previewRenderer({ label }) {
+            return `<sup><a href="#${escapeHTML(getFootnoteAnchor(label))}">${escapeHTML(label)}</a></sup>`;
+        }
+    },
+    {
+        name: "imageWidth",
+        level: "inline",
+        start(src) {
+            return src.indexOf("![");
+        },
+        tokenizer(src) {
+            if (!src.startsWith("![")) return;
+
+            // An image followed by its width is still an image token, rendered by `image` with the width.
+            const token = this.lexer.tokenizer.link(src);
+            if (token?.type !== "image") return;
+
+            const cap = rules.image.width.exec(src.slice(token.raw.length));
+            if (!cap) return;
+
+            return { ...token, raw: token.raw + cap[0], width: Number(cap[1]) };
+        }
+    },
+    {
+        name: "inlineMath",
+        level: "inline",
+        start(src) {
+            return src.indexOf("$");
+        },
+        tokenizer(src) {
+            const cap = rules.math.inline.exec(src);
+            if (!cap) return;
+
+            return {
+                type: "inlineMath",
+                raw: cap[0],
+                text: cap[2],
+                sign: cap[1]
+            };
+        },
+        renderer({ type, text, sign }) {
+            // `$$…$$` in a paragraph is displayed on its own line.
+            const display = sign.length === 2;
+
+            return `<span class="md-i" data-type="${type}"><span class="md-sign md-prefix-sign">${sign}</span><span class="md-content">${escapeHTML(text)}</span><span class="md-sign md-suffix-sign">${sign}</span>${renderPreview("span", convertTeXToMathML(text, display))}</span>`;
+        },
+        previewRenderer({ text, sign }) {
+            return convertTeXToMathML(text, sign.length === 2);
+        }
+    }
+];
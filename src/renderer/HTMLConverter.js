@@ -0,0 +1,342 @@
+import { rules } from "./rules";
+
+/**
+ * The elements whose content is never converted.
+ */
+const ignoredTags = ["HEAD", "IFRAME", "LINK", "META", "NOSCRIPT", "OBJECT", "SCRIPT", "STYLE", "TEMPLATE", "TITLE"];
+
+/**
+ * The elements that are converted to markdown blocks, the other elements are inline.
+ */
+const blockTags = [
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "BODY", "DD", "DETAILS", "DIV", "DL", "DT", "FIELDSET", "FIGCAPTION",
+    "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE",
+    "SECTION", "SUMMARY", "TABLE", "UL"
+];
+
+/**
+ * The markdown signs of the inline elements, by tag name.
+ */
+const inlineSigns = {
+    B: "**",
+    STRONG: "**",
+    EM: "*",
+    I: "*",
+    DEL: "~~",
+    S: "~~",
+    STRIKE: "~~"
+};
+
+/**
+ * Checks whether a node is converted to a markdown block.
+ *
+ * @param {Node} node - A node of the pasted HTML.
+ * @returns {Boolean} True for a block element.
+ */
+function isBlockNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE && blockTags.includes(node.tagName);
+}
+
+/**
+ * Escapes the characters of a text that markdown would read as signs.
+ *
+ * @param {String} text - The text of a text node.
+ * @returns {String} The escaped text.
+ */
+export function escapeMarkdown(text) {
+    return text.replace(rules.converter.markdownSign, "\\$&");
+}
+
+/**
+ * Gets the signs of the inline element that a styled element stands for ( e.g. a `span` in bold ).
+ *
+ * @param {HTMLElement} element - An inline element.
+ * @returns {String} The signs, or an empty string.
+ */
+function getStyleSigns(element) {
+    const { fontWeight, fontStyle, textDecorationLine, textDecoration } = element.style || {};
+
+    // Some editors wrap their whole content in a `<b style="font-weight: normal">`.
+    if (rules.converter.normalFontWeight.test(fontWeight || "")) return "";
+    if (inlineSigns[element.tagName]) return inlineSigns[element.tagName];
+
+    if (rules.converter.boldFontWeight.test(fontWeight || "")) return "**";
+    if (fontStyle === "italic") return "*";
+    if ((textDecorationLine || textDecoration || "").includes("line-through")) return "~~";
+
+    return "";
+}
+
+/**
+ * Wraps an inline markdown content in signs. The surrounding spaces are moved out of the signs,
+ * as `** bold **` is not bold.
+ *
+ * @param {String} content - The markdown content.
+ * @param {String} prefixSign - The opening sign.
+ * @param {String} [suffixSign=prefixSign] - The closing sign.
+ * @returns {String} The wrapped content, or the content as it is if it is blank.
+ */
+function wrapInline(content, prefixSign, suffixSign = prefixSign) {
+    const [, leading, core, trailing] = content.match(rules.converter.surroundingSpaces);
+    if (!core) return content;
+
+    return `${leading}${prefixSign}${core}${suffixSign}${trailing}`;
+}
+
+/**
+ * Gets the fence of a code, longer than any run of fence characters in the code.
+ *
+ * @param {String} code - The code.
+ * @param {Number} minLength - The minimum length of the fence.
+ * @returns {String} The fence.
+ */
+function getCodeFence(code, minLength) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+
+    return "`".repeat(Math.max(minLength, longestRun + 1));
+}
+
+/**
+ * Converts a link destination, wrapping it in angle brackets if it holds spaces or parentheses.
+ *
+ * @param {String} url - The url.
+ * @returns {String} The link destination.
+ */
+export function convertURL(url) {
+    return rules.converter.URLToEnclose.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+/**
+ * Converts the inline content of a node to markdown.
+ *
+ * @param {Node} node - A node of the pasted HTML.
+ * @returns {String} The markdown, its line breaks are hard line breaks.
+ */
+function convertInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return escapeMarkdown(node.textContent.replace(/\s+/g, " "));
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || ignoredTags.includes(node.tagName)) return "";
+
+    const content = () => Array.from(node.childNodes).map(convertInline).join("");
+
+    switch (node.tagName) {
+        case "BR":
+            return "\\\n";
+        case "IMG": {
+            if (!node.getAttribute("src")) return "";
+
+            const width = node.getAttribute("width");
+            const widthSuffix = rules.converter.imageWidth.test(width || "") ? `{width=${width}}` : "";
+
+            return `![${escapeMarkdown(node.getAttribute("alt") || "")}](${convertURL(node.getAttribute("src"))})${widthSuffix}`;
+        }
+        case "A": {
+            const href = node.getAttribute("href");
+            const title = node.getAttribute("title");
+            const text = content().trim();
+
+            if (!href || !text) return content();
+            // A link whose text is its url is written as an autolink.
+            if (text === href && rules.link.autolinkURL.test(href)) return `<${href}>`;
+
+            return `[${text}](${convertURL(href)}${title ? ` "${title.replace(/"/g, "\\\"")}"` : ""})`;
+        }
+        case "CODE":
+        case "KBD":
+        case "SAMP": {
+            const code = node.textContent.replace(/\s+/g, " ");
+            if (!code.trim()) return code;
+
+            const fence = getCodeFence(code, 1);
+            const padding = code.startsWith("`") || code.endsWith("`") ? " " : "";
+
+            return `${fence}${padding}${code}${padding}${fence}`;
+        }
+        case "INPUT":
+            return "";
+        default: {
+            const signs = getStyleSigns(node);
+
+            return signs ? wrapInline(content(), signs) : content();
+        }
+    }
+}
+
+/**
+ * Converts an inline content to a paragraph: the spaces around its lines are removed,
+ * and a line that would start a block is escaped.
+ *
+ * @param {String} inline - The inline markdown.
+ * @returns {String} The paragraph, or an empty string.
+ */
+function toParagraph(inline) {
+    return inline
+        .split("\n")
+        .map(line => line.trim().replace(rules.converter.blockStart, "$1\\$2"))
+        .join("\n")
+        .replace(rules.converter.surroundingHardBreaks, "")
+        .trim();
+}
+
+/**
+ * Converts a list item to markdown, its following lines are indented under its sign.
+ *
+ * @param {HTMLElement} item - The `li` element.
+ * @param {String} sign - The sign of the item ( e.g. `- ` or `2. ` ).
+ * @returns {String} The markdown of the item.
+ */
+function convertListItem(item, sign) {
+    const checkbox = item.querySelector(":scope>input[type=checkbox], :scope>p:first-child>input[type=checkbox]");
+    const task = checkbox ? (checkbox.checked ? "[x] " : "[ ] ") : "";
+    const indent = " ".repeat(sign.length);
+
+    return sign + task + convertBlocks(item, true)
+        .split("\n")
+        .map((line, index) => index && line ? indent + line : line)
+        .join("\n");
+}
+
+/**
+ * Converts a list to markdown.
+ *
+ * @param {HTMLElement} list - The `ul` or `ol` element.
+ * @returns {String} The markdown of the list.
+ */
+function convertList(list) {
+    const ordered = list.tagName === "OL";
+    const start = ordered ? parseInt(list.getAttribute("start"), 10) || 1 : 1;
+
+    return Array.from(list.children)
+        .filter(item => item.tagName === "LI")
+        .map((item, index) => convertListItem(item, ordered ? `${start + index}. ` : "- "))
+        .join("\n");
+}
+
+/**
+ * Converts a table to a pipe table. The first row is the header row.
+ *
+ * @param {HTMLElement} table - The `table` element.
+ * @returns {String} The markdown of the table.
+ */
+function convertTable(table) {
+    const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell => {
+        return toParagraph(convertInline(cell)).replace(/\\?\n/g, " ").replace(/\|/g, "\\|");
+    }));
+    if (!rows.length) return "";
+
+    const width = Math.max(...rows.map(row => row.length));
+    const aligns = Array.from(table.rows[0].cells).map(cell => cell.style.textAlign || cell.getAttribute("align") || "");
+
+    const delimiters = Array.from({ length: width }, (_, column) => ({
+        left: ":--",
+        center: ":-:",
+        right: "--:"
+    })[aligns[column]] || "---");
+
+    const lines = rows.map(row => Array.from({ length: width }, (_, column) => row[column] || ""));
+    lines.splice(1, 0, delimiters);
+
+    return lines.map(cells => `| ${cells.join(" | ")} |`).join("\n");
+}
+
+/**
+ * Converts a block element to markdown.
+ *
+ * @param {HTMLElement} element - A block element of the pasted HTML.
+ * @returns {String} The markdown of the block.
+ */
+function convertBlock(element) {
+    switch (element.tagName) {
+        case "H1":
+        case "H2":
+        case "H3":
+        case "H4":
+        case "H5":
+        case "H6": {
+            const text = toParagraph(convertInline(element)).replace(/\\?\n/g, " ");
+            return text && `${"#".repeat(Number(element.tagName[1]))} ${text}`;
+        }
+        case "P":
+            return toParagraph(convertInline(element));
+        case "HR":
+            return "---";
+        case "PRE": {
+            const code = element.textContent.replace(/\n$/, "");
+            const lang = (element.querySelector("code") || element).className.match(rules.converter.codeLanguage)?.[1] || "";
+            const fence = getCodeFence(code, 3);
+
+            return `${fence}${lang}\n${code}\n${fence}`;
+        }
+        case "BLOCKQUOTE":
+            return convertBlocks(element)
+                .split("\n")
+                .map(line => line ? `> ${line}` : ">")
+                .join("\n");
+        case "UL":
+        case "OL":
+            return convertList(element);
+        case "TABLE":
+            return convertTable(element);
+        default:
+            return convertBlocks(element);
+    }
+}
+
+/**
+ * Converts the content of an element to markdown blocks. The inline nodes between two blocks form a paragraph.
+ *
+ * @param {HTMLElement} element - An element of the pasted HTML.
+ * @param {Boolean} [tight=false] - Whether a nested list follows the previous block without a blank line
+ *      ( the content of a list item ).
+ * @returns {String} The markdown of the blocks.
+ */
+function convertBlocks(element, tight = false) {
+    const blocks = [];
+    let inline = "";
+
+    const flushParagraph = () => {
+        const paragraph = toParagraph(inline);
+        if (paragraph) blocks.push({ text: paragraph, isList: false });
+        inline = "";
+    };
+
+    element.childNodes.forEach(node => {
+        if (!isBlockNode(node)) {
+            inline += convertInline(node);
+            return;
+        }
+
+        flushParagraph();
+
+        // A list item outside of a list is a single item list.
+        const isList = ["LI", "OL", "UL"].includes(node.tagName);
+        const text = node.tagName === "LI" ? convertListItem(node, "- ") : convertBlock(node);
+
+        if (text) blocks.push({ text, isList });
+    });
+
+    flushParagraph();
+
+    return blocks
+        .map((block, index) => (index ? (tight && block.isList ? "\n" : "\n\n") : "") + block.text)
+        .join("");
+}
+
+/**
+ * Converts an HTML string ( e.g. the `text/html` content of the clipboard ) to markdown.
+ * Headings, paragraphs, lists, task lists, blockquotes, code blocks, tables, links, images,
+ * bold, italic, strikethrough and code are converted, the other elements are reduced to their text.
+ *
+ * @param {String} html - The HTML string.
+ * @returns {String} The markdown.
+ *
+ * @example
+ * const markdown = convertHTMLToMarkdown("<h1>Title</h1><p>Some <b>bold</b> text</p>"); // "# Title\n\nSome **bold** text"
+ */
+export function convertHTMLToMarkdown(html) {
+    const htmlDocument = new DOMParser().parseFromString(html, "text/html");
+
+    return convertBlocks(htmlDocument.body);
+}
@@ -0,0 +1,26 @@
+import { convertHTMLToMarkdown } from "./HTMLConverter";
+
+describe("convertHTMLToMarkdown", () => {
+    test.each([
+        ["headings", "<h1>Title</h1><h3>Sub <em>title</em></h3>", "# Title\n\n### Sub *title*"],
+        ["paragraphs and line breaks", "<p>first<br>line</p><div>second</div>text", "first\\\nline\n\nsecond\n\ntext"],
+        ["inline elements", "<p><strong>a</strong> <i>b </i><del>c</del> <code>d`e</code></p>", "**a** *b* ~~c~~ ``d`e``"],
+        ["styled spans", "<b style=\"font-weight:normal\"><span style=\"font-weight:700\">a</span></b>", "**a**"],
+        ["links and images", "<a href=\"/a b\" title=\"t\">link</a><img src=\"/i.png\" alt=\"i\">", "[link](</a b> \"t\")![i](/i.png)"],
+        ["links that are their url", "<a href=\"https://a.com\">https://a.com</a> <a href=\"/b\">/b</a>", "<https://a.com> [/b](/b)"],
+        ["images with a width", "<img src=\"/i.png\" width=\"120\"><img src=\"/j.png\" width=\"50%\">", "![](/i.png){width=120}![](/j.png)"],
+        ["nested lists", "<ul><li>a<ul><li>b</li></ul></li><li>c</li></ul>", "- a\n  - b\n- c"],
+        ["ordered and task lists", "<ol start=\"3\"><li><input type=\"checkbox\" checked>a</li><li>b</li></ol>", "3. [x] a\n4. b"],
+        ["blockquotes", "<blockquote><p>a</p><p>b</p></blockquote>", "> a\n>\n> b"],
+        ["code blocks", "<pre><code class=\"language-js\">let a = 1;\n```\n</code></pre>", "````js\nlet a = 1;\n```\n````"],
+        [
+            "tables",
+            "<table><thead><tr><th>a</th><th align=\"center\">b</th></tr></thead><tbody><tr><td>1|2</td></tr></tbody></table>",
+            "| a | b |\n| --- | :-: |\n| 1\\|2 |  |"
+        ],
+        ["the text that looks like markdown", "<p>1. *a* # b</p><p># c snake_case</p>", "1\\. \\*a\\* # b\n\n\\# c snake_case"],
+        ["the content of ignored elements", "<style>p {}</style><script>a()</script><p>text</p>", "text"]
+    ])("converts %s", (_, html, expected) => {
+        expect(convertHTMLToMarkdown(html)).toBe(expected);
+    });
+});
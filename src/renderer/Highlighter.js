@@ -0,0 +1,256 @@
+import { escapeHTML } from "../utils/StringUtils";
+import { rules } from "./rules";
+import { decodeCharacterReferences } from "./Sanitizer";
+
+const scriptKeywords = [
+    "async", "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+    "else", "export", "extends", "finally", "for", "from", "function", "if", "import", "in", "instanceof", "let", "new",
+    "of", "return", "static", "super", "switch", "this", "throw", "try", "typeof", "var", "void", "while", "with", "yield"
+];
+
+const typeScriptKeywords = [
+    ...scriptKeywords, "abstract", "as", "declare", "enum", "implements", "interface", "is", "keyof", "namespace",
+    "private", "protected", "public", "readonly", "satisfies", "type"
+];
+
+/**
+ * Creates a rule of a grammar.
+ *
+ * @param {String|null} className - The class of the highlighted text ( without the `hl-` prefix ),
+ *      or null for a text that is not highlighted ( e.g. a name that must not be read as keywords ).
+ * @param {RegExp} pattern - The sticky pattern of the text.
+ * @param {[Object]} [inside] - The grammar of the inside of the text.
+ * @returns {{className: String|null, pattern: RegExp, inside?: [Object]}} The rule.
+ */
+function rule(className, pattern, inside) {
+    return { className, pattern, inside };
+}
+
+/**
+ * Creates the pattern of a list of words.
+ *
+ * @param {[String]} list - The words.
+ * @returns {RegExp} The sticky pattern.
+ */
+function words(list) {
+    return new RegExp(`\\b(?:${list.join("|")})\\b`, "y");
+}
+
+/**
+ * Creates the grammar of JavaScript, or of a language built on it.
+ *
+ * @param {[String]} keywords - The keywords of the language.
+ * @returns {[Object]} The grammar.
+ */
+function createScriptGrammar(keywords) {
+    return [
+        rule("comment", /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y),
+        rule("string", /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y),
+        rule("keyword", words(keywords)),
+        rule("literal", words(["true", "false", "null", "undefined", "NaN", "Infinity"])),
+        rule("number", /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?n?)\b/y),
+        rule("function", /[A-Za-z_$][\w$]*(?=\s*\()/y),
+        rule(null, /[A-Za-z_$][\w$]*/y)
+    ];
+}
+
+/**
+ * The grammars of the built-in highlighter. Each grammar is a list of rules, the first rule that matches
+ * at a position of the code is used.
+ */
+const grammars = {
+    js: createScriptGrammar(scriptKeywords),
+    ts: createScriptGrammar(typeScriptKeywords),
+    json: [
+        rule("property", /"(?:\\.|[^\\"\n])*"(?=\s*:)/y),
+        rule("string", /"(?:\\.|[^\\"\n])*"?/y),
+        rule("literal", words(["true", "false", "null"])),
+        rule("number", /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y)
+    ],
+    python: [
+        rule("comment", /#.*/y),
+        rule("string", /(?:\b[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y),
+        rule("keyword", words([
+            "and", "as", "assert", "async", "await", "break", "case", "class", "continue", "def", "del", "elif", "else",
+            "except", "finally", "for", "from", "global", "if", "import", "in", "is", "lambda", "match", "nonlocal",
+            "not", "or", "pass", "raise", "return", "try", "while", "with", "yield"
+        ])),
+        rule("literal", words(["True", "False", "None"])),
+        rule("meta", /@[\w.]+/y),
+        rule("number", /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?j?)\b/y),
+        rule("function", /[A-Za-z_]\w*(?=\s*\()/y),
+        rule(null, /[A-Za-z_]\w*/y)
+    ],
+    bash: [
+        // A `#` only starts a comment at the start of a word.
+        rule("comment", /(?<![^\s;|&(])#.*/y),
+        rule("string", /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/y),
+        rule("variable", /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/y),
+        rule("keyword", words([
+            "if", "then", "else", "elif", "fi", "for", "while", "until", "do", "done", "case", "esac", "in", "function",
+            "select", "return", "break", "continue", "local", "export", "readonly", "declare", "source", "alias",
+            "unset", "shift", "exit"
+        ])),
+        rule(null, /[\w-]+/y)
+    ],
+    css: [
+        rule("comment", /\/\*[\s\S]*?(?:\*\/|$)/y),
+        rule("string", /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y),
+        rule("keyword", /@[\w-]+|!important\b/y),
+        // A property is followed by its value, a pseudo-class ( e.g. `a:hover {` ) is followed by a block.
+        rule("property", /[\w-]+(?=\s*:(?!:)[^{};]*[;}])/y),
+        rule("number", /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y),
+        rule("function", /[\w-]+(?=\()/y),
+        rule(null, /[\w-]+/y)
+    ],
+    html: [
+        rule("comment", /<!--[\s\S]*?(?:-->|$)/y),
+        rule("meta", /<![^>]*>?/y),
+        rule("tag", /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/y, [
+            rule("tag", /<\/?[^\s>/]+|\/?>/y),
+            rule("string", /"[^"]*"|'[^']*'/y),
+            rule("attribute", /[^\s"'>/=]+/y)
+        ]),
+        rule("literal", /&#?\w+;/y)
+    ]
+};
+
+/**
+ * The other names of the languages of the built-in highlighter.
+ */
+const languageAliases = {
+    javascript: "js",
+    jsx: "js",
+    mjs: "js",
+    cjs: "js",
+    typescript: "ts",
+    tsx: "ts",
+    py: "python",
+    sh: "bash",
+    shell: "bash",
+    zsh: "bash",
+    xml: "html",
+    svg: "html"
+};
+
+/**
+ * The highlighter set by `configureHighlighter`: a function, null for the built-in highlighter,
+ * or false for no highlighting.
+ */
+let highlighter = null;
+
+/**
+ * Sets the highlighter of the code blocks.
+ *
+ * A highlighter is called with the code and the language of a code block, and returns the highlighted HTML of the code
+ * ( e.g. the output of highlight.js or Prism ), or null to leave the code to the built-in highlighter.
+ * The text of the returned HTML must be the code itself, so that the code block is restored as it was written:
+ * an HTML whose text differs from the code is ignored. The HTML is sanitized like the rest of the rendered HTML.
+ *
+ * @param {((code: String, lang: String) => String|null)|null|false} [newHighlighter=null] - The highlighter,
+ *      null for the built-in highlighter, or false to disable the highlighting.
+ * @returns {Function|null|false} The previous highlighter, so that it can be restored.
+ *
+ * @example
+ * const previous = configureHighlighter((code, lang) => hljs.getLanguage(lang) ? hljs.highlight(code, { language: lang }).value : null);
+ */
+export function configureHighlighter(newHighlighter = null) {
+    const previous = highlighter;
+    highlighter = newHighlighter;
+
+    return previous;
+}
+
+/**
+ * Finds the first rule of a grammar that matches at a position of a code.
+ *
+ * @param {String} code - The code.
+ * @param {[Object]} grammar - The grammar of the language.
+ * @param {Number} position - The position in the code.
+ * @returns {{rule: Object, text: String}|null} The rule and the text it matches, or null if no rule matches.
+ */
+function matchRule(code, grammar, position) {
+    for (const grammarRule of grammar) {
+        grammarRule.pattern.lastIndex = position;
+        const text = grammarRule.pattern.exec(code)?.[0];
+
+        if (text) return { rule: grammarRule, text };
+    }
+
+    return null;
+}
+
+/**
+ * Highlights a code with a grammar of the built-in highlighter.
+ *
+ * @param {String} code - The code.
+ * @param {[Object]} grammar - The grammar of the language.
+ * @returns {String} The HTML of the code, its highlighted texts wrapped in `span.hl-*` elements.
+ */
+function tokenize(code, grammar) {
+    let html = "";
+    let plain = "";
+    let position = 0;
+
+    while (position < code.length) {
+        const match = matchRule(code, grammar, position);
+
+        if (!match) {
+            plain += code[position++];
+            continue;
+        }
+
+        const { rule: { className, inside }, text } = match;
+        position += text.length;
+
+        if (!className) {
+            plain += text;
+            continue;
+        }
+
+        const content = inside ? tokenize(text, inside) : escapeHTML(text);
+        html += `${escapeHTML(plain)}<span class="hl-${className}">${content}</span>`;
+        plain = "";
+    }
+
+    return html + escapeHTML(plain);
+}
+
+/**
+ * Gets the languages of the built-in highlighter.
+ *
+ * @returns {[String]} The names of the languages, without their other names.
+ *
+ * @example
+ * const languages = getHighlighterLanguages(); // ["js", "ts", "json", ...]
+ */
+export function getHighlighterLanguages() {
+    return Object.keys(grammars);
+}
+
+/**
+ * Highlights the code of a code block. The text of the returned HTML is always the code itself,
+ * so `restorer.code` restores the code block from its text content whatever the highlighting.
+ *
+ * @param {String} code - The code.
+ * @param {String} lang - The language of the code block ( the first word of its info string ).
+ * @returns {String} The HTML of the code.
+ *
+ * @example
+ * const html = highlightCode("const a = 1;", "js");
+ * // '<span class="hl-keyword">const</span> a = <span class="hl-number">1</span>;'
+ */
+export function highlightCode(code, lang) {
+    if (highlighter === false) return escapeHTML(code);
+
+    const language = lang.toLowerCase();
+    const html = highlighter?.(code, language);
+
+    if (typeof html === "string" && decodeCharacterReferences(html.replace(rules.sanitizer.tag, "")) === code) {
+        return html;
+    }
+
+    const grammar = grammars[languageAliases[language] || language];
+
+    return grammar ? tokenize(code, grammar) : escapeHTML(code);
+}
@@ -0,0 +1,50 @@
+import { configureHighlighter, highlightCode } from "./Highlighter";
+import { parseMarkdownString } from "./MarkdownRenderer";
+import { parseHTMLElement } from "./Restorer";
+
+describe("highlightCode", () => {
+    test.each([
+        ["js", "const a = f(\"x\"); // y", "<span class=\"hl-keyword\">const</span> a = <span class=\"hl-function\">f</span>(<span class=\"hl-string\">&quot;x&quot;</span>); <span class=\"hl-comment\">// y</span>"],
+        ["ts", "type A = 1n", "<span class=\"hl-keyword\">type</span> A = <span class=\"hl-number\">1n</span>"],
+        ["json", "{\"a\": [true, 1.5]}", "{<span class=\"hl-property\">&quot;a&quot;</span>: [<span class=\"hl-literal\">true</span>, <span class=\"hl-number\">1.5</span>]}"],
+        ["python", "@d\ndef f(): return None", "<span class=\"hl-meta\">@d</span>\n<span class=\"hl-keyword\">def</span> <span class=\"hl-function\">f</span>(): <span class=\"hl-keyword\">return</span> <span class=\"hl-literal\">None</span>"],
+        ["bash", "echo \"$HOME\" a#b # c", "echo <span class=\"hl-string\">&quot;$HOME&quot;</span> a#b <span class=\"hl-comment\"># c</span>"],
+        ["css", "a:hover { color: #fff; }", "a:hover { <span class=\"hl-property\">color</span>: <span class=\"hl-number\">#fff</span>; }"],
+        ["html", "<a href=\"/\">&amp;</a>", "<span class=\"hl-tag\"><span class=\"hl-tag\">&lt;a</span> <span class=\"hl-attribute\">href</span>=<span class=\"hl-string\">&quot;/&quot;</span><span class=\"hl-tag\">&gt;</span></span><span class=\"hl-literal\">&amp;amp;</span><span class=\"hl-tag\"><span class=\"hl-tag\">&lt;/a</span><span class=\"hl-tag\">&gt;</span></span>"]
+    ])("highlights %s", (lang, code, expected) => {
+        expect(highlightCode(code, lang)).toBe(expected);
+    });
+
+    test("escapes the code of an unknown language", () => {
+        expect(highlightCode("<b> & \"", "unknown")).toBe("&lt;b&gt; &amp; &quot;");
+    });
+
+    test("uses the configured highlighter, unless its text is not the code", () => {
+        const previous = configureHighlighter((code, lang) => lang === "custom" ? `<span class="custom">${code}</span>` : null);
+
+        try {
+            expect(highlightCode("a", "custom")).toBe("<span class=\"custom\">a</span>");
+            expect(highlightCode("<b>", "custom")).toBe("&lt;b&gt;");
+            expect(highlightCode("null", "js")).toBe("<span class=\"hl-literal\">null</span>");
+
+            configureHighlighter(false);
+            expect(highlightCode("null", "js")).toBe("null");
+        } finally {
+            configureHighlighter(previous);
+        }
+    });
+
+    test.each([
+        ["js", "const s = `a\\`b`; /* c */\nlet d = 'e';"],
+        ["python", "s = r'''a\nb''' # c"],
+        ["html", "<!-- a -->\n<div class=\"b\">c &lt; d</div>"]
+    ])("renders %s code blocks that are restored as they were written", async (lang, code) => {
+        const markdown = `\`\`\`${lang} title\n${code}\n\`\`\``;
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+
+        expect(container.querySelector("code").className).toBe(`code__block language-${lang}`);
+        expect(container.querySelector(".hl-string, .hl-comment")).not.toBeNull();
+        expect(parseHTMLElement(container).text).toBe(markdown);
+    });
+});
@@ -0,0 +1,51 @@
+import { rules } from "./rules";
+import { sanitizeHTML } from "./Sanitizer";
+
+export const hooks = {
+    /**
+     * Moves the trailing line breaks of the top-level blocks into space tokens, so that the exact separation
+     * between two blocks is held by a single space token, and restored as it was written.
+     * 
+     * @param {[Object]} tokens - The top-level tokens of the document.
+     * @returns {[Object]} The same array of tokens.
+     */
+    processAllTokens(tokens) {
+        const blocks = [];
+
+        tokens.forEach(token => {
+            const separator = token.type === "space" ?
+                token.raw :
+                token.raw.match(rules.other.blockTrailingLineBreaks)?.[0] || "";
+
+            if (token.type !== "space") {
+                token.raw = token.raw.slice(0, token.raw.length - separator.length);
+                blocks.push(token);
+            }
+
+            if (!separator) return;
+
+            const last = blocks.at(-1);
+
+            if (last?.type === "space") {
+                last.raw += separator;
+            } else {
+                blocks.push({ type: "space", raw: separator, separator: true });
+            }
+        });
+
+        // The array is modified in place, as it also holds the link definitions of the document.
+        tokens.splice(0, tokens.length, ...blocks);
+
+        return tokens;
+    },
+    /**
+     * Sanitizes the rendered HTML against the allow-lists of the sanitizer, as a last line of defense
+     * behind the escaping done by the renderer.
+     *
+     * @param {String} html - The rendered HTML.
+     * @returns {String} The sanitized HTML.
+     */
+    postprocess(html) {
+        return sanitizeHTML(html);
+    }
+};
@@ -0,0 +1,355 @@
+import { lexMarkdownString, renderMarkdownTokens } from "./MarkdownRenderer";
+import { parseBlockNodes } from "./Restorer";
+import { rules } from "./rules";
+import { getHeadings } from "../utils/OutlineUtils";
+
+/**
+ * Checks whether a top-level node is a space element, which separates two blocks.
+ *
+ * @param {Node} node - A top-level node of the container.
+ * @returns {Boolean} True for a `.md-b[data-type=space]` element.
+ */
+function isSeparator(node) {
+    return node?.nodeType === Node.ELEMENT_NODE && node.dataset.type === "space";
+}
+
+/**
+ * Checks whether a top-level token starts at the given offset of the tokenized markdown.
+ *
+ * @param {[Object]} tokens - The top-level tokens.
+ * @param {Number} offset - The offset in the tokenized markdown.
+ * @returns {Boolean} True if the offset is the boundary between two tokens ( or the end of the markdown ).
+ */
+function hasTokenBoundary(tokens, offset) {
+    let position = 0;
+
+    for (const token of tokens) {
+        if (position >= offset) break;
+        position += token.raw.length;
+    }
+
+    return position === offset;
+}
+
+/**
+ * Gets the raw markdown of the last block token and of the separators that follow it.
+ *
+ * @param {[Object]} tokens - The top-level tokens.
+ * @returns {String} The raw markdown of the tail of the tokens.
+ */
+function getTailRaw(tokens) {
+    const lastBlockIndex = tokens.findLastIndex(token => token.type !== "space");
+
+    return tokens.slice(Math.max(lastBlockIndex, 0)).map(token => token.raw).join("");
+}
+
+/**
+ * Creates the incremental renderer of a markdown container.
+ *
+ * The container is rendered once with `render`, then `update` re-renders only the top-level blocks that have changed
+ * since the last rendering ( they are tracked with a `MutationObserver` ), and leaves the other blocks as they are.
+ * A changed block is re-tokenized together with its neighbours when the boundary between them shifts
+ * ( e.g. a fenced code block is opened, or a paragraph joins the list above ).
+ * The headings of the rendered blocks are kept, so that the outline is only built again when a heading
+ * ( or a table of contents ) has been rendered or removed, and the footnote previews are only completed again
+ * when a footnote has been rendered or removed.
+ *
+ * @param {HTMLElement} container - The markdown container.
+ * @returns {Object} The renderer, with `render`, `update`, `getBlockCache`, `getHeadings` and `disconnect` methods.
+ *
+ * @example
+ * const incrementalRenderer = createIncrementalRenderer(container);
+ * incrementalRenderer.render("# Title");
+ * // After an edit.
+ * const { text, hasChangedOutline, hasChangedFootnotes } = incrementalRenderer.update();
+ */
+export function createIncrementalRenderer(container) {
+    const observer = new MutationObserver(() => { });
+    // The width of an image is the only attribute restored to markdown, it is changed by resizing the image.
+    observer.observe(container, { childList: true, characterData: true, subtree: true, attributeFilter: ["width"] });
+
+    // The restored markdown of the blocks that have not changed since they were restored.
+    const blockCache = new WeakMap();
+    // The headings of the top-level blocks, as they were rendered.
+    const headingCache = new WeakMap();
+    // Whether a block of the outline has been rendered or removed since the last update.
+    let hasChangedOutline = false;
+    // Whether a footnote definition or reference has been rendered or removed since the last update.
+    let hasChangedFootnotes = false;
+    // The link definitions of the document, null until the whole document is tokenized.
+    let links = null;
+    // The top-level nodes of the container, null when they have been changed from outside of the renderer.
+    let topLevelNodes = null;
+    // The top-level nodes changed since the last update.
+    const changedNodes = new Set();
+
+    /**
+     * Checks whether a top-level node is part of the outline: it holds headings, or a table of contents.
+     *
+     * @param {Node} node - A top-level node.
+     * @returns {Boolean} True if the outline changes with the node.
+     */
+    function isOutlineBlock(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+
+        return headingCache.has(node) || node.dataset.type === "toc" || !!node.querySelector("[data-type=toc]");
+    }
+
+    /**
+     * Checks whether a top-level node holds footnote definitions or references.
+     *
+     * @param {Node} node - A top-level node.
+     * @returns {Boolean} True if the footnote previews change with the node.
+     */
+    function isFootnoteBlock(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+
+        return node.dataset.type === "footnoteDefinition" ||
+            !!node.querySelector("[data-type=footnoteDefinition], [data-type=footnoteReference]");
+    }
+
+    /**
+     * Renders top-level tokens, and keeps the headings of the rendered blocks.
+     *
+     * @param {[Object]} tokens - The top-level tokens.
+     * @returns {[Node]} The rendered top-level nodes, one for each token.
+     */
+    function renderTokens(tokens) {
+        const template = document.createElement("template");
+        template.innerHTML = renderMarkdownTokens(tokens);
+
+        return Array.from(template.content.childNodes).map((node, index) => {
+            const headings = tokens[index] ? getHeadings([tokens[index]]) : [];
+            if (headings.length) headingCache.set(node, headings);
+
+            return node;
+        });
+    }
+
+    /**
+     * Adds the top-level nodes that contain the changes made since the last call to the changed nodes,
+     * and drops their restored markdown.
+     *
+     * @returns {void}
+     */
+    function takeChangedNodes() {
+        const addTopLevelNode = node => {
+            while (node && node.parentNode !== container) node = node.parentNode;
+            if (!node) return;
+
+            changedNodes.add(node);
+            blockCache.delete(node);
+        };
+
+        observer.takeRecords().forEach(record => {
+            if (record.target !== container) {
+                addTopLevelNode(record.target);
+                return;
+            }
+
+            // The top-level nodes are listed again, which is only needed when an edit adds or removes a block.
+            topLevelNodes = null;
+            record.addedNodes.forEach(addTopLevelNode);
+
+            // The blocks around a removed block may now be a single block.
+            if (record.removedNodes.length) {
+                hasChangedOutline ||= Array.from(record.removedNodes).some(isOutlineBlock);
+                hasChangedFootnotes ||= Array.from(record.removedNodes).some(isFootnoteBlock);
+                addTopLevelNode(record.previousSibling);
+                addTopLevelNode(record.nextSibling);
+            }
+        });
+    }
+
+    /**
+     * Extends a range of top-level nodes on both sides, up to the separators ( or the ends of the container ).
+     *
+     * @param {[Node]} nodes - The top-level nodes.
+     * @param {Number} start - The index of the first node of the range.
+     * @param {Number} end - The index of the last node of the range.
+     * @returns {[Number, Number]} The extended range.
+     */
+    function extendToSeparators(nodes, start, end) {
+        while (start > 0 && !isSeparator(nodes[start - 1])) start--;
+        while (end < nodes.length - 1 && !isSeparator(nodes[end + 1])) end++;
+
+        return [start, end];
+    }
+
+    /**
+     * Includes the previous block in a range, if the changed markdown of the range continues that block
+     * ( e.g. an indented paragraph after a list ).
+     *
+     * @param {[Node]} nodes - The top-level nodes.
+     * @param {Number} start - The index of the first node of the range.
+     * @param {Number} end - The index of the last node of the range.
+     * @returns {Number} The index of the first node of the range.
+     */
+    function extendBackward(nodes, start, end) {
+        let previous = start - 1;
+        while (previous >= 0 && isSeparator(nodes[previous])) previous--;
+        if (previous < 0) return start;
+
+        const text = parseBlockNodes(nodes.slice(start, end + 1), blockCache).text;
+        const combined = parseBlockNodes(nodes.slice(previous, end + 1), blockCache).text;
+
+        if (hasTokenBoundary(lexMarkdownString(combined, links), combined.length - text.length)) return start;
+
+        return extendToSeparators(nodes, previous, end)[0];
+    }
+
+    /**
+     * Includes the following blocks in a range, for as long as the last block of the range swallows them
+     * ( e.g. a fenced code block that is not closed ). The range grows twice as much at each step.
+     *
+     * @param {[Node]} nodes - The top-level nodes.
+     * @param {Number} start - The index of the first node of the range.
+     * @param {Number} end - The index of the last node of the range.
+     * @returns {Number} The index of the last node of the range.
+     */
+    function extendForward(nodes, start, end) {
+        for (let step = 1; ; step *= 2) {
+            let next = end + 1;
+            while (next < nodes.length && isSeparator(nodes[next])) next++;
+            if (next >= nodes.length) return end;
+
+            const tail = getTailRaw(lexMarkdownString(parseBlockNodes(nodes.slice(start, end + 1), blockCache).text, links));
+            const gap = parseBlockNodes(nodes.slice(end + 1, next), blockCache).text;
+            const following = parseBlockNodes([nodes[next]], blockCache).text;
+
+            if (hasTokenBoundary(lexMarkdownString(tail + gap + following, links), tail.length + gap.length)) return end;
+
+            for (let count = 0; count < step && end < nodes.length - 1;) {
+                end++;
+                if (!isSeparator(nodes[end])) count++;
+            }
+
+            end = extendToSeparators(nodes, start, end)[1];
+        }
+    }
+
+    /**
+     * Gets the ranges of top-level nodes to re-render, merged when they overlap.
+     *
+     * @param {[Node]} nodes - The top-level nodes.
+     * @param {Set<Node>} changedNodes - The changed top-level nodes.
+     * @returns {[[Number, Number]]} The ranges, in the order of the document.
+     */
+    function getChangedRanges(nodes, changedNodes) {
+        // The whole document is tokenized again when the link definitions are unknown.
+        if (links === null) return nodes.length ? [[0, nodes.length - 1]] : [];
+
+        const ranges = [];
+
+        nodes.forEach((node, index) => {
+            // A node in the last range is re-rendered with it.
+            if (!changedNodes.has(node) || index <= ranges.at(-1)?.[1]) return;
+
+            let [start, end] = extendToSeparators(nodes, index, index);
+
+            // A changed link definition changes the links of the whole document.
+            if (rules.other.linkDefinition.test(parseBlockNodes(nodes.slice(start, end + 1)).text)) {
+                links = null;
+            }
+
+            start = extendBackward(nodes, start, end);
+            end = extendForward(nodes, start, end);
+
+            while (ranges.length && start <= ranges.at(-1)[1] + 1) {
+                start = Math.min(start, ranges.pop()[0]);
+            }
+
+            ranges.push([start, end]);
+        });
+
+        return links === null ? getChangedRanges(nodes, changedNodes) : ranges;
+    }
+
+    return {
+        /**
+         * Renders a whole markdown document into the container.
+         *
+         * @param {String} markdown - The markdown to render.
+         * @returns {void}
+         */
+        render(markdown) {
+            const tokens = lexMarkdownString(markdown);
+            links = tokens.links;
+
+            container.replaceChildren(...renderTokens(tokens));
+            observer.takeRecords();
+            changedNodes.clear();
+            topLevelNodes = null;
+        },
+        /**
+         * Re-renders the blocks that have changed since the last rendering.
+         *
+         * @returns {{text: String, hasChangedOutline: Boolean, hasChangedFootnotes: Boolean}} The markdown of
+         *      the whole document, whether a heading ( or a table of contents ) has been rendered or removed,
+         *      and whether a footnote definition or reference has.
+         */
+        update() {
+            takeChangedNodes();
+            const nodes = topLevelNodes ??= Array.from(container.childNodes);
+            const ranges = getChangedRanges(nodes, changedNodes);
+
+            // The last ranges are patched first, so that the indexes of the first ones stay valid.
+            ranges.reverse().forEach(([start, end]) => {
+                const rangeNodes = nodes.slice(start, end + 1);
+                const restored = parseBlockNodes(rangeNodes);
+                const isWholeDocument = start === 0 && end === nodes.length - 1;
+
+                const tokens = lexMarkdownString(restored.text, isWholeDocument ? {} : links);
+                if (isWholeDocument) links = tokens.links;
+
+                const renderedNodes = renderTokens(tokens);
+                hasChangedOutline ||= rangeNodes.some(isOutlineBlock) || renderedNodes.some(isOutlineBlock);
+                hasChangedFootnotes ||= rangeNodes.some(isFootnoteBlock) || renderedNodes.some(isFootnoteBlock);
+
+                nodes.splice(start, rangeNodes.length, ...renderedNodes);
+                rangeNodes[0].before(...renderedNodes);
+                rangeNodes.forEach(node => node.remove());
+            });
+
+            // The nodes that have just been rendered are not changes.
+            observer.takeRecords();
+            changedNodes.clear();
+
+            const changes = { hasChangedOutline, hasChangedFootnotes };
+            hasChangedOutline = false;
+            hasChangedFootnotes = false;
+
+            return {
+                text: parseBlockNodes(nodes, blockCache).text,
+                ...changes
+            };
+        },
+        /**
+         * Gets the restored markdown of the blocks that have not changed since they were restored, to map
+         * the selection without restoring the whole document ( see `getMarkdownSelection` ).
+         *
+         * @returns {WeakMap<Node, Object>} The restored blocks.
+         */
+        getBlockCache() {
+            takeChangedNodes();
+
+            return blockCache;
+        },
+        /**
+         * Gets the headings of the rendered blocks, in the order of the document.
+         *
+         * @returns {[import("../utils/OutlineUtils").Heading]} The headings.
+         */
+        getHeadings() {
+            return Array.from(container.childNodes).flatMap(node => headingCache.get(node) || []);
+        },
+        /**
+         * Stops tracking the changes of the container.
+         *
+         * @returns {void}
+         */
+        disconnect() {
+            observer.disconnect();
+        }
+    };
+}
@@ -0,0 +1,131 @@
+import { createIncrementalRenderer } from "./IncrementalRenderer";
+import { parseMarkdownString } from "./MarkdownRenderer";
+import { createOffsetMap } from "./Restorer";
+
+/**
+ * Renders the markdown into a new container, with its incremental renderer.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @returns {{container: HTMLElement, update: Function, getBlockCache: Function, getHeadings: Function}}
+ *      The container, and the methods of its renderer.
+ */
+function setUp(markdown) {
+    const container = document.createElement("div");
+    const { render, update, getBlockCache, getHeadings } = createIncrementalRenderer(container);
+    render(markdown);
+
+    return { container, update, getBlockCache, getHeadings };
+}
+
+/**
+ * Finds the first text node that contains the searched text.
+ *
+ * @param {HTMLElement} container - The rendered container.
+ * @param {String} search - The searched text.
+ * @returns {Text} The text node.
+ */
+function findTextNode(container, search) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode() && !walker.currentNode.data.includes(search));
+
+    return walker.currentNode;
+}
+
+/**
+ * Replaces the searched text in the first text node that contains it, as typing would.
+ *
+ * @param {HTMLElement} container - The rendered container.
+ * @param {String} search - The text to replace.
+ * @param {String} replacement - The new text.
+ * @returns {void}
+ */
+function type(container, search, replacement) {
+    const node = findTextNode(container, search);
+    node.data = node.data.replace(search, replacement);
+}
+
+describe("createIncrementalRenderer", () => {
+    test.each([
+        ["an edited paragraph", "# Title\n\nfirst\n\nsecond", "first", "**first**", "# Title\n\n**first**\n\nsecond"],
+        ["an opened fence", "intro\n\ncode\n\n- item\n\nend", "intro", "```", "```\n\ncode\n\n- item\n\nend"],
+        ["a closed fence", "```\na\n\nb\n\nc", "b", "```", "```\na\n\n```\n\nc"],
+        ["a paragraph joining the list above", "- a\n\nb\n\nc", "b", "  b", "- a\n\n  b\n\nc"],
+        ["a list item joining the list below", "x\n\n- b\n\nc", "x", "- x", "- x\n\n- b\n\nc"]
+    ])("re-renders %s like a whole rendering", async (_, markdown, search, replacement, expected) => {
+        const { container, update } = setUp(markdown);
+
+        type(container, search, replacement);
+
+        expect(update().text).toBe(expected);
+        expect(container.innerHTML).toBe(await parseMarkdownString(expected));
+    });
+
+    test("re-renders the references of a new link definition", () => {
+        const { container, update } = setUp("[a][r]\n\nx\n\ny");
+
+        type(container, "y", "[r]: /url");
+        update();
+
+        expect(container.querySelector("a").getAttribute("href")).toBe("/url");
+    });
+
+    test("leaves the blocks that have not changed as they are", () => {
+        const { container, update } = setUp("first\n\nsecond\n\nthird");
+        const [first, , second, , third] = Array.from(container.children);
+
+        type(container, "second", "2nd");
+        update();
+
+        expect(container.children[0]).toBe(first);
+        expect(container.children[2]).not.toBe(second);
+        expect(container.children[4]).toBe(third);
+    });
+
+    test("gives the restored blocks without the ones edited since the last update, which it still re-renders", () => {
+        const { container, update, getBlockCache } = setUp("first\n\nsecond");
+        update();
+
+        type(container, "first", "1st");
+
+        expect(createOffsetMap(container, getBlockCache()).toMarkdownOffset(findTextNode(container, "second"), 0)).toBe(5);
+        expect(update().text).toBe("1st\n\nsecond");
+        expect(container.innerHTML).toContain(">1st<");
+    });
+
+    test.each([
+        ["an edited paragraph", "b", "bc", false],
+        ["an edited heading", "A", "AB", true],
+        ["a paragraph turned into a heading", "b", "## b", true],
+        ["a typed table of contents", "b", "[[toc]]", true]
+    ])("tells whether the outline has changed with %s", (_, search, replacement, expected) => {
+        const { container, update } = setUp("# A\n\nb");
+
+        type(container, search, replacement);
+
+        expect(update().hasChangedOutline).toBe(expected);
+    });
+
+    test.each([
+        ["an edited paragraph", "b", "bc", false],
+        ["a typed footnote reference", "b", "b[^1]", true],
+        ["an edited footnote definition", "note", "a note", true]
+    ])("tells whether the footnotes have changed with %s", (_, search, replacement, expected) => {
+        const { container, update } = setUp("a[^1]\n\nb\n\n[^1]: note");
+
+        type(container, search, replacement);
+
+        expect(update().hasChangedFootnotes).toBe(expected);
+    });
+
+    test("keeps the headings of the rendered blocks", () => {
+        const { container, update, getHeadings } = setUp("# A\n\n> ## B\n\nc");
+
+        type(container, "c", "### c");
+        update();
+        expect(getHeadings()).toEqual([{ level: 1, text: "A" }, { level: 2, text: "B" }, { level: 3, text: "c" }]);
+
+        container.firstChild.remove();
+        expect(update().hasChangedOutline).toBe(true);
+        expect(getHeadings()).toEqual([{ level: 2, text: "B" }, { level: 3, text: "c" }]);
+    });
+});
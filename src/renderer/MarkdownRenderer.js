@@ -1,13 +1,39 @@
-import { marked } from "marked";
+import { Marked, marked } from "marked";
 import { renderer } from "./Renderer";
+import { previewRenderer } from "./PreviewRenderer";
 import { tokenizer } from "./Tokenizer";
+import { hooks } from "./Hooks";
+import { extensions } from "./Extensions";
+import { flattenOutline, getOutline } from "../utils/OutlineUtils";
+
+export { configureSanitizer } from "./Sanitizer";
+export { configureHighlighter, getHighlighterLanguages } from "./Highlighter";
 
 marked.use({
     async: true,
     pedantic: false,
     gfm: true,
     renderer,
-    tokenizer
+    tokenizer,
+    hooks,
+    extensions
+});
+
+/**
+ * The instance of marked that renders the read-only preview: the tokens of the editor, rendered without their signs.
+ * It renders synchronously, so that it can be used on a server.
+ */
+const previewMarked = new Marked({
+    async: false,
+    pedantic: false,
+    gfm: true,
+    renderer: previewRenderer,
+    tokenizer,
+    hooks,
+    extensions: extensions.map(({ previewRenderer: extensionRenderer, ...extension }) => ({
+        ...extension,
+        renderer: extensionRenderer
+    }))
 });
 
 /**
@@ -21,4 +47,88 @@ marked.use({
  */
 export async function parseMarkdownString(mdStr) {
     return await marked.parse(mdStr);
-}
\ No newline at end of file
+}
+
+/**
+ * Tokenizes a Markdown string into top-level block tokens, the same way as `parseMarkdownString`.
+ * 
+ * @param {String} mdStr Markdown as a string ( a whole document, or a part of it ).
+ * @param {Object} [links={}] The link definitions of the document, for the references of a part of it.
+ * @returns {[Object]} The top-level tokens, with the link definitions as their `links` property.
+ * 
+ * @example
+ * const tokens = lexMarkdownString("# Heading");
+ */
+export function lexMarkdownString(mdStr, links = {}) {
+    const lexer = new marked.Lexer(marked.defaults);
+    Object.assign(lexer.tokens.links, links);
+
+    return hooks.processAllTokens(lexer.lex(mdStr));
+}
+
+/**
+ * Convert the tokens given by `lexMarkdownString` to an HTML string.
+ * 
+ * @param {[Object]} tokens The top-level tokens.
+ * @returns {String} HTMLElement as a string.
+ * 
+ * @example
+ * const html = renderMarkdownTokens(lexMarkdownString("# Heading"));
+ */
+export function renderMarkdownTokens(tokens) {
+    return hooks.postprocess(marked.parser(tokens));
+}
+
+/**
+ * Convert a Markdown string to an HTML string, synchronously and without a DOM ( e.g. on a server ).
+ * 
+ * The `preview` mode renders clean semantic HTML for published documents: no markdown signs, no zero-width spaces,
+ * no `md-*` classes unless a `classPrefix` is given. The headings get unique anchors as their id, the tables
+ * of contents ( `[[toc]]` ) list them, and the footnote references link to their footnote.
+ * The `editor` mode renders the HTML of the editor, like `parseMarkdownString`.
+ * 
+ * @param {String} mdStr Markdown as a string.
+ * @param {Object} [options]
+ * @param {"preview"|"editor"} [options.mode="preview"] The HTML to render.
+ * @param {String} [options.classPrefix=""] The prefix of the classes of the preview elements ( e.g. `md-` gives
+ *      `md-heading` ), no classes by default.
+ * @returns {String} HTMLElement as a string.
+ * 
+ * @example
+ * const html = renderMarkdownToHTML("# Heading\n\n[[toc]]", { mode: "preview" });
+ */
+export function renderMarkdownToHTML(mdStr, { mode = "preview", classPrefix = "" } = {}) {
+    if (mode === "editor") return renderMarkdownTokens(lexMarkdownString(mdStr));
+
+    const outline = getOutline(mdStr);
+
+    return previewMarked.parse(mdStr, { preview: getPreviewOptions(outline, classPrefix) });
+}
+
+/**
+ * Convert the tokens given by `lexMarkdownString` to the HTML of the read-only preview, like `renderMarkdownToHTML`,
+ * one top-level token at a time, so that each rendered block can follow its source ( e.g. in the split view ).
+ * 
+ * @param {[Object]} tokens The top-level tokens.
+ * @param {[import("../utils/OutlineUtils").OutlineHeading]} outline The outline of the document, given by `getOutline`.
+ * @returns {[String]} The HTML string of each token, empty for a token that displays nothing ( e.g. a space ).
+ * 
+ * @example
+ * const blocks = renderPreviewTokens(lexMarkdownString(markdown), getOutline(markdown));
+ */
+export function renderPreviewTokens(tokens, outline) {
+    const options = { ...previewMarked.defaults, preview: getPreviewOptions(outline, "") };
+
+    return tokens.map(token => hooks.postprocess(previewMarked.parser([token], options)));
+}
+
+/**
+ * Gets the `preview` options of the preview renderer. The anchors are given to the headings in their order.
+ * 
+ * @param {[import("../utils/OutlineUtils").OutlineHeading]} outline The outline of the document.
+ * @param {String} classPrefix The prefix of the classes of the preview elements.
+ * @returns {Object} The options.
+ */
+function getPreviewOptions(outline, classPrefix) {
+    return { classPrefix, outline, headings: flattenOutline(outline), headingIndex: 0 };
+}
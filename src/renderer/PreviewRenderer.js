@@ -0,0 +1,182 @@
+import { escapeHTML, toSlug } from "../utils/StringUtils";
+import { rules } from "./rules";
+import { sanitizeURL } from "./Sanitizer";
+import { highlightCode } from "./Highlighter";
+import { convertDiagramToSVG, isDiagramLanguage } from "./DiagramConverter";
+
+/**
+ * Renders the class attribute of a preview element. The preview has no classes, unless a prefix is requested
+ * ( e.g. `md-` gives `class="md-heading"` ), to style the published documents apart from the rest of a page.
+ *
+ * @function
+ * @param {Object} options - The options of the parser, holding the `preview` options of `renderMarkdownToHTML`.
+ * @param {string} type - The type of the element.
+ *
+ * @returns {string} The class attribute, with its leading space, or an empty string.
+ *
+ * @example
+ * const html = `<p${renderClass(this.options, "paragraph")}>`;
+ */
+export function renderClass(options, type) {
+    const prefix = options.preview?.classPrefix;
+
+    return prefix ? ` class="${escapeHTML(prefix + type)}"` : "";
+}
+
+/**
+ * Gets the anchor of a footnote, shared by the footnote and its references.
+ *
+ * @function
+ * @param {string} label - The label of the footnote.
+ *
+ * @returns {string} The anchor, without `#`.
+ *
+ * @example
+ * const anchor = getFootnoteAnchor("Note 1"); // "fn-note-1"
+ */
+export function getFootnoteAnchor(label) {
+    return `fn-${toSlug(label)}`;
+}
+
+/**
+ * Renders the list of a table of contents, with a link to each heading.
+ *
+ * @function
+ * @param {[import("../utils/OutlineUtils").OutlineHeading]} headings - The headings of a level.
+ *
+ * @returns {string} The HTML string of the list.
+ *
+ * @example
+ * const html = renderTableOfContents(getOutline(markdown));
+ */
+export function renderTableOfContents(headings) {
+    if (!headings.length) return "";
+
+    const items = headings.map(heading => {
+        return `<li><a href="#${escapeHTML(heading.anchor)}">${escapeHTML(heading.text)}</a>${renderTableOfContents(heading.children)}</li>`;
+    });
+
+    return `<ul>${items.join("")}</ul>`;
+}
+
+/**
+ * The renderer of the read-only preview: the semantic HTML of the document, without the markdown signs,
+ * the zero-width spaces and the inputs that the editor needs. The tokens are the same as the editor's.
+ */
+export const previewRenderer = {
+    // Block-level renderer methods
+    space() {
+        return "";
+    },
+    code({ text, lang, codeBlockStyle }) {
+        const language = (lang || "").match(rules.other.codeLanguage)[0];
+
+        // The text of the token has no fences ( and no indentation ). A diagram that cannot be read is displayed as its code.
+        if (codeBlockStyle !== "indented" && isDiagramLanguage(language)) {
+            try {
+                const src = `data:image/svg+xml,${encodeURIComponent(convertDiagramToSVG(text))}`;
+
+                return `<p${renderClass(this.options, "diagram")}><img src="${escapeHTML(src)}" alt="diagram"></p>\n`;
+            } catch {
+                // The code block is rendered below.
+            }
+        }
+
+        const languageClass = language ? ` class="language-${escapeHTML(language)}"` : "";
+
+        return `<pre${renderClass(this.options, "code")}><code${languageClass}>${highlightCode(text, language)}</code></pre>\n`;
+    },
+    blockquote({ tokens }) {
+        return `<blockquote${renderClass(this.options, "blockquote")}>\n${this.parser.parse(tokens)}</blockquote>\n`;
+    },
+    heading({ tokens, depth }) {
+        // The anchors are the ones of the outline, unique in the document.
+        const preview = this.options.preview || {};
+        const heading = preview.headings?.[preview.headingIndex++];
+        const idAttr = heading ? ` id="${escapeHTML(heading.anchor)}"` : "";
+
+        return `<h${depth}${idAttr}${renderClass(this.options, "heading")}>${this.parser.parseInline(tokens)}</h${depth}>\n`;
+    },
+    hr() {
+        return `<hr${renderClass(this.options, "hr")}>\n`;
+    },
+    html({ text }) {
+        // The raw HTML is kept, the sanitizer removes what is not allowed.
+        return text;
+    },
+    list({ ordered, start, items }) {
+        const tag = ordered ? "ol" : "ul";
+        const startAttr = ordered && start !== 1 ? ` start="${start}"` : "";
+        const body = items.map(item => this.listitem(item)).join("");
+
+        return `<${tag}${startAttr}${renderClass(this.options, "list")}>\n${body}</${tag}>\n`;
+    },
+    listitem({ tokens, task, checked, loose }) {
+        const checkbox = task ? `${this.checkbox({ checked })} ` : "";
+
+        // The items of a tight list hold their text without a paragraph.
+        return `<li${renderClass(this.options, task ? "task" : "listitem")}>${checkbox}${this.parser.parse(tokens, !!loose)}</li>\n`;
+    },
+    checkbox({ checked }) {
+        return `<input type="checkbox" disabled${checked ? " checked" : ""}>`;
+    },
+    table({ header, rows }) {
+        const head = this.tablerow({ text: header.map(cell => this.tablecell(cell)).join("") });
+        const body = rows.map(row => this.tablerow({ text: row.map(cell => this.tablecell(cell)).join("") })).join("");
+
+        return `<table${renderClass(this.options, "table")}>\n<thead>\n${head}</thead>\n${body ? `<tbody>\n${body}</tbody>\n` : ""}</table>\n`;
+    },
+    tablerow({ text }) {
+        return `<tr>\n${text}</tr>\n`;
+    },
+    tablecell({ tokens, header, align }) {
+        const tag = header ? "th" : "td";
+        const alignAttr = align ? ` align="${align}"` : "";
+
+        return `<${tag}${alignAttr}>${this.parser.parseInline(tokens)}</${tag}>\n`;
+    },
+    paragraph({ tokens }) {
+        return `<p${renderClass(this.options, "paragraph")}>${this.parser.parseInline(tokens)}</p>\n`;
+    },
+    // Inline-level renderer methods
+    strong({ tokens }) {
+        return `<strong>${this.parser.parseInline(tokens)}</strong>`;
+    },
+    em({ tokens }) {
+        return `<em>${this.parser.parseInline(tokens)}</em>`;
+    },
+    codespan({ text }) {
+        return `<code>${escapeHTML(text)}</code>`;
+    },
+    br() {
+        return "<br>";
+    },
+    del({ tokens }) {
+        return `<del>${this.parser.parseInline(tokens)}</del>`;
+    },
+    link({ tokens, href, title }) {
+        const text = this.parser.parseInline(tokens);
+        // A link whose scheme is not allowed is rendered as its text.
+        const url = sanitizeURL(href);
+        if (url === null) return text;
+
+        const titleAttr = title ? ` title="${escapeHTML(title)}"` : "";
+
+        return `<a href="${escapeHTML(url)}"${titleAttr}>${text}</a>`;
+    },
+    image({ text, href, title, width }) {
+        const url = sanitizeURL(href, true);
+        if (url === null) return escapeHTML(text);
+
+        const titleAttr = title ? ` title="${escapeHTML(title)}"` : "";
+        const widthAttr = width ? ` width="${width}"` : "";
+
+        return `<img src="${escapeHTML(url)}" alt="${escapeHTML(text)}"${titleAttr}${widthAttr}>`;
+    },
+    text(token) {
+        if (token.tokens) return this.parser.parseInline(token.tokens);
+
+        // The text of the paragraph that marked builds around the text of a loose list item is already rendered.
+        return token.escaped ? token.text : escapeHTML(token.text.replace(rules.restorer.zeroWidthSpace, ""));
+    }
+};
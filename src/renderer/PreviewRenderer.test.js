@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { lexMarkdownString, renderMarkdownTokens, renderMarkdownToHTML, renderPreviewTokens } from "./MarkdownRenderer";
+import { getOutline } from "../utils/OutlineUtils";
+
+describe("renderMarkdownToHTML", () => {
+    test("renders semantic HTML without signs or classes", () => {
+        expect(renderMarkdownToHTML("Some **bold** and `code`\n\n- a\n- [x] b\n\n> quote")).toBe(
+            "<p>Some <strong>bold</strong> and <code>code</code></p>\n" +
+            "<ul>\n<li>a</li>\n<li><input type=\"checkbox\" disabled checked> b</li>\n</ul>\n" +
+            "<blockquote>\n<p>quote</p>\n</blockquote>\n"
+        );
+    });
+
+    test("gives unique anchors to the headings and fills the tables of contents", () => {
+        expect(renderMarkdownToHTML("[[toc]]\n\n# Intro\n\n## Intro")).toBe(
+            "<nav><ul><li><a href=\"#intro\">Intro</a><ul><li><a href=\"#intro-1\">Intro</a></li></ul></li></ul></nav>\n" +
+            "<h1 id=\"intro\">Intro</h1>\n<h2 id=\"intro-1\">Intro</h2>\n"
+        );
+    });
+
+    test("links the footnote references and hides the link definitions", () => {
+        expect(renderMarkdownToHTML("[a][r] note[^1]\n\n[r]: https://example.com\n[^1]: Text")).toBe(
+            "<p><a href=\"https://example.com\">a</a> note<sup><a href=\"#fn-1\">1</a></sup></p>\n" +
+            "<div id=\"fn-1\"><sup>1</sup> Text</div>\n"
+        );
+    });
+
+    test("prefixes the classes when requested", () => {
+        expect(renderMarkdownToHTML("# Title", { classPrefix: "md-" })).toBe("<h1 id=\"title\" class=\"md-heading\">Title</h1>\n");
+    });
+
+    test("drops the links whose scheme is not allowed", () => {
+        expect(renderMarkdownToHTML("[x](javascript:alert(1))")).toBe("<p>x</p>\n");
+    });
+
+    test("renders the HTML of the editor in the editor mode", () => {
+        const markdown = "# Title\n\ntext";
+
+        expect(renderMarkdownToHTML(markdown, { mode: "editor" })).toBe(renderMarkdownTokens(lexMarkdownString(markdown)));
+    });
+});
+
+describe("renderPreviewTokens", () => {
+    test("renders each top-level token like renderMarkdownToHTML", () => {
+        const markdown = "[[toc]]\n\n# Intro\n\n## Intro\n\n[r]: https://example.com";
+        const [toc, space, heading, , subheading, , definition] = renderPreviewTokens(lexMarkdownString(markdown), getOutline(markdown));
+
+        expect(toc + heading + subheading).toBe(renderMarkdownToHTML(markdown));
+        expect([space, definition]).toEqual(["", ""]);
+    });
+});
@@ -1,4 +1,8 @@
-import { spacesSeparatedToHump } from "../utils/StringUtils";
+import { escapeHTML, getTokensText, rtrim, toSlug } from "../utils/StringUtils";
+import { rules } from "./rules";
+import { sanitizeURL } from "./Sanitizer";
+import { highlightCode } from "./Highlighter";
+import { convertDiagramToSVG, isDiagramLanguage } from "./DiagramConverter";
 
 /**
  * Renders an inline HTML element wrapped with markdown signs and additional content.
@@ -18,27 +22,187 @@ import { spacesSeparatedToHump } from "../utils/StringUtils";
  */
 function renderEnclosedInlineElement(type, HTMLContent, prefixSign, suffixSign) {
     // Wrap the HTML content with an inline markdown element, adding prefix and suffix signs.
-    return `<span class="md-i" data-type="${type}"><span class="md-sign md-prefix-sign">${prefixSign}</span>${HTMLContent}<span class="md-sign md-suffix-sign">${suffixSign}</span></span>`;
+    // The signs are raw markdown ( e.g. the url and the title of a link ), so they are escaped.
+    return `<span class="md-i" data-type="${type}"><span class="md-sign md-prefix-sign">${escapeHTML(prefixSign)}</span>${HTMLContent}<span class="md-sign md-suffix-sign">${escapeHTML(suffixSign)}</span></span>`;
+}
+
+/**
+ * Detaches the markdown signs that enclose the text of an inline element.
+ *
+ * @function
+ * @param {string} raw - The raw markdown of the element, e.g. `"**Hello**"`.
+ * @param {string} text - The text enclosed by the signs, e.g. `"Hello"`.
+ * 
+ * @returns {[string, string]} The prefix and the suffix signs.
+ * 
+ * @example
+ * const [prefixSign, suffixSign] = detachSigns("[link](link)", "link"); // ["[", "](link)"]
+ */
+function detachSigns(raw, text) {
+    // Unlike `raw.split(text)`, the text may appear again in the signs ( e.g. the url of a link ).
+    const index = Math.max(raw.indexOf(text), 0);
+
+    return [raw.slice(0, index), raw.slice(index + text.length)];
+}
+
+/**
+ * Splits the raw markdown of a code block into its opening fence, its code and its closing fence.
+ * An indented code block has no fences, its code is the raw markdown itself ( indentation included ).
+ *
+ * @function
+ * @param {string} raw - The raw markdown of the code block, without trailing line breaks.
+ * @param {string} [codeBlockStyle] - `"indented"` for an indented code block.
+ * 
+ * @returns {{prefixSign: string, code: string, suffixSign: string}} The parts of the code block.
+ * 
+ * @example
+ * const { prefixSign, code, suffixSign } = splitCodeFences("```js\nlet a;\n```");
+ */
+function splitCodeFences(raw, codeBlockStyle) {
+    if (codeBlockStyle === "indented") {
+        return { prefixSign: "", code: raw, suffixSign: "" };
+    }
+
+    const lines = raw.split("\n");
+    const opening = lines.shift();
+    // A fence that is not closed extends to the end of the document.
+    const closing = lines.length && rules.other.fenceClosing.test(lines.at(-1)) ? lines.pop() : null;
+
+    return {
+        prefixSign: opening + (raw.length > opening.length ? "\n" : ""),
+        code: lines.join("\n"),
+        suffixSign: closing === null ? "" : (lines.length ? "\n" : "") + closing
+    };
+}
+
+/**
+ * Renders the preview of a diagram, an SVG image drawn from its code. A diagram that cannot be read is reported
+ * in place of the image, the message is displayed by the stylesheet so that it has no text to restore.
+ *
+ * @function
+ * @param {string} code - The code of the diagram.
+ * 
+ * @returns {string} The HTML string of the preview.
+ * 
+ * @example
+ * const html = renderDiagramPreview("graph TD\nA --> B");
+ */
+function renderDiagramPreview(code) {
+    try {
+        const src = `data:image/svg+xml,${encodeURIComponent(convertDiagramToSVG(code))}`;
+
+        return `<span class="md-preview" contenteditable="false"><img src="${escapeHTML(src)}" alt="diagram"></span>`;
+    } catch (error) {
+        return `<span class="md-preview md-diagram-error" contenteditable="false" data-error="${escapeHTML(error.message)}"></span>`;
+    }
+}
+
+/**
+ * Renders the task marker of a task list item, with a checkbox that reflects ( and toggles ) its state.
+ * The checkbox is not editable and has no text, so only the marker is restored to markdown.
+ *
+ * @function
+ * @param {string} taskSign - The task marker, e.g. `"[ ] "` or `"[x] "`.
+ * @param {boolean} checked - Whether the task is checked.
+ * 
+ * @returns {string} The HTML string of the task marker.
+ * 
+ * @example
+ * const html = renderTask("[x] ", true);
+ */
+function renderTask(taskSign, checked) {
+    return `<span class="md-task" data-checked="${!!checked}"><input class="md-task-checkbox" type="checkbox" contenteditable="false"${checked ? " checked" : ""}><span class="md-sign md-task-sign">${taskSign}</span></span>`;
 }
 
 export const renderer = {
     // Block-level renderer methods
-    space({ type, raw }) {
-        if (raw === "\n") return null;
+    space({ type, raw, separator }) {
+        // The line break between two nested blocks is not rendered, the separators of the top-level blocks are always
+        // rendered with their exact line breaks.
+        if (raw === "\n" && !separator) return null;
 
-        return `<p class="md-e md-b" data-type="${type}"></p>`;
+        return `<p class="md-e md-b" data-type="${type}" data-raw="${raw}"></p>`;
     },
-    code({ type, lang, text }) {
-        return `<pre class="md-e md-b" data-type="${type}"><span class="md-sign md-prefix-sign">\`\`\`${lang}\n</span><code class="code__block languate-${lang}">${text}</code><span class="md-sign md-suffix-sign">\n\`\`\`</span></pre>`;
+    code({ type, raw, lang, codeBlockStyle }) {
+        const { prefixSign, code, suffixSign } = splitCodeFences(rtrim(raw, "\n"), codeBlockStyle);
+        // The info string can hold more than the language ( e.g. ```js title="a.js" ).
+        const language = (lang || "").match(rules.other.codeLanguage)[0];
+        // The language of a fenced code block can be picked from an input, which has no text to restore.
+        const languageInput = prefixSign ?
+            `<input class="md-code-language" type="text" contenteditable="false" list="md-code-languages" placeholder="language" value="${escapeHTML(language)}">` :
+            "";
+
+        // The code of a fenced diagram ( e.g. ```mermaid ) is followed by its preview.
+        const isDiagram = prefixSign && isDiagramLanguage(language);
+        const blockType = isDiagram ? "diagram" : type;
+        const preview = isDiagram ? renderDiagramPreview(code) : "";
+
+        return `<pre class="md-e md-b" data-type="${blockType}">${languageInput}<span class="md-sign md-prefix-sign">${escapeHTML(prefixSign)}</span><code class="code__block language-${escapeHTML(language)}">${highlightCode(code, language)}</code><span class="md-sign md-suffix-sign">${escapeHTML(suffixSign)}</span>${preview}</pre>`;
     },
-    blockquote({ type, tokens }) {
-        return `<blockquote class="md-e md-b" data-type="${type}" data-sign=">">${this.parser.parse(tokens)}</blockquote>`;
+    blockquote({ type, tokens, emptySign }) {
+        return `<blockquote class="md-e md-b" data-type="${type}" data-sign=">" data-empty-sign="${emptySign}">${this.parser.parse(tokens)}</blockquote>`;
     },
-    heading({ type, tokens, depth }) {
+    heading({ type, raw, tokens, depth }) {
         const text = this.parser.parseInline(tokens);
-        const escapedText = tokens.reduce((acc, item) => acc + item.text, "");
 
-        return `<h${depth} class="md-e md-b" data-type="${type}" data-anchor="${spacesSeparatedToHump(escapedText)}" data-sign="${"#".repeat(depth) + " "}"><span class="md-content">${text}</span></h${depth}>`;
+        // An ATX heading keeps its exact opening ( and closing ) sequence, a setext heading keeps its underline.
+        const underline = raw.match(rules.other.setextHeadingUnderline)?.[0];
+        const sign = underline ? "" : raw.match(rules.other.headingSign)?.[0] || "";
+        const suffixSign = underline || raw.match(rules.other.headingClosingSign)?.[0] || "";
+
+        // The anchor is a slug of the text, made unique in the document by `applyOutline`.
+        return `<h${depth} class="md-e md-b" data-type="${type}" data-anchor="${escapeHTML(toSlug(getTokensText(tokens)))}" data-sign="${sign}" data-suffix-sign="${suffixSign}"><span class="md-content">${text}</span></h${depth}>`;
+    },
+    hr({ type, raw }) {
+        // The sign is kept as text, so that `***`, `---` or `_ _ _` is restored as it was written.
+        return `<div class="md-e md-b" data-type="${type}"><span class="md-sign md-prefix-sign">${rtrim(raw, "\n")}</span><hr contenteditable="false"></div>`;
+    },
+    html({ type, raw, text, block }) {
+        // Raw HTML is displayed ( and edited ) as its source.
+        if (block) {
+            return `<pre class="md-e md-b" data-type="${type}"><code class="md-content">${escapeHTML(rtrim(raw, "\n"))}</code></pre>`;
+        }
+
+        return `<span class="md-i" data-type="${type}">${escapeHTML(text)}</span>`;
+    },
+    list({ type, ordered, start, loose, items }) {
+        const tag = ordered ? "ol" : "ul";
+        const startAttr = ordered && start !== 1 ? ` start="${start}"` : "";
+        const body = items.map(item => this.listitem(item)).join("");
+
+        return `<${tag} class="md-e md-b" data-type="${type}" data-loose="${loose}"${startAttr}>${body}</${tag}>`;
+    },
+    listitem({ raw, tokens, task, checked }) {
+        // The bullet ( or number ) is kept as text, so that it can be edited and restored like any other sign.
+        const sign = raw.match(rules.other.listItemSign)?.[0] || "";
+        // Whether the item is separated from the next one by a blank line.
+        const spaced = rules.other.listItemEndsWithBlankLine.test(raw);
+        // The task marker ( "[ ] " or "[x] " ) follows the sign, next to the checkbox that toggles it.
+        const taskSign = task ? raw.slice(sign.length).match(rules.other.listItemTask)?.[0] : null;
+        const taskHTML = taskSign ? renderTask(taskSign, checked) : "";
+
+        const content = tokens.map(token => {
+            // The content of a list item is a "text" token rather than a paragraph.
+            return token.type === "text" ? this.paragraph(token) : this.parser.parse([token]);
+        }).join("");
+
+        return `<li class="md-e md-b" data-type="listitem" data-spaced="${spaced}"><span class="md-sign md-prefix-sign">${sign}</span>${taskHTML}${content}</li>`;
+    },
+    table({ type, header, rows }) {
+        const head = this.tablerow({ text: header.map(cell => this.tablecell(cell)).join("") });
+        const body = rows.map(row => this.tablerow({ text: row.map(cell => this.tablecell(cell)).join("") })).join("");
+
+        return `<table class="md-e md-b" data-type="${type}"><thead>${head}</thead><tbody>${body}</tbody></table>`;
+    },
+    tablerow({ text }) {
+        return `<tr>${text}</tr>`;
+    },
+    tablecell({ tokens, header, align }) {
+        const tag = header ? "th" : "td";
+        // An empty cell holds a zero-width space, so that the cursor can be placed in it.
+        const content = tokens.length ? this.parser.parseInline(tokens) : `<span class="md-i" data-type="inlineText">\u200b</span>`;
+
+        return `<${tag} class="md-e md-b" data-type="tablecell" data-align="${align || ""}">${content}</${tag}>`;
     },
     paragraph({ tokens }) {
         return `<p class="md-e md-b" data-type="paragraph">${this.parser.parseInline(tokens)}</p>`;
@@ -46,7 +210,7 @@ export const renderer = {
     // Inline-level renderer methods
     strong({ type, tokens, raw, text }) {
         // Detach markdown symbols.
-        const signs = raw.split(text);
+        const signs = detachSigns(raw, text);
 
         return renderEnclosedInlineElement(
             type,
@@ -55,7 +219,7 @@ export const renderer = {
         );
     },
     em({ type, tokens, raw, text }) {
-        const signs = raw.split(text);
+        const signs = detachSigns(raw, text);
 
         return renderEnclosedInlineElement(
             type,
@@ -63,20 +227,22 @@ export const renderer = {
             signs[0], signs[1]
         );
     },
-    codespan({ type, raw, text }) {
-        const signs = raw.split(text);
+    codespan({ type, raw }) {
+        // The text of the token has its line breaks and surrounding spaces removed, so the code is taken from the raw.
+        const fence = raw.match(rules.other.codespanFence)[0];
 
         return renderEnclosedInlineElement(
             type,
-            `<code class="md-content">${text}</code>`,
-            signs[0], signs[1]
+            `<code class="md-content">${escapeHTML(raw.slice(fence.length, raw.length - fence.length))}</code>`,
+            fence, fence
         );
     },
-    br() {
-        return `<br class="md-i" data-type="br">`;
+    br({ raw }) {
+        // A hard line break is either a backslash or two spaces before the line break.
+        return `<br class="md-i" data-type="br" data-sign="${raw}">`;
     },
     del({ type, tokens, raw, text }) {
-        const signs = raw.split(text);
+        const signs = detachSigns(raw, text);
 
         return renderEnclosedInlineElement(
             type,
@@ -85,19 +251,36 @@ export const renderer = {
         );
     },
     link({ type, tokens, raw, text, href, title }) {
-        const signs = raw.split(text);
+        const signs = detachSigns(raw, text);
+        // A link whose scheme is not allowed ( e.g. `javascript:` ) is rendered without its href, its url is kept as a sign.
+        const url = sanitizeURL(href);
+        const hrefAttr = url === null ? "" : ` href="${escapeHTML(url)}"`;
+        // The url of a reference link ( `[text][id]` ) is written in its definition, so it is previewed on hover.
+        const isReference = signs[0] === "[" && !signs[1].startsWith("](");
+        const previewAttr = isReference ? ` data-preview="${escapeHTML(title ? `${href} "${title}"` : href)}"` : "";
 
         return renderEnclosedInlineElement(
             type,
-            `<a class="md-content" href="${href}" title="${title || text}">${this.parser.parseInline(tokens)}</a>`,
+            `<a class="md-content"${hrefAttr}${previewAttr} title="${escapeHTML(title || text)}">${this.parser.parseInline(tokens)}</a>`,
             signs[0], signs[1]
         );
     },
-    image({ type, raw, text, href, title }) {
-        return `<span class="md-i" data-type="${type}"><span class="md-image-content">${raw}</span><img src="${href}" title="${title || text}"></span>`;
+    image({ type, raw, text, href, title, width }) {
+        const url = sanitizeURL(href, true);
+        const srcAttr = url === null ? "" : ` src="${escapeHTML(url)}"`;
+        // The width written in the markdown is kept apart from the one of the image, which is changed by resizing it.
+        const widthAttr = width ? ` width="${width}"` : "";
+
+        return `<span class="md-i" data-type="${type}" data-width="${width || ""}"><span class="md-image-content">${escapeHTML(raw)}</span><img${srcAttr}${widthAttr} title="${escapeHTML(title || text)}"></span>`;
     },
-    text({ text }) {
+    text({ type, raw, text }) {
+        // An escaped character keeps its backslash as a sign.
+        if (type === "escape") {
+            return renderEnclosedInlineElement(type, `<span class="md-content">${escapeHTML(text)}</span>`, raw.slice(0, raw.length - text.length), "");
+        }
+
         text = text.replace(/^\$\u200b\$/, "\u200b");
-        return `<span class="md-i" data-type="inlineText">${text}</span>`;
+        // The text of a raw HTML element ( e.g. `<pre>` ) is not escaped by marked, it is displayed as source too.
+        return `<span class="md-i" data-type="inlineText">${escapeHTML(text)}</span>`;
     }
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { rules } from "./rules";
+import { getNodePath, resolveNodePath } from "../utils/DOMUtils";
 
 /**
  * Extract block-level from inline-level
@@ -10,21 +11,15 @@ import { rules } from "./rules";
  * const markdown = parseInlineElement(blockLevelContainer);
  */
 function parseInlineElement(container) {
-    let zwpAmount = 0;
-
-    const text = Array.from(container.querySelectorAll("&>.md-i"))
+    const text = Array.from(container.querySelectorAll(":scope>.md-i"))
         .map(inline => {
             const { type } = inline.dataset || {};
             const isSingleBR = isSingleBRWithNoAttributes(inline);
 
             const raw = {
-                br: () => restorer.br?.().text,
+                br: () => restorer.br?.(inline).text,
                 image: () => restorer.image?.(inline).text
-            }[type]?.() || (isSingleBR ? "\n> \u200b" : inline?.textContent || "");
-
-            // Count the number of zero-width spaces.
-            const zwpMatches = raw.match(rules.restorer.removableZeroWiseSpace) || [];
-            zwpAmount += zwpMatches.length;
+            }[type]?.() || (isSingleBR ? "\n> \u200b" : getSourceText(inline));
 
             // Remove zero-width spaces that meet the criteria.
             return raw.replace(rules.restorer.removableZeroWiseSpace, "");
@@ -32,11 +27,29 @@ function parseInlineElement(container) {
         .join("");
 
     return {
-        text,
-        zwpAmount
+        text
     };
 }
 
+/**
+ * Gets the markdown text of an element, without the text of its previews ( e.g. the MathML of a formula ),
+ * which is rendered from the source next to it.
+ *
+ * @param {HTMLElement} element - The element.
+ * @returns {String} The text of the element.
+ *
+ * @example
+ * const text = getSourceText(inlineMathElement); // "$x^2$"
+ */
+function getSourceText(element) {
+    if (!element.querySelector(".md-preview")) return element.textContent;
+
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(".md-preview").forEach(preview => preview.remove());
+
+    return clone.textContent;
+}
+
 /**
  * Checks if the given element contains exactly one child, and that child is a <br> tag with no attributes.
  *
@@ -63,53 +76,429 @@ function isSingleBRWithNoAttributes(element) {
     return false;
 }
 
+/**
+ * Pads the text of a table cell to the width of its column, according to the column alignment.
+ *
+ * @param {String} text - The markdown text of the cell.
+ * @param {Number} width - The width of the column.
+ * @param {String} [align] - The alignment of the column ( `left`, `center`, `right` or empty ).
+ * @returns {String} The padded text.
+ *
+ * @example
+ * const cell = padTableCell("a", 5, "center"); // "  a  "
+ */
+function padTableCell(text, width, align) {
+    const padding = width - getTableCellWidth(text);
+
+    if (align === "right") return " ".repeat(padding) + text;
+
+    if (align === "center") {
+        const left = Math.floor(padding / 2);
+        return " ".repeat(left) + text + " ".repeat(padding - left);
+    }
+
+    return text + " ".repeat(padding);
+}
+
+/**
+ * Gets the width of the text of a table cell. The selection markers take no room in the table.
+ *
+ * @param {String} text - The text of the cell.
+ * @returns {Number} The number of characters of the text, without the selection markers.
+ */
+function getTableCellWidth(text) {
+    return text.replace(rules.restorer.selectionMarkers, "").length;
+}
+
 /**
  * Extract the Markdown information from the HTML container and turn it into a Markdown string.
  * 
  * @param {HTMLElement} container HTML container with Markdown.
- * @returns {String} Markdown as a string.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {{text: String}} Markdown as a string.
  * 
  * @example
  * const markdown = await parseHTMLElement(MarkdownContainer);
  */
-export function parseHTMLElement(container) {
+export function parseHTMLElement(container, blockCache) {
+    return parseBlockNodes(Array.from(container.childNodes), blockCache);
+}
+
+/**
+ * Restores a top-level node of an HTML container.
+ * 
+ * @param {Node} node A child node of an HTML container with Markdown.
+ * @returns {{type: String|null, text: String}|null} The markdown of the node, with the type of
+ *      its block ( null for a text node ), or null if the node is not restored ( e.g. a blank text node ).
+ */
+function parseBlockNode(node) {
+    // Match non-null text nodes ( direct children )
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.trim() !== "" ? { type: null, text: node.textContent } : null;
+    }
+
+    // Match an element with a class name of .md-b
+    if (node.nodeType !== Node.ELEMENT_NODE || !node.matches(".md-b")) return null;
+
+    // Get the markdown type.
+    const type = node.dataset.type;
+
+    return { type, ...restorer[type](node) };
+}
+
+/**
+ * Turns a sequence of top-level nodes of an HTML container into a Markdown string.
+ * 
+ * @param {[Node]} nodes The consecutive child nodes of an HTML container with Markdown.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {{text: String}} Markdown as a string.
+ * 
+ * @example
+ * const { text } = parseBlockNodes(Array.from(container.childNodes).slice(2, 5));
+ */
+export function parseBlockNodes(nodes, blockCache) {
     let markdown = "";
-    let zwpAmount = 0;
-
-    // Gets all the block-level children of the container.
-    const blockElements = Array.from(container.childNodes).filter(node => {
-        // Match an element with a class name of .md-b
-        const isBlockElement = node.nodeType === Node.ELEMENT_NODE && node.matches(".md-b");
-        // Match non-null text nodes ( direct children )
-        const isDirectText = node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== "";
-        return isBlockElement || isDirectText;
+    let previous = null;
+
+    nodes.forEach(node => {
+        const block = restoreBlockNode(node, blockCache);
+        if (!block) return;
+
+        markdown += getBlockSeparator(previous, block) + block.text;
+        previous = block;
     });
 
-    blockElements.forEach(block => {
-        if (block.nodeType === Node.TEXT_NODE) {
-            markdown += block.textContent;
-            return;
-        }
+    return {
+        text: markdown
+    };
+}
 
-        // Get the markdown type.
-        const type = block.dataset?.type;
-        const tokens = restorer[type](block);
+/**
+ * Restores a top-level node, or takes it from the restored blocks if it has not changed.
+ * 
+ * @param {Node} node A child node of an HTML container with Markdown.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {{type: String|null, text: String}|null} The block, as given by `parseBlockNode`.
+ */
+function restoreBlockNode(node, blockCache) {
+    const block = blockCache?.has(node) ? blockCache.get(node) : parseBlockNode(node);
+    blockCache?.set(node, block);
 
-        markdown += tokens.text + "\n\n";
-        zwpAmount += tokens?.zwpAmount || 0;
+    return block;
+}
+
+/**
+ * Gets the markdown added between two restored blocks.
+ * The rendered blocks are separated by space elements holding the exact line breaks,
+ * the blocks that were inserted next to each other while editing are separated by a blank line.
+ * 
+ * @param {{type: String|null}|null} previous The previous restored block, null for the first one.
+ * @param {{type: String|null}} block The restored block.
+ * @returns {String} The blank line, or an empty string.
+ */
+function getBlockSeparator(previous, block) {
+    return previous?.type && previous.type !== "space" && block.type && block.type !== "space" ? "\n\n" : "";
+}
+
+// The number of characters of the restored blocks without their zero-width spaces, the blocks are never modified.
+const markdownLengths = new WeakMap();
+
+/**
+ * Counts the characters of a restored block, without the zero-width spaces.
+ * 
+ * @param {{text: String}} block The restored block.
+ * @returns {Number} The number of characters.
+ */
+function getMarkdownLength(block) {
+    if (!markdownLengths.has(block)) markdownLengths.set(block, countMarkdownCharacters(block.text));
+
+    return markdownLengths.get(block);
+}
+
+/**
+ * Inserts the selection marker at a boundary point of a range.
+ * 
+ * @param {Node} node - The container of the boundary point.
+ * @param {Number} offset - The offset of the boundary point in its container.
+ * @returns {() => void} Removes the marker.
+ */
+function insertSelectionMarker(node, offset) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        node.insertData(offset, rules.restorer.selectionMarker);
+
+        return () => node.deleteData(offset, rules.restorer.selectionMarker.length);
+    }
+
+    const marker = document.createTextNode(rules.restorer.selectionMarker);
+    node.insertBefore(marker, node.childNodes[offset] || null);
+
+    return () => marker.remove();
+}
+
+/**
+ * Gets the text nodes of an element that are restored to markdown, in the order of the document.
+ * The text of the previews ( e.g. the MathML of a formula ) is rendered from the source next to it, it is not restored.
+ * 
+ * @param {Node} element - The element.
+ * @returns {[Text]} The text nodes.
+ */
+function getSourceTextNodes(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement?.closest(".md-preview") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
     });
+    const nodes = [];
+
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    return nodes;
+}
+
+/**
+ * Counts the characters of a markdown text, without the zero-width spaces.
+ * 
+ * @param {String} text - The markdown text.
+ * @returns {Number} The number of characters.
+ */
+function countMarkdownCharacters(text) {
+    return text.replace(rules.restorer.zeroWidthSpace, "").length;
+}
+
+/**
+ * Creates the mapping between the positions of the DOM of a markdown container and the offsets of its markdown
+ * ( without the zero-width spaces ), in both directions.
+ * 
+ * Each top-level block covers the range of the markdown it is restored to, so the mapping also holds
+ * for the edits that have not been rendered yet. The blocks are only restored up to the one that holds
+ * the position ( or the offset ), and the ones that have not changed are taken from the `blockCache`.
+ * In the block, a position is marked in a copy of the block, which is restored on its own. A position that is
+ * not restored as text ( e.g. in an empty paragraph ) takes the offset of the nearest text.
+ * 
+ * @param {HTMLElement} container HTML container with Markdown.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {{toMarkdownOffset: (node: Node, offset: Number) => Number|null,
+ *      toDOMPosition: (markdownOffset: Number) => {node: Node, offset: Number}}} The mapping: `toMarkdownOffset` gives
+ *      the markdown offset of a DOM position ( null outside of the container ), `toDOMPosition` the DOM position
+ *      of a markdown offset.
+ * 
+ * @example
+ * const offsetMap = createOffsetMap(MarkdownContainer);
+ * const { node, offset } = offsetMap.toDOMPosition(offsetMap.toMarkdownOffset(range.startContainer, range.startOffset));
+ */
+export function createOffsetMap(container, blockCache) {
+    // The blocks restored so far, with their range of markdown offsets.
+    const blocks = [];
+    let nextNode = container.firstChild;
+    let previous = null;
+    let count = 0;
+
+    /**
+     * Restores the top-level nodes that follow the restored blocks, until a block matches the predicate.
+     * 
+     * @param {(block: {node: Node, start: Number, end: Number}) => Boolean} predicate - Tests a block.
+     * @returns {{node: Node, start: Number, end: Number}|undefined} The first block that matches, if any.
+     */
+    function findBlock(predicate) {
+        const block = blocks.find(predicate);
+        if (block) return block;
+
+        while (nextNode) {
+            const node = nextNode;
+            nextNode = node.nextSibling;
+
+            const restored = restoreBlockNode(node, blockCache);
+            if (!restored) continue;
+
+            const start = count + getBlockSeparator(previous, restored).length;
+            count = start + getMarkdownLength(restored);
+            previous = restored;
+
+            blocks.push({ node, start, end: count });
+            if (predicate(blocks.at(-1))) return blocks.at(-1);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Gets the markdown offset of a position of a block, by marking it in a copy of the block.
+     * The copy is made once, the marker is removed from it after each restoring.
+     * 
+     * @param {Node} node - The container of the position, in the block.
+     * @param {Number} offset - The offset of the position in its container.
+     * @returns {Number|null} The markdown offset, or null if the position is not restored as text.
+     */
+    function getBlockOffset(node, offset) {
+        let topLevelNode = node;
+        while (topLevelNode.parentNode !== container) topLevelNode = topLevelNode.parentNode;
+
+        const block = findBlock(candidate => candidate.node === topLevelNode);
+        if (!block) return null;
+
+        block.clone ??= topLevelNode.cloneNode(true);
+        const removeMarker = insertSelectionMarker(resolveNodePath(block.clone, getNodePath(topLevelNode, node)), offset);
+
+        const markdown = parseBlockNode(block.clone)?.text || "";
+        const index = markdown.indexOf(rules.restorer.selectionMarker);
+        removeMarker();
+
+        return index === -1 ? null : block.start + countMarkdownCharacters(markdown.slice(0, index));
+    }
 
     return {
-        text: markdown.replace(/\n{2,}$/, "\n\n"),
-        zwpAmount
+        toMarkdownOffset(node, offset) {
+            if (!container.contains(node)) return null;
+
+            const markdownOffset = node === container ? null : getBlockOffset(node, offset);
+            if (markdownOffset !== null) return markdownOffset;
+
+            // The start of the nearest text after the position, or the end of the nearest text before it.
+            const range = document.createRange();
+            range.setStart(node, offset);
+
+            const textNodes = getSourceTextNodes(container).filter(textNode => textNode !== node);
+            const candidates = [
+                ...textNodes.filter(textNode => range.comparePoint(textNode, 0) >= 0).map(textNode => [textNode, 0]),
+                ...textNodes.filter(textNode => range.comparePoint(textNode, 0) < 0).reverse().map(textNode => [textNode, textNode.length])
+            ];
+
+            for (const [textNode, textOffset] of candidates) {
+                const candidateOffset = getBlockOffset(textNode, textOffset);
+                if (candidateOffset !== null) return candidateOffset;
+            }
+
+            return null;
+        },
+        toDOMPosition(markdownOffset) {
+            // The first block that reaches the offset, an offset between two blocks is placed at the start of the next one.
+            const hasText = block => getSourceTextNodes(block.node).length > 0;
+            const block = findBlock(candidate => candidate.end >= markdownOffset && hasText(candidate)) ||
+                blocks.findLast(hasText);
+            if (!block) return { node: container, offset: 0 };
+
+            // The positions of the block are numbered in the order of the document: the end of a text node and the start
+            // of the next one are two positions, which can be far apart in the markdown ( e.g. two table cells ).
+            const textNodes = getSourceTextNodes(block.node);
+            const positionCount = textNodes.reduce((sum, textNode) => sum + textNode.length + 1, 0);
+
+            const getPosition = index => {
+                for (const textNode of textNodes) {
+                    if (index <= textNode.length) return { node: textNode, offset: index };
+                    index -= textNode.length + 1;
+                }
+
+                return { node: textNodes.at(-1), offset: textNodes.at(-1).length };
+            };
+
+            // The markdown offsets grow with the positions of the block, so the position is the first one
+            // whose markdown offset reaches the given one.
+            let low = 0;
+            let high = positionCount - 1;
+
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                const { node, offset } = getPosition(middle);
+                const middleOffset = getBlockOffset(node, offset);
+
+                if (middleOffset === null || middleOffset < markdownOffset) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+
+            return getPosition(low);
+        }
     };
 }
 
+/**
+ * Gets the selection of a markdown container as offsets in its markdown ( without the zero-width spaces ).
+ * 
+ * @param {HTMLElement} container HTML container with Markdown.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {{start: Number, end: Number, backward?: Boolean}|null} The offsets of the selection in the markdown,
+ *      with `backward` for a selection made from its end to its start, or null if the selection is outside of the container.
+ * 
+ * @example
+ * const { start, end } = getMarkdownSelection(MarkdownContainer);
+ */
+export function getMarkdownSelection(container, blockCache) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return null;
+
+    const range = sel.getRangeAt(0);
+    const offsetMap = createOffsetMap(container, blockCache);
+    const start = offsetMap.toMarkdownOffset(range.startContainer, range.startOffset);
+    const end = range.collapsed ? start : offsetMap.toMarkdownOffset(range.endContainer, range.endOffset);
+    if (start === null || end === null) return null;
+
+    const isBackward = !range.collapsed && sel.focusNode === range.startContainer && sel.focusOffset === range.startOffset;
+
+    return isBackward ? { start, end: Math.max(start, end), backward: true } : { start, end: Math.max(start, end) };
+}
+
+/**
+ * Gets the DOM positions of the ends of a selection given as offsets in the markdown.
+ *
+ * @param {HTMLElement} container HTML container with Markdown.
+ * @param {{start: Number, end: Number}} selection The selection, as offsets in the markdown.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {[{node: Node, offset: Number}]} The start and end positions.
+ */
+function getDOMPositions(container, { start, end }, blockCache) {
+    const offsetMap = createOffsetMap(container, blockCache);
+    const startPosition = offsetMap.toDOMPosition(start);
+
+    return [startPosition, end === start ? startPosition : offsetMap.toDOMPosition(end)];
+}
+
+/**
+ * Gets the DOM range of a selection given as offsets in the markdown ( the reverse of `getMarkdownSelection` ).
+ * 
+ * @param {HTMLElement} container HTML container with Markdown.
+ * @param {{start: Number, end: Number}} selection The selection, as offsets in the markdown.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {Range} The range.
+ * 
+ * @example
+ * const rects = getMarkdownRange(MarkdownContainer, { start: 4, end: 9 }).getClientRects();
+ */
+export function getMarkdownRange(container, { start, end }, blockCache) {
+    const [startPosition, endPosition] = getDOMPositions(container, { start, end }, blockCache);
+
+    const range = document.createRange();
+    range.setStart(startPosition.node, startPosition.offset);
+    range.setEnd(endPosition.node, endPosition.offset);
+
+    return range;
+}
+
+/**
+ * Selects the markdown offsets of a selection in a markdown container, e.g. after it has been rendered again.
+ * 
+ * @param {HTMLElement} container HTML container with Markdown.
+ * @param {{start: Number, end: Number, backward?: Boolean}} selection The selection, as given by `getMarkdownSelection`.
+ * @param {WeakMap<Node, Object>} [blockCache] The restored blocks, reused for the blocks that have not changed.
+ * @returns {void}
+ * 
+ * @example
+ * const selection = getMarkdownSelection(MarkdownContainer);
+ * // Render again.
+ * restoreMarkdownSelection(MarkdownContainer, selection);
+ */
+export function restoreMarkdownSelection(container, { start, end, backward = false }, blockCache) {
+    // The positions are selected as they are, a range would compare them through the whole document.
+    const [startPosition, endPosition] = getDOMPositions(container, { start, end }, blockCache);
+    const [anchor, focus] = backward ? [endPosition, startPosition] : [startPosition, endPosition];
+
+    window.getSelection().setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+}
+
 export const restorer = {
     // Block-level catcher methods
-    space() {
+    space(element) {
         return {
-            text: "\n\n"
+            text: element?.dataset.raw ?? "\n\n"
         };
     },
     code(element) {
@@ -117,49 +506,157 @@ export const restorer = {
             text: element.textContent
         };
     },
+    diagram(element) {
+        // The preview of a diagram has no text, the block is restored like a code block.
+        return restorer.code(element);
+    },
     blockquote(element) {
         const sign = element.dataset.sign + " ";
-        let zwpAmount = 0;
+        // The empty lines keep the sign they were written with ( "> " or ">" ).
+        const emptySign = element.dataset.emptySign ?? sign;
 
         const text = Array.from(element.children).map(child => {
             const type = child.dataset.type;
-            if (type === "space") return "> ";
+            if (type === "space") return emptySign;
 
             if (type === "paragraph") {
-                const tokens = parseInlineElement(child);
-                zwpAmount = tokens?.zwpAmount || 0;
-
-                return sign + tokens.text;
+                return sign + parseInlineElement(child).text;
             }
 
-            if (type === "blockquote") {
-                return restorer.blockquote(child)
-                    .split("\n")
-                    .map(line => sign + line)
-                    .join("\n");
-            }
+            // Other blocks ( nested blockquotes, lists... ) are restored on their own and then quoted line by line.
+            const tokens = restorer[type]?.(child);
+            if (!tokens) return "";
 
-            return "";
+            return tokens.text
+                .split("\n")
+                .map(line => line ? sign + line : emptySign)
+                .join("\n");
         })
             .join("\n")
             // Replace the paragraph ( \nn\ ) with the block reference "\n> \n>".
-            .replace(/\n\n/g, "\n> \n> ")
+            .replace(/\n\n/g, `\n${emptySign}\n> `)
             // Place the \n... Replace with \n> ...
-            .replace(/(?<!\\)\n(?!>)/g, "\n> ")
+            .replace(/\n(?!>)/g, "\n> ")
             // Replace the "\n>" at the end of the line with "\n> \u200b".
             .replace(/\n> +$/, "\n> \u200b")
             .trimEnd();
 
         return {
-            text,
-            zwpAmount
+            text
+        };
+    },
+    list(element) {
+        const text = Array.from(element.children)
+            .filter(child => child.matches(".md-b[data-type=listitem]"))
+            .map((child, index, items) => {
+                const tokens = restorer.listitem(child);
+
+                if (index === items.length - 1) return tokens.text;
+
+                // Keep the blank line that separated the item from the next one.
+                return tokens.text + (child.dataset.spaced === "true" ? "\n\n" : "\n");
+            })
+            .join("");
+
+        return {
+            text
+        };
+    },
+    listitem(element) {
+        const sign = element.querySelector(":scope>.md-sign")?.textContent || "";
+        const taskSign = element.querySelector(":scope>.md-task>.md-sign")?.textContent || "";
+        // The content of the item is aligned with the first character after the sign.
+        const indent = " ".repeat(sign.length);
+
+        const text = Array.from(element.children)
+            .filter(child => child.matches(".md-b"))
+            .map(child => {
+                const type = child.dataset.type;
+                // A blank line between the blocks of a loose item.
+                if (type === "space") return "";
+
+                return restorer[type]?.(child).text || "";
+            })
+            .join("\n")
+            .split("\n")
+            // Indent the continuation lines, leaving the blank lines empty.
+            .map((line, index) => index === 0 || !line ? line : indent + line)
+            .join("\n");
+
+        return {
+            text: sign + taskSign + text
+        };
+    },
+    table(element) {
+        const rows = Array.from(element.querySelectorAll(":scope>thead>tr, :scope>tbody>tr"))
+            .map(row => Array.from(row.children).map(cell => restorer.tablecell(cell).text));
+        const aligns = Array.from(element.querySelectorAll(":scope>thead>tr>*")).map(cell => cell.dataset.align);
+
+        // Every column is padded to the width of its widest cell ( at least 3, the shortest delimiter ).
+        const widths = aligns.map((_, column) => Math.max(3, ...rows.map(row => getTableCellWidth(row[column] || ""))));
+
+        const delimiters = widths.map((width, column) => {
+            const align = aligns[column];
+
+            return (align === "left" || align === "center" ? ":" : "-") +
+                "-".repeat(width - 2) +
+                (align === "right" || align === "center" ? ":" : "-");
+        });
+
+        const lines = rows.map(row => widths.map((width, column) => padTableCell(row[column] || "", width, aligns[column])));
+        lines.splice(1, 0, delimiters);
+
+        return {
+            text: lines.map(cells => `| ${cells.join(" | ")} |`).join("\n")
+        };
+    },
+    tablecell(element) {
+        const tokens = parseInlineElement(element);
+
+        return {
+            // The zero-width space of an empty cell is always rendered again, so it is not counted.
+            text: element.textContent.replace(/\u200b/g, "") ? tokens.text.replace(/\u200b/g, "").trim().replace(rules.restorer.tableCellPipe, "\\|") : ""
         };
     },
     heading(element) {
-        const sign = element.dataset.sign;
+        const { sign = "", suffixSign = "" } = element.dataset;
+
+        return {
+            text: sign + getSourceText(element) + suffixSign
+        };
+    },
+    hr(element) {
+        return {
+            text: element.textContent
+        };
+    },
+    html(element) {
+        return {
+            text: element.textContent
+        };
+    },
+    toc(element) {
+        return {
+            text: getSourceText(element)
+        };
+    },
+    linkDefinition(element) {
+        return {
+            text: element.textContent
+        };
+    },
+    footnoteDefinition(element) {
+        const sign = element.querySelector(":scope>.md-sign")?.textContent || "";
+        const tokens = parseInlineElement(element);
 
         return {
-            text: sign + " " + element.textContent
+            // The zero-width space of an empty footnote is always rendered again.
+            text: sign + tokens.text.replace(rules.restorer.zeroWidthSpace, "")
+        };
+    },
+    blockMath(element) {
+        return {
+            text: getSourceText(element)
         };
     },
     paragraph(element) {
@@ -172,14 +669,20 @@ export const restorer = {
         return parseInlineElement(element);
     },
     // Inline-level catcher methods
-    br() {
+    br(element) {
         return {
-            text: "\\\n"
+            text: element?.dataset.sign || "\\\n"
         };
     },
     image(element) {
+        const text = element.querySelector(":scope>.md-image-content").textContent;
+        const width = element.querySelector(":scope>img")?.getAttribute("width") || "";
+
+        // The width of an image that has been resized replaces the one written after it.
+        if (width === (element.dataset.width || "")) return { text };
+
         return {
-            text: element.querySelector("&>.md-image-content").textContent
+            text: text.replace(rules.image.widthSuffix, "") + (width ? `{width=${width}}` : "")
         };
     }
 };
\ No newline at end of file
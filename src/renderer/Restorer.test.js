@@ -0,0 +1,192 @@
+import { parseMarkdownString } from "./MarkdownRenderer";
+import { createOffsetMap, getMarkdownSelection, parseHTMLElement, restoreMarkdownSelection } from "./Restorer";
+
+/**
+ * Renders the markdown into a container, then restores the markdown from that container.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @returns {Promise<String>} The restored markdown.
+ */
+async function roundTrip(markdown) {
+    const container = document.createElement("div");
+    container.innerHTML = await parseMarkdownString(markdown);
+
+    return parseHTMLElement(container).text;
+}
+
+describe("parseHTMLElement", () => {
+    test.each([
+        ["paragraphs and blank lines", "First\n\n\n\nSecond\n"],
+        ["inline elements", "**bold** *em* _em_ ~~del~~ `code` [link](link \"title\") ![image](image.png)"],
+        ["autolinks and bare urls", "<https://example.com> and <me@example.com>, https://example.org and www.example.net"],
+        ["images with a width", "![small](a.png){width=120} and ![](<b c.png> \"t\"){width=8}"],
+        ["escapes and entities", "\\*not em\\* &amp; 1 < 2 `` a ` b ``"],
+        ["hard line breaks", "backslash\\\ntwo spaces  \nend"],
+        ["ATX headings", "# One\n\n## Two ##\n\n###   Three"],
+        ["setext headings", "Title\n=====\n\nMulti\nline\n---\n\npara"],
+        ["thematic breaks", "***\n\n---\n\n_ _ _\n"],
+        ["fenced code blocks", "```js\nconst html = \"<b>\";\n```\n\n~~~\ntilde\n~~~"],
+        ["indented code blocks", "    indented\n    code\n\npara"],
+        ["raw HTML blocks", "<div class=\"note\">\n  <b>hi</b>\n</div>\n\ninline <kbd>Ctrl</kbd>"],
+        ["blockquotes", "> quote\n> next line\n> \n> second paragraph\n\nafter"],
+        ["blockquotes with empty lines written without a space", "> a\n>\n> b\n\n> - c\n>\n> - d"],
+        ["lists", "- a\n- [ ] b\n  - c\n\n1. x\n2. y\n\n* loose\n\n* items"],
+        ["unordered lists", "- a\n- b\n\n+ c\n+ d\n\n* e"],
+        ["ordered lists", "1. a\n2. b\n10. c\n\n3) d\n4) e"],
+        ["nested lists", "- a\n  1. b\n     - c\n\n       d\n  2. e\n- f"],
+        ["loose lists", "* a\n\n* b\n\n  c\n\n  - d\n* e"],
+        ["task lists", "- [ ] a\n- [x] b\n  * [X]  c\n\n1. [ ] d\n2. [x]\te"],
+        ["tables", "| a   |  b  |   c |\n| :-- | :-: | --: |\n| 1   |  2  |   3 |"],
+        ["formulas", "Inline $x^2 + \\frac{a}{b}$ and $$\\sum_i i$$ in **$y$**, $5 and $10\n\n$$\n\\int_0^1 f(x)\\,dx\n$$\n\n$$ e = mc^2 $$  \n\n> $$\n> a\n> $$"],
+        ["a quote ending with an empty paragraph", "> a\n> \n> \u200b"],
+        ["tables of contents", "[[TOC]]\n\n# Title\n\n## Section\n\n[[toc]]  "],
+        ["link definitions", "See [the docs][Docs] and [docs].\n\n[docs]: https://example.com \"Docs\"\n  [other]:\n  <https://example.org>\n'title'\n\n> [quoted]: /q"],
+        ["footnotes", "Text[^1] and [^note].\n\n[^1]: The **first** note\ncontinued.\n[^note]:\n\n[^x](link) and [^y][docs]"]
+    ])("restores %s as they were written", async (_, markdown) => {
+        expect(await roundTrip(markdown)).toBe(markdown);
+    });
+
+    test.each([
+        ["a table written without padding", "|a|b|c|\n|:-|:-:|-:|\n|long cell|2|3|", "| a         |  b  |   c |\n| :-------- | :-: | --: |\n| long cell |  2  |   3 |"],
+        ["a table with an escaped pipe", "| a \\| b | c |\n| - | - |\n| 1 | 2 |", "| a \\| b | c   |\n| ------ | --- |\n| 1      | 2   |"],
+        ["a table with a missing cell", "| a | b |\n|---|---|\n| 1 |", "| a   | b   |\n| --- | --- |\n| 1   |     |"]
+    ])("pads the cells of %s to the width of their column", async (_, markdown, expected) => {
+        expect(await roundTrip(markdown)).toBe(expected);
+        expect(await roundTrip(expected)).toBe(expected);
+    });
+});
+
+describe("restorer.image", () => {
+    test.each([
+        ["written after an image", "![a](a.png)", "![a](a.png){width=240}"],
+        ["that replaces the written one", "![a](a.png){width=120}", "![a](a.png){width=240}"]
+    ])("restores the width of a resized image %s", async (_, markdown, expected) => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+        container.querySelector("img").setAttribute("width", "240");
+
+        expect(parseHTMLElement(container).text).toBe(expected);
+    });
+});
+
+describe("getMarkdownSelection", () => {
+    /**
+     * Renders the markdown, then selects a text in the rendered container.
+     *
+     * @param {String} markdown - The markdown to render.
+     * @param {String} text - The text to select ( its first occurrence in a text node ).
+     * @param {Boolean} [collapsed=false] - Whether the cursor is placed at the start of the text instead.
+     * @returns {Promise<HTMLElement>} The container.
+     */
+    async function select(markdown, text, collapsed = false) {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+        document.body.replaceChildren(container);
+
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode() && !walker.currentNode.textContent.includes(text));
+
+        const node = walker.currentNode;
+        const offset = node.textContent.indexOf(text);
+        window.getSelection().setBaseAndExtent(node, offset, node, collapsed ? offset : offset + text.length);
+
+        return container;
+    }
+
+    test.each([
+        ["a paragraph after a heading", "# Title ##\n\nSome text", "text"],
+        ["a blockquote", "> a\n> quoted line", "line"],
+        ["a list item", "- a\n  - nested item", "item"],
+        ["a table cell", "| a   | b   |\n| --- | --- |\n| 1   | two |", "two"],
+        ["a hard line break", "one\\\ntwo  \nthree", "three"]
+    ])("maps a selection in %s to markdown offsets", async (_, markdown, text) => {
+        const container = await select(markdown, text);
+        const start = markdown.indexOf(text);
+
+        expect(getMarkdownSelection(container)).toEqual({ start, end: start + text.length });
+    });
+
+    test("maps a collapsed cursor", async () => {
+        const container = await select("**bold** word", "word", true);
+
+        expect(getMarkdownSelection(container)).toEqual({ start: 9, end: 9 });
+    });
+
+    test("ignores a selection outside of the container", async () => {
+        const container = await select("text", "text");
+        const outside = document.createElement("p");
+        outside.textContent = "outside";
+        document.body.append(outside);
+        window.getSelection().selectAllChildren(outside);
+
+        expect(getMarkdownSelection(container)).toBeNull();
+    });
+});
+
+describe("createOffsetMap", () => {
+    test("maps every markdown offset of the text back to itself", async () => {
+        const markdown = "# Title\n\nSome **bold** text\n\n> a\n> quoted line\n\n- a\n  - nested item\n\n| a   | b   |\n| --- | --- |\n| 1   | two |";
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+        const offsetMap = createOffsetMap(container);
+
+        ["Title", "bold", "quoted line", "nested item", "two"].forEach(text => {
+            const start = markdown.indexOf(text);
+
+            [start, start + text.length].forEach(offset => {
+                const { node, offset: nodeOffset } = offsetMap.toDOMPosition(offset);
+                expect(offsetMap.toMarkdownOffset(node, nodeOffset)).toBe(offset);
+            });
+        });
+    });
+
+    test("places the offsets of the signs that are not text at the nearest text", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("# Title\n\ntext");
+        const offsetMap = createOffsetMap(container);
+
+        const { node, offset } = offsetMap.toDOMPosition(0);
+        expect(node.textContent.slice(offset)).toBe("Title");
+        expect(offsetMap.toMarkdownOffset(node, offset)).toBe(2);
+    });
+
+    test("gives the offset of the next text to a position between two elements", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("# Title\n\ntext");
+
+        expect(createOffsetMap(container).toMarkdownOffset(container, 1)).toBe(9);
+    });
+
+    test("takes the markdown of the blocks before the position from the block cache", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("first\n\nsecond");
+        const blockCache = new WeakMap();
+        parseHTMLElement(container, blockCache);
+
+        // The cached block is not restored again, an edit that has not dropped it from the cache is not counted.
+        container.firstChild.querySelector("span").firstChild.data = "1st";
+        const text = container.lastChild.querySelector("span").firstChild;
+
+        expect(createOffsetMap(container, blockCache).toMarkdownOffset(text, 0)).toBe(7);
+        expect(createOffsetMap(container).toMarkdownOffset(text, 0)).toBe(5);
+    });
+});
+
+describe("restoreMarkdownSelection", () => {
+    test.each([
+        ["a forward selection", { start: 2, end: 15 }],
+        ["a backward selection", { start: 2, end: 15, backward: true }],
+        ["a collapsed cursor", { start: 13, end: 13 }]
+    ])("restores %s across blocks after a rendering", async (_, selection) => {
+        const markdown = "# Title\n\nSome **bold** text";
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+        document.body.replaceChildren(container);
+
+        restoreMarkdownSelection(container, selection);
+        container.innerHTML = await parseMarkdownString(markdown);
+
+        restoreMarkdownSelection(container, selection);
+        expect(getMarkdownSelection(container)).toEqual(selection);
+    });
+});
@@ -0,0 +1,187 @@
+import { rules } from "./rules";
+
+/**
+ * The allow-lists used to sanitize the rendered HTML.
+ *
+ * - `allowedSchemes`: the URL schemes allowed in links. Relative URLs are always allowed.
+ * - `allowedImageSchemes`: the URL schemes allowed in images ( `data:` is only allowed for images types ).
+ * - `allowedTags`: the HTML tags allowed in the rendered HTML, the other tags are displayed as text.
+ * - `allowedAttributes`: the attributes allowed on those tags ( `data-*` attributes are always allowed ).
+ */
+const options = {
+    allowedSchemes: ["http", "https", "mailto", "tel", "ftp"],
+    allowedImageSchemes: ["http", "https", "data", "blob"],
+    allowedTags: [
+        "a", "blockquote", "br", "code", "del", "div", "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "img", "input",
+        "li", "nav", "ol", "p", "pre", "span", "strong", "sup", "table", "tbody", "td", "th", "thead", "tr", "ul",
+        // The MathML of the formulas.
+        "annotation", "math", "merror", "mfrac", "mi", "mn", "mo", "mover", "mroot", "mrow", "mspace", "msqrt",
+        "mstyle", "msub", "msubsup", "msup", "mtable", "mtd", "mtext", "mtr", "munder", "munderover", "semantics"
+    ],
+    allowedAttributes: [
+        "align", "alt", "checked", "class", "contenteditable", "disabled", "href", "id", "list", "placeholder", "src", "start",
+        "title", "type", "value",
+        "accent", "accentunder", "columnalign", "display", "displaystyle", "encoding", "fence", "linethickness", "lspace",
+        "mathvariant", "maxsize", "minsize", "rspace", "stretchy", "width"
+    ]
+};
+
+/**
+ * The attributes whose value is a URL.
+ */
+const URLAttributes = ["href", "src"];
+
+/**
+ * Configures the allow-lists used to sanitize the rendered HTML.
+ * The given lists replace the default ones, the lists that are not given are left unchanged.
+ *
+ * @param {Object} config - The allow-lists to use.
+ * @param {[String]} [config.allowedSchemes] - The URL schemes allowed in links.
+ * @param {[String]} [config.allowedImageSchemes] - The URL schemes allowed in images.
+ * @param {[String]} [config.allowedTags] - The HTML tags allowed in the rendered HTML.
+ * @param {[String]} [config.allowedAttributes] - The attributes allowed on those tags.
+ * @returns {Object} The previous allow-lists, so that they can be restored.
+ *
+ * @example
+ * const previous = configureSanitizer({ allowedSchemes: ["https"] });
+ */
+export function configureSanitizer(config = {}) {
+    const previous = { ...options };
+
+    Object.keys(options)
+        .filter(key => Array.isArray(config[key]))
+        .forEach(key => {
+            options[key] = config[key].map(item => item.toLowerCase());
+        });
+
+    return previous;
+}
+
+/**
+ * Decodes the character references of an HTML text or attribute value ( e.g. so that the URL of an attribute
+ * can be checked ).
+ *
+ * @param {String} value - The text or the attribute value.
+ * @returns {String} The decoded value.
+ *
+ * @example
+ * const url = decodeCharacterReferences("javascript&colon;alert(1)"); // "javascript:alert(1)"
+ */
+export function decodeCharacterReferences(value) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", colon: ":", tab: "\t", newline: "\n" };
+
+    return value.replace(rules.sanitizer.characterReference, (match, hex, decimal, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+
+        return named[name.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Checks the scheme of a URL against the allow-list.
+ * Relative URLs ( paths, anchors, protocol-relative URLs ) are always allowed.
+ *
+ * @param {String} url - The URL to check.
+ * @param {Boolean} [isImage=false] - Whether the URL is the source of an image.
+ * @returns {String|null} The URL, or null if its scheme is not allowed.
+ *
+ * @example
+ * const href = sanitizeURL("javascript:alert(1)"); // null
+ * const src = sanitizeURL("data:image/png;base64,...", true);
+ */
+export function sanitizeURL(url, isImage = false) {
+    if (typeof url !== "string") return null;
+
+    // The browsers ignore the control characters and the whitespaces of a scheme, e.g. `java\tscript:`.
+    const normalized = url.replace(rules.sanitizer.ignoredURLCharacters, "");
+    const scheme = normalized.match(rules.sanitizer.URLScheme)?.[1].toLowerCase();
+
+    if (!scheme) return url;
+
+    const schemes = isImage ? options.allowedImageSchemes : options.allowedSchemes;
+    if (!schemes.includes(scheme)) return null;
+
+    if (scheme === "data" && !rules.sanitizer.dataImageURL.test(normalized)) return null;
+
+    return url;
+}
+
+/**
+ * Escapes an attribute value, leaving its character references as they are.
+ *
+ * @param {String} value - The attribute value.
+ * @returns {String} The escaped value, to be placed between double quotes.
+ */
+function escapeAttribute(value) {
+    return value
+        .replace(rules.sanitizer.unescapedAmpersand, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Rebuilds the attributes of an allowed tag, keeping only the allowed attributes with safe values.
+ *
+ * @param {String} tag - The name of the tag.
+ * @param {String} attributes - The raw attributes of the tag.
+ * @returns {String} The sanitized attributes, each one preceded by a space.
+ */
+function sanitizeAttributes(tag, attributes) {
+    return Array.from(attributes.matchAll(rules.sanitizer.attribute))
+        .map(([, rawName, doubleQuoted, singleQuoted, unquoted]) => {
+            const name = rawName.toLowerCase();
+            const value = doubleQuoted ?? singleQuoted ?? unquoted;
+
+            if (!options.allowedAttributes.includes(name) && !name.startsWith("data-")) return "";
+            if (value === undefined) return ` ${name}`;
+
+            if (URLAttributes.includes(name) && sanitizeURL(decodeCharacterReferences(value), tag === "img") === null) {
+                return "";
+            }
+
+            return ` ${name}="${escapeAttribute(value)}"`;
+        })
+        .join("");
+}
+
+/**
+ * Sanitizes an HTML string against the allow-lists.
+ * The tags that are not allowed are displayed as text, the attributes that are not allowed
+ * ( including every event handler ) are removed, and so are the URLs whose scheme is not allowed.
+ *
+ * @param {String} html - The HTML string to sanitize.
+ * @returns {String} The sanitized HTML string.
+ *
+ * @example
+ * const html = sanitizeHTML(`<img src="x" onerror="alert(1)">`); // `<img src="x">`
+ */
+export function sanitizeHTML(html) {
+    let result = "";
+    let lastIndex = 0;
+
+    for (const match of html.matchAll(rules.sanitizer.tag)) {
+        const [raw, closing, rawName, attributes, selfClosing] = match;
+
+        // The text between two tags can not open another tag.
+        result += html.slice(lastIndex, match.index).replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        lastIndex = match.index + raw.length;
+
+        // Comments are removed.
+        if (!rawName) continue;
+
+        const name = rawName.toLowerCase();
+
+        if (!options.allowedTags.includes(name)) {
+            result += raw.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+            continue;
+        }
+
+        result += closing ?
+            `</${name}>` :
+            `<${name}${sanitizeAttributes(name, attributes)}${selfClosing ? " /" : ""}>`;
+    }
+
+    return result + html.slice(lastIndex).replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
@@ -0,0 +1,102 @@
+import { parseMarkdownString } from "./MarkdownRenderer";
+import { parseHTMLElement } from "./Restorer";
+import { configureSanitizer, sanitizeHTML, sanitizeURL } from "./Sanitizer";
+
+/**
+ * Renders the markdown into a container.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @returns {Promise<HTMLElement>} The container of the rendered HTML.
+ */
+async function parseToContainer(markdown) {
+    const container = document.createElement("div");
+    container.innerHTML = await parseMarkdownString(markdown);
+
+    return container;
+}
+
+/**
+ * Lists what could run a script in a rendered container: script-like elements, event handler attributes,
+ * and URLs whose scheme is not allowed.
+ *
+ * @param {HTMLElement} container - The container of the rendered HTML.
+ * @returns {[String]} The descriptions of the unsafe nodes.
+ */
+function findUnsafeNodes(container) {
+    return Array.from(container.querySelectorAll("*")).flatMap(element => {
+        const tag = element.tagName.toLowerCase();
+
+        if (["script", "style", "iframe", "object", "embed", "svg", "math", "form"].includes(tag)) return [tag];
+
+        return Array.from(element.attributes)
+            .filter(({ name, value }) => name.startsWith("on") ||
+                (["href", "src"].includes(name) && sanitizeURL(value, tag === "img") === null))
+            .map(({ name, value }) => `${tag}[${name}=${value}]`);
+    });
+}
+
+describe("sanitizer", () => {
+    test.each([
+        ["javascript link", "[x](javascript:alert(1))"],
+        ["mixed-case javascript link", "[x](JaVaScRiPt:alert(1))"],
+        ["javascript link with entities", "[x](&#106;avascript:alert(1))"],
+        ["javascript link with a tab", "[x](java&#9;script:alert(1))"],
+        ["vbscript link", "[x](vbscript:msgbox(1))"],
+        ["data link", "[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)"],
+        ["javascript autolink", "<javascript:alert(1)>"],
+        ["javascript reference link", "[x][a]\n\n[a]: javascript:alert(1)"],
+        ["link title breaking out of its attribute", "[x](https://example.com \"a\\\" onmouseover=\\\"alert(1)\")"],
+        ["link url breaking out of its attribute", "[x](<https://example.com\" onmouseover=\"alert(1)>)"],
+        ["javascript image", "![x](javascript:alert(1))"],
+        ["data html image", "![x](data:text/html,<script>alert(1)</script>)"],
+        ["image title breaking out of its attribute", "![x\" onerror=\"alert(1)](x.png)"],
+        ["inline HTML", "a <img src=x onerror=alert(1)> b"],
+        ["inline script", "a <script>alert(1)</script> b"],
+        ["HTML block", "<script>alert(1)</script>"],
+        ["HTML block with an event handler", "<div onclick=\"alert(1)\">\n\nx\n\n</div>"],
+        ["SVG in emphasis", "**<svg onload=alert(1)>**"],
+        ["HTML in a code span", "`<img src=x onerror=alert(1)>`"],
+        ["HTML in a code block", "```\"><img src=x onerror=alert(1)>\n<script>alert(1)</script>\n```"],
+        ["heading breaking out of its anchor", "# a\" onmouseover=\"alert(1)"],
+        ["HTML in a table cell", "| a |\n| - |\n| <img src=x onerror=alert(1)> |"],
+        ["HTML in a list item", "- <iframe src=\"javascript:alert(1)\"></iframe>"]
+    ])("neutralizes a %s", async (_, markdown) => {
+        const container = await parseToContainer(markdown);
+
+        expect(findUnsafeNodes(container)).toEqual([]);
+    });
+
+    test.each([
+        ["a javascript link", "[x](javascript:alert(1))"],
+        ["a link title with quotes", "[x](https://example.com \"a\\\" onmouseover=\\\"alert(1)\")"],
+        ["inline HTML", "a <img src=x onerror=alert(1)> b"],
+        ["an unsafe image", "![x\" onerror=\"alert(1)](javascript:alert(1))"]
+    ])("keeps the markdown of %s as it was written", async (_, markdown) => {
+        expect(parseHTMLElement(await parseToContainer(markdown)).text).toBe(markdown);
+    });
+
+    test("keeps safe and relative URLs", async () => {
+        const container = await parseToContainer("[a](https://example.com/?a=1&b=2) [b](/path#hash) [c](mailto:a@example.com) ![d](data:image/png;base64,AAAA)");
+
+        expect(Array.from(container.querySelectorAll("a")).map(a => a.getAttribute("href")))
+            .toEqual(["https://example.com/?a=1&b=2", "/path#hash", "mailto:a@example.com"]);
+        expect(container.querySelector("img").getAttribute("src")).toBe("data:image/png;base64,AAAA");
+    });
+
+    test("displays the tags that are not allowed as text", () => {
+        expect(sanitizeHTML(`<p data-type="paragraph" onclick="alert(1)">a<script>b</script><!-- c --></p>`))
+            .toBe(`<p data-type="paragraph">a&lt;script&gt;b&lt;/script&gt;</p>`);
+    });
+
+    test("uses the configured allow-lists", () => {
+        const previous = configureSanitizer({ allowedSchemes: ["https"], allowedTags: ["p", "kbd"] });
+
+        try {
+            expect(sanitizeURL("http://example.com")).toBeNull();
+            expect(sanitizeURL("https://example.com")).toBe("https://example.com");
+            expect(sanitizeHTML("<p><kbd>a</kbd><b>b</b></p>")).toBe("<p><kbd>a</kbd>&lt;b&gt;b&lt;/b&gt;</p>");
+        } finally {
+            configureSanitizer(previous);
+        }
+    });
+});
@@ -0,0 +1,563 @@
+import { escapeHTML } from "../utils/StringUtils";
+import { rules } from "./rules";
+
+/**
+ * The commands of the letters and the symbols that are identifiers.
+ */
+const identifiers = {
+    alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ϵ", varepsilon: "ε", zeta: "ζ", eta: "η", theta: "θ",
+    vartheta: "ϑ", iota: "ι", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", omicron: "ο", pi: "π", varpi: "ϖ",
+    rho: "ρ", varrho: "ϱ", sigma: "σ", varsigma: "ς", tau: "τ", upsilon: "υ", phi: "ϕ", varphi: "φ", chi: "χ",
+    psi: "ψ", omega: "ω",
+    Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ", Pi: "Π", Sigma: "Σ", Upsilon: "Υ", Phi: "Φ",
+    Psi: "Ψ", Omega: "Ω",
+    infty: "∞", partial: "∂", nabla: "∇", emptyset: "∅", varnothing: "∅", hbar: "ℏ", ell: "ℓ", aleph: "ℵ",
+    Re: "ℜ", Im: "ℑ", wp: "℘", imath: "ı", jmath: "ȷ"
+};
+
+/**
+ * The commands of the operators, the relations, the arrows and the punctuation.
+ */
+const operators = {
+    pm: "±", mp: "∓", times: "×", div: "÷", cdot: "⋅", ast: "∗", star: "⋆", circ: "∘", bullet: "∙", oplus: "⊕",
+    ominus: "⊖", otimes: "⊗", odot: "⊙", setminus: "∖", cup: "∪", cap: "∩", wedge: "∧", land: "∧", vee: "∨",
+    lor: "∨", neg: "¬", lnot: "¬",
+    leq: "≤", le: "≤", geq: "≥", ge: "≥", neq: "≠", ne: "≠", ll: "≪", gg: "≫", approx: "≈", equiv: "≡", sim: "∼",
+    simeq: "≃", cong: "≅", propto: "∝", in: "∈", notin: "∉", ni: "∋", subset: "⊂", subseteq: "⊆", supset: "⊃",
+    supseteq: "⊇", mid: "∣", parallel: "∥", perp: "⊥", forall: "∀", exists: "∃", nexists: "∄",
+    to: "→", rightarrow: "→", leftarrow: "←", gets: "←", leftrightarrow: "↔", Rightarrow: "⇒", Leftarrow: "⇐",
+    Leftrightarrow: "⇔", implies: "⟹", impliedby: "⟸", iff: "⟺", mapsto: "↦", uparrow: "↑", downarrow: "↓",
+    longrightarrow: "⟶", longleftarrow: "⟵",
+    ldots: "…", dots: "…", cdots: "⋯", vdots: "⋮", ddots: "⋱", prime: "′", colon: ":",
+    langle: "⟨", rangle: "⟩", lfloor: "⌊", rfloor: "⌋", lceil: "⌈", rceil: "⌉", vert: "|", Vert: "‖",
+    "{": "{", "}": "}", "|": "‖"
+};
+
+/**
+ * The commands of the operators whose limits can be placed under and over them.
+ */
+const largeOperators = {
+    sum: "∑", prod: "∏", coprod: "∐", bigcup: "⋃", bigcap: "⋂", bigoplus: "⨁", bigotimes: "⨂",
+    int: "∫", iint: "∬", iiint: "∭", oint: "∮"
+};
+
+/**
+ * The named functions, displayed upright. The ones of the second list take limits like the large operators.
+ */
+const functions = [
+    "sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh", "tanh", "coth",
+    "log", "ln", "lg", "exp", "det", "dim", "ker", "deg", "gcd", "hom", "arg", "Pr"
+];
+const limitFunctions = ["lim", "liminf", "limsup", "max", "min", "sup", "inf"];
+
+/**
+ * The accents, placed over ( or under ) their argument. A wide accent stretches over its whole argument.
+ */
+const accents = {
+    hat: ["^"], widehat: ["^", true], check: ["ˇ"], tilde: ["~"], widetilde: ["~", true], bar: ["‾"],
+    overline: ["‾", true], vec: ["→"], overrightarrow: ["→", true], dot: ["˙"], ddot: ["¨"], acute: ["´"],
+    grave: ["`"], breve: ["˘"], overbrace: ["⏞", true],
+    underline: ["_", true, true], underbrace: ["⏟", true, true]
+};
+
+/**
+ * The font commands, with the variant of their letters.
+ */
+const fonts = {
+    mathrm: "normal", mathit: "italic", mathbf: "bold", boldsymbol: "bold-italic", mathbb: "double-struck",
+    mathcal: "script", mathscr: "script", mathfrak: "fraktur", mathsf: "sans-serif", mathtt: "monospace"
+};
+
+/**
+ * The first code points of the mathematical alphanumeric symbols of a font variant ( capital letters, small letters
+ * and digits ), and the letters that are encoded elsewhere.
+ */
+const alphabets = {
+    italic: [0x1d434, 0x1d44e, null, { h: "ℎ" }],
+    bold: [0x1d400, 0x1d41a, 0x1d7ce, {}],
+    "bold-italic": [0x1d468, 0x1d482, 0x1d7ce, {}],
+    "double-struck": [0x1d538, 0x1d552, 0x1d7d8, { C: "ℂ", H: "ℍ", N: "ℕ", P: "ℙ", Q: "ℚ", R: "ℝ", Z: "ℤ" }],
+    script: [0x1d49c, 0x1d4b6, null, { B: "ℬ", E: "ℰ", F: "ℱ", H: "ℋ", I: "ℐ", L: "ℒ", M: "ℳ", R: "ℛ", e: "ℯ", g: "ℊ", o: "ℴ" }],
+    fraktur: [0x1d504, 0x1d51e, null, { C: "ℭ", H: "ℌ", I: "ℑ", R: "ℜ", Z: "ℨ" }],
+    "sans-serif": [0x1d5a0, 0x1d5ba, 0x1d7e2, {}],
+    monospace: [0x1d670, 0x1d68a, 0x1d7f6, {}]
+};
+
+/**
+ * The widths of the spacing commands.
+ */
+const spaces = {
+    ",": "0.1667em", ":": "0.2222em", ">": "0.2222em", ";": "0.2778em", "!": "-0.1667em", " ": "0.25em",
+    enspace: "0.5em", quad: "1em", qquad: "2em"
+};
+
+/**
+ * The sizes of the big delimiters.
+ */
+const delimiterSizes = { big: "1.2em", Big: "1.8em", bigg: "2.4em", Bigg: "3em" };
+
+/**
+ * The environments of the matrices, with their fences and the alignment of their columns.
+ */
+const environments = {
+    matrix: ["", ""], smallmatrix: ["", ""], pmatrix: ["(", ")"], bmatrix: ["[", "]"], Bmatrix: ["{", "}"],
+    vmatrix: ["|", "|"], Vmatrix: ["‖", "‖"], cases: ["{", "", "left"], array: ["", ""],
+    aligned: ["", "", "right left"], align: ["", "", "right left"], "align*": ["", "", "right left"],
+    gathered: ["", ""], split: ["", "", "right left"]
+};
+
+/**
+ * The characters that are operators when they are typed as they are.
+ */
+const operatorCharacters = "+-=<>*/!?,;:.()[]|'~";
+
+/**
+ * The characters typed for an operator that are displayed with another character.
+ */
+const displayedOperators = { "-": "−", "*": "∗", "'": "′" };
+
+/**
+ * Gets the value of a key of a table of commands, ignoring the properties inherited from `Object`
+ * ( e.g. `\toString` is not a command ).
+ *
+ * @param {Object} table - The table, e.g. `operators`.
+ * @param {String} key - The key, e.g. the name of a command.
+ * @returns {*} The value of the key, or undefined.
+ */
+function lookup(table, key) {
+    return Object.hasOwn(table, key) ? table[key] : undefined;
+}
+
+/**
+ * Wraps MathML elements into a row, unless there is a single element.
+ *
+ * @param {[String]} elements - The MathML elements.
+ * @returns {String} The MathML of the row.
+ */
+function row(elements) {
+    return elements.length === 1 ? elements[0] : `<mrow>${elements.join("")}</mrow>`;
+}
+
+/**
+ * Renders an operator.
+ *
+ * @param {String} text - The operator.
+ * @param {String} [attributes=""] - The attributes of the element, preceded by a space.
+ * @returns {String} The MathML of the operator.
+ */
+function operator(text, attributes = "") {
+    return `<mo${attributes}>${escapeHTML(text)}</mo>`;
+}
+
+/**
+ * Gets the letters and the digits of a text in a font variant.
+ *
+ * @param {String} text - The text.
+ * @param {String} variant - The font variant, e.g. `"bold"`.
+ * @returns {String} The text with the mathematical alphanumeric symbols of the variant.
+ */
+function applyFont(text, variant) {
+    const alphabet = alphabets[variant];
+    if (!alphabet) return text;
+
+    const [capitals, smalls, digits, exceptions] = alphabet;
+
+    return Array.from(text, character => {
+        if (exceptions[character]) return exceptions[character];
+        if (/[A-Z]/.test(character)) return String.fromCodePoint(capitals + character.charCodeAt(0) - 65);
+        if (/[a-z]/.test(character)) return String.fromCodePoint(smalls + character.charCodeAt(0) - 97);
+        if (digits && /[0-9]/.test(character)) return String.fromCodePoint(digits + character.charCodeAt(0) - 48);
+
+        return character;
+    }).join("");
+}
+
+/**
+ * Creates a parser of a TeX formula, which renders it to MathML.
+ * The parser reads the tokens of the formula one by one, and throws an error at the first one it cannot render.
+ *
+ * @param {String} tex - The TeX formula.
+ * @param {Boolean} display - Whether the formula is displayed on its own lines.
+ * @returns {{parseFormula: () => String}} The parser.
+ */
+function createParser(tex, display) {
+    const tokens = tex.match(rules.math.token) || [];
+    let index = 0;
+    // The font variant of the letters, set by the font commands.
+    let font = null;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const skipSpaces = () => {
+        while (index < tokens.length && /^\s+$/.test(peek())) index++;
+    };
+
+    const expect = (token) => {
+        skipSpaces();
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    /**
+     * Reads the raw text of a group ( e.g. the argument of `\text` ), without rendering it.
+     */
+    const readRawGroup = () => {
+        expect("{");
+
+        let text = "";
+        for (let depth = 0; ;) {
+            const token = next();
+            if (token === undefined) throw new Error("Missing \"}\"");
+            if (token === "}" && !depth) return text;
+
+            if (token === "{") depth++;
+            if (token === "}") depth--;
+            text += token;
+        }
+    };
+
+    /**
+     * Reads a delimiter, after `\left`, `\right` or a big delimiter command.
+     */
+    const readDelimiter = () => {
+        skipSpaces();
+
+        const token = next();
+        if (token === undefined) throw new Error("Missing delimiter");
+        if (token === ".") return "";
+        if (token[0] !== "\\") return token;
+
+        const delimiter = lookup(operators, token.slice(1));
+        if (!delimiter) throw new Error(`Unknown delimiter "${token}"`);
+
+        return delimiter;
+    };
+
+    /**
+     * Parses the elements until one of the given tokens ( which is not consumed ), or the end of the formula.
+     */
+    const parseExpression = (stops = []) => {
+        const elements = [];
+
+        for (skipSpaces(); index < tokens.length && !stops.includes(peek()); skipSpaces()) {
+            if (peek() === "}") throw new Error("Unexpected \"}\"");
+
+            // A style command applies to the rest of its group.
+            if (peek() === "\\displaystyle" || peek() === "\\textstyle") {
+                const displayStyle = next() === "\\displaystyle";
+                elements.push(`<mstyle displaystyle="${displayStyle}">${row(parseExpression(stops))}</mstyle>`);
+                break;
+            }
+
+            elements.push(parseScripts(parseAtom()));
+        }
+
+        return elements;
+    };
+
+    /**
+     * Parses a group between braces.
+     */
+    const parseGroup = () => {
+        const elements = parseExpression(["}"]);
+        if (next() !== "}") throw new Error("Missing \"}\"");
+
+        return `<mrow>${elements.join("")}</mrow>`;
+    };
+
+    /**
+     * Parses the argument of a command or a script: a group, or a single token.
+     */
+    const parseArgument = () => {
+        skipSpaces();
+
+        const token = peek();
+        if (token === undefined) throw new Error("Missing argument");
+
+        // A single digit of a number is an argument on its own, e.g. `x^23`.
+        if (/^\d./.test(token)) {
+            tokens.splice(index, 1, token[0], token.slice(1));
+        }
+
+        return parseAtom().element;
+    };
+
+    /**
+     * Parses the subscript and the superscript of an element, if any.
+     */
+    const parseScripts = ({ element, limits = false }) => {
+        let subscript = null;
+        let superscript = null;
+        let primes = "";
+
+        for (skipSpaces(); ["^", "_", "'"].includes(peek()); skipSpaces()) {
+            const token = next();
+
+            if (token === "'") {
+                if (superscript !== null) throw new Error("Double superscript");
+                primes += "′";
+            } else if (token === "^") {
+                if (superscript !== null) throw new Error("Double superscript");
+                superscript = parseArgument();
+            } else {
+                if (subscript !== null) throw new Error("Double subscript");
+                subscript = parseArgument();
+            }
+        }
+
+        if (primes) {
+            superscript = superscript === null ? operator(primes) : `<mrow>${operator(primes)}${superscript}</mrow>`;
+        }
+
+        if (subscript === null && superscript === null) return element;
+
+        const [under, over, both] = limits ? ["munder", "mover", "munderover"] : ["msub", "msup", "msubsup"];
+
+        if (superscript === null) return `<${under}>${element}${subscript}</${under}>`;
+        if (subscript === null) return `<${over}>${element}${superscript}</${over}>`;
+
+        return `<${both}>${element}${subscript}${superscript}</${both}>`;
+    };
+
+    /**
+     * Parses the rows and the cells of an environment, until its `\end`.
+     */
+    const parseEnvironment = () => {
+        const name = readRawGroup();
+        const environment = lookup(environments, name);
+        if (!environment) throw new Error(`Unknown environment "${name}"`);
+
+        const [open, close, defaultAlign = ""] = environment;
+        // The columns of an array are given by its first argument, e.g. `{lcr}`.
+        const columns = name === "array" ? readRawGroup().replace(/[^lcr]/g, "") : "";
+        const align = columns ?
+            Array.from(columns, column => ({ l: "left", c: "center", r: "right" })[column]).join(" ") :
+            defaultAlign;
+
+        const rows = [[]];
+        for (; ;) {
+            rows.at(-1).push(row(parseExpression(["&", "\\\\", "\\end"])));
+
+            const token = next();
+            if (token === undefined) throw new Error(`Missing "\\end{${name}}"`);
+            if (token === "\\\\") rows.push([]);
+            if (token === "\\end") break;
+        }
+
+        if (readRawGroup() !== name) throw new Error(`Expected "\\end{${name}}"`);
+
+        // A trailing line break does not open a row.
+        if (rows.length > 1 && rows.at(-1).length === 1 && rows.at(-1)[0] === "<mrow></mrow>") rows.pop();
+
+        const alignAttribute = align ? ` columnalign="${align}"` : "";
+        const table = `<mtable${alignAttribute}>${rows
+            .map(cells => `<mtr>${cells.map(cell => `<mtd>${cell}</mtd>`).join("")}</mtr>`)
+            .join("")}</mtable>`;
+
+        if (!open && !close) return table;
+
+        return `<mrow>${open ? operator(open, " fence=\"true\"") : ""}${table}${close ? operator(close, " fence=\"true\"") : ""}</mrow>`;
+    };
+
+    /**
+     * Parses a command, e.g. `\frac` with its arguments.
+     */
+    const parseCommand = (token) => {
+        const name = token.slice(1);
+
+        if (lookup(identifiers, name) !== undefined) return { element: `<mi>${identifiers[name]}</mi>` };
+        if (lookup(operators, name) !== undefined) return { element: operator(operators[name]) };
+        if (lookup(spaces, name) !== undefined) return { element: `<mspace width="${spaces[name]}"></mspace>` };
+
+        if (lookup(largeOperators, name) !== undefined) {
+            // Integrals keep their limits on their side.
+            let limits = display && !name.endsWith("int");
+
+            skipSpaces();
+            if (peek() === "\\limits" || peek() === "\\nolimits") limits = next() === "\\limits";
+
+            return { element: operator(largeOperators[name]), limits };
+        }
+
+        if (functions.includes(name)) return { element: `<mi>${name}</mi>` };
+        if (limitFunctions.includes(name)) {
+            return { element: `<mi>${name.replace(/^lim(?=inf|sup)/, "lim ")}</mi>`, limits: display };
+        }
+
+        if (lookup(accents, name) !== undefined) {
+            const [accent, stretchy, under] = accents[name];
+            const base = parseArgument();
+            const mark = operator(accent, stretchy ? " stretchy=\"true\"" : " stretchy=\"false\"");
+
+            return {
+                element: under ?
+                    `<munder accentunder="true">${base}${mark}</munder>` :
+                    `<mover accent="true">${base}${mark}</mover>`
+            };
+        }
+
+        if (lookup(fonts, name) !== undefined) {
+            const previous = font;
+            font = fonts[name];
+            const element = parseArgument();
+            font = previous;
+
+            return { element };
+        }
+
+        if (lookup(delimiterSizes, name) || /^(?:big|Big|bigg|Bigg)[lrm]$/.test(name)) {
+            const size = delimiterSizes[name.replace(/[lrm]$/, "")];
+
+            return { element: operator(readDelimiter(), ` minsize="${size}" maxsize="${size}"`) };
+        }
+
+        switch (name) {
+            case "frac":
+            case "dfrac":
+            case "tfrac":
+            case "cfrac":
+                return { element: `<mfrac>${parseArgument()}${parseArgument()}</mfrac>` };
+            case "binom":
+                return {
+                    element: `<mrow>${operator("(")}<mfrac linethickness="0">${parseArgument()}${parseArgument()}</mfrac>${operator(")")}</mrow>`
+                };
+            case "sqrt": {
+                skipSpaces();
+                if (peek() !== "[") return { element: `<msqrt>${parseArgument()}</msqrt>` };
+
+                next();
+                const degree = row(parseExpression(["]"]));
+                expect("]");
+
+                return { element: `<mroot>${parseArgument()}${degree}</mroot>` };
+            }
+            case "overset":
+            case "stackrel": {
+                const over = parseArgument();
+                return { element: `<mover>${parseArgument()}${over}</mover>` };
+            }
+            case "underset": {
+                const under = parseArgument();
+                return { element: `<munder>${parseArgument()}${under}</munder>` };
+            }
+            case "text":
+            case "textrm":
+            case "textit":
+            case "textbf":
+            case "mbox":
+                return { element: `<mtext>${escapeHTML(readRawGroup())}</mtext>` };
+            case "operatorname":
+                return { element: `<mi>${escapeHTML(readRawGroup())}</mi>` };
+            case "mathop":
+                return { element: parseArgument(), limits: display };
+            case "bmod":
+            case "mod":
+                return { element: `<mo lspace="0.2778em" rspace="0.2778em">mod</mo>` };
+            case "pmod":
+                return { element: `<mrow><mspace width="0.4444em"></mspace>${operator("(")}<mi>mod</mi><mspace width="0.3333em"></mspace>${parseArgument()}${operator(")")}</mrow>` };
+            case "not": {
+                // A negated relation is followed by a combining long solidus.
+                skipSpaces();
+                const token = next();
+                const relation = token?.[0] === "\\" ? lookup(operators, token.slice(1)) : token;
+                if (!relation) throw new Error("Missing relation after \"\\not\"");
+
+                return { element: operator(`${relation}\u0338`) };
+            }
+            case "left": {
+                const open = readDelimiter();
+                const elements = parseExpression(["\\right"]);
+                if (next() !== "\\right") throw new Error("Missing \"\\right\"");
+                const close = readDelimiter();
+
+                const fence = text => text ? operator(text, " fence=\"true\" stretchy=\"true\"") : "";
+
+                return { element: `<mrow>${fence(open)}${elements.join("")}${fence(close)}</mrow>` };
+            }
+            case "middle":
+                return { element: operator(readDelimiter(), " stretchy=\"true\"") };
+            case "begin":
+                return { element: parseEnvironment() };
+            case "$":
+            case "%":
+            case "#":
+            case "&":
+            case "_":
+                return { element: `<mi>${escapeHTML(name)}</mi>` };
+            default:
+                throw new Error(`Unknown command "${token}"`);
+        }
+    };
+
+    /**
+     * Parses a single element: a group, a command, a number, a letter or an operator.
+     */
+    const parseAtom = () => {
+        skipSpaces();
+
+        const token = next();
+
+        if (token === undefined) throw new Error("Unexpected end of formula");
+        if (token === "{") return { element: parseGroup() };
+        // A script without base, e.g. `^2`.
+        if (token === "^" || token === "_") {
+            index--;
+            return { element: "<mrow></mrow>" };
+        }
+        if (token === "\\") throw new Error("Unexpected \"\\\"");
+        if (token === "&" || token === "\\\\" || token === "\\end" || token === "\\right") {
+            throw new Error(`Unexpected "${token}"`);
+        }
+        if (token[0] === "\\") return parseCommand(token);
+
+        if (/^\d/.test(token)) {
+            return { element: font && font !== "normal" ? `<mn>${applyFont(token, font)}</mn>` : `<mn>${token}</mn>` };
+        }
+
+        // A non-breaking space.
+        if (token === "~") return { element: `<mspace width="0.25em"></mspace>` };
+
+        if (operatorCharacters.includes(token)) {
+            return { element: operator(displayedOperators[token] || token) };
+        }
+
+        if (!font || font === "italic") return { element: `<mi>${escapeHTML(token)}</mi>` };
+        if (font === "normal") return { element: `<mi mathvariant="normal">${escapeHTML(token)}</mi>` };
+
+        return { element: `<mi>${escapeHTML(applyFont(token, font))}</mi>` };
+    };
+
+    const parseFormula = () => {
+        const elements = parseExpression();
+
+        if (index < tokens.length) throw new Error(`Unexpected "${peek()}"`);
+
+        return row(elements);
+    };
+
+    return { parseFormula };
+}
+
+/**
+ * Converts a TeX formula to MathML, which the browser renders without any script or network request.
+ * The formula is kept as an annotation of the MathML ( e.g. for the HTML put on the clipboard ).
+ * A formula that cannot be rendered is displayed as an error, with the reason as its title.
+ *
+ * @param {String} tex - The TeX formula, without its `$` delimiters.
+ * @param {Boolean} [display=false] - Whether the formula is displayed on its own lines ( `$$…$$` ).
+ * @returns {String} The MathML of the formula.
+ *
+ * @example
+ * const mathML = convertTeXToMathML("\\frac{a}{b}"); // `<math display="inline"><semantics><mfrac>…`
+ */
+export function convertTeXToMathML(tex, display = false) {
+    let content;
+
+    try {
+        content = createParser(tex, display).parseFormula();
+    } catch (error) {
+        content = `<merror title="${escapeHTML(error.message)}"><mtext>${escapeHTML(tex)}</mtext></merror>`;
+    }
+
+    return `<math display="${display ? "block" : "inline"}"><semantics>${content}<annotation encoding="application/x-tex">${escapeHTML(tex)}</annotation></semantics></math>`;
+}
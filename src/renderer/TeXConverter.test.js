@@ -0,0 +1,52 @@
+import { convertTeXToMathML } from "./TeXConverter";
+import { parseMarkdownString } from "./MarkdownRenderer";
+
+/**
+ * Converts a formula to MathML, without its `<math>` and `<semantics>` wrappers.
+ *
+ * @param {String} tex - The TeX formula.
+ * @param {Boolean} [display] - Whether the formula is displayed on its own lines.
+ * @returns {String} The MathML of the content of the formula.
+ */
+function convert(tex, display) {
+    return convertTeXToMathML(tex, display).match(/<semantics>(.*)<annotation/)[1];
+}
+
+describe("convertTeXToMathML", () => {
+    test.each([
+        ["x^2 + 1", "<mrow><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mn>1</mn></mrow>"],
+        ["a_{ij}^23", "<mrow><msubsup><mi>a</mi><mrow><mi>i</mi><mi>j</mi></mrow><mn>2</mn></msubsup><mn>3</mn></mrow>"],
+        ["\\frac{1}{\\sqrt[3]{x}}", "<mfrac><mrow><mn>1</mn></mrow><mrow><mroot><mrow><mi>x</mi></mrow><mn>3</mn></mroot></mrow></mfrac>"],
+        ["\\left( \\alpha \\leq b' \\right]", "<mrow><mo fence=\"true\" stretchy=\"true\">(</mo><mi>α</mi><mo>≤</mo><msup><mi>b</mi><mo>′</mo></msup><mo fence=\"true\" stretchy=\"true\">]</mo></mrow>"],
+        ["\\mathbb{R} \\text{ if } x<y", "<mrow><mrow><mi>ℝ</mi></mrow><mtext> if </mtext><mi>x</mi><mo>&lt;</mo><mi>y</mi></mrow>"],
+        ["\\begin{pmatrix}a & b \\\\ c & d\\end{pmatrix}", "<mrow><mo fence=\"true\">(</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr><mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo fence=\"true\">)</mo></mrow>"]
+    ])("converts %j", (tex, expected) => {
+        expect(convert(tex)).toBe(expected);
+    });
+
+    test("places the limits of a large operator under and over it in a displayed formula", () => {
+        expect(convert("\\sum_{i=0}^n", true)).toBe("<munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>0</mn></mrow><mi>n</mi></munderover>");
+        expect(convert("\\sum_{i=0}^n")).toBe("<msubsup><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>0</mn></mrow><mi>n</mi></msubsup>");
+    });
+
+    test.each([
+        ["\\frac{a}", "Missing argument"],
+        ["{a", "Missing \"}\""],
+        ["a^b^c", "Double superscript"],
+        ["\\toString", "Unknown command \"\\toString\""]
+    ])("displays %j as an error", (tex, message) => {
+        expect(convertTeXToMathML(tex)).toContain(`<merror title="${message.replace(/"/g, "&quot;")}"><mtext>`);
+    });
+
+    test("renders the formulas of the markdown with their source", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("$<img src=x onerror=alert(1)>$\n\n$$\nx\n$$");
+
+        const [inline, block] = container.querySelectorAll("[data-type=inlineMath], [data-type=blockMath]");
+
+        expect(inline.querySelector(".md-content").textContent).toBe("<img src=x onerror=alert(1)>");
+        expect(inline.querySelector(".md-preview math")).not.toBeNull();
+        expect(container.querySelector("img")).toBeNull();
+        expect(block.querySelector(".md-preview math").getAttribute("display")).toBe("block");
+    });
+});
@@ -6,9 +6,13 @@ export const tokenizer = {
         const cap = this.rules.block.blockquote.exec(src);
         if (cap) {
             let lines = rtrim(cap[0], '\n').split('\n');
-            let raw = '';
+            // The lines are rewritten before being tokenized, the raw is taken from the source lines that were consumed.
+            const sourceLines = lines;
             let text = '';
             const tokens = [];
+            // An empty line is written with or without a space after its sign ( "> " or ">" ), the first one sets the
+            // sign that the empty lines of the blockquote are restored with.
+            let emptySign;
 
             while (lines.length > 0) {
                 let inBlockquote = false;
@@ -17,20 +21,20 @@ export const tokenizer = {
                 let i;
                 for (i = 0; i < lines.length; i++) {
                     if (this.rules.other.blockquoteStart.test(lines[i])) {
-                        const [isEmpty, lastIsEmpty, hasZeroWiseSpace] = [
+                        const [isEmpty, hasZeroWiseSpace] = [
                             rules.other.blockquoteLineIsEmpty.test(lines[i]),
-                            rules.other.blockquoteLineIsEmpty.test(currentLines[i - 1]),
                             rules.other.blockquoteLineHasZeroWideSpace.test(lines[i])
                         ];
 
+                        // The lines are kept as they are written ( soft line breaks ),
+                        // they are displayed on their own lines by the stylesheet.
                         if (isEmpty) {
+                            emptySign ??= rules.other.blockquoteEmptySign.exec(lines[i])[0];
                             currentLines.push('> ');
                         } else if (hasZeroWiseSpace) {
                             currentLines.push('> $\u200b$');
                         } else {
-                            !lastIsEmpty && currentLines[i - 1] ?
-                                (currentLines[i - 1] += "\\\n" + lines[i]) :
-                                currentLines.push(lines[i]);
+                            currentLines.push(lines[i]);
                         }
 
                         inBlockquote = true;
@@ -47,7 +51,6 @@ export const tokenizer = {
                 const currentText = currentRaw
                     .replace(this.rules.other.blockquoteSetextReplace, '\n    $1')
                     .replace(this.rules.other.blockquoteSetextReplace2, '');
-                raw = raw ? `${raw}\n${currentRaw}` : currentRaw;
                 text = text ? `${text}\n${currentText}` : currentText;
 
                 const top = this.lexer.state.top;
@@ -69,8 +72,10 @@ export const tokenizer = {
                     const newToken = this.blockquote(newText);
                     tokens[tokens.length - 1] = newToken;
 
-                    raw = raw.substring(0, raw.length - oldToken.raw.length) + newToken.raw;
                     text = text.substring(0, text.length - oldToken.text.length) + newToken.text;
+                    // The source lines that the nested blockquote did not consume.
+                    const rest = newText.substring(newToken.raw.length);
+                    lines = rest ? rest.substring(1).split('\n') : [];
                     break;
                 } else if (lastToken?.type === 'list') {
                     const oldToken = lastToken;
@@ -78,7 +83,6 @@ export const tokenizer = {
                     const newToken = this.list(newText);
                     tokens[tokens.length - 1] = newToken;
 
-                    raw = raw.substring(0, raw.length - lastToken.raw.length) + newToken.raw;
                     text = text.substring(0, text.length - oldToken.raw.length) + newToken.raw;
                     lines = newText.substring(tokens.at(-1).raw.length).split('\n');
                     continue;
@@ -87,9 +91,10 @@ export const tokenizer = {
 
             return {
                 type: 'blockquote',
-                raw,
+                raw: sourceLines.slice(0, sourceLines.length - lines.length).join('\n'),
                 tokens,
-                text
+                text,
+                emptySign: emptySign ?? '> '
             };
         }
     }
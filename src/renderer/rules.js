@@ -5,8 +5,114 @@ export const rules = {
     other: {
         blockquoteLineIsEmpty: /^ {0,3}>[\t ]*$/,
         blockquoteLineHasZeroWideSpace: /^ {0,3}> ?[\u200b]*$/,
+        blockquoteEmptySign: /> ?/,
+        listItemSign: /^ {0,3}(?:[*+-]|\d{1,9}[.)])(?:[ \t]{1,4}|(?=\n|$))/,
+        listItemTask: /^\[[ xX]\] +/,
+        listItemTaskState: /\[[ xX]\]/,
+        listItemEndsWithBlankLine: /\n[ \t]*\n\s*$/,
+        orderedListNumber: /\d{1,9}/,
+        blockTrailingLineBreaks: /\n\s*$/,
+        headingSign: /^ {0,3}#{1,6}(?:[ \t]+|(?=\n|$))/,
+        headingClosingSign: /[ \t]+#+[ \t]*(?=\n*$)/,
+        setextHeadingUnderline: /\n {0,3}(?:=+|-+)[ \t]*(?=\n*$)/,
+        codespanFence: /^`+/,
+        fenceClosing: /^ {0,3}(?:`{3,}|~{3,})[ \t]*$/,
+        fenceOpening: /^( {0,3})(`{3,}|~{3,})([^\n]*)/,
+        infoStringLanguage: /^\s*\S*/,
+        codeLanguage: /^\S*/,
+        linkDefinition: /^ {0,3}\[(?:\\.|[^[\]\\])+\]:/m,
+        // The characters removed from a slug: everything but the letters, the numbers, the spaces and the hyphens.
+        slugRemovedCharacters: /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu,
+        tableOfContents: /^ {0,3}\[\[toc\]\][ \t]*(?:\n+|$)/i,
+        // The signs that a line can start with, before its text ( e.g. `> - [ ] ` ).
+        lineStartSigns: /^(?:[ \t]*(?:>|[*+-]|\d{1,9}[.)]|#{1,6})(?=[ \t]|$)[ \t]*)+(?:\[[ xX]\][ \t]+)?$/,
+    },
+    inputRule: {
+        // The signs that turn a paragraph into a block when a space is typed after them ( e.g. `#` or `1.` ).
+        blockSign: /^(?:#{1,6}|>|[*+-]|\d{1,9}[.)])$/,
+        // `---`, `***` or `___` ( with spaces between the characters ) on its own line.
+        thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+        // `/` typed in an empty paragraph, followed by the query of the slash command menu ( e.g. `/head` ).
+        slashCommand: /^\/([^\s/]*)$/,
     },
     restorer: {
         removableZeroWiseSpace: /\u200b(?![ \n]*$)/g,
+        tableCellPipe: /(?<!\\)\|/g,
+        zeroWidthSpace: /\u200b/g,
+        // A private-use character, marking the boundaries of the selection while it is restored.
+        selectionMarker: "\ue000",
+        selectionMarkers: /\ue000/g,
+    },
+    sanitizer: {
+        tag: /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g,
+        attribute: /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g,
+        characterReference: /&(?:#[xX]([0-9a-fA-F]+)|#(\d+)|([a-zA-Z]+));?/g,
+        unescapedAmpersand: /&(?!#?[a-zA-Z0-9]+;)/g,
+        // The control characters ( U+0000 to U+001F and U+007F to U+009F ) and the space, which browsers ignore in a url.
+        ignoredURLCharacters: /[\p{Cc} ]/gu,
+        URLScheme: /^([a-zA-Z][a-zA-Z0-9+.-]*):/,
+        dataImageURL: /^data:image\/(?:png|gif|jpe?g|webp|bmp|avif|svg\+xml)[;,]/i,
+    },
+    math: {
+        // `$…$` or `$$…$$` in a paragraph, not `$\u200b$` ( an empty line of a quote ) nor a price like `$5 and $10`.
+        inline: /^(\$\$?)(?![\s\u200b])((?:\\[\s\S]|[^\\$])*?[^\s\\])\1(?![$\d])/,
+        // `$$` on its own lines, or `$$…$$` as a whole line. A formula cannot hold a blank line.
+        block: /^( {0,3}\$\$[ \t]*\n?)((?:\\[\s\S]|[^\\$\n]|\$(?!\$)|\n(?![ \t]*(?:\n|$)))+?)(\n?[ \t]*\$\$[ \t]*)(?:\n+|$)/,
+        blockStart: /^ {0,3}\$\$/m,
+        token: /\\(?:[a-zA-Z]+|[\s\S])?|\s+|\d+(?:\.\d+)?|[\s\S]/gu,
+    },
+    reference: {
+        // `[id]: url "title"`, split into its opening bracket, its label and the rest of the definition.
+        linkDefinitionParts: /^( {0,3}\[)((?:\\.|[^[\]\\])+)(\][\s\S]*)$/,
+        // `[^id]: ` before the text of a footnote.
+        footnoteDefinition: /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*/,
+        // A line that starts another definition ends the text of a footnote.
+        definitionLine: /\n(?= {0,3}\[(?:\\.|[^[\]\\])+\]:)/,
+        // `[^id]`, unless it is the text of a link ( `[^id](url)` or `[^id][ref]` ).
+        footnoteReference: /^\[\^([^\]\s]+)\](?![([])/,
+        leadingLineBreaks: /^\n*/,
+    },
+    link: {
+        // A url typed at the end of a text, after a space ( or at its start ), and the punctuation that follows it.
+        bareURL: /(?:^|[\s\u200b])((?:https?|ftp):\/\/[^\s<>]+?|mailto:[^\s<>]+?)([.,:;!?"')\]*_~]*)$/,
+        // A url that can be written as an autolink ( `<https://example.com>` ).
+        autolinkURL: /^[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*$/,
+        // The signs after the text of an inline link, split into its destination and its title.
+        inlineSuffix: /^\]\([ \t\n]*(<(?:[^<>\n\\]|\\.)*>|[^\s]*)([\s\S]*)\)$/,
+        angleBrackets: /^<([\s\S]*)>$/,
+        // What makes a text a url ( its scheme, `www` or the name before `@` ), a backslash after it unlinks the url.
+        linkedURLStart: /^[a-zA-Z][a-zA-Z0-9+.-]*(?=:)|^www(?=\.)|^[^@\s]+(?=@)/,
+    },
+    image: {
+        // `{width=300}` right after an image, the width ( in pixels ) it is displayed with.
+        width: /^\{width=(\d+)\}/,
+        widthSuffix: /\{width=\d+\}$/,
+        fileExtension: /\.[^.]*$/,
+    },
+    diagram: {
+        flowchartHeader: /^(?:graph|flowchart)(?:[ \t]+(TB|TD|BT|RL|LR))?$/i,
+        ignoredStatement: /^(?:classDef|class|style|linkStyle|click|subgraph|direction)\b|^end$/,
+        comment: /^%%/,
+        statementEnd: /[ \t]*;$/,
+        nodeId: /(\w+)/y,
+        quotedLabel: /^"([\s\S]*)"$/,
+        ampersand: /&[ \t]*/y,
+        spaces: /[ \t]*/y,
+        // `-->`, `---`, `-.->`, `==>`, `--o`, `<-->`..., with a label as `-- text -->` or `-->|text|`.
+        edge: /[ \t]*(<)?(?:(--|==|-\.)[ \t]+([^|\n]+?)[ \t]+(-{2,}|={2,}|\.+-)|(-{2,}|={2,}|-\.+-))(>|[ox](?=[\s&]|$))?(?:[ \t]*\|([^|]*)\|)?[ \t]*/y,
+        lineBreak: /<br\s*\/?>/i,
+    },
+    converter: {
+        // An underscore inside a word is not a sign.
+        markdownSign: /[\\`*[\]<~]|&(?=#?\w+;)|(?<!\w)_|_(?!\w)/g,
+        blockStart: /^(\d{1,9}(?=[.)]))?([#>+-]|[.)])(?=[ \t#]|$)/,
+        surroundingHardBreaks: /^(?:\\\n)+|(?:\\\n)+$/g,
+        surroundingSpaces: /^(\s*)([\s\S]*?)(\s*)$/,
+        normalFontWeight: /^(?:normal|[1-4]00)$/,
+        boldFontWeight: /^(?:bold|bolder|[6-9]00)$/,
+        URLToEnclose: /[\s()<>]/,
+        codeLanguage: /(?:^|\s)lang(?:uage)?-([\w+#.-]+)/,
+        // The width of an image, in pixels.
+        imageWidth: /^\d+$/,
     }
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+import { parseMarkdownString } from "./renderer/MarkdownRenderer";
+import { restoreMarkdownSelection } from "./renderer/Restorer";
+
+/**
+ * Renders the markdown in the document, and places the cursor at a markdown offset.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @param {Number} [offset=0] - The offset of the cursor in the markdown.
+ * @returns {Promise<HTMLElement>} The container of the rendered markdown.
+ *
+ * @example
+ * const container = await createDocument("- a\n- b", 7);
+ */
+export async function createDocument(markdown, offset = 0) {
+    const container = document.createElement("div");
+    container.innerHTML = await parseMarkdownString(markdown);
+    document.body.replaceChildren(container);
+
+    restoreMarkdownSelection(container, { start: offset, end: offset });
+
+    return container;
+}
@@ -0,0 +1,70 @@
+import { lexMarkdownString, renderMarkdownTokens } from "../renderer/MarkdownRenderer";
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { rules } from "../renderer/rules";
+
+/**
+ * Converts markdown to the HTML put on the clipboard: the markdown is rendered ( and sanitized ) like in the editor,
+ * then the signs, the zero-width spaces and the attributes of the editor are removed.
+ * The elements with a preview ( e.g. the formulas ) keep their preview only.
+ *
+ * @param {String} markdown - The copied markdown.
+ * @returns {String} The HTML.
+ */
+function convertMarkdownToClipboardHTML(markdown) {
+    const template = document.createElement("template");
+    template.innerHTML = renderMarkdownTokens(lexMarkdownString(markdown));
+
+    template.content
+        .querySelectorAll(".md-sign, .md-image-content, .md-code-language, [data-type=space]")
+        .forEach(element => element.remove());
+    template.content
+        .querySelectorAll(".md-preview")
+        .forEach(preview => preview.parentElement.querySelector(":scope>.md-content")?.remove());
+
+    template.content.querySelectorAll("*").forEach(element => {
+        Array.from(element.attributes)
+            .filter(({ name }) => name.startsWith("data-") || name === "contenteditable")
+            .forEach(({ name }) => element.removeAttribute(name));
+
+        element.classList.remove(...Array.from(element.classList).filter(className => className.startsWith("md-")));
+        if (!element.classList.length) element.removeAttribute("class");
+    });
+
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        walker.currentNode.data = walker.currentNode.data.replace(rules.restorer.zeroWidthSpace, "");
+    }
+
+    return template.innerHTML;
+}
+
+/**
+ * Gets the content of the selection of a markdown container, as it is put on the clipboard by a copy or a cut.
+ * The selection is mapped to its range in the markdown source. A selection that goes over several lines
+ * includes the signs at the start of its first line ( e.g. `# ` or `- ` ), so that whole blocks are copied as they are.
+ *
+ * @param {HTMLElement} container - The markdown container.
+ * @returns {{markdown: String, html: String}|null} The selected markdown ( without the zero-width spaces )
+ *      and its HTML, or null if the selection is collapsed or outside of the container.
+ *
+ * @example
+ * const { markdown, html } = getClipboardContent(container);
+ * event.clipboardData.setData("text/plain", markdown);
+ * event.clipboardData.setData("text/html", html);
+ */
+export function getClipboardContent(container) {
+    const selection = getMarkdownSelection(container);
+    if (!selection || selection.start === selection.end) return null;
+
+    const markdown = parseHTMLElement(container).text.replace(rules.restorer.zeroWidthSpace, "");
+    let { start, end } = selection;
+
+    if (markdown.slice(start, end).includes("\n")) {
+        const lineStart = markdown.lastIndexOf("\n", start - 1) + 1;
+        if (rules.other.lineStartSigns.test(markdown.slice(lineStart, start))) start = lineStart;
+    }
+
+    const selectedMarkdown = markdown.slice(start, end);
+
+    return { markdown: selectedMarkdown, html: convertMarkdownToClipboardHTML(selectedMarkdown) };
+}
@@ -0,0 +1,70 @@
+import { createDocument } from "../testUtils";
+import { getClipboardContent } from "./ClipboardUtils";
+
+/**
+ * Renders the markdown in the document, then selects from the start of a text to the end of another.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @param {String} from - The text the selection starts with ( its first occurrence in a text node ).
+ * @param {String} [to=from] - The text the selection ends with.
+ * @returns {Promise<HTMLElement>} The container.
+ */
+async function select(markdown, from, to = from) {
+    const container = await createDocument(markdown);
+
+    const findTextNode = (text) => {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode() && !walker.currentNode.data.includes(text));
+
+        return walker.currentNode;
+    };
+
+    const startNode = findTextNode(from);
+    const endNode = findTextNode(to);
+    window.getSelection().setBaseAndExtent(
+        startNode, startNode.data.indexOf(from),
+        endNode, endNode.data.indexOf(to) + to.length
+    );
+
+    return container;
+}
+
+describe("getClipboardContent", () => {
+    test.each([
+        ["a part of a bold text", "a **bold** b", "ol", "ol", "ol"],
+        ["an inline element with its signs", "a **bold** b", "**", " b", "**bold** b"],
+        ["whole blocks with their signs", "# Title\n\n- one\n- two\n\nend", "Title", "two", "# Title\n\n- one\n- two"],
+        ["a task list item", "- [ ] a\n- [x] b", "a", "b", "- [ ] a\n- [x] b"],
+        ["a cell of a table", "| a   | b   |\n| --- | --- |\n| 1   | two |", "two", "two", "two"],
+        ["a formula", "a $x^2$ b", "a", " b", "a $x^2$ b"]
+    ])("copies %s as markdown", async (_, markdown, from, to, expected) => {
+        const container = await select(markdown, from, to);
+
+        expect(getClipboardContent(container).markdown).toBe(expected);
+    });
+
+    test("copies the HTML without the signs and the attributes of the editor", async () => {
+        const container = await select("# Title\n\nSome **bold** and [a link](/url)", "Title", "](/url)");
+
+        expect(getClipboardContent(container).html).toBe(
+            "<h1><span><span>Title</span></span></h1>" +
+            "<p><span>Some </span><span><strong><span>bold</span></strong></span><span> and </span>" +
+            "<span><a href=\"/url\" title=\"a link\"><span>a link</span></a></span></p>"
+        );
+    });
+
+    test("copies the MathML of a formula without its source", async () => {
+        const container = await select("$x$ b", "$", " b");
+
+        expect(getClipboardContent(container).html).toBe(
+            "<p><span><span><math display=\"inline\"><semantics><mi>x</mi><annotation encoding=\"application/x-tex\">x</annotation></semantics></math></span></span><span> b</span></p>"
+        );
+    });
+
+    test("copies nothing from a collapsed selection", async () => {
+        const container = await select("text", "text");
+        window.getSelection().collapseToStart();
+
+        expect(getClipboardContent(container)).toBeNull();
+    });
+});
@@ -0,0 +1,225 @@
+import { rules } from "../renderer/rules";
+import { restoreCursorSelection, saveCursorSelection } from "./CursorUtils";
+import { findClosestElement } from "./DOMUtils";
+
+/**
+ * The indentation added to a line of code by Tab.
+ */
+const indentUnit = "    ";
+
+/**
+ * Finds the code block that contains the given node.
+ *
+ * @param {Node} node - The node to start the search from ( usually the element under the cursor ).
+ * @returns {HTMLElement|null} The closest code block ( or diagram, whose code is edited the same way ),
+ *      or null outside of a code block.
+ *
+ * @example
+ * const block = findCodeBlock(getElementUnderCursor(container));
+ */
+export function findCodeBlock(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+
+    return findClosestElement(element, ".md-b[data-type=code], .md-b[data-type=diagram]", true);
+}
+
+/**
+ * Gets the offsets of the code of a code block in its text, between its fences.
+ *
+ * @param {HTMLElement} block - The code block.
+ * @returns {[Number, Number]} The start and the end offsets of the code.
+ */
+function getCodeRange(block) {
+    const prefixSign = block.querySelector(":scope>.md-prefix-sign")?.textContent || "";
+    const suffixSign = block.querySelector(":scope>.md-suffix-sign")?.textContent || "";
+
+    return [prefixSign.length, block.textContent.length - suffixSign.length];
+}
+
+/**
+ * Replaces a range of the text of an element, in the text node where the range starts,
+ * so that the elements around the text ( e.g. the inline elements of a paragraph ) are kept.
+ *
+ * @param {HTMLElement} element - The element.
+ * @param {Number} start - The start offset of the range in the text of the element.
+ * @param {Number} end - The end offset of the range.
+ * @param {String} text - The new text.
+ * @returns {void}
+ */
+function replaceText(element, start, end, text) {
+    restoreCursorSelection(element, { start, end });
+
+    const range = window.getSelection().getRangeAt(0);
+    range.deleteContents();
+
+    if (range.startContainer.nodeType === Node.TEXT_NODE) {
+        range.startContainer.insertData(range.startOffset, text);
+    } else {
+        range.insertNode(document.createTextNode(text));
+    }
+}
+
+/**
+ * Opens a fenced code block from the line of the cursor, if the line is an opening fence ( e.g. ```` ```js ````
+ * typed in a paragraph, or a code block whose fence is not closed yet ): the closing fence is inserted after it,
+ * and the cursor is placed on the empty line between the fences.
+ *
+ * @param {HTMLElement} block - The paragraph or the code block under the cursor.
+ * @returns {Boolean} Whether a code block has been opened.
+ *
+ * @example
+ * if (openCodeFence(paragraph)) handleChange();
+ */
+export function openCodeFence(block) {
+    const selection = saveCursorSelection(block);
+    if (!selection || selection.start !== selection.end) return false;
+
+    // A code block whose fence is closed is already open.
+    if (block.querySelector(":scope>.md-suffix-sign")?.textContent) return false;
+
+    const text = block.textContent;
+    const lineStart = text.lastIndexOf("\n", selection.start - 1) + 1;
+    const lineEnd = text.indexOf("\n", selection.start);
+
+    // The cursor is at the end of the line ( the zero-width spaces only hold the cursor ).
+    const rest = text.slice(selection.start, lineEnd === -1 ? text.length : lineEnd);
+    if (rest.replace(rules.restorer.zeroWidthSpace, "")) return false;
+
+    const line = text.slice(lineStart, selection.start).replace(rules.restorer.zeroWidthSpace, "");
+    const match = line.match(rules.other.fenceOpening);
+    // The info string of a backtick fence cannot hold a backtick.
+    if (!match || match[0] !== line || (match[2][0] === "`" && match[3].includes("`"))) return false;
+
+    replaceText(block, selection.start, selection.start, `\n\n${match[2]}`);
+    restoreCursorSelection(block, { start: selection.start + 1, end: selection.start + 1 });
+
+    return true;
+}
+
+/**
+ * Inserts a line break in a code block, in place of the selection. The new line has the indentation of the line
+ * of the cursor. At the end of a closed code block nothing is inserted, so that Enter leaves the block.
+ *
+ * @param {HTMLElement} block - The code block.
+ * @returns {Boolean} Whether the line break has been inserted.
+ *
+ * @example
+ * if (insertCodeLineBreak(block)) handleChange();
+ */
+export function insertCodeLineBreak(block) {
+    const selection = saveCursorSelection(block);
+    if (!selection) return false;
+
+    const text = block.textContent;
+    const isClosed = Boolean(block.querySelector(":scope>.md-suffix-sign")?.textContent);
+    if (isClosed && selection.start === text.length) return false;
+
+    const lineStart = text.lastIndexOf("\n", selection.start - 1) + 1;
+    const indent = text.slice(lineStart, selection.start).match(/^[ \t]*/)[0];
+    const cursor = selection.start + 1 + indent.length;
+
+    replaceText(block, selection.start, selection.end, `\n${indent}`);
+    restoreCursorSelection(block, { start: cursor, end: cursor });
+
+    return true;
+}
+
+/**
+ * Indents ( or outdents ) the lines of code of the selection. A collapsed cursor is indented on its own:
+ * the indentation is inserted at the cursor. The lines of an indented code block keep the four spaces
+ * that make them code.
+ *
+ * @param {HTMLElement} block - The code block.
+ * @param {Boolean} [outdent=false] - Whether the lines are outdented.
+ * @returns {Boolean} Whether the code has changed.
+ *
+ * @example
+ * if (indentCodeLines(block, event.shiftKey)) handleChange();
+ */
+export function indentCodeLines(block, outdent = false) {
+    const selection = saveCursorSelection(block);
+    if (!selection) return false;
+
+    const { start, end } = selection;
+
+    if (!outdent && start === end) {
+        replaceText(block, start, end, indentUnit);
+        restoreCursorSelection(block, { start: start + indentUnit.length, end: start + indentUnit.length });
+
+        return true;
+    }
+
+    const text = block.textContent;
+    const [codeStart, codeEnd] = getCodeRange(block);
+    const minIndent = codeStart ? 0 : indentUnit.length;
+    // A selection that ends at the start of a line does not include that line.
+    const lastOffset = end > start && text[end - 1] === "\n" ? end - 1 : end;
+
+    // The changes of the lines, as [line start, added length ( negative for a removal )].
+    const changes = [];
+
+    for (let lineStart = text.lastIndexOf("\n", start - 1) + 1; lineStart <= lastOffset;) {
+        if (lineStart >= codeStart && lineStart <= codeEnd) {
+            const line = text.slice(lineStart);
+            const spaces = line.match(/^ */)[0].length;
+
+            if (!outdent) {
+                changes.push([lineStart, indentUnit.length]);
+            } else if (line[0] === "\t" && !minIndent) {
+                changes.push([lineStart, -1]);
+            } else if (spaces > minIndent) {
+                changes.push([lineStart, -Math.min(indentUnit.length, spaces - minIndent)]);
+            }
+        }
+
+        const lineEnd = text.indexOf("\n", lineStart);
+        if (lineEnd === -1) break;
+        lineStart = lineEnd + 1;
+    }
+
+    if (!changes.length) return false;
+
+    // The last lines are changed first, so that the offsets of the first ones stay valid.
+    changes.slice().reverse().forEach(([lineStart, length]) => {
+        length > 0 ?
+            replaceText(block, lineStart, lineStart, indentUnit) :
+            replaceText(block, lineStart, lineStart - length, "");
+    });
+
+    const moveOffset = offset => changes.reduce((moved, [lineStart, length]) => {
+        if (lineStart >= offset) return moved;
+
+        return moved + (length > 0 ? length : -Math.min(-length, offset - lineStart));
+    }, offset);
+
+    restoreCursorSelection(block, { start: moveOffset(start), end: moveOffset(end) });
+
+    return true;
+}
+
+/**
+ * Sets the language of a fenced code block, rewriting the first word of the info string of its opening fence.
+ *
+ * @param {HTMLElement} block - The code block.
+ * @param {String} lang - The new language, an empty string to remove it.
+ * @returns {Boolean} Whether the fence has changed.
+ *
+ * @example
+ * if (setCodeBlockLanguage(block, "js")) handleChange();
+ */
+export function setCodeBlockLanguage(block, lang) {
+    const sign = block.querySelector(":scope>.md-prefix-sign");
+    const match = sign?.textContent.match(rules.other.fenceOpening);
+    if (!match) return false;
+
+    const [opening, indent, fence, info] = match;
+    // A language is a single word, and the info string of a backtick fence cannot hold a backtick.
+    const language = lang.replace(fence[0] === "`" ? /[\s`]/g : /\s/g, "");
+    const newOpening = indent + fence + language + info.replace(rules.other.infoStringLanguage, "");
+
+    if (newOpening === opening) return false;
+
+    sign.textContent = newOpening + sign.textContent.slice(opening.length);
+
+    return true;
+}
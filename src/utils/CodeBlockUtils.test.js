@@ -0,0 +1,89 @@
+import { parseMarkdownString } from "../renderer/MarkdownRenderer";
+import { parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import { saveCursorSelection, restoreCursorSelection } from "./CursorUtils";
+import { findCodeBlock, openCodeFence, insertCodeLineBreak, indentCodeLines, setCodeBlockLanguage } from "./CodeBlockUtils";
+
+/**
+ * Renders the markdown in the document, runs an edit command on its first block with the given selection,
+ * and restores the result.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @param {{start: Number, end: Number}} selection - The selection, as text offsets of the first block.
+ * @param {(block: HTMLElement) => Boolean} command - The edit command.
+ * @returns {Promise<{handled: Boolean, markdown: String, selection: Object}>} Whether the command has been run,
+ *      the new markdown, and the new selection in the first block.
+ */
+async function edit(markdown, selection, command) {
+    const container = await createDocument(markdown);
+    const block = container.firstElementChild;
+    restoreCursorSelection(block, selection);
+
+    const handled = command(block);
+
+    return { handled, markdown: parseHTMLElement(container).text, selection: saveCursorSelection(block) };
+}
+
+describe("CodeBlockUtils", () => {
+    test("finds the code block around a node", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("```js\nlet a;\n```");
+
+        expect(findCodeBlock(container.querySelector("code").firstChild)).toBe(container.firstElementChild);
+    });
+
+    test("inserts a line break with the indentation of the line", async () => {
+        const result = await edit("```js\n  let a;\n```", { start: 14, end: 14 }, insertCodeLineBreak);
+
+        expect(result).toEqual({ handled: true, markdown: "```js\n  let a;\n  \n```", selection: { start: 17, end: 17 } });
+    });
+
+    test("leaves a closed code block from its end", async () => {
+        const result = await edit("```\na\n```", { start: 9, end: 9 }, insertCodeLineBreak);
+
+        expect(result.handled).toBe(false);
+    });
+
+    test.each([
+        ["a paragraph", "```py", { start: 5, end: 5 }, "```py\n\n```"],
+        ["a code block that is not closed", "~~~\n\nnext", { start: 3, end: 3 }, "~~~\n\n~~~\n\nnext"]
+    ])("opens a fence from %s", async (_, markdown, selection, expected) => {
+        const result = await edit(markdown, selection, openCodeFence);
+
+        expect(result).toEqual({ handled: true, markdown: expected, selection: { start: selection.start + 1, end: selection.start + 1 } });
+    });
+
+    test("does not open a fence that is closed", async () => {
+        const result = await edit("```\na\n```", { start: 3, end: 3 }, openCodeFence);
+
+        expect(result.handled).toBe(false);
+    });
+
+    test.each([
+        ["a cursor", "```\nab\n```", { start: 5, end: 5 }, false, "```\na    b\n```", { start: 9, end: 9 }],
+        ["the selected lines", "```\na\nb\nc\n```", { start: 4, end: 7 }, false, "```\n    a\n    b\nc\n```", { start: 4, end: 15 }],
+        ["the selected lines out", "```\n  a\n\tb\n```", { start: 5, end: 9 }, true, "```\na\nb\n```", { start: 4, end: 6 }],
+        ["an indented code block out", "      a\n    b", { start: 0, end: 13 }, true, "    a\n    b", { start: 0, end: 11 }]
+    ])("indents %s", async (_, markdown, selection, outdent, expected, expectedSelection) => {
+        const result = await edit(markdown, selection, block => indentCodeLines(block, outdent));
+
+        expect(result).toEqual({ handled: true, markdown: expected, selection: expectedSelection });
+    });
+
+    test.each([
+        ["```js title\na\n```", "python", "```python title\na\n```"],
+        ["```\na\n```", "j s`", "```js\na\n```"],
+        ["~~~ a`b\na\n~~~", "", "~~~\na\n~~~"]
+    ])("rewrites the language of %j", async (markdown, lang, expected) => {
+        const result = await edit(markdown, { start: 0, end: 0 }, block => setCodeBlockLanguage(block, lang));
+
+        expect(result.markdown).toBe(expected);
+    });
+
+    test("renders the language input of a fenced code block", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("```js title\na\n```\n\n    indented");
+
+        expect(Array.from(container.querySelectorAll(".md-code-language"), input => input.value)).toEqual(["js"]);
+    });
+});
@@ -0,0 +1,343 @@
+import { createSharedText, getTextChange } from "./SharedTextUtils";
+
+/**
+ * @typedef {Object} SyncProvider
+ * @property {(message: Object) => void} send - Sends a message to the other participants ( not to the sender ).
+ * @property {(listener: (message: Object) => void) => () => void} subscribe - Listens to the messages
+ *      of the other participants, returns a function that stops listening.
+ */
+
+/**
+ * @typedef {Object} Peer
+ * @property {String} clientId - The id of the participant.
+ * @property {{name?: String, color?: String}} user - The user of the participant.
+ * @property {{start: Number, end: Number}|null} selection - The selection of the participant, as offsets
+ *      in the local text, or null if it is not in the text.
+ */
+
+/**
+ * The colors given to the participants that have none.
+ */
+const peerColors = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#008080", "#9a6324", "#800000"];
+
+/**
+ * Creates a unique id for a participant.
+ *
+ * @returns {String} The id.
+ */
+function createClientId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+/**
+ * Gets the color of a participant: the color of its user, or a color picked from its id.
+ *
+ * @param {String} clientId - The id of the participant.
+ * @param {{color?: String}} user - The user of the participant.
+ * @returns {String} The color.
+ */
+function getPeerColor(clientId, user) {
+    if (user?.color) return user.color;
+
+    const hash = Array.from(clientId).reduce((sum, character) => sum + character.charCodeAt(0), 0);
+
+    return peerColors[hash % peerColors.length];
+}
+
+/**
+ * Creates a collaborative editing session: the markdown is shared with the other participants of a sync provider,
+ * the concurrent edits are merged ( see `createSharedText` ), and the selections of the participants are exchanged.
+ *
+ * The messages are plain objects ( `hello`, `state`, `update`, `presence` and `leave` ), that the provider delivers
+ * to all the other participants. A participant that joins sends its state and receives the state of the others.
+ *
+ * @param {Object} options
+ * @param {SyncProvider} options.provider - The provider that exchanges the messages.
+ * @param {String} [options.text=""] - The local text when the session starts.
+ * @param {{name?: String, color?: String}} [options.user={}] - The local user, shown to the other participants.
+ * @param {String} [options.clientId] - The unique id of the local participant, generated by default.
+ * @param {() => String} [options.getText] - Reads the local text, so that the edits that are not shared yet
+ *      are merged with the remote ones rather than overwritten by them.
+ * @param {(text: String, change: import("./SharedTextUtils").TextChange) => void} [options.onChange] - Called with
+ *      the merged text when a remote edit has changed it.
+ * @param {(peers: [Peer]) => void} [options.onPeersChange] - Called when the participants or their selections change.
+ * @returns {Object} The session, with `getText`, `setText`, `setSelection`, `setUser`, `getPeers` and `destroy` methods.
+ *
+ * @example
+ * const session = createCollaborationSession({ provider: createBroadcastChannelProvider("spec"), text: markdown });
+ * session.setText(editedMarkdown);
+ */
+export function createCollaborationSession({
+    provider, text = "", user = {}, clientId = createClientId(), getText, onChange, onPeersChange
+}) {
+    const sharedText = createSharedText({ clientId, text });
+    // The other participants, with their selection as relative positions ( see `getRelativePosition` ).
+    const peers = new Map();
+    let localUser = user;
+    let localSelection = null;
+
+    const send = (type, data = {}) => provider.send({ type, from: clientId, ...data });
+    const sendPresence = () => send("presence", { user: localUser, selection: localSelection });
+
+    /**
+     * Gets the participants, with their selection in the current text.
+     *
+     * @returns {[Peer]} The participants.
+     */
+    function getPeers() {
+        return Array.from(peers, ([peerId, { user: peerUser, selection }]) => {
+            const anchor = selection && sharedText.resolveRelativePosition(selection.anchor);
+            const head = selection && sharedText.resolveRelativePosition(selection.head);
+            const isResolved = anchor !== null && head !== null;
+
+            return {
+                clientId: peerId,
+                user: { ...peerUser, color: getPeerColor(peerId, peerUser) },
+                selection: selection && isResolved ? { start: Math.min(anchor, head), end: Math.max(anchor, head) } : null
+            };
+        });
+    }
+
+    /**
+     * Shares the local text, as the change from the shared text.
+     *
+     * @param {String} newText - The local text.
+     * @returns {void}
+     */
+    function share(newText) {
+        const change = getTextChange(sharedText.getText(), newText);
+        if (!change) return;
+
+        send("update", { update: sharedText.replace(change.from, change.to, change.insert) });
+    }
+
+    /**
+     * Merges a remote update, and notifies the change of the text.
+     *
+     * @param {import("./SharedTextUtils").SharedTextUpdate} update - The update.
+     * @returns {void}
+     */
+    function merge(update) {
+        if (getText) share(getText());
+
+        const previous = sharedText.getText();
+        sharedText.applyUpdate(update);
+
+        const change = getTextChange(previous, sharedText.getText());
+        if (!change) return;
+
+        onChange?.(sharedText.getText(), change);
+        // The selections of the participants have moved with the text.
+        if (peers.size) onPeersChange?.(getPeers());
+    }
+
+    const unsubscribe = provider.subscribe(message => {
+        if (!message || message.from === clientId) return;
+
+        switch (message.type) {
+            case "hello":
+                merge(message.state);
+                // The participant that joins gets the state and the selection of the others.
+                send("state", { state: sharedText.getState() });
+                sendPresence();
+                break;
+            case "state":
+                merge(message.state);
+                break;
+            case "update":
+                merge(message.update);
+                break;
+            case "presence":
+                peers.set(message.from, { user: message.user || {}, selection: message.selection || null });
+                onPeersChange?.(getPeers());
+                break;
+            case "leave":
+                if (peers.delete(message.from)) onPeersChange?.(getPeers());
+                break;
+            default:
+                break;
+        }
+    });
+
+    send("hello", { state: sharedText.getState() });
+    sendPresence();
+
+    return {
+        clientId,
+        /**
+         * Gets the shared text.
+         *
+         * @returns {String} The text.
+         */
+        getText() {
+            return sharedText.getText();
+        },
+        /**
+         * Shares a local edit of the text.
+         *
+         * @param {String} newText - The edited text.
+         * @returns {void}
+         */
+        setText(newText) {
+            share(newText);
+        },
+        /**
+         * Shares the local selection.
+         *
+         * @param {{start: Number, end: Number}|null} selection - The selection, as offsets in the text,
+         *      or null if it is not in the text.
+         * @returns {void}
+         */
+        setSelection(selection) {
+            const relativeSelection = selection && {
+                anchor: sharedText.getRelativePosition(selection.start),
+                head: sharedText.getRelativePosition(selection.end)
+            };
+            if (JSON.stringify(relativeSelection) === JSON.stringify(localSelection)) return;
+
+            localSelection = relativeSelection;
+            sendPresence();
+        },
+        /**
+         * Changes the local user, shown to the other participants.
+         *
+         * @param {{name?: String, color?: String}} newUser - The user.
+         * @returns {void}
+         */
+        setUser(newUser) {
+            localUser = newUser || {};
+            sendPresence();
+        },
+        getPeers,
+        /**
+         * Leaves the session.
+         *
+         * @returns {void}
+         */
+        destroy() {
+            send("leave");
+            unsubscribe();
+        }
+    };
+}
+
+/**
+ * Creates a sync provider over a `BroadcastChannel`, which shares a document between the tabs of a browser.
+ *
+ * @param {String} name - The name of the channel, e.g. the id of the document.
+ * @returns {SyncProvider & {close: () => void}} The provider.
+ *
+ * @example
+ * const provider = createBroadcastChannelProvider("spec.md");
+ */
+export function createBroadcastChannelProvider(name) {
+    const channel = new BroadcastChannel(name);
+
+    return {
+        send(message) {
+            channel.postMessage(message);
+        },
+        subscribe(listener) {
+            const handleMessage = event => listener(event.data);
+            channel.addEventListener("message", handleMessage);
+
+            return () => channel.removeEventListener("message", handleMessage);
+        },
+        close() {
+            channel.close();
+        }
+    };
+}
+
+/**
+ * Creates a sync provider over a WebSocket. The server relays every message ( as JSON ) to the other clients
+ * of the same document, the messages sent before the socket is open are queued.
+ *
+ * @param {String|WebSocket} socket - The URL of the server, or an open ( or opening ) socket.
+ * @returns {SyncProvider & {close: () => void}} The provider.
+ *
+ * @example
+ * const provider = createWebSocketProvider("wss://example.com/documents/spec");
+ */
+export function createWebSocketProvider(socket) {
+    const webSocket = typeof socket === "string" ? new WebSocket(socket) : socket;
+    const queue = [];
+
+    webSocket.addEventListener("open", () => {
+        queue.splice(0).forEach(data => webSocket.send(data));
+    });
+
+    return {
+        send(message) {
+            const data = JSON.stringify(message);
+
+            if (webSocket.readyState === WebSocket.OPEN) {
+                webSocket.send(data);
+            } else {
+                queue.push(data);
+            }
+        },
+        subscribe(listener) {
+            const handleMessage = event => {
+                try {
+                    listener(JSON.parse(event.data));
+                } catch {
+                    // A message that is not JSON does not belong to the session.
+                }
+            };
+            webSocket.addEventListener("message", handleMessage);
+
+            return () => webSocket.removeEventListener("message", handleMessage);
+        },
+        close() {
+            webSocket.close();
+        }
+    };
+}
+
+/**
+ * Creates an in-process sync server, whose providers exchange the messages within the page ( e.g. in tests ).
+ * The messages are queued until `flush` delivers them, so that the concurrent edits can be simulated.
+ *
+ * @returns {{connect: () => SyncProvider, flush: () => void}} The server: `connect` creates the provider
+ *      of a participant, `flush` delivers the queued messages ( and their replies ) to the other participants.
+ *
+ * @example
+ * const server = createMockSyncServer();
+ * const provider = server.connect();
+ */
+export function createMockSyncServer() {
+    const connections = new Set();
+    const queue = [];
+
+    return {
+        connect() {
+            const connection = { listeners: new Set() };
+            connections.add(connection);
+
+            return {
+                send(message) {
+                    // The messages are copied, like by a real channel.
+                    queue.push({ sender: connection, message: JSON.parse(JSON.stringify(message)) });
+                },
+                subscribe(listener) {
+                    connection.listeners.add(listener);
+
+                    return () => {
+                        connection.listeners.delete(listener);
+                        if (!connection.listeners.size) connections.delete(connection);
+                    };
+                }
+            };
+        },
+        flush() {
+            while (queue.length) {
+                const { sender, message } = queue.shift();
+
+                connections.forEach(connection => {
+                    if (connection !== sender) connection.listeners.forEach(listener => listener(message));
+                });
+            }
+        }
+    };
+}
@@ -0,0 +1,72 @@
+import { createCollaborationSession, createMockSyncServer } from "./CollaborationUtils";
+
+/**
+ * Joins a session of the mock server, recording the text and the participants notified by the session.
+ *
+ * @param {Object} server - The mock server.
+ * @param {String} clientId - The id of the participant.
+ * @param {String} [text=""] - The initial text.
+ * @returns {{session: Object, changes: [Object], peers: [Object]}} The session, the notified changes,
+ *      and the last notified participants.
+ */
+function join(server, clientId, text = "") {
+    const participant = { changes: [], peers: [] };
+
+    participant.session = createCollaborationSession({
+        provider: server.connect(),
+        clientId,
+        text,
+        user: { name: clientId },
+        onChange: (_, change) => participant.changes.push(change),
+        onPeersChange: peers => participant.peers = peers
+    });
+
+    return participant;
+}
+
+describe("createCollaborationSession", () => {
+    test("merges the concurrent edits of the participants", () => {
+        const server = createMockSyncServer();
+        const alice = join(server, "alice", "# Spec\n\nText");
+        const bob = join(server, "bob", "# Spec\n\nText");
+        server.flush();
+
+        alice.session.setText("# Spec v2\n\nText");
+        bob.session.setText("# Spec\n\nMore text");
+        server.flush();
+
+        expect(alice.session.getText()).toBe("# Spec v2\n\nMore text");
+        expect(bob.session.getText()).toBe(alice.session.getText());
+        expect(alice.changes).toEqual([{ from: 11, to: 12, insert: "More t" }]);
+    });
+
+    test("brings a participant that joins up to date", () => {
+        const server = createMockSyncServer();
+        const alice = join(server, "alice", "a");
+        alice.session.setText("abc");
+        server.flush();
+
+        const bob = join(server, "bob");
+        server.flush();
+
+        expect(bob.session.getText()).toBe("abc");
+    });
+
+    test("shares the selections of the participants", () => {
+        const server = createMockSyncServer();
+        const alice = join(server, "alice", "Hello");
+        const bob = join(server, "bob", "Hello");
+        server.flush();
+
+        bob.session.setSelection({ start: 1, end: 3 });
+        alice.session.setText("Oh, Hello");
+        server.flush();
+
+        expect(alice.peers).toEqual([{ clientId: "bob", user: { name: "bob", color: expect.any(String) }, selection: { start: 5, end: 7 } }]);
+
+        bob.session.destroy();
+        server.flush();
+
+        expect(alice.peers).toEqual([]);
+    });
+});
@@ -47,7 +47,7 @@ export function saveCursorSelection(container) {
  * const start = getTextOffset(container, range.startContainer, range.startOffset);
  * const end = getTextOffset(container, range.endContainer, range.endOffset);
  */
-function getTextOffset(editableNode, rangeNode, offset) {
+export function getTextOffset(editableNode, rangeNode, offset) {
     const range = document.createRange();
 
     range.selectNodeContents(editableNode);
@@ -151,6 +151,39 @@ function getTextRange(editableNode, startOffset, endOffset) {
     return range;
 }
 
+/**
+ * Gets the rectangles of a range, to draw it over the container ( e.g. the selection of another participant ).
+ * The caret is drawn at the end of the range.
+ * 
+ * @param {Range} range - The range.
+ * @param {HTMLElement} relativeTo - The element the rectangles are positioned in.
+ * 
+ * @returns {{caret: {left: number, top: number, height: number}|null, rects: [{left: number, top: number,
+ *      width: number, height: number}]}} The caret, and the rectangles of the selected text.
+ * 
+ * @example
+ * const { caret, rects } = getSelectionRects(getMarkdownRange(container, { start: 5, end: 10 }), wrapper);
+ */
+export function getSelectionRects(range, relativeTo) {
+    const origin = relativeTo.getBoundingClientRect();
+    const toRect = ({ left, top, width, height }) => ({
+        left: left - origin.left + relativeTo.scrollLeft,
+        top: top - origin.top + relativeTo.scrollTop,
+        width,
+        height
+    });
+
+    const rects = range.collapsed ? [] : Array.from(range.getClientRects?.() || [], toRect);
+    const caretRange = range.cloneRange();
+    caretRange.collapse(false);
+    const caretRect = caretRange.getClientRects?.()[0] || caretRange.getBoundingClientRect?.();
+
+    return {
+        caret: caretRect ? toRect(caretRect) : null,
+        rects
+    };
+}
+
 /**
  * Get the DOM element under the cursor position.
  * 
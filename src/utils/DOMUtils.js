@@ -15,8 +15,8 @@ export function findClosestElement(element, selector, isIncludeYourself = false,
     // If element or selector is not provided, return null
     if (!element || !selector) return null;
 
-    // Get the limit element that constrains the search
-    const limitElement = document.querySelector(limitSelector);
+    // Get the limit element that constrains the search ( only an ancestor can stop it )
+    const limitElement = element.parentElement?.closest(limitSelector);
     let current = element;
 
     // Check if the starting element matches the selector (if included)
@@ -63,8 +63,8 @@ export function findFurthestElement(element, selector, isIncludeYourself = false
     // If element or selector is not provided, return null
     if (!element || !selector) return null;
 
-    // Get the limit element that constrains the search
-    const limitElement = document.querySelector(limitSelector);
+    // Get the limit element that constrains the search ( only an ancestor can stop it )
+    const limitElement = element.parentElement?.closest(limitSelector);
     const candidates = [];
     let current = element;
 
@@ -93,4 +93,41 @@ export function findFurthestElement(element, selector, isIncludeYourself = false
 
     // Return the last matching element (furthest ancestor)
     return candidates.length > 0 ? candidates.pop() : null;
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the path of a node from a root node, as the indexes of the child nodes to walk through.
+ * The same path leads to the same node in a clone of the root node.
+ * 
+ * @param {Node} root - The root node of the path.
+ * @param {Node} node - A descendant of the root node ( or the root node itself ).
+ * @returns {[Number]|null} The indexes of the child nodes, or null if the node is outside of the root node.
+ * 
+ * @example
+ * const path = getNodePath(container, range.startContainer);
+ */
+export function getNodePath(root, node) {
+    const path = [];
+
+    for (let current = node; current !== root; current = current.parentNode) {
+        if (!current?.parentNode) return null;
+
+        path.unshift(Array.prototype.indexOf.call(current.parentNode.childNodes, current));
+    }
+
+    return path;
+}
+
+/**
+ * Finds the node at the end of a path built by `getNodePath`.
+ * 
+ * @param {Node} root - The root node of the path.
+ * @param {[Number]} path - The indexes of the child nodes to walk through.
+ * @returns {Node|null} The node at the end of the path, or null if the path does not exist.
+ * 
+ * @example
+ * const node = resolveNodePath(container.cloneNode(true), path);
+ */
+export function resolveNodePath(root, path) {
+    return path.reduce((node, index) => node?.childNodes[index] || null, root);
+}
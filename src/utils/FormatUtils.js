@@ -0,0 +1,135 @@
+import { getTextOffset, restoreCursorSelection, saveCursorSelection } from "./CursorUtils";
+import { findClosestElement } from "./DOMUtils";
+
+/**
+ * The markdown signs that wrap the text of each inline format, by the `data-type` of the `.md-i` element.
+ */
+const inlineFormats = {
+    strong: { prefixSign: "**", suffixSign: "**" },
+    em: { prefixSign: "*", suffixSign: "*" },
+    codespan: { prefixSign: "`", suffixSign: "`" },
+    del: { prefixSign: "~~", suffixSign: "~~" },
+    link: { prefixSign: "[", suffixSign: "]()" }
+};
+
+/**
+ * Gets the signs of a code span that can hold the given code: the fence is longer than any backtick run of the code,
+ * and a code that starts or ends with a backtick is padded with a space.
+ *
+ * @param {String} code - The code to wrap.
+ * @returns {{prefixSign: String, suffixSign: String}} The signs of the code span.
+ */
+function getCodespanSigns(code) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = "`".repeat(longestRun + 1);
+    const padding = code.startsWith("`") || code.endsWith("`") ? " " : "";
+
+    return { prefixSign: fence + padding, suffixSign: padding + fence };
+}
+
+/**
+ * Inserts a text at a text offset of a container, in the text node that holds that offset.
+ * The text is inserted in an existing text node, so that it stays in the inline element that the restorer reads.
+ *
+ * @param {Node} container - The editable container.
+ * @param {Number} offset - The text offset, relative to the text content of the container.
+ * @param {String} text - The text to insert.
+ * @returns {Boolean} True if the text has been inserted.
+ */
+function insertTextAtOffset(container, offset, text) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    let charCount = 0;
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+
+        if (charCount + node.length >= offset) {
+            node.insertData(offset - charCount, text);
+            return true;
+        }
+
+        charCount += node.length;
+    }
+
+    return false;
+}
+
+/**
+ * Gets the element of a node, the parent element for a text node.
+ *
+ * @param {Node} node - A node.
+ * @returns {Element|null} The element.
+ */
+function getElement(node) {
+    return node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+}
+
+/**
+ * Removes the signs of an inline element, keeping the selection on the same text.
+ *
+ * @param {Node} container - The editable container.
+ * @param {HTMLElement} element - The `.md-i` element to unwrap.
+ * @param {{start: Number, end: Number}} selection - The selection, as text offsets.
+ * @returns {{start: Number, end: Number}} The new selection.
+ */
+function unwrapInlineElement(container, element, selection) {
+    const prefix = element.querySelector(":scope>.md-prefix-sign");
+    const suffix = element.querySelector(":scope>.md-suffix-sign");
+    const prefixLength = prefix?.textContent.length || 0;
+
+    const contentStart = getTextOffset(container, element, 0);
+    const contentEnd = contentStart + element.textContent.length - prefixLength - (suffix?.textContent.length || 0);
+
+    if (prefix) prefix.textContent = "";
+    if (suffix) suffix.textContent = "";
+
+    // A selection that includes the signs is kept on the content.
+    const shift = offset => Math.min(Math.max(offset - prefixLength, contentStart), contentEnd);
+
+    return { start: shift(selection.start), end: shift(selection.end) };
+}
+
+/**
+ * Toggles an inline format on the selection: the selection is wrapped in the signs of the format
+ * ( `**`, `*`, `` ` ``, `~~` or `[]()` ), or unwrapped if it is already inside an element of that format.
+ * The selection stays on the same text, and the container has to be re-rendered afterwards.
+ *
+ * @param {Node} container - The editable container.
+ * @param {String} type - The `data-type` of the format: `strong`, `em`, `codespan`, `del` or `link`.
+ * @returns {Boolean} True if the format has been toggled ( a selection across blocks cannot be formatted ).
+ *
+ * @example
+ * // Ctrl/Cmd + B
+ * if (toggleInlineFormat(container, "strong")) handleChange();
+ */
+export function toggleInlineFormat(container, type) {
+    const sel = window.getSelection();
+    const selection = saveCursorSelection(container);
+    if (!selection || !inlineFormats[type]) return false;
+
+    const range = sel.getRangeAt(0);
+    const startElement = getElement(range.startContainer);
+    const endElement = getElement(range.endContainer);
+
+    const block = findClosestElement(startElement, ".md-b", true);
+    if (!block || block !== findClosestElement(endElement, ".md-b", true)) return false;
+
+    const element = findClosestElement(startElement, `.md-i[data-type=${type}]`, true);
+    let newSelection;
+
+    if (element?.contains(endElement)) {
+        newSelection = unwrapInlineElement(container, element, selection);
+    } else {
+        const { prefixSign, suffixSign } = type === "codespan" ? getCodespanSigns(range.toString()) : inlineFormats[type];
+
+        // The suffix is inserted first, so that the offset of the selection start does not move.
+        insertTextAtOffset(container, selection.end, suffixSign);
+        insertTextAtOffset(container, selection.start, prefixSign);
+
+        newSelection = { start: selection.start + prefixSign.length, end: selection.end + prefixSign.length };
+    }
+
+    restoreCursorSelection(container, newSelection);
+
+    return true;
+}
@@ -0,0 +1,51 @@
+import { parseMarkdownString } from "../renderer/MarkdownRenderer";
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import { saveCursorSelection, restoreCursorSelection } from "./CursorUtils";
+import { toggleInlineFormat } from "./FormatUtils";
+
+/**
+ * Renders the markdown in the document, toggles a format on a selection, and renders the result again.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @param {{start: Number, end: Number}} selection - The selection, as text offsets.
+ * @param {String} type - The format to toggle.
+ * @returns {Promise<{markdown: String, selected: String}>} The new markdown, and the selected text.
+ */
+async function toggle(markdown, selection, type) {
+    const container = await createDocument(markdown);
+    restoreCursorSelection(container, selection);
+    toggleInlineFormat(container, type);
+
+    const newSelection = saveCursorSelection(container);
+    const newMarkdown = parseHTMLElement(container).text;
+    container.innerHTML = await parseMarkdownString(newMarkdown);
+    restoreCursorSelection(container, newSelection);
+
+    const { start, end } = getMarkdownSelection(container);
+
+    return { markdown: newMarkdown, selected: newMarkdown.slice(start, end) };
+}
+
+describe("toggleInlineFormat", () => {
+    test.each([
+        ["strong", "a bold b", { start: 2, end: 6 }, "a **bold** b"],
+        ["em", "a word b", { start: 2, end: 6 }, "a *word* b"],
+        ["codespan", "run a`b now", { start: 4, end: 7 }, "run ``a`b`` now"],
+        ["del", "a gone b", { start: 2, end: 6 }, "a ~~gone~~ b"],
+        ["link", "see docs", { start: 4, end: 8 }, "see [docs]()"]
+    ])("wraps the selection in %s signs", async (type, markdown, selection, expected) => {
+        const result = await toggle(markdown, selection, type);
+
+        expect(result.markdown).toBe(expected);
+        expect(result.selected).toBe(markdown.slice(selection.start, selection.end));
+    });
+
+    test.each([
+        ["strong", "a **bold** b", { start: 5, end: 7 }, "a bold b", "ol"],
+        ["em", "**a _b_ c**", { start: 5, end: 6 }, "**a b c**", "b"],
+        ["link", "see [docs](/url) now", { start: 5, end: 9 }, "see docs now", "docs"]
+    ])("unwraps the %s element around the selection", async (type, markdown, selection, expected, selected) => {
+        expect(await toggle(markdown, selection, type)).toEqual({ markdown: expected, selected });
+    });
+});
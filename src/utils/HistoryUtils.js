@@ -0,0 +1,118 @@
+/**
+ * @typedef {Object} HistorySnapshot
+ * @property {String} markdown - The markdown of the editor, as it is rendered.
+ * @property {{start: Number, end: Number}} cursor - The cursor, as offsets in the markdown without the zero-width spaces.
+ */
+
+/**
+ * Creates the undo/redo history of an editor.
+ * The current state of the editor is the last snapshot of the undo stack, so undoing goes back to the one before it.
+ * The snapshots of a typing burst ( recorded less than `coalesceDelay` apart ) are merged into a single snapshot.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.limit=100] - The maximum number of snapshots kept in the undo stack.
+ * @param {Number} [options.coalesceDelay=1000] - The delay ( in ms ) after which typing starts a new snapshot.
+ * @returns {Object} The history, with `record`, `undo`, `redo`, `clear`, `map` and `inspect` methods.
+ *
+ * @example
+ * const history = createHistory();
+ * history.record({ markdown: "# Title", cursor: { start: 5, end: 5 } });
+ */
+export function createHistory({ limit = 100, coalesceDelay = 1000 } = {}) {
+    /** @type {[HistorySnapshot]} */
+    let undoStack = [];
+    /** @type {[HistorySnapshot]} */
+    let redoStack = [];
+    // Whether the last snapshot has been recorded while typing, and when.
+    let isLastTyping = false;
+    let lastRecordTime = 0;
+
+    return {
+        /**
+         * Records a new state of the editor. A state with the same markdown as the current one is not recorded.
+         *
+         * @param {HistorySnapshot} snapshot - The new state.
+         * @param {Boolean} [isTyping=false] - Whether the state comes from typing, so that it can be coalesced.
+         * @returns {Boolean} True if the state has been recorded.
+         */
+        record(snapshot, isTyping = false) {
+            if (undoStack.at(-1)?.markdown === snapshot.markdown) return false;
+
+            const now = Date.now();
+
+            if (isTyping && isLastTyping && now - lastRecordTime < coalesceDelay) {
+                undoStack[undoStack.length - 1] = snapshot;
+            } else {
+                undoStack.push(snapshot);
+                undoStack = undoStack.slice(-limit);
+            }
+
+            redoStack = [];
+            isLastTyping = isTyping;
+            lastRecordTime = now;
+
+            return true;
+        },
+        /**
+         * Goes back to the previous state.
+         *
+         * @returns {HistorySnapshot|null} The previous state, or null if there is nothing to undo.
+         */
+        undo() {
+            if (undoStack.length < 2) return null;
+
+            redoStack.push(undoStack.pop());
+            isLastTyping = false;
+
+            return undoStack.at(-1);
+        },
+        /**
+         * Goes forward to the state that has been undone last.
+         *
+         * @returns {HistorySnapshot|null} The next state, or null if there is nothing to redo.
+         */
+        redo() {
+            if (!redoStack.length) return null;
+
+            undoStack.push(redoStack.pop());
+            isLastTyping = false;
+
+            return undoStack.at(-1);
+        },
+        /**
+         * Clears the history, the current state is kept as the only state.
+         *
+         * @returns {void}
+         */
+        clear() {
+            undoStack = undoStack.slice(-1);
+            redoStack = [];
+            isLastTyping = false;
+        },
+        /**
+         * Replaces every state of the history, e.g. to apply a change that has not been made in the editor
+         * to the states, so that undoing and redoing keep it.
+         *
+         * @param {(snapshot: HistorySnapshot) => HistorySnapshot} transform - Gives the new state of a state.
+         * @returns {void}
+         */
+        map(transform) {
+            undoStack = undoStack.map(transform);
+            redoStack = redoStack.map(transform);
+        },
+        /**
+         * Gets a copy of the stacks.
+         *
+         * @returns {{undo: [HistorySnapshot], current: HistorySnapshot|null, redo: [HistorySnapshot]}}
+         *      The states that can be undone ( the most recent last ), the current state,
+         *      and the states that can be redone ( the next one first ).
+         */
+        inspect() {
+            return {
+                undo: undoStack.slice(0, -1),
+                current: undoStack.at(-1) || null,
+                redo: redoStack.slice().reverse()
+            };
+        }
+    };
+}
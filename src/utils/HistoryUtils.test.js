@@ -0,0 +1,76 @@
+import { createHistory } from "./HistoryUtils";
+
+/**
+ * Creates a snapshot whose cursor is at the end of the markdown.
+ *
+ * @param {String} markdown - The markdown of the snapshot.
+ * @returns {{markdown: String, cursor: {start: Number, end: Number}}} The snapshot.
+ */
+function snapshot(markdown) {
+    return { markdown, cursor: { start: markdown.length, end: markdown.length } };
+}
+
+describe("createHistory", () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test("coalesces a typing burst into a single state", () => {
+        const history = createHistory({ coalesceDelay: 1000 });
+
+        history.record(snapshot(""));
+        ["a", "ab", "abc"].forEach(markdown => {
+            jest.advanceTimersByTime(200);
+            history.record(snapshot(markdown), true);
+        });
+        jest.advanceTimersByTime(1500);
+        history.record(snapshot("abc d"), true);
+
+        expect(history.undo()).toEqual(snapshot("abc"));
+        expect(history.undo()).toEqual(snapshot(""));
+        expect(history.undo()).toBeNull();
+        expect(history.redo()).toEqual(snapshot("abc"));
+    });
+
+    test("does not coalesce the changes that are not typed", () => {
+        const history = createHistory();
+
+        history.record(snapshot("a"));
+        history.record(snapshot("- a"));
+        history.record(snapshot("- ab"), true);
+
+        expect(history.inspect().undo.map(state => state.markdown)).toEqual(["a", "- a"]);
+    });
+
+    test("clears the redo stack on a new change", () => {
+        const history = createHistory();
+
+        history.record(snapshot("a"));
+        history.record(snapshot("b"));
+        history.undo();
+        history.record(snapshot("c"));
+
+        expect(history.redo()).toBeNull();
+        expect(history.inspect().current).toEqual(snapshot("c"));
+    });
+
+    test("keeps the current state when it is cleared", () => {
+        const history = createHistory({ limit: 2 });
+
+        ["a", "b", "c"].forEach(markdown => history.record(snapshot(markdown)));
+        expect(history.inspect().undo).toEqual([snapshot("b")]);
+
+        history.clear();
+        expect(history.inspect()).toEqual({ undo: [], current: snapshot("c"), redo: [] });
+    });
+
+    test("replaces every state with the state given by a transform", () => {
+        const history = createHistory();
+
+        ["a", "b", "c"].forEach(markdown => history.record(snapshot(markdown)));
+        history.undo();
+        history.map(({ markdown }) => snapshot(`# ${markdown}`));
+
+        expect(history.inspect()).toEqual({ undo: [snapshot("# a")], current: snapshot("# b"), redo: [snapshot("# c")] });
+        expect(history.redo()).toEqual(snapshot("# c"));
+    });
+});
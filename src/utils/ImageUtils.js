@@ -0,0 +1,168 @@
+import { rules } from "../renderer/rules";
+import { convertURL, escapeMarkdown } from "../renderer/HTMLConverter";
+
+/**
+ * The placeholder of an image being uploaded, which displays the image from its file until its URL is known.
+ *
+ * @typedef {Object} ImagePlaceholder
+ * @property {String} markdown - The markdown of the placeholder.
+ * @property {Number} offset - Where the placeholder is, as an offset in the markdown without the placeholders.
+ */
+
+/**
+ * The smallest width an image can be resized to, in pixels.
+ */
+const minImageWidth = 16;
+
+/**
+ * The size of the corner of an image that resizes it when it is dragged, in pixels.
+ */
+const resizeHandleSize = 12;
+
+/**
+ * Gets the image files of a drop or of a clipboard.
+ *
+ * @param {DataTransfer|null} dataTransfer - The data of the drop or of the clipboard.
+ * @returns {[File]} The image files, empty if it holds none.
+ *
+ * @example
+ * const files = getImageFiles(event.dataTransfer);
+ */
+export function getImageFiles(dataTransfer) {
+    return Array.from(dataTransfer?.files || []).filter(file => file.type.startsWith("image/"));
+}
+
+/**
+ * Reads a file as a data URL, to be written in the markdown when the images are not uploaded.
+ *
+ * @param {File} file - The file.
+ * @returns {Promise<String>} The data URL.
+ *
+ * @example
+ * const url = await readFileAsDataURL(file); // "data:image/png;base64,…"
+ */
+export function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.addEventListener("load", () => resolve(reader.result));
+        reader.addEventListener("error", () => reject(reader.error));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Creates the markdown of an image file, its alternative text being the name of the file.
+ *
+ * @param {File} file - The image file.
+ * @param {String} url - The URL of the image.
+ * @returns {String} The markdown of the image.
+ *
+ * @example
+ * const markdown = createImageMarkdown(file, "https://example.com/cat.png"); // "![cat](https://example.com/cat.png)"
+ */
+export function createImageMarkdown(file, url) {
+    const alt = (file.name || "").replace(rules.image.fileExtension, "");
+
+    return `![${escapeMarkdown(alt)}](${convertURL(url)})`;
+}
+
+/**
+ * Finds the placeholders of the images being uploaded in a markdown that displays them.
+ * A placeholder that is no longer in the markdown ( e.g. deleted with the text around it ) is left out.
+ *
+ * @param {String} markdown - The markdown.
+ * @param {[ImagePlaceholder]} placeholders - The placeholders.
+ * @returns {{placeholders: [ImagePlaceholder], removals: [import("./SharedTextUtils").TextChange]}} The placeholders
+ *      found, at their offset in the markdown without them, and the changes that remove them from the markdown
+ *      ( each one made to the markdown changed by the previous ones ).
+ *
+ * @example
+ * const { removals } = findImagePlaceholders(markdown, placeholders);
+ * const sharedMarkdown = removals.reduce(applyTextChange, markdown);
+ */
+export function findImagePlaceholders(markdown, placeholders) {
+    const found = placeholders
+        .map(placeholder => ({ markdown: placeholder.markdown, index: markdown.indexOf(placeholder.markdown) }))
+        .filter(({ index }) => index >= 0)
+        .sort((a, b) => a.index - b.index);
+
+    let removedLength = 0;
+
+    return found.reduce((result, { markdown: placeholder, index }) => {
+        const offset = index - removedLength;
+        removedLength += placeholder.length;
+
+        result.placeholders.push({ markdown: placeholder, offset });
+        result.removals.push({ from: offset, to: offset + placeholder.length, insert: "" });
+
+        return result;
+    }, { placeholders: [], removals: [] });
+}
+
+/**
+ * Gets the changes that insert the placeholders of the images being uploaded in a markdown, at their offset.
+ *
+ * @param {[ImagePlaceholder]} placeholders - The placeholders.
+ * @returns {[import("./SharedTextUtils").TextChange]} The changes, each one made to the markdown changed
+ *      by the previous ones.
+ *
+ * @example
+ * const displayedMarkdown = getImagePlaceholderInsertions(placeholders).reduce(applyTextChange, markdown);
+ */
+export function getImagePlaceholderInsertions(placeholders) {
+    let insertedLength = 0;
+
+    return placeholders
+        .slice()
+        .sort((a, b) => a.offset - b.offset)
+        .map(({ markdown, offset }) => {
+            const from = offset + insertedLength;
+            insertedLength += markdown.length;
+
+            return { from, to: from, insert: markdown };
+        });
+}
+
+/**
+ * Checks whether a mouse event is on the corner of an image that resizes it.
+ *
+ * @param {HTMLImageElement} image - The image.
+ * @param {MouseEvent} event - The mouse event.
+ * @returns {Boolean} True if the pointer is on the bottom-right corner of the image.
+ */
+export function isOnImageResizeHandle(image, event) {
+    const { right, bottom } = image.getBoundingClientRect();
+
+    return right - event.clientX <= resizeHandleSize && bottom - event.clientY <= resizeHandleSize &&
+        event.clientX <= right && event.clientY <= bottom;
+}
+
+/**
+ * Resizes an image by dragging its corner: its `width` attribute follows the pointer until the mouse is released.
+ *
+ * @param {HTMLImageElement} image - The image.
+ * @param {MouseEvent} event - The `mousedown` event that starts the resizing.
+ * @param {() => void} onResize - Called once the image has been resized.
+ * @returns {void}
+ *
+ * @example
+ * if (isOnImageResizeHandle(image, event)) startImageResize(image, event, handleChange);
+ */
+export function startImageResize(image, event, onResize) {
+    const startX = event.clientX;
+    const startWidth = image.getBoundingClientRect().width;
+
+    const handleMove = moveEvent => {
+        moveEvent.preventDefault();
+        image.setAttribute("width", Math.max(minImageWidth, Math.round(startWidth + moveEvent.clientX - startX)));
+    };
+    const handleUp = () => {
+        document.removeEventListener("mousemove", handleMove);
+        document.removeEventListener("mouseup", handleUp);
+        onResize();
+    };
+
+    document.addEventListener("mousemove", handleMove);
+    document.addEventListener("mouseup", handleUp);
+}
@@ -0,0 +1,40 @@
+import {
+    createImageMarkdown, findImagePlaceholders, getImageFiles, getImagePlaceholderInsertions, readFileAsDataURL
+} from "./ImageUtils";
+import { applyTextChange } from "./SharedTextUtils";
+
+describe("ImageUtils", () => {
+    test("keeps the image files of a drop", () => {
+        const image = new File(["png"], "cat.png", { type: "image/png" });
+        const text = new File(["text"], "notes.txt", { type: "text/plain" });
+
+        expect(getImageFiles({ files: [image, text] })).toEqual([image]);
+        expect(getImageFiles(null)).toEqual([]);
+    });
+
+    test("writes the markdown of an image named after its file", () => {
+        const file = new File([""], "my [cat].photo.png", { type: "image/png" });
+
+        expect(createImageMarkdown(file, "https://example.com/a b.png")).toBe("![my \\[cat\\].photo](<https://example.com/a b.png>)");
+    });
+
+    test("reads a file as a data URL", async () => {
+        const file = new File(["png"], "cat.png", { type: "image/png" });
+
+        expect(await readFileAsDataURL(file)).toBe("data:image/png;base64,cG5n");
+    });
+
+    test("takes the placeholders of the images being uploaded out of the markdown, and puts them back", () => {
+        const a = { markdown: "![a](blob:a)", offset: 0 };
+        const b = { markdown: "![b](blob:b)", offset: 0 };
+        const deleted = { markdown: "![c](blob:c)", offset: 0 };
+        const markdown = "x ![b](blob:b) y ![a](blob:a)";
+
+        const { placeholders, removals } = findImagePlaceholders(markdown, [a, b, deleted]);
+        const sharedMarkdown = removals.reduce(applyTextChange, markdown);
+
+        expect(sharedMarkdown).toBe("x  y ");
+        expect(placeholders).toEqual([{ ...b, offset: 2 }, { ...a, offset: 5 }]);
+        expect(getImagePlaceholderInsertions(placeholders).reduce(applyTextChange, sharedMarkdown)).toBe(markdown);
+    });
+});
@@ -0,0 +1,241 @@
+import { rules } from "../renderer/rules";
+import { insertAtCursor } from "./CursorUtils";
+import { findListItem, isCursorAtListItemStart, liftListItem, removeListItemSign } from "./ListUtils";
+
+/**
+ * Gets the text of a block on each side of the cursor, without the zero-width spaces.
+ *
+ * @param {HTMLElement} block - The block that contains the cursor.
+ * @returns {{before: String, after: String}|null} The text before and after the cursor,
+ *      or null if the selection is not a cursor in the block.
+ */
+function getTextAroundCursor(block) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return null;
+
+    const range = sel.getRangeAt(0);
+    if (!range.collapsed || !block.contains(range.startContainer)) return null;
+
+    const before = document.createRange();
+    before.selectNodeContents(block);
+    before.setEnd(range.startContainer, range.startOffset);
+
+    const after = document.createRange();
+    after.selectNodeContents(block);
+    after.setStart(range.startContainer, range.startOffset);
+
+    return {
+        before: before.toString().replace(rules.restorer.zeroWidthSpace, ""),
+        after: after.toString().replace(rules.restorer.zeroWidthSpace, "")
+    };
+}
+
+/**
+ * Creates a paragraph holding the given nodes, or a zero-width space so that the cursor has somewhere to go.
+ *
+ * @param {[Node]} nodes - The content of the paragraph.
+ * @returns {HTMLElement} The paragraph element.
+ */
+function createParagraph(nodes) {
+    const paragraph = document.createElement("p");
+    paragraph.className = "md-e md-b";
+    paragraph.dataset.type = "paragraph";
+    paragraph.append(...nodes);
+
+    if (!paragraph.textContent.replace(rules.restorer.zeroWidthSpace, "")) {
+        paragraph.innerHTML = `<span class="md-i" data-type="inlineText">\u200b</span>`;
+    }
+
+    return paragraph;
+}
+
+/**
+ * Places a collapsed cursor in a node.
+ *
+ * @param {Node} node - The node in which the cursor is placed.
+ * @param {Boolean} [toStart=true] - Whether the cursor is placed at the start of the node, or at its end.
+ * @returns {void}
+ */
+function placeCursor(node, toStart = true) {
+    const sel = window.getSelection();
+    const range = document.createRange();
+
+    range.selectNodeContents(node);
+    range.collapse(toStart);
+
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+/**
+ * Gets the blocks of a blockquote, without the blank lines between them.
+ *
+ * @param {HTMLElement} blockquote - The blockquote.
+ * @returns {[HTMLElement]} The blocks.
+ */
+function getQuotedBlocks(blockquote) {
+    return Array.from(blockquote.children).filter(child => child.matches(".md-b:not([data-type=space])"));
+}
+
+/**
+ * Finds the paragraph of a blockquote that contains the given node.
+ *
+ * @param {Node} node - The node to start the search from ( usually the element under the cursor ).
+ * @returns {HTMLElement|null} The paragraph, a child of a blockquote, or null if the node is not in such a paragraph.
+ */
+function findQuotedParagraph(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const paragraph = element?.closest?.(".md-b[data-type=paragraph]");
+
+    return paragraph?.parentElement?.matches(".md-b[data-type=blockquote]") ? paragraph : null;
+}
+
+/**
+ * Checks whether the cursor is placed at the start of the text of a block.
+ *
+ * @param {HTMLElement} block - The block element.
+ * @returns {Boolean} True if the selection is collapsed before any text of the block ( its zero-width spaces aside ).
+ */
+export function isCursorAtBlockStart(block) {
+    return getTextAroundCursor(block)?.before === "";
+}
+
+/**
+ * Completes the sign of a block typed at the start of a paragraph ( `#` to `######`, `>`, `-`, `*`, `+`, `1.` ),
+ * with the space that follows it. The paragraph is then rendered as a heading, a blockquote or a list.
+ * An empty block gets a zero-width space after its sign, so that the cursor stays in it.
+ *
+ * @param {HTMLElement} paragraph - The paragraph under the cursor.
+ * @returns {Boolean} Whether the sign has been completed, false if the text before the cursor is not a sign.
+ *
+ * @example
+ * if (event.key === " " && applyBlockSignRule(paragraph)) renderChange();
+ */
+export function applyBlockSignRule(paragraph) {
+    const text = getTextAroundCursor(paragraph);
+    if (!text || !rules.inputRule.blockSign.test(text.before)) return false;
+
+    insertAtCursor(text.after ? " " : " \u200b");
+
+    return true;
+}
+
+/**
+ * Turns a paragraph that is a thematic break ( `---`, `***` or `___` ) into a horizontal rule,
+ * followed by an empty paragraph for the cursor.
+ *
+ * @param {HTMLElement} paragraph - The paragraph under the cursor.
+ * @returns {Boolean} Whether the paragraph is a thematic break, with the cursor at its end.
+ *
+ * @example
+ * if (event.key === "Enter" && applyThematicBreakRule(paragraph)) renderChange();
+ */
+export function applyThematicBreakRule(paragraph) {
+    const text = getTextAroundCursor(paragraph);
+    if (!text || text.after || !rules.inputRule.thematicBreak.test(text.before)) return false;
+
+    insertAtCursor("\n\n\u200b");
+
+    return true;
+}
+
+/**
+ * Turns the block at the start of which the cursor is placed into a paragraph: a heading loses its signs,
+ * the first paragraph of a blockquote is moved out of it ( the rest of the blockquote stays quoted ),
+ * and a list item is moved out of its list ( the items after it stay listed ). A task item loses its task marker
+ * first, and becomes a plain item.
+ *
+ * @param {Node} node - The node under the cursor.
+ * @returns {Boolean} Whether a block has been turned into a paragraph.
+ *
+ * @example
+ * if (event.key === "Backspace" && downgradeBlock(getElementUnderCursor(container))) renderChange();
+ */
+export function downgradeBlock(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const heading = element?.closest?.(".md-b[data-type=heading]");
+
+    if (heading) {
+        if (!isCursorAtBlockStart(heading)) return false;
+
+        const content = heading.querySelector(":scope>.md-content");
+        const paragraph = createParagraph(Array.from(content?.childNodes || []));
+        heading.replaceWith(paragraph);
+        placeCursor(paragraph);
+
+        return true;
+    }
+
+    const paragraph = findQuotedParagraph(element);
+    const item = findListItem(element);
+
+    // The quoted paragraph of a list item is downgraded before the item.
+    if (item && !(paragraph && item.contains(paragraph))) {
+        if (!isCursorAtListItemStart(item)) return false;
+
+        if (item.querySelector(":scope>.md-task")) {
+            removeListItemSign(item);
+        } else {
+            placeCursor(liftListItem(item)[0]);
+        }
+
+        return true;
+    }
+
+    if (!paragraph || !isCursorAtBlockStart(paragraph)) return false;
+
+    const blockquote = paragraph.parentElement;
+    if (getQuotedBlocks(blockquote)[0] !== paragraph) return false;
+
+    blockquote.before(paragraph);
+    // The blank lines that separated the paragraph from the next block go with it.
+    while (blockquote.firstElementChild?.matches(".md-b[data-type=space]")) blockquote.firstElementChild.remove();
+    if (!getQuotedBlocks(blockquote).length) blockquote.remove();
+
+    placeCursor(paragraph);
+
+    return true;
+}
+
+/**
+ * Exits a blockquote from one of its empty lines: the line becomes a paragraph placed after the blockquote,
+ * and the blocks that followed it are quoted in a new blockquote after that paragraph.
+ *
+ * @param {Node} node - The node under the cursor.
+ * @returns {Boolean} Whether the cursor is on an empty line of a blockquote, which has been exited.
+ *
+ * @example
+ * if (event.key === "Enter" && exitBlockquote(getElementUnderCursor(container))) renderChange();
+ */
+export function exitBlockquote(node) {
+    const paragraph = findQuotedParagraph(node);
+    if (!paragraph || paragraph.textContent.replace(rules.restorer.zeroWidthSpace, "")) return false;
+
+    const blockquote = paragraph.parentElement;
+    const following = [];
+
+    let next = paragraph.nextElementSibling;
+    while (next) {
+        following.push(next);
+        next = next.nextElementSibling;
+    }
+
+    // The blank line before the empty line is left with it.
+    while (paragraph.previousElementSibling?.matches(".md-b[data-type=space]")) paragraph.previousElementSibling.remove();
+
+    const newParagraph = createParagraph([]);
+    blockquote.after(newParagraph);
+    paragraph.remove();
+
+    const newBlockquote = blockquote.cloneNode(false);
+    newBlockquote.classList.remove("sign-display");
+    newBlockquote.append(...following);
+    while (newBlockquote.firstElementChild?.matches(".md-b[data-type=space]")) newBlockquote.firstElementChild.remove();
+    if (getQuotedBlocks(newBlockquote).length) newParagraph.after(newBlockquote);
+
+    if (!getQuotedBlocks(blockquote).length) blockquote.remove();
+
+    placeCursor(newParagraph, false);
+
+    return true;
+}
@@ -0,0 +1,110 @@
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import { getElementUnderCursor, insertAtCursor } from "./CursorUtils";
+import { applyBlockSignRule, applyThematicBreakRule, downgradeBlock, exitBlockquote } from "./InputRuleUtils";
+
+/**
+ * Renders the markdown in the document, places the cursor at a markdown offset, runs an input rule on the element
+ * under the cursor, and restores the result.
+ *
+ * @param {String} markdown - The markdown to render.
+ * @param {Number} offset - The offset of the cursor in the markdown.
+ * @param {(element: HTMLElement) => Boolean} command - The input rule.
+ * @returns {Promise<{handled: Boolean, markdown: String, cursor: Number}>} Whether the rule has been applied,
+ *      the new markdown ( without the zero-width spaces ), and the new offset of the cursor in it.
+ */
+async function edit(markdown, offset, command) {
+    const container = await createDocument(markdown, offset);
+    const element = getElementUnderCursor(container);
+    const handled = command(element.closest(".md-b[data-type=paragraph]") || element);
+
+    return {
+        handled,
+        markdown: parseHTMLElement(container).text.replace(/\u200b/g, ""),
+        cursor: getMarkdownSelection(container).start
+    };
+}
+
+describe("InputRuleUtils", () => {
+    test.each([
+        ["a heading", "###", "### "],
+        ["a blockquote", ">", "> "],
+        ["a bullet list", "-", "- "],
+        ["an ordered list", "1.", "1. "]
+    ])("completes the sign of %s", async (_, sign, expected) => {
+        // The sign is typed in an empty paragraph, which holds a zero-width space.
+        const result = await edit("\u200b", 0, paragraph => {
+            insertAtCursor(sign);
+            return applyBlockSignRule(paragraph);
+        });
+
+        expect(result).toEqual({ handled: true, markdown: expected, cursor: expected.length });
+    });
+
+    test("completes a sign typed before the text of a paragraph", async () => {
+        const result = await edit("#Title", 1, applyBlockSignRule);
+
+        expect(result).toEqual({ handled: true, markdown: "# Title", cursor: 2 });
+    });
+
+    test("does not complete a sign that is not at the start of the paragraph", async () => {
+        const result = await edit("a #", 3, applyBlockSignRule);
+
+        expect(result.handled).toBe(false);
+    });
+
+    test("turns a thematic break into a horizontal rule", async () => {
+        const result = await edit("text\n\n---", 9, applyThematicBreakRule);
+
+        expect(result).toEqual({ handled: true, markdown: "text\n\n---\n\n", cursor: 11 });
+    });
+
+    test.each([
+        ["a heading", "# Title", 2, "Title", 0],
+        ["the first line of a blockquote", "> a\n>\n> b", 2, "a\n\n> b", 0],
+        ["the first item of a list", "- a\n- b", 2, "a\n\n- b", 0],
+        ["an item in the middle of a list", "1. a\n2. b\n3. c", 8, "1. a\n\nb\n\n3. c", 6],
+        ["the last item of a list", "- a\n- b", 6, "- a\n\nb", 5],
+        ["a nested item", "- a\n  - b\n  - c\n- d", 8, "- a\n\nb\n\n- c\n- d", 5],
+        ["an item with a nested list", "- a\n  - b", 2, "a\n\n- b", 0]
+    ])("downgrades %s to a paragraph", async (_, markdown, offset, expected, cursor) => {
+        const result = await edit(markdown, offset, downgradeBlock);
+
+        expect(result).toEqual({ handled: true, markdown: expected, cursor });
+    });
+
+    test("turns a task item into a plain item before downgrading it", async () => {
+        const result = await edit("- [ ] a", 6, downgradeBlock);
+
+        expect(result).toEqual({ handled: true, markdown: "- a", cursor: 2 });
+    });
+
+    test("does not downgrade a list item from the middle of its text", async () => {
+        const result = await edit("- ab", 3, downgradeBlock);
+
+        expect(result.handled).toBe(false);
+    });
+
+    test("does not downgrade a heading from the middle of its text", async () => {
+        const result = await edit("# Title", 4, downgradeBlock);
+
+        expect(result.handled).toBe(false);
+    });
+
+    test("exits a blockquote from an empty line", async () => {
+        const container = await createDocument("> a\n> \n> \u200b");
+        const quote = container.querySelector("blockquote");
+        const empty = Array.from(quote.children).at(-1);
+        window.getSelection().collapse(empty, 0);
+
+        expect(exitBlockquote(empty)).toBe(true);
+        expect(parseHTMLElement(container).text.replace(/\u200b/g, "")).toBe("> a\n\n");
+        expect(container.lastElementChild.contains(window.getSelection().anchorNode)).toBe(true);
+    });
+
+    test("does not exit a blockquote from a line with text", async () => {
+        const result = await edit("> a", 3, exitBlockquote);
+
+        expect(result.handled).toBe(false);
+    });
+});
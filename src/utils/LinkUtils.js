@@ -0,0 +1,212 @@
+import { rules } from "../renderer/rules";
+import { convertURL } from "../renderer/HTMLConverter";
+
+/**
+ * The target of a link, as it is edited from the link popover.
+ *
+ * @typedef {Object} LinkTarget
+ * @property {String} url - The url written in the markdown ( or in the definition of a reference link ).
+ * @property {String|null} href - The url that the link opens, null if its scheme is not allowed.
+ * @property {Boolean} editable - Whether the url is written in the link itself, and not in a definition.
+ */
+
+/**
+ * Gets the signs and the content of a link element.
+ *
+ * @param {HTMLElement} link - The link element ( `.md-i[data-type=link]` ).
+ * @returns {{prefixSign: HTMLElement, content: HTMLElement, suffixSign: HTMLElement}} The parts of the link.
+ */
+function getLinkParts(link) {
+    return {
+        prefixSign: link.querySelector(":scope>.md-prefix-sign"),
+        content: link.querySelector(":scope>.md-content"),
+        suffixSign: link.querySelector(":scope>.md-suffix-sign")
+    };
+}
+
+/**
+ * Checks whether a link is written as its url: an autolink ( `<https://example.com>` ) or a bare url.
+ *
+ * @param {HTMLElement} link - The link element.
+ * @returns {Boolean} True if the text of the link is its url.
+ */
+function isURLLink(link) {
+    return getLinkParts(link).prefixSign.textContent !== "[";
+}
+
+/**
+ * Finds the point of a text node at an offset in the text of a range, which starts at the start of a block.
+ *
+ * @param {HTMLElement} block - The block.
+ * @param {Range} range - The range, from the start of the block.
+ * @param {Number} offset - The offset in the text of the range.
+ * @param {Boolean} isEnd - Whether the point ends a text, it is then taken at the end of a text node
+ *      rather than at the start of the next one.
+ * @returns {{node: Text, offset: Number}|null} The point, or null if the range holds no text at the offset.
+ */
+function findTextPoint(block, range, offset, isEnd) {
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    let total = 0;
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (!range.intersectsNode(node)) continue;
+
+        const length = node === range.endContainer ? range.endOffset : node.length;
+        if (isEnd ? offset <= total + length : offset < total + length) return { node, offset: offset - total };
+
+        total += length;
+    }
+
+    return null;
+}
+
+/**
+ * Finds the link that holds a node.
+ *
+ * @param {Node} node - The node to start the search from ( usually the element under the cursor ).
+ * @returns {HTMLElement|null} The link element, or null if the node is not in a link.
+ *
+ * @example
+ * const link = findLink(getElementUnderCursor(container));
+ */
+export function findLink(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+
+    return element?.closest?.(".md-i[data-type=link]") || null;
+}
+
+/**
+ * Gets the url of a link.
+ *
+ * @param {HTMLElement} link - The link element.
+ * @returns {LinkTarget} The target of the link.
+ *
+ * @example
+ * const { url, editable } = getLinkTarget(link);
+ */
+export function getLinkTarget(link) {
+    const { content, suffixSign } = getLinkParts(link);
+    const href = content.getAttribute("href");
+
+    if (isURLLink(link)) return { url: content.textContent, href, editable: true };
+
+    // The url of a reference link ( `[text][id]` ) is written in its definition.
+    const cap = rules.link.inlineSuffix.exec(suffixSign.textContent);
+    if (!cap) return { url: href || "", href, editable: false };
+
+    return { url: cap[1].replace(rules.link.angleBrackets, "$1"), href, editable: true };
+}
+
+/**
+ * Changes the url of a link in its markdown, keeping its text and its title. A link written as its url
+ * gets the new url as its text, or becomes an inline link when the url cannot be written as an autolink.
+ *
+ * @param {HTMLElement} link - The link element.
+ * @param {String} url - The new url.
+ * @returns {Boolean} Whether the url has been changed, false for a reference link.
+ *
+ * @example
+ * if (setLinkURL(link, "https://example.com")) renderChange();
+ */
+export function setLinkURL(link, url) {
+    const { prefixSign, content, suffixSign } = getLinkParts(link);
+
+    if (isURLLink(link)) {
+        if (rules.link.autolinkURL.test(url)) {
+            prefixSign.textContent = "<";
+            content.textContent = url;
+            suffixSign.textContent = ">";
+        } else {
+            prefixSign.textContent = "[";
+            suffixSign.textContent = `](${convertURL(url)})`;
+        }
+
+        return true;
+    }
+
+    const cap = rules.link.inlineSuffix.exec(suffixSign.textContent);
+    if (!cap) return false;
+
+    suffixSign.textContent = `](${convertURL(url)}${cap[2]})`;
+
+    return true;
+}
+
+/**
+ * Removes a link, keeping its text ( with its inline signs ) in place of it, and places the cursor after the text.
+ *
+ * @param {HTMLElement} link - The link element.
+ * @returns {void}
+ *
+ * @example
+ * removeLink(link);
+ * renderChange();
+ */
+export function removeLink(link) {
+    let text = getLinkParts(link).content.textContent;
+
+    // A url would be linked again, the sign that makes it a url ( e.g. the colon after its scheme ) is escaped.
+    if (isURLLink(link)) text = text.replace(rules.link.linkedURLStart, "$&\\");
+
+    const textNode = document.createTextNode(text);
+    const inlineText = document.createElement("span");
+    inlineText.className = "md-i";
+    inlineText.dataset.type = "inlineText";
+    inlineText.append(textNode);
+    link.replaceWith(inlineText);
+
+    window.getSelection().collapse(textNode, text.length);
+}
+
+/**
+ * Turns the bare url that ends at the cursor into an autolink ( `<https://example.com>` ), when a space
+ * or a line break is typed after it. The punctuation that follows the url is left out of it,
+ * and the url is not linked in code, in the signs or the text of a link, or in a formula.
+ *
+ * @param {Node} node - The node under the cursor.
+ * @returns {Boolean} Whether a url has been turned into an autolink.
+ *
+ * @example
+ * if (event.key === " ") convertBareURL(getElementUnderCursor(container));
+ */
+export function convertBareURL(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const block = element?.closest?.(".md-b");
+    if (!block || element.closest("pre, code, .md-sign")) return false;
+
+    // A bare url is already linked by the renderer, it is written as an autolink.
+    const link = findLink(element);
+    const inline = element.closest(".md-i");
+    if ((link && !isURLLink(link)) || (inline && inline !== link && inline.dataset.type !== "inlineText")) return false;
+
+    const sel = window.getSelection();
+    if (!sel.rangeCount || !sel.isCollapsed) return false;
+
+    let { startContainer: cursorNode, startOffset: cursorOffset } = sel.getRangeAt(0);
+    if (!block.contains(cursorNode)) return false;
+
+    const before = document.createRange();
+    before.selectNodeContents(block);
+    before.setEnd(cursorNode, cursorOffset);
+
+    const text = before.toString();
+    const cap = rules.link.bareURL.exec(text);
+    if (!cap) return false;
+
+    const end = text.length - cap[2].length;
+    const startPoint = findTextPoint(block, before, end - cap[1].length, false);
+    const endPoint = findTextPoint(block, before, end, true);
+    if (!startPoint || !endPoint) return false;
+
+    // The end is marked first, so that the start point stays where it is in a same text node.
+    endPoint.node.insertData(endPoint.offset, ">");
+    if (endPoint.node === cursorNode && endPoint.offset <= cursorOffset) cursorOffset++;
+
+    startPoint.node.insertData(startPoint.offset, "<");
+    if (startPoint.node === cursorNode && startPoint.offset <= cursorOffset) cursorOffset++;
+
+    sel.collapse(cursorNode, cursorOffset);
+
+    return true;
+}
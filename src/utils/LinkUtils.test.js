@@ -0,0 +1,67 @@
+import { parseMarkdownString } from "../renderer/MarkdownRenderer";
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import { getElementUnderCursor } from "./CursorUtils";
+import { convertBareURL, getLinkTarget, removeLink, setLinkURL } from "./LinkUtils";
+
+describe("LinkUtils", () => {
+    test.each([
+        ["an inline link", "[a](https://example.com \"Title\")", { url: "https://example.com", editable: true }],
+        ["a link with spaces in its url", "[a](<my file.md>)", { url: "my file.md", editable: true }],
+        ["an autolink", "<https://example.com>", { url: "https://example.com", editable: true }],
+        ["a bare url", "https://example.com", { url: "https://example.com", editable: true }],
+        ["a reference link", "[a][id]\n\n[id]: https://example.com", { url: "https://example.com", editable: false }]
+    ])("gets the url of %s", async (_, markdown, expected) => {
+        const container = await createDocument(markdown);
+        const link = container.querySelector(".md-i[data-type=link]");
+
+        expect(getLinkTarget(link)).toMatchObject(expected);
+    });
+
+    test.each([
+        ["an inline link, keeping its title", "[a](https://a.com \"Title\")", "https://b.com/x y", "[a](<https://b.com/x y> \"Title\")"],
+        ["an autolink", "<https://a.com>", "https://b.com", "<https://b.com>"],
+        ["a bare url, as an autolink", "see https://a.com", "https://b.com", "see <https://b.com>"],
+        ["an autolink that cannot hold the url", "<https://a.com>", "my file.md", "[https://a.com](<my file.md>)"]
+    ])("changes the url of %s", async (_, markdown, url, expected) => {
+        const container = await createDocument(markdown);
+
+        expect(setLinkURL(container.querySelector(".md-i[data-type=link]"), url)).toBe(true);
+        expect(parseHTMLElement(container).text).toBe(expected);
+    });
+
+    test.each([
+        ["an inline link", "a [**b**](https://a.com) c", "a **b** c"],
+        ["an autolink", "a <https://a.com> c", "a https\\://a.com c"],
+        ["a bare email", "a me@a.com c", "a me\\@a.com c"]
+    ])("removes %s, keeping its text", async (_, markdown, expected) => {
+        const container = await createDocument(markdown);
+        removeLink(container.querySelector(".md-i[data-type=link]"));
+
+        expect(parseHTMLElement(container).text).toBe(expected);
+        expect(await parseMarkdownString(expected)).not.toContain("data-type=\"link\"");
+    });
+
+    test.each([
+        ["a url", "see https://example.com", "see <https://example.com>", 25],
+        ["a url, without the punctuation after it", "see https://example.com/a.", "see <https://example.com/a>.", 28],
+        ["a bare url rendered as a link", "https://example.com", "<https://example.com>", 21]
+    ])("turns %s into an autolink", async (_, markdown, expected, cursor) => {
+        const container = await createDocument(markdown, markdown.length);
+
+        expect(convertBareURL(getElementUnderCursor(container))).toBe(true);
+        expect(parseHTMLElement(container).text).toBe(expected);
+        expect(getMarkdownSelection(container)).toEqual({ start: cursor, end: cursor });
+    });
+
+    test.each([
+        ["code", "`https://example.com`", 20],
+        ["the text of a link", "[see https://example.com](https://a.com)", 24],
+        ["a word that ends with a url", "xhttps://example.com", 20]
+    ])("does not link a url in %s", async (_, markdown, offset) => {
+        const container = await createDocument(markdown, offset);
+
+        expect(convertBareURL(getElementUnderCursor(container))).toBe(false);
+        expect(parseHTMLElement(container).text).toBe(markdown);
+    });
+});
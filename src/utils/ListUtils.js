@@ -0,0 +1,511 @@
+import { rules } from "../renderer/rules";
+import { restoreCursorSelection, saveCursorSelection } from "./CursorUtils";
+import { findClosestElement } from "./DOMUtils";
+
+/**
+ * Finds the list item that contains the given node.
+ *
+ * @param {Node} node - The node to start the search from ( usually the element under the cursor ).
+ * @returns {HTMLElement|null} The closest `.md-b[data-type=listitem]` element, or null outside of a list.
+ *
+ * @example
+ * const item = findListItem(getElementUnderCursor(container));
+ */
+export function findListItem(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+
+    return findClosestElement(element, ".md-b[data-type=listitem]", true);
+}
+
+/**
+ * Gets the sign ( bullet or number ) element of a list item.
+ *
+ * @param {HTMLElement} item - The list item element.
+ * @returns {HTMLElement|null} The `.md-sign` element of the item.
+ */
+function getListItemSign(item) {
+    return item.querySelector(":scope>.md-sign");
+}
+
+/**
+ * Gets the task marker element ( checkbox and `[ ]` sign ) of a task list item.
+ *
+ * @param {HTMLElement} item - The list item element.
+ * @returns {HTMLElement|null} The `.md-task` element, or null if the item is not a task.
+ */
+function getListItemTask(item) {
+    return item.querySelector(":scope>.md-task");
+}
+
+/**
+ * Sets the state of a task marker, rewriting its `[ ]` / `[x]` sign and its checkbox.
+ *
+ * @param {HTMLElement} task - The `.md-task` element.
+ * @param {Boolean} checked - The new state of the task.
+ * @returns {void}
+ */
+function setTaskChecked(task, checked) {
+    const sign = task.querySelector(".md-task-sign");
+
+    if (sign) {
+        sign.textContent = sign.textContent.replace(rules.other.listItemTaskState, checked ? "[x]" : "[ ]");
+    }
+
+    task.dataset.checked = checked;
+    task.querySelector(".md-task-checkbox")?.toggleAttribute("checked", checked);
+}
+
+/**
+ * Toggles the state of a task list item.
+ *
+ * @param {HTMLElement} item - The task list item.
+ * @returns {Boolean|null} The new state of the task, or null if the item is not a task.
+ *
+ * @example
+ * const checked = toggleTaskListItem(findListItem(checkbox));
+ */
+export function toggleTaskListItem(item) {
+    const task = getListItemTask(item);
+    if (!task) return null;
+
+    const checked = task.dataset.checked !== "true";
+    setTaskChecked(task, checked);
+
+    return checked;
+}
+
+/**
+ * Returns the sign of the item that follows an item with the given sign.
+ * The number of an ordered list is increased, the delimiter and the spacing are kept.
+ *
+ * @param {String} sign - The sign of the current item, e.g. `"- "` or `"1. "`.
+ * @returns {String} The sign of the next item.
+ *
+ * @example
+ * const next = getNextListSign("9. "); // "10. "
+ */
+export function getNextListSign(sign) {
+    return sign.replace(rules.other.orderedListNumber, number => String(Number(number) + 1));
+}
+
+/**
+ * Renumbers the items that follow the given ordered list item.
+ *
+ * @param {HTMLElement} item - The list item whose number the following items continue from.
+ * @returns {void}
+ */
+function renumberFollowingItems(item) {
+    let sign = getListItemSign(item)?.textContent || "";
+    if (!rules.other.orderedListNumber.test(sign)) return;
+
+    let next = item.nextElementSibling;
+
+    while (next) {
+        const nextSign = getListItemSign(next);
+        if (!nextSign) break;
+
+        sign = getNextListSign(sign);
+        nextSign.textContent = sign;
+
+        next = next.nextElementSibling;
+    }
+}
+
+/**
+ * Creates an empty paragraph holding a zero-width space, so that the cursor has somewhere to go.
+ *
+ * @returns {HTMLElement} The paragraph element.
+ */
+function createEmptyParagraph() {
+    const paragraph = document.createElement("p");
+    paragraph.className = "md-e md-b";
+    paragraph.dataset.type = "paragraph";
+    paragraph.innerHTML = `<span class="md-i" data-type="inlineText">\u200b</span>`;
+
+    return paragraph;
+}
+
+/**
+ * Places a collapsed cursor at the end of the given node, in its last text node: a position between
+ * two elements is not restored to a markdown offset.
+ *
+ * @param {Node} node - The node in which the cursor is placed.
+ * @returns {void}
+ */
+function placeCursorAtEnd(node) {
+    const sel = window.getSelection();
+    const range = document.createRange();
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+
+    let textNode = null;
+    while (walker.nextNode()) textNode = walker.currentNode;
+
+    range.selectNodeContents(textNode || node);
+    range.collapse(false);
+
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+/**
+ * Gets the text of a list item content that is located before the cursor, ignoring the sign.
+ *
+ * @param {HTMLElement} item - The list item element.
+ * @param {Range} range - The current selection range.
+ * @returns {String} The text before the cursor without zero-width spaces.
+ */
+function getTextBeforeCursor(item, range) {
+    const before = document.createRange();
+    // The content starts after the task marker of a task item.
+    const sign = getListItemTask(item) || getListItemSign(item);
+
+    if (sign) {
+        before.setStartAfter(sign);
+    } else {
+        before.setStart(item, 0);
+    }
+
+    // The cursor is inside the sign itself.
+    if (sign?.contains(range.startContainer) || getListItemSign(item)?.contains(range.startContainer)) return "";
+
+    before.setEnd(range.startContainer, range.startOffset);
+
+    return before.toString().replace(/\u200b/g, "");
+}
+
+/**
+ * Checks whether a list item is empty.
+ *
+ * @param {HTMLElement} item - The list item element.
+ * @returns {Boolean} True if the item contains nothing but its sign and zero-width spaces ( and no nested list ).
+ */
+export function isListItemEmpty(item) {
+    return Array.from(item.children)
+        .filter(child => child.matches(".md-b"))
+        .every(child => child.matches("[data-type=paragraph]") && !child.textContent.replace(/\u200b/g, ""));
+}
+
+/**
+ * Checks whether the cursor is placed at the start of the list item content ( right after its sign ).
+ *
+ * @param {HTMLElement} item - The list item element.
+ * @returns {Boolean} True if the selection is collapsed at the start of the content.
+ */
+export function isCursorAtListItemStart(item) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return false;
+
+    const range = sel.getRangeAt(0);
+
+    return range.collapsed && !!getListItemSign(item) && getTextBeforeCursor(item, range) === "";
+}
+
+/**
+ * Splits a list item at the cursor, moving the content after the cursor into a new item.
+ * The new item is inserted right after the current one, or at the start of its nested list if it has one.
+ *
+ * @param {HTMLElement} item - The list item that contains the cursor.
+ * @returns {void}
+ *
+ * @example
+ * splitListItem(item);
+ * handleChange();
+ */
+export function splitListItem(item) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return;
+
+    const range = sel.getRangeAt(0);
+    range.deleteContents();
+
+    const sign = getListItemSign(item);
+    const paragraph = Array.from(item.children).find(child => child.matches(".md-b[data-type=paragraph]"));
+    const nestedList = getNestedList(item);
+
+    // Extract the content between the cursor and the end of the paragraph.
+    const tail = document.createRange();
+
+    if (!paragraph || !paragraph.contains(range.startContainer)) {
+        tail.setStart(paragraph || item, 0);
+    } else {
+        tail.setStart(range.startContainer, range.startOffset);
+    }
+
+    tail.setEnd(paragraph || item, (paragraph || item).childNodes.length);
+
+    const fragment = paragraph ? tail.extractContents() : document.createDocumentFragment();
+
+    const newParagraph = createEmptyParagraph();
+
+    if (fragment.textContent.replace(/\u200b/g, "")) {
+        newParagraph.replaceChildren(fragment);
+    }
+
+    const newItem = item.cloneNode(false);
+    newItem.classList.remove("sign-display");
+
+    const newSign = (sign?.cloneNode(false)) || document.createElement("span");
+    newSign.className = "md-sign md-prefix-sign";
+    newItem.append(newSign, newParagraph);
+
+    // The item that follows a task is a new, unchecked task.
+    const task = getListItemTask(item);
+
+    if (task) {
+        const newTask = task.cloneNode(true);
+        setTaskChecked(newTask, false);
+        newSign.after(newTask);
+    }
+
+    if (nestedList) {
+        // The new item becomes the first child of the nested list.
+        const firstNested = nestedList.querySelector(":scope>.md-b[data-type=listitem]");
+        const firstSign = firstNested && getListItemSign(firstNested)?.textContent;
+
+        newSign.textContent = firstSign || sign?.textContent || "- ";
+        nestedList.prepend(newItem);
+    } else {
+        newSign.textContent = getNextListSign(sign?.textContent || "- ");
+        item.after(newItem);
+    }
+
+    // The current item keeps its blank line separation for the new one.
+    item.dataset.spaced = newItem.dataset.spaced = item.dataset.spaced || "false";
+
+    renumberFollowingItems(newItem);
+
+    // The cursor is moved to the start of the new item ( after the placeholder zero-width space ).
+    if (newParagraph.textContent === "\u200b") {
+        placeCursorAtEnd(newParagraph);
+        return;
+    }
+
+    const cursor = document.createRange();
+    cursor.setStart(newParagraph, 0);
+    cursor.collapse(true);
+
+    sel.removeAllRanges();
+    sel.addRange(cursor);
+}
+
+/**
+ * Exits the list from an ( empty ) item: the item is turned into a paragraph placed after the list,
+ * and the items that followed it are moved into a new list after that paragraph.
+ *
+ * @param {HTMLElement} item - The list item to exit from.
+ * @returns {void}
+ */
+export function exitListItem(item) {
+    const list = item.parentElement;
+
+    // A nested item is outdented rather than turned into a paragraph.
+    if (findListItem(list.parentElement)) {
+        outdentListItem(item);
+        return;
+    }
+
+    const paragraph = createEmptyParagraph();
+    const following = [];
+
+    let next = item.nextElementSibling;
+    while (next) {
+        following.push(next);
+        next = next.nextElementSibling;
+    }
+
+    list.after(paragraph);
+
+    if (following.length) {
+        const newList = cloneEmptyList(list);
+        newList.append(...following);
+        paragraph.after(newList);
+    }
+
+    item.remove();
+    if (!list.children.length) list.remove();
+
+    placeCursorAtEnd(paragraph);
+}
+
+/**
+ * Moves the content of a list item out of its list: a nested item is outdented to the top-level list first,
+ * then its blocks are placed after the list, and the items that followed it ( its nested items first )
+ * are moved into a new list after them.
+ *
+ * @param {HTMLElement} item - The list item to move out of its list.
+ * @returns {[HTMLElement]} The blocks of the item ( an empty paragraph if it had none ), now placed after the list.
+ *
+ * @example
+ * const [paragraph] = liftListItem(item);
+ */
+export function liftListItem(item) {
+    // A nested item is outdented up to the top-level list.
+    while (outdentListItem(item));
+
+    const list = item.parentElement;
+    // The blank lines between the blocks of a loose item are written again between the blocks of the document.
+    const blocks = Array.from(item.children)
+        .filter(child => child.matches(".md-b:not([data-type=list], [data-type=space])"));
+    if (!blocks.length) blocks.push(createEmptyParagraph());
+
+    const following = Array.from(getNestedList(item)?.children || []);
+
+    let next = item.nextElementSibling;
+    while (next) {
+        following.push(next);
+        next = next.nextElementSibling;
+    }
+
+    list.after(...blocks);
+
+    if (following.length) {
+        const newList = cloneEmptyList(list);
+        newList.append(...following);
+        blocks.at(-1).after(newList);
+    }
+
+    item.remove();
+    if (!list.children.length) list.remove();
+
+    return blocks;
+}
+
+/**
+ * Removes the sign of a list item. The content is then restored as a lazy continuation
+ * of the previous item, or as a paragraph if it is the first item of the list.
+ * A task item loses its task marker first, and becomes a plain item.
+ *
+ * @param {HTMLElement} item - The list item whose sign is removed.
+ * @returns {void}
+ */
+export function removeListItemSign(item) {
+    const task = getListItemTask(item);
+
+    if (task) {
+        task.remove();
+    } else {
+        getListItemSign(item)?.remove();
+    }
+}
+
+/**
+ * Moves a list item with the given function, keeping the cursor at the same place inside the item.
+ * The sign of the item is changed by the function too, as setting its text collapses the selection in it.
+ *
+ * @param {HTMLElement} item - The list item that is moved.
+ * @param {Function} move - The function that moves the item in the DOM.
+ * @returns {void}
+ */
+function moveListItem(item, move) {
+    // Moving a node collapses the selection it contains, so it is saved relative to the item.
+    const selection = item.contains(window.getSelection().anchorNode) ? saveCursorSelection(item) : null;
+
+    move();
+
+    if (selection) {
+        restoreCursorSelection(item, selection);
+    }
+}
+
+/**
+ * Returns the nested list of a list item.
+ *
+ * @param {HTMLElement} item - The list item element.
+ * @returns {HTMLElement|undefined} The nested `.md-b[data-type=list]` element.
+ */
+function getNestedList(item) {
+    return Array.from(item.children).find(child => child.matches(".md-b[data-type=list]"));
+}
+
+/**
+ * Creates an empty list of the same kind as the given one.
+ *
+ * @param {HTMLElement} list - The list element to copy.
+ * @returns {HTMLElement} The new list element.
+ */
+function cloneEmptyList(list) {
+    const newList = list.cloneNode(false);
+    newList.classList.remove("sign-display");
+    newList.removeAttribute("start");
+
+    return newList;
+}
+
+/**
+ * Indents a list item, making it the last child of the previous item.
+ * The first item of a list cannot be indented.
+ *
+ * @param {HTMLElement} item - The list item to indent.
+ * @returns {Boolean} True if the item has been indented.
+ */
+export function indentListItem(item) {
+    const previous = item.previousElementSibling;
+    if (!previous?.matches(".md-b[data-type=listitem]")) return false;
+
+    const sign = getListItemSign(item);
+    let nestedList = getNestedList(previous);
+
+    moveListItem(item, () => {
+        if (nestedList) {
+            const lastSign = nestedList.lastElementChild && getListItemSign(nestedList.lastElementChild)?.textContent;
+
+            if (sign && lastSign) sign.textContent = getNextListSign(lastSign);
+        } else {
+            nestedList = cloneEmptyList(item.parentElement);
+            previous.append(nestedList);
+
+            // A new ordered list starts from one.
+            if (sign) sign.textContent = sign.textContent.replace(rules.other.orderedListNumber, "1");
+        }
+
+        nestedList.append(item);
+    });
+    renumberFollowingItems(previous);
+
+    return true;
+}
+
+/**
+ * Outdents a nested list item, placing it after its parent item.
+ * The items that followed it in the nested list become its own children.
+ *
+ * @param {HTMLElement} item - The list item to outdent.
+ * @returns {Boolean} True if the item has been outdented.
+ */
+export function outdentListItem(item) {
+    const list = item.parentElement;
+    const parentItem = findListItem(list.parentElement);
+    if (!parentItem) return false;
+
+    const following = [];
+
+    let next = item.nextElementSibling;
+    while (next) {
+        following.push(next);
+        next = next.nextElementSibling;
+    }
+
+    if (following.length) {
+        let nestedList = getNestedList(item);
+
+        if (!nestedList) {
+            nestedList = cloneEmptyList(list);
+            item.append(nestedList);
+        }
+
+        nestedList.append(...following);
+    }
+
+    const sign = getListItemSign(item);
+    const parentSign = getListItemSign(parentItem)?.textContent;
+
+    moveListItem(item, () => {
+        if (sign && parentSign) sign.textContent = getNextListSign(parentSign);
+        parentItem.after(item);
+    });
+    if (!list.children.length) list.remove();
+
+    renumberFollowingItems(item);
+
+    return true;
+}
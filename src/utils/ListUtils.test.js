@@ -0,0 +1,149 @@
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import { getElementUnderCursor } from "./CursorUtils";
+import {
+    exitListItem,
+    findListItem,
+    getNextListSign,
+    indentListItem,
+    outdentListItem,
+    removeListItemSign,
+    splitListItem,
+    toggleTaskListItem
+} from "./ListUtils";
+
+/**
+ * Restores the markdown of a container without its zero-width spaces, and the cursor in it.
+ *
+ * @param {HTMLElement} container - The container of the rendered markdown.
+ * @returns {{markdown: String, cursor: Number}} The markdown, and the offset of the cursor.
+ */
+function restore(container) {
+    return {
+        markdown: parseHTMLElement(container).text.replace(/\u200b/g, ""),
+        cursor: getMarkdownSelection(container).start
+    };
+}
+
+describe("ListUtils", () => {
+    test.each([
+        ["an unordered list", "- a\n+ b\n\n* c"],
+        ["an ordered list", "1. a\n2) b\n\n3. c"],
+        ["a list that does not start from one", "7. a\n8. b"],
+        ["a nested list", "- a\n  1. b\n     - c\n- d"],
+        ["a loose list", "* a\n\n* b\n\n  c"],
+        ["a task list", "- [ ] a\n- [x] b"]
+    ])("restores %s as it is written", async (_, markdown) => {
+        expect(parseHTMLElement(await createDocument(markdown)).text).toBe(markdown);
+    });
+
+    test.each([
+        ["a bullet", "- ", "- "],
+        ["a number", "1. ", "2. "],
+        ["a number that gets a digit, keeping its delimiter", "9) ", "10) "]
+    ])("gets the sign that follows %s", (_, sign, expected) => {
+        expect(getNextListSign(sign)).toBe(expected);
+    });
+
+    test.each([
+        ["an item", "- ab", 3, "- a\n- b", 6],
+        ["an ordered item, renumbering the following items", "1. ab\n2. c", 4, "1. a\n2. b\n3. c", 8],
+        ["an item at its end", "- a\n- b", 3, "- a\n- \n- b", 6],
+        ["a task item, into an unchecked task", "- [x] ab", 7, "- [x] a\n- [ ] b", 14],
+        ["an item of a loose list", "* a\n\n* b", 3, "* a\n\n* \n\n* b", 7],
+        ["an item with a nested list, into its first nested item", "- ab\n  1. c", 3, "- a\n  1. b\n  2. c", 9]
+    ])("splits %s at the cursor", async (_, markdown, offset, expected, cursor) => {
+        const container = await createDocument(markdown, offset);
+        splitListItem(findListItem(getElementUnderCursor(container)));
+
+        expect(restore(container)).toEqual({ markdown: expected, cursor });
+    });
+
+    test.each([
+        ["the last item", "- a\n-", 5, "- a\n\n", 5],
+        ["an item, moving the following items into a new list", "1. a\n2.\n3. b", 7, "1. a\n\n\n\n3. b", 6]
+    ])("exits the list from %s", async (_, markdown, offset, expected, cursor) => {
+        const container = await createDocument(markdown, offset);
+        exitListItem(findListItem(getElementUnderCursor(container)));
+
+        expect(restore(container)).toEqual({ markdown: expected, cursor });
+    });
+
+    test("exits a nested list from the item added by Enter, by outdenting it", async () => {
+        const container = await createDocument("- a\n  - b", 9);
+        splitListItem(findListItem(getElementUnderCursor(container)));
+        exitListItem(findListItem(getElementUnderCursor(container)));
+
+        expect(restore(container)).toEqual({ markdown: "- a\n  - b\n- ", cursor: 12 });
+    });
+
+    test.each([
+        ["an item", "- a\n- b", 6, "- a\n  - b", 8],
+        ["an ordered item, into a list that starts from one", "1. a\n2. b\n3. c", 9, "1. a\n   1. b\n2. c", 12],
+        ["an item, after the items of the nested list of the previous item", "- a\n  - b\n- c", 13, "- a\n  - b\n  - c", 15]
+    ])("indents %s, keeping the cursor", async (_, markdown, offset, expected, cursor) => {
+        const container = await createDocument(markdown, offset);
+
+        expect(indentListItem(findListItem(getElementUnderCursor(container)))).toBe(true);
+        expect(restore(container)).toEqual({ markdown: expected, cursor });
+    });
+
+    test("does not indent the first item of a list", async () => {
+        const container = await createDocument("- a\n- b", 2);
+
+        expect(indentListItem(findListItem(getElementUnderCursor(container)))).toBe(false);
+        expect(parseHTMLElement(container).text).toBe("- a\n- b");
+    });
+
+    test.each([
+        ["an item", "- a\n  - b", 8, "- a\n- b", 6],
+        ["an item, which takes the following items as its children", "- a\n  - b\n  - c", 9, "- a\n- b\n  - c", 7],
+        ["an ordered item, renumbering the following items", "1. a\n   1. b\n2. c", 12, "1. a\n2. b\n3. c", 9]
+    ])("outdents %s, keeping the cursor", async (_, markdown, offset, expected, cursor) => {
+        const container = await createDocument(markdown, offset);
+
+        expect(outdentListItem(findListItem(getElementUnderCursor(container)))).toBe(true);
+        expect(restore(container)).toEqual({ markdown: expected, cursor });
+    });
+
+    test("does not outdent an item of a top-level list", async () => {
+        const container = await createDocument("- a\n- b", 6);
+
+        expect(outdentListItem(findListItem(getElementUnderCursor(container)))).toBe(false);
+        expect(parseHTMLElement(container).text).toBe("- a\n- b");
+    });
+
+    test.each([
+        ["an unchecked task", "- [ ] a", true, "- [x] a"],
+        ["a checked task", "- [x] a", false, "- [ ] a"],
+        ["a task checked with a capital X", "1. [X]  a", false, "1. [ ]  a"]
+    ])("toggles %s", async (_, markdown, checked, expected) => {
+        const container = await createDocument(markdown, markdown.length);
+        const item = findListItem(getElementUnderCursor(container));
+
+        expect(toggleTaskListItem(item)).toBe(checked);
+        expect(item.querySelector(".md-task-checkbox").checked).toBe(checked);
+        expect(parseHTMLElement(container).text).toBe(expected);
+
+        expect(toggleTaskListItem(item)).toBe(!checked);
+        expect(parseHTMLElement(container).text).toBe(markdown.replace("[X]", "[x]"));
+    });
+
+    test("does not toggle an item that is not a task", async () => {
+        const container = await createDocument("- [a] b", 7);
+
+        expect(toggleTaskListItem(findListItem(getElementUnderCursor(container)))).toBeNull();
+        expect(parseHTMLElement(container).text).toBe("- [a] b");
+    });
+
+    test.each([
+        ["the first item, into a paragraph", "- a\n- b", 2, "a\n- b"],
+        ["an item, into a lazy continuation of the previous item", "- a\n- b", 6, "- a\nb"],
+        ["a task item, into a plain item", "- [ ] a", 6, "- a"]
+    ])("removes the sign of %s", async (_, markdown, offset, expected) => {
+        const container = await createDocument(markdown, offset);
+        removeListItemSign(findListItem(getElementUnderCursor(container)));
+
+        expect(parseHTMLElement(container).text).toBe(expected);
+    });
+});
@@ -0,0 +1,196 @@
+import { lexMarkdownString } from "../renderer/MarkdownRenderer";
+import { rules } from "../renderer/rules";
+import { getTokensText, toSlug } from "./StringUtils";
+
+/**
+ * @typedef {Object} OutlineHeading
+ * @property {Number} level - The level of the heading, from 1 to 6.
+ * @property {String} text - The plain text of the heading.
+ * @property {String} anchor - The anchor of the heading, unique in the document.
+ * @property {[OutlineHeading]} children - The headings of the section, one level ( or more ) below.
+ */
+
+/**
+ * Creates a slugger, which gives unique slugs in a document: a slug that is already taken gets a number,
+ * like the anchors of GitHub ( `intro`, `intro-1`, `intro-2`... ).
+ *
+ * @returns {{slug: (text: String) => String}} The slugger.
+ */
+function createSlugger() {
+    const occurrences = new Map();
+
+    return {
+        slug(text) {
+            const original = toSlug(text);
+            let slug = original;
+
+            while (occurrences.has(slug)) {
+                occurrences.set(original, occurrences.get(original) + 1);
+                slug = `${original}-${occurrences.get(original)}`;
+            }
+
+            occurrences.set(slug, 0);
+
+            return slug;
+        }
+    };
+}
+
+/**
+ * Finds the heading tokens of a document, in the order of the document ( the headings of the quotes
+ * and the lists included, like the rendered headings ).
+ *
+ * @param {[Object]} tokens - The block tokens.
+ * @returns {[Object]} The heading tokens.
+ */
+function findHeadingTokens(tokens) {
+    return tokens.flatMap(token => {
+        if (token.type === "heading") return [token];
+        if (token.type === "list") return token.items.flatMap(item => findHeadingTokens(item.tokens));
+        if (token.type === "blockquote") return findHeadingTokens(token.tokens);
+
+        return [];
+    });
+}
+
+/**
+ * @typedef {Object} Heading
+ * @property {Number} level - The level of the heading, from 1 to 6.
+ * @property {String} text - The plain text of the heading.
+ */
+
+/**
+ * Gets the headings of block tokens, in the order of the document.
+ *
+ * @param {[Object]} tokens - The block tokens, given by `lexMarkdownString` ( a whole document, or a part of it ).
+ * @returns {[Heading]} The headings.
+ *
+ * @example
+ * const headings = getHeadings(lexMarkdownString("# A\n\n> ## B")); // [{ level: 1, text: "A" }, { level: 2, text: "B" }]
+ */
+export function getHeadings(tokens) {
+    return findHeadingTokens(tokens).map(token => ({
+        level: token.depth,
+        text: getTokensText(token.tokens).replace(rules.restorer.zeroWidthSpace, "").trim()
+    }));
+}
+
+/**
+ * Builds the outline of the headings of a document: their tree, with their unique anchors.
+ *
+ * @param {[Heading]} headings - The headings of the document, in its order.
+ * @returns {[OutlineHeading]} The top-level headings, with their sub-headings as their children.
+ *
+ * @example
+ * const outline = buildOutline(incrementalRenderer.getHeadings());
+ */
+export function buildOutline(headings) {
+    const slugger = createSlugger();
+    const outline = [];
+    // The last heading of each level, whose section is open.
+    const parents = [];
+
+    headings.forEach(({ level, text }) => {
+        const heading = { level, text, anchor: slugger.slug(text), children: [] };
+
+        while (parents.length && parents.at(-1).level >= heading.level) parents.pop();
+
+        (parents.at(-1)?.children || outline).push(heading);
+        parents.push(heading);
+    });
+
+    return outline;
+}
+
+/**
+ * Gets the outline of a markdown document: the tree of its headings, with their unique anchors.
+ *
+ * @param {String} markdown - The markdown document.
+ * @returns {[OutlineHeading]} The top-level headings, with their sub-headings as their children.
+ *
+ * @example
+ * const outline = getOutline("# A\n\n## B\n\n# A");
+ * // [{ level: 1, text: "A", anchor: "a", children: [{ level: 2, text: "B", anchor: "b", children: [] }] },
+ * //  { level: 1, text: "A", anchor: "a-1", children: [] }]
+ */
+export function getOutline(markdown) {
+    return buildOutline(getHeadings(lexMarkdownString(markdown)));
+}
+
+/**
+ * Lists the headings of an outline in the order of the document.
+ *
+ * @param {[OutlineHeading]} outline - The outline.
+ * @returns {[OutlineHeading]} The headings.
+ *
+ * @example
+ * const anchors = flattenOutline(getOutline(markdown)).map(heading => heading.anchor);
+ */
+export function flattenOutline(outline) {
+    return outline.flatMap(heading => [heading, ...flattenOutline(heading.children)]);
+}
+
+/**
+ * Builds the list of a table of contents. The links have no text, it is displayed by the stylesheet
+ * so that the table of contents does not change the text offsets of the document.
+ *
+ * @param {[OutlineHeading]} headings - The headings of a level.
+ * @returns {HTMLUListElement} The list of the headings.
+ */
+function createTableOfContentsList(headings) {
+    const list = document.createElement("ul");
+
+    headings.forEach(heading => {
+        const item = document.createElement("li");
+        const link = document.createElement("a");
+
+        link.className = "md-toc-link";
+        link.href = `#${heading.anchor}`;
+        link.dataset.anchor = heading.anchor;
+        link.dataset.text = heading.text;
+        item.append(link);
+
+        if (heading.children.length) item.append(createTableOfContentsList(heading.children));
+        list.append(item);
+    });
+
+    return list;
+}
+
+/**
+ * Applies the outline of a document to its rendered container: the headings get their unique anchors,
+ * and the tables of contents ( `[[toc]]` ) list the headings.
+ *
+ * @param {HTMLElement} container - The markdown container.
+ * @param {[OutlineHeading]} outline - The outline of its markdown, given by `getOutline`.
+ * @returns {void}
+ *
+ * @example
+ * applyOutline(container, getOutline(markdown));
+ */
+export function applyOutline(container, outline) {
+    const headings = flattenOutline(outline);
+
+    container.querySelectorAll(".md-b[data-type=heading]").forEach((element, index) => {
+        if (headings[index]) element.dataset.anchor = headings[index].anchor;
+    });
+
+    container.querySelectorAll(".md-b[data-type=toc]>.md-toc").forEach(toc => {
+        toc.replaceChildren(...(outline.length ? [createTableOfContentsList(outline)] : []));
+    });
+}
+
+/**
+ * Finds the heading of a container that has the given anchor.
+ *
+ * @param {HTMLElement} container - The markdown container.
+ * @param {String} anchor - The anchor of the heading, without `#`.
+ * @returns {HTMLElement|null} The heading, or null if there is no heading with this anchor.
+ *
+ * @example
+ * findHeading(container, "introduction")?.scrollIntoView();
+ */
+export function findHeading(container, anchor) {
+    return Array.from(container.querySelectorAll(".md-b[data-type=heading]"))
+        .find(element => element.dataset.anchor === anchor) || null;
+}
@@ -0,0 +1,47 @@
+import { parseMarkdownString } from "../renderer/MarkdownRenderer";
+import { getOutline, applyOutline, findHeading } from "./OutlineUtils";
+
+describe("OutlineUtils", () => {
+    test("builds the tree of the headings", () => {
+        expect(getOutline("# A\n\n### B\n\n## C\n\nText\n\n# D")).toEqual([
+            {
+                level: 1, text: "A", anchor: "a", children: [
+                    { level: 3, text: "B", anchor: "b", children: [] },
+                    { level: 2, text: "C", anchor: "c", children: [] }
+                ]
+            },
+            { level: 1, text: "D", anchor: "d", children: [] }
+        ]);
+    });
+
+    test.each([
+        ["Hello, *World*!", "hello-world"],
+        ["Привет мир", "привет-мир"],
+        ["`code` & <b>tags</b>", "code--tags"],
+        ["  Spaces  ", "spaces"]
+    ])("slugs %j", (text, anchor) => {
+        expect(getOutline(`# ${text}`)[0].anchor).toBe(anchor);
+    });
+
+    test("makes the anchors unique", () => {
+        const anchors = getOutline("# Intro\n\n# Intro\n\n# Intro-1\n\n# Intro").map(heading => heading.anchor);
+
+        expect(anchors).toEqual(["intro", "intro-1", "intro-1-1", "intro-2"]);
+    });
+
+    test("applies the anchors and fills the tables of contents", async () => {
+        const markdown = "[[toc]]\n\n# A\n\n## B\n\n# A";
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString(markdown);
+        const text = container.textContent;
+
+        applyOutline(container, getOutline(markdown));
+
+        const links = Array.from(container.querySelectorAll(".md-toc-link"));
+        expect(links.map(link => [link.getAttribute("href"), link.dataset.text])).toEqual([["#a", "A"], ["#b", "B"], ["#a-1", "A"]]);
+        expect(container.querySelector(".md-toc>ul>li>ul>li>.md-toc-link").dataset.anchor).toBe("b");
+        expect(findHeading(container, "a-1")).toBe(container.querySelectorAll(".md-b[data-type=heading]")[2]);
+        // The table of contents does not add text to the document.
+        expect(container.textContent).toBe(text);
+    });
+});
@@ -0,0 +1,44 @@
+import { rules } from "../renderer/rules";
+
+/**
+ * Gets the text of a footnote definition to preview it: its rendered text, without its signs.
+ *
+ * @param {HTMLElement} definition - The footnote definition.
+ * @returns {String} The text of the footnote.
+ */
+function getFootnoteText(definition) {
+    const clone = definition.cloneNode(true);
+    clone.querySelectorAll(".md-sign, .md-preview").forEach(element => element.remove());
+
+    return clone.textContent.replace(rules.restorer.zeroWidthSpace, "").trim();
+}
+
+/**
+ * Gives the footnote references of a rendered container the text of their footnote, previewed on hover.
+ * The footnotes are defined anywhere in the document, so the references are completed after each rendering.
+ *
+ * @param {HTMLElement} container - The markdown container.
+ * @returns {void}
+ *
+ * @example
+ * applyFootnotePreviews(container);
+ */
+export function applyFootnotePreviews(container) {
+    const footnotes = new Map();
+
+    container.querySelectorAll(".md-b[data-type=footnoteDefinition]").forEach(definition => {
+        const label = definition.dataset.label.toLowerCase();
+        // Like the link definitions, the first definition of a label is the one that is used.
+        if (!footnotes.has(label)) footnotes.set(label, getFootnoteText(definition));
+    });
+
+    container.querySelectorAll(".md-i[data-type=footnoteReference]").forEach(reference => {
+        const text = footnotes.get(reference.dataset.label.toLowerCase());
+
+        if (text === undefined) {
+            delete reference.dataset.preview;
+        } else {
+            reference.dataset.preview = text;
+        }
+    });
+}
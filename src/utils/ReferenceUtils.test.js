@@ -0,0 +1,22 @@
+import { parseMarkdownString } from "../renderer/MarkdownRenderer";
+import { applyFootnotePreviews } from "./ReferenceUtils";
+
+describe("ReferenceUtils", () => {
+    test("previews the text of the footnotes on their references", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("A[^1], B[^N] and C[^none].\n\n[^n]: The *second* note\n\n[^1]: First\n[^1]: Ignored");
+
+        applyFootnotePreviews(container);
+
+        const references = Array.from(container.querySelectorAll("[data-type=footnoteReference]"));
+        expect(references.map(reference => reference.dataset.preview)).toEqual(["First", "The second note", undefined]);
+    });
+
+    test("previews the url of the reference links", async () => {
+        const container = document.createElement("div");
+        container.innerHTML = await parseMarkdownString("[a][id], [b](/inline) and [id]\n\n[id]: /url \"Title\"");
+
+        const links = Array.from(container.querySelectorAll("[data-type=link]>a"));
+        expect(links.map(link => link.dataset.preview)).toEqual(["/url \"Title\"", undefined, "/url \"Title\""]);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Gets the source lines of the top-level blocks of a markdown document, to scroll its source and its rendering
+ * together. Each top-level token is rendered as a top-level element, in the same order.
+ *
+ * @param {[Object]} tokens - The top-level tokens, given by `lexMarkdownString`.
+ * @returns {[Number]} The first line ( from 0 ) of each block, followed by the number of lines of the document.
+ *
+ * @example
+ * const blockLines = getBlockLines(lexMarkdownString("# Title\n\nText")); // [0, 0, 2, 3]
+ */
+export function getBlockLines(tokens) {
+    let line = 0;
+
+    const lines = tokens.map(token => {
+        const start = line;
+        line += token.raw.split("\n").length - 1;
+
+        return start;
+    });
+
+    return [...lines, line + 1];
+}
+
+/**
+ * Gets the scroll position of a rendered document that displays a line of its source at its top.
+ * The position is interpolated in the block that holds the line.
+ *
+ * @param {HTMLElement} preview - The scrolled element, whose children are the rendered top-level blocks.
+ * @param {[Number]} blockLines - The lines of the blocks, given by `getBlockLines`.
+ * @param {Number} line - The line ( from 0, a fraction of a line when a line is partly scrolled ).
+ * @returns {Number} The scroll position of the preview.
+ *
+ * @example
+ * preview.scrollTop = getPreviewScrollTop(preview, blockLines, source.getTopLine());
+ */
+export function getPreviewScrollTop(preview, blockLines, line) {
+    const blocks = preview.children;
+    let index = 0;
+
+    while (index + 1 < blocks.length && blockLines[index + 1] <= line) index++;
+
+    const block = blocks[index];
+    if (!block) return 0;
+
+    const lineCount = Math.max(1, blockLines[index + 1] - blockLines[index]);
+    const fraction = Math.min(1, Math.max(0, (line - blockLines[index]) / lineCount));
+
+    return block.offsetTop + fraction * block.offsetHeight;
+}
+
+/**
+ * Gets the source line displayed at a scroll position of a rendered document ( the reverse of `getPreviewScrollTop` ).
+ *
+ * @param {HTMLElement} preview - The scrolled element, whose children are the rendered top-level blocks.
+ * @param {[Number]} blockLines - The lines of the blocks, given by `getBlockLines`.
+ * @param {Number} scrollTop - The scroll position of the preview.
+ * @returns {Number} The line ( from 0, a fraction of a line when a line is partly scrolled ).
+ *
+ * @example
+ * source.scrollToLine(getSourceLine(preview, blockLines, preview.scrollTop));
+ */
+export function getSourceLine(preview, blockLines, scrollTop) {
+    const blocks = preview.children;
+    let index = 0;
+
+    while (index + 1 < blocks.length && blocks[index + 1].offsetTop <= scrollTop) index++;
+
+    const block = blocks[index];
+    if (!block) return 0;
+
+    const fraction = block.offsetHeight ? Math.min(1, Math.max(0, (scrollTop - block.offsetTop) / block.offsetHeight)) : 0;
+
+    return blockLines[index] + fraction * (blockLines[index + 1] - blockLines[index]);
+}
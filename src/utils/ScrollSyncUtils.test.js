@@ -0,0 +1,20 @@
+import { lexMarkdownString, renderMarkdownTokens } from "../renderer/MarkdownRenderer";
+import { getBlockLines } from "./ScrollSyncUtils";
+
+describe("getBlockLines", () => {
+    test("gets the first line of each top-level block", () => {
+        const tokens = lexMarkdownString("# Title\n\nSome\ntext\n\n- a\n- b");
+
+        expect(getBlockLines(tokens)).toEqual([0, 0, 2, 3, 5, 7]);
+    });
+
+    test("has a line for each rendered top-level element", () => {
+        const markdown = "# Title\n\n> quote\n\n```js\ncode\n```\n\n| a |\n| - |\n| 1 |\n\n\n\ntext";
+        const tokens = lexMarkdownString(markdown);
+        const container = document.createElement("div");
+        container.innerHTML = renderMarkdownTokens(tokens);
+
+        expect(getBlockLines(tokens)).toHaveLength(container.children.length + 1);
+        expect(getBlockLines(tokens).at(-1)).toBe(markdown.split("\n").length);
+    });
+});
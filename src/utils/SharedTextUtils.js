@@ -0,0 +1,340 @@
+/**
+ * @typedef {Object} ItemId
+ * @property {String} client - The participant that has inserted the character.
+ * @property {Number} clock - The Lamport clock of the insertion, greater than the clocks of all the characters
+ *      known by the participant when it inserted the character.
+ */
+
+/**
+ * @typedef {Object} SharedTextUpdate
+ * @property {[{id: ItemId, origin: ItemId|null, content: String}]} items - The inserted characters, each one
+ *      after its origin ( the character on its left when it was inserted, null at the start of the text ).
+ * @property {[ItemId]} deletions - The deleted characters.
+ */
+
+/**
+ * @typedef {Object} TextChange
+ * @property {Number} from - The start of the replaced text.
+ * @property {Number} to - The end of the replaced text, in the previous text.
+ * @property {String} insert - The text inserted in place of the replaced text.
+ */
+
+/**
+ * Gets the key of an item id, to find the item in a map.
+ *
+ * @param {ItemId} id - The item id.
+ * @returns {String} The key.
+ */
+function getIdKey({ client, clock }) {
+    return `${clock}@${client}`;
+}
+
+/**
+ * Compares two item ids in the order of the insertions: the later insertion first, the participants breaking the ties.
+ *
+ * @param {ItemId} a - An item id.
+ * @param {ItemId} b - Another item id.
+ * @returns {Number} A positive number if `a` is inserted after `b`, a negative number if it is inserted before.
+ */
+function compareIds(a, b) {
+    if (a.clock !== b.clock) return a.clock - b.clock;
+
+    return a.client < b.client ? -1 : a.client > b.client ? 1 : 0;
+}
+
+/**
+ * Hashes a text ( FNV-1a ), to name the participant of the initial text.
+ *
+ * @param {String} text - The text.
+ * @returns {String} The hash, in base 36.
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+
+    for (let index = 0; index < text.length; index++) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Creates a text shared by several participants: a sequence of characters ( a CRDT, like RGA ) that every participant
+ * edits on its own, and that converges to the same text once all the updates have been exchanged, in any order.
+ *
+ * The characters are UTF-16 code units, like the offsets of the editor. They are never removed,
+ * a deleted character is kept to place the characters inserted next to it.
+ * The initial text is inserted by a participant named after its hash, so that the participants that start from
+ * the same text share its characters rather than inserting it twice.
+ *
+ * @param {Object} options
+ * @param {String} options.clientId - The unique id of the local participant.
+ * @param {String} [options.text=""] - The initial text.
+ * @returns {Object} The shared text, with `getText`, `replace`, `applyUpdate`, `getState`,
+ *      `getRelativePosition` and `resolveRelativePosition` methods.
+ *
+ * @example
+ * const sharedText = createSharedText({ clientId: "a", text: "# Title" });
+ * const update = sharedText.replace(7, 7, "!"); // Sent to the other participants.
+ */
+export function createSharedText({ clientId, text = "" }) {
+    // The characters in the order of the text, deleted ones included.
+    const items = [];
+    const itemsByKey = new Map();
+    // The items whose origin is not known yet, and the deletions of the items that are not known yet.
+    let pendingItems = [];
+    const pendingDeletions = new Set();
+    let clock = 0;
+    let cachedText = null;
+
+    /**
+     * Inserts an item after its origin, before the items of its origin that have been inserted before it.
+     *
+     * @param {{id: ItemId, origin: ItemId|null, content: String}} item - The item.
+     * @returns {Boolean} Whether the item is known, false if its origin is not known yet.
+     */
+    function integrate({ id, origin, content }) {
+        if (itemsByKey.has(getIdKey(id))) return true;
+
+        let index = 0;
+
+        if (origin) {
+            const originItem = itemsByKey.get(getIdKey(origin));
+            if (!originItem) return false;
+
+            index = items.indexOf(originItem) + 1;
+        }
+
+        // The items inserted later after the same origin ( and the items inserted after them ) stay first.
+        while (index < items.length && compareIds(items[index].id, id) > 0) index++;
+
+        const key = getIdKey(id);
+        const item = { id, origin, content, deleted: pendingDeletions.delete(key) };
+
+        items.splice(index, 0, item);
+        itemsByKey.set(key, item);
+        clock = Math.max(clock, id.clock);
+        cachedText = null;
+
+        return true;
+    }
+
+    /**
+     * Gets the characters of the text that are not deleted.
+     *
+     * @returns {[Object]} The visible items.
+     */
+    function getVisibleItems() {
+        return items.filter(item => !item.deleted);
+    }
+
+    const initialClient = `initial:${hashText(text)}`;
+    text.split("").reduce((origin, content, index) => {
+        const id = { client: initialClient, clock: index + 1 };
+        integrate({ id, origin, content });
+
+        return id;
+    }, null);
+
+    return {
+        /**
+         * Gets the text.
+         *
+         * @returns {String} The text, without the deleted characters.
+         */
+        getText() {
+            cachedText ??= getVisibleItems().map(item => item.content).join("");
+            return cachedText;
+        },
+        /**
+         * Replaces a part of the text with a local edit.
+         *
+         * @param {Number} from - The start of the replaced text.
+         * @param {Number} to - The end of the replaced text.
+         * @param {String} insert - The text to insert.
+         * @returns {SharedTextUpdate} The update to send to the other participants.
+         */
+        replace(from, to, insert) {
+            const visibleItems = getVisibleItems();
+            const deletions = visibleItems.slice(from, to).map(item => {
+                item.deleted = true;
+                return item.id;
+            });
+
+            let origin = visibleItems[from - 1]?.id || null;
+            const inserted = insert.split("").map(content => {
+                const item = { id: { client: clientId, clock: ++clock }, origin, content };
+                integrate(item);
+                origin = item.id;
+
+                return item;
+            });
+
+            cachedText = null;
+
+            return { items: inserted, deletions };
+        },
+        /**
+         * Applies the update of another participant. The updates can be applied in any order, more than once.
+         *
+         * @param {SharedTextUpdate} update - The update.
+         * @returns {void}
+         */
+        applyUpdate({ items: updateItems = [], deletions = [] }) {
+            deletions.forEach(id => {
+                const item = itemsByKey.get(getIdKey(id));
+
+                if (item) {
+                    item.deleted = true;
+                } else {
+                    pendingDeletions.add(getIdKey(id));
+                }
+            });
+
+            pendingItems = pendingItems.concat(updateItems);
+
+            // The items that wait for their origin are integrated as soon as it is known.
+            let count;
+            do {
+                count = pendingItems.length;
+                pendingItems = pendingItems.filter(item => !integrate(item));
+            } while (pendingItems.length && pendingItems.length < count);
+
+            cachedText = null;
+        },
+        /**
+         * Gets the whole state of the text, as an update that brings another participant up to date.
+         *
+         * @returns {SharedTextUpdate} The update.
+         */
+        getState() {
+            return {
+                items: items.map(({ id, origin, content }) => ({ id, origin, content })),
+                deletions: items.filter(item => item.deleted).map(item => item.id)
+            };
+        },
+        /**
+         * Gets a position that follows the edits of the text: the character before an offset, which stays
+         * before it wherever it moves.
+         *
+         * @param {Number} offset - The offset in the text.
+         * @returns {ItemId|null} The id of the character before the offset, null at the start of the text.
+         */
+        getRelativePosition(offset) {
+            return offset > 0 ? getVisibleItems()[offset - 1]?.id || null : null;
+        },
+        /**
+         * Gets the offset of a position given by `getRelativePosition`, in the current text.
+         *
+         * @param {ItemId|null} position - The position.
+         * @returns {Number|null} The offset, or null if the character of the position is not known yet.
+         */
+        resolveRelativePosition(position) {
+            if (!position) return 0;
+
+            const item = itemsByKey.get(getIdKey(position));
+            if (!item) return null;
+
+            const index = items.indexOf(item);
+
+            return items.slice(0, index + 1).filter(other => !other.deleted).length;
+        }
+    };
+}
+
+/**
+ * Gets the change between two texts, as the replacement of the part between their common start and end.
+ *
+ * @param {String} previous - The previous text.
+ * @param {String} next - The next text.
+ * @returns {TextChange|null} The change, or null if the texts are the same.
+ *
+ * @example
+ * const change = getTextChange("a title", "a new title"); // { from: 2, to: 2, insert: "new " }
+ */
+export function getTextChange(previous, next) {
+    if (previous === next) return null;
+
+    let start = 0;
+    while (start < previous.length && start < next.length && previous[start] === next[start]) start++;
+
+    let end = 0;
+    while (end < previous.length - start && end < next.length - start &&
+        previous[previous.length - 1 - end] === next[next.length - 1 - end]) end++;
+
+    return { from: start, to: previous.length - end, insert: next.slice(start, next.length - end) };
+}
+
+/**
+ * Maps an offset of a text through a change of the text. An offset in the replaced text moves to its start,
+ * an offset where the text is inserted stays before it.
+ *
+ * @param {Number} offset - The offset in the previous text.
+ * @param {TextChange} change - The change.
+ * @returns {Number} The offset in the next text.
+ *
+ * @example
+ * const offset = mapTextOffset(5, { from: 0, to: 0, insert: "ab" }); // 7
+ */
+export function mapTextOffset(offset, { from, to, insert }) {
+    if (offset <= from) return offset;
+    if (offset < to) return from;
+
+    return offset + insert.length - (to - from);
+}
+
+/**
+ * Maps a selection of a text through changes of the text, made one after the other.
+ *
+ * @param {{start: Number, end: Number}} selection - The selection, as offsets in the text.
+ * @param {[TextChange]} changes - The changes, each one made to the text changed by the previous ones.
+ * @returns {{start: Number, end: Number}} The selection in the changed text.
+ *
+ * @example
+ * const selection = mapTextSelection({ start: 2, end: 4 }, [{ from: 0, to: 0, insert: "# " }]); // { start: 4, end: 6 }
+ */
+export function mapTextSelection({ start, end }, changes) {
+    return {
+        start: changes.reduce((offset, change) => mapTextOffset(offset, change), start),
+        end: changes.reduce((offset, change) => mapTextOffset(offset, change), end)
+    };
+}
+
+/**
+ * Applies a change to a text.
+ *
+ * @param {String} text - The text.
+ * @param {TextChange} change - The change, as offsets in the text.
+ * @returns {String} The changed text.
+ *
+ * @example
+ * const text = applyTextChange("a title", { from: 2, to: 2, insert: "new " }); // "a new title"
+ */
+export function applyTextChange(text, { from, to, insert }) {
+    return text.slice(0, from) + insert + text.slice(to);
+}
+
+/**
+ * Moves a change made to a text onto another version of the text ( e.g. a state of an undo history ), through
+ * the difference between the two versions. A change that overlaps the difference replaces it from its start.
+ *
+ * @param {TextChange} change - The change, as offsets in the base text.
+ * @param {String} base - The text that the change has been made to.
+ * @param {String} text - The other version of the text.
+ * @returns {TextChange} The change, as offsets in the other version.
+ *
+ * @example
+ * const change = rebaseTextChange({ from: 11, to: 11, insert: "!" }, "Hello world", "Hello big world");
+ * // { from: 15, to: 15, insert: "!" }
+ */
+export function rebaseTextChange(change, base, text) {
+    const difference = getTextChange(base, text);
+    if (!difference) return change;
+
+    return {
+        from: mapTextOffset(change.from, difference),
+        to: mapTextOffset(change.to, difference),
+        insert: change.insert
+    };
+}
@@ -0,0 +1,100 @@
+import {
+    applyTextChange, createSharedText, getTextChange, mapTextOffset, mapTextSelection, rebaseTextChange
+} from "./SharedTextUtils";
+
+describe("createSharedText", () => {
+    test("converges whatever the order of the concurrent updates", () => {
+        const a = createSharedText({ clientId: "a", text: "Hello world" });
+        const b = createSharedText({ clientId: "b", text: "Hello world" });
+        const c = createSharedText({ clientId: "c", text: "Hello world" });
+
+        const updates = [
+            a.replace(5, 5, ","),
+            b.replace(11, 11, "!"),
+            c.replace(0, 5, "Goodbye"),
+            a.replace(6, 6, " dear")
+        ];
+
+        a.applyUpdate(updates[1]);
+        a.applyUpdate(updates[2]);
+        b.applyUpdate(updates[3]);
+        b.applyUpdate(updates[2]);
+        b.applyUpdate(updates[0]);
+        [3, 0, 1].forEach(index => c.applyUpdate(updates[index]));
+
+        expect(a.getText()).toBe("Goodbye, dear world!");
+        expect(b.getText()).toBe(a.getText());
+        expect(c.getText()).toBe(a.getText());
+    });
+
+    test("orders the insertions at the same position in the same way", () => {
+        const a = createSharedText({ clientId: "a" });
+        const b = createSharedText({ clientId: "b" });
+        const fromA = a.replace(0, 0, "aa");
+        const fromB = b.replace(0, 0, "bb");
+
+        a.applyUpdate(fromB);
+        b.applyUpdate(fromA);
+
+        expect(a.getText()).toBe(b.getText());
+        expect(["aabb", "bbaa"]).toContain(a.getText());
+    });
+
+    test("brings a participant up to date from a state, and ignores the updates applied twice", () => {
+        const a = createSharedText({ clientId: "a", text: "# Title" });
+        const update = a.replace(2, 7, "Spec");
+        const b = createSharedText({ clientId: "b" });
+
+        b.applyUpdate(a.getState());
+        b.applyUpdate(update);
+
+        expect(b.getText()).toBe("# Spec");
+    });
+
+    test("keeps a relative position next to its character", () => {
+        const a = createSharedText({ clientId: "a", text: "abc" });
+        const position = a.getRelativePosition(2);
+
+        a.replace(0, 0, "xy");
+        expect(a.resolveRelativePosition(position)).toBe(4);
+
+        a.replace(2, 4, "");
+        expect(a.resolveRelativePosition(position)).toBe(2);
+    });
+});
+
+describe("text changes", () => {
+    test.each([
+        ["a title", "a new title", { from: 2, to: 2, insert: "new " }],
+        ["aaa", "aa", { from: 2, to: 3, insert: "" }],
+        ["abc", "xbz", { from: 0, to: 3, insert: "xbz" }]
+    ])("gets the change from %j to %j", (previous, next, change) => {
+        expect(getTextChange(previous, next)).toEqual(change);
+    });
+
+    test.each([
+        [1, 1],
+        [2, 2],
+        [3, 2],
+        [6, 7]
+    ])("maps the offset %i to %i", (offset, mapped) => {
+        expect(mapTextOffset(offset, { from: 2, to: 4, insert: "xyz" })).toBe(mapped);
+    });
+
+    test("maps a selection through changes made one after the other", () => {
+        const changes = [{ from: 0, to: 0, insert: "# " }, { from: 3, to: 5, insert: "" }];
+
+        expect(mapTextSelection({ start: 1, end: 6 }, changes)).toEqual({ start: 3, end: 6 });
+    });
+
+    test.each([
+        ["after the difference", { from: 11, to: 11, insert: "!" }, "Hello big world!"],
+        ["before the difference", { from: 0, to: 5, insert: "Hi" }, "Hi big world"],
+        ["over the difference", { from: 5, to: 11, insert: "" }, "Hello"]
+    ])("moves a change %s onto another version of the text", (_, change, expected) => {
+        const rebased = rebaseTextChange(change, "Hello world", "Hello big world");
+
+        expect(applyTextChange("Hello big world", rebased)).toBe(expected);
+        expect(rebaseTextChange(change, "Hello world", "Hello world")).toBe(change);
+    });
+});
@@ -0,0 +1,121 @@
+import { rules } from "../renderer/rules";
+
+/**
+ * A command of the slash command menu, which replaces the paragraph where `/` has been typed with a block.
+ *
+ * @typedef {Object} SlashCommand
+ * @property {String} id - The identifier of the command. A command of the host replaces the default one with its id.
+ * @property {String} label - The name of the command in the menu.
+ * @property {[String]} [keywords] - The other words that the command is found by.
+ * @property {String|(() => String)} markdown - The markdown inserted in place of the paragraph, or a function
+ *      that gives it when the command is chosen. An empty block holds a zero-width space for the cursor.
+ * @property {Number} [cursor] - The offset of the cursor in the inserted markdown, its end by default.
+ */
+
+/**
+ * The commands of the slash command menu, in their order in the menu.
+ *
+ * @type {[SlashCommand]}
+ */
+export const defaultSlashCommands = [
+    ...[1, 2, 3, 4, 5, 6].map(depth => ({
+        id: `heading${depth}`,
+        label: `Heading ${depth}`,
+        keywords: ["title", `h${depth}`],
+        markdown: `${"#".repeat(depth)} \u200b`
+    })),
+    { id: "blockquote", label: "Quote", keywords: ["blockquote"], markdown: "> \u200b" },
+    { id: "code", label: "Code block", keywords: ["pre", "fence"], markdown: "```\n\n```", cursor: 4 },
+    {
+        id: "table",
+        label: "Table",
+        keywords: ["grid"],
+        markdown: "| Column 1 | Column 2 |\n| --- | --- |\n|  |  |",
+        cursor: 2
+    },
+    { id: "bulletList", label: "Bullet list", keywords: ["unordered", "ul"], markdown: "- \u200b" },
+    { id: "orderedList", label: "Numbered list", keywords: ["ordered", "ol"], markdown: "1. \u200b" },
+    { id: "taskList", label: "Task list", keywords: ["todo", "checkbox"], markdown: "- [ ] \u200b" },
+    { id: "divider", label: "Divider", keywords: ["hr", "rule", "separator"], markdown: "---\n\n\u200b" },
+    { id: "image", label: "Image", keywords: ["picture", "img"], markdown: "![]()", cursor: 4 }
+];
+
+/**
+ * Merges the commands of the host with the default ones: a command replaces the default command with its id,
+ * the others are added at the end of the menu.
+ *
+ * @param {[SlashCommand]} [commands=[]] - The commands of the host.
+ * @returns {[SlashCommand]} The commands of the menu.
+ *
+ * @example
+ * const commands = mergeSlashCommands([{ id: "date", label: "Date", markdown: () => new Date().toDateString() }]);
+ */
+export function mergeSlashCommands(commands = []) {
+    const merged = defaultSlashCommands.map(command => commands.find(({ id }) => id === command.id) || command);
+    const added = commands.filter(({ id }) => !defaultSlashCommands.some(command => command.id === id));
+
+    return [...merged, ...added];
+}
+
+/**
+ * Filters the commands by the query typed after `/`. The commands whose label starts with the query come first,
+ * then the ones whose label or keywords contain it.
+ *
+ * @param {[SlashCommand]} commands - The commands of the menu.
+ * @param {String} query - The query, without `/`.
+ * @returns {[SlashCommand]} The matching commands, all of them for an empty query.
+ *
+ * @example
+ * const commands = filterSlashCommands(defaultSlashCommands, "head"); // the headings
+ */
+export function filterSlashCommands(commands, query) {
+    const search = query.toLowerCase();
+    if (!search) return commands;
+
+    const startsWith = commands.filter(({ label }) => label.toLowerCase().startsWith(search));
+    const contains = commands.filter(command => !startsWith.includes(command) &&
+        [command.label, ...command.keywords || []].some(word => word.toLowerCase().includes(search)));
+
+    return [...startsWith, ...contains];
+}
+
+/**
+ * Gets the query of the slash command menu from a paragraph that holds only `/` and the query.
+ *
+ * @param {HTMLElement} paragraph - The paragraph under the cursor.
+ * @returns {String|null} The query, without `/`, or null if the paragraph does not start a slash command.
+ *
+ * @example
+ * const query = getSlashCommandQuery(paragraph); // "head" for `/head`
+ */
+export function getSlashCommandQuery(paragraph) {
+    const text = paragraph.textContent.replace(rules.restorer.zeroWidthSpace, "");
+
+    return rules.inputRule.slashCommand.exec(text)?.[1] ?? null;
+}
+
+/**
+ * Replaces a paragraph with the markdown of a command, and places the cursor in it.
+ * The markdown is rendered as a block when the change is rendered.
+ *
+ * @param {HTMLElement} paragraph - The paragraph where the command has been typed.
+ * @param {SlashCommand} command - The chosen command.
+ * @returns {void}
+ *
+ * @example
+ * applySlashCommand(paragraph, command);
+ * renderChange();
+ */
+export function applySlashCommand(paragraph, command) {
+    const markdown = typeof command.markdown === "function" ? command.markdown() : command.markdown;
+
+    const text = document.createTextNode(markdown);
+    const inlineText = document.createElement("span");
+    inlineText.className = "md-i";
+    inlineText.dataset.type = "inlineText";
+    inlineText.append(text);
+    paragraph.replaceChildren(inlineText);
+
+    const sel = window.getSelection();
+    sel.collapse(text, Math.min(command.cursor ?? markdown.length, markdown.length));
+}
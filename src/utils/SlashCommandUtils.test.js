@@ -0,0 +1,65 @@
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import {
+    applySlashCommand, defaultSlashCommands, filterSlashCommands, getSlashCommandQuery, mergeSlashCommands
+} from "./SlashCommandUtils";
+
+/**
+ * Gets the first paragraph of a rendered document.
+ *
+ * @param {HTMLElement} container - The container of the rendered markdown.
+ * @returns {HTMLElement} The paragraph.
+ */
+function getParagraph(container) {
+    return container.querySelector(".md-b[data-type=paragraph]");
+}
+
+describe("SlashCommandUtils", () => {
+    test("filters the commands by their label, then by their keywords", () => {
+        const ids = filterSlashCommands(defaultSlashCommands, "li").map(({ id }) => id);
+
+        expect(ids).toEqual(["bulletList", "orderedList", "taskList"]);
+        expect(filterSlashCommands(defaultSlashCommands, "HR").map(({ id }) => id)).toEqual(["divider"]);
+        expect(filterSlashCommands(defaultSlashCommands, "")).toBe(defaultSlashCommands);
+    });
+
+    test("replaces the default commands with the commands of the host, and adds the others", () => {
+        const quote = { id: "blockquote", label: "Citation", markdown: "> \u200b" };
+        const date = { id: "date", label: "Date", markdown: () => "2024-01-01" };
+        const commands = mergeSlashCommands([quote, date]);
+
+        expect(commands).toHaveLength(defaultSlashCommands.length + 1);
+        expect(commands.find(({ id }) => id === "blockquote")).toBe(quote);
+        expect(commands.at(-1)).toBe(date);
+    });
+
+    test.each([
+        ["/", ""],
+        ["/head", "head"],
+        ["/head ing", null],
+        ["a/", null]
+    ])("gets the query of %s", async (markdown, expected) => {
+        const container = await createDocument(markdown);
+
+        expect(getSlashCommandQuery(getParagraph(container))).toBe(expected);
+    });
+
+    test.each([
+        ["heading2", "## ", 3],
+        ["code", "```\n\n```", 4],
+        ["table", "| Column 1 | Column 2 |\n| --- | --- |\n|  |  |", 2]
+    ])("inserts the markdown of the %s command", async (id, expected, cursor) => {
+        const container = await createDocument("/");
+        applySlashCommand(getParagraph(container), defaultSlashCommands.find(command => command.id === id));
+
+        expect(parseHTMLElement(container).text.replace(/\u200b/g, "")).toBe(expected);
+        expect(getMarkdownSelection(container)).toEqual({ start: cursor, end: cursor });
+    });
+
+    test("inserts the markdown given by the function of a command", async () => {
+        const container = await createDocument("/date");
+        applySlashCommand(getParagraph(container), { id: "date", label: "Date", markdown: () => "2024-01-01" });
+
+        expect(parseHTMLElement(container).text).toBe("2024-01-01");
+    });
+});
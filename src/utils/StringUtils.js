@@ -1,19 +1,40 @@
 import { rules } from "../renderer/rules";
 
 /**
- * Converts a space-separated string into camel case (hump case).
- * The first letter of each word is capitalized except the first word.
+ * Converts a text to a slug, the way GitHub builds the anchors of the headings: the text is lowercased,
+ * its punctuation is removed ( the letters of any script are kept ), and its spaces become hyphens.
  * 
- * @param {String} spacesSeparatedName - The space-separated string to convert.
- * @returns {String} The converted camel case string.
+ * @param {String} text - The text to convert, e.g. the text of a heading.
+ * @returns {String} The slug, which is not unique in the document yet.
  * 
  * @example
- * const helloWorld = spacesSeparatedToHump("hello world");
+ * const slug = toSlug("Hello, World!"); // "hello-world"
  */
-export function spacesSeparatedToHump(spacesSeparatedName) {
-    return spacesSeparatedName
-        .replace(/(?:^\w|[A-Z]|\b\w)/g, (match, index) => index === 0 ? match : match.toUpperCase())
-        .replace(/\s+/g, '');
+export function toSlug(text) {
+    return text
+        .toLowerCase()
+        .replace(rules.other.slugRemovedCharacters, "")
+        .replace(/ /g, "-");
+}
+
+/**
+ * Gets the plain text of inline tokens, without their markdown signs ( e.g. the title of a heading ).
+ * 
+ * @param {[Object]} tokens - The inline tokens.
+ * @returns {String} The plain text.
+ * 
+ * @example
+ * const text = getTokensText(lexer.inlineTokens("**Hello** `world`")); // "Hello world"
+ */
+export function getTokensText(tokens = []) {
+    return tokens.map(token => {
+        // Raw HTML is not text, a hard line break separates two words.
+        if (token.type === "html") return "";
+        if (token.type === "br") return " ";
+        if (token.tokens) return getTokensText(token.tokens);
+
+        return token.text || "";
+    }).join("");
 }
 
 /**
@@ -117,4 +138,22 @@ export function mergeQuoteBlocks(lines) {
     }
 
     return result;
-}
\ No newline at end of file
+}
+
+/**
+ * Escapes the characters of a string that have a meaning in HTML, so that it is displayed as text.
+ * 
+ * @param {String} str - The string to escape.
+ * @returns {String} The escaped string.
+ * 
+ * @example
+ * const html = escapeHTML("<b>"); // "&lt;b&gt;"
+ */
+export function escapeHTML(str) {
+    return String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
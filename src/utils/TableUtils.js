@@ -0,0 +1,237 @@
+import { findClosestElement } from "./DOMUtils";
+
+/**
+ * Finds the table cell that contains the given node.
+ *
+ * @param {Node} node - The node to start the search from ( usually the element under the cursor ).
+ * @returns {HTMLElement|null} The closest `.md-b[data-type=tablecell]` element, or null outside of a table.
+ *
+ * @example
+ * const cell = findTableCell(getElementUnderCursor(container));
+ */
+export function findTableCell(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+
+    return findClosestElement(element, ".md-b[data-type=tablecell]", true);
+}
+
+/**
+ * Gets the table that contains the given cell.
+ *
+ * @param {HTMLElement} cell - The table cell element.
+ * @returns {HTMLElement} The `.md-b[data-type=table]` element.
+ */
+function getTable(cell) {
+    return cell.closest(".md-b[data-type=table]");
+}
+
+/**
+ * Gets all the rows of a table, the header row first.
+ *
+ * @param {HTMLElement} table - The table element.
+ * @returns {[HTMLElement]} The rows of the table.
+ */
+function getRows(table) {
+    return Array.from(table.querySelectorAll(":scope>thead>tr, :scope>tbody>tr"));
+}
+
+/**
+ * Gets the body of a table, creating it if the table only has a header.
+ *
+ * @param {HTMLElement} table - The table element.
+ * @returns {HTMLElement} The `tbody` element.
+ */
+function getBody(table) {
+    let body = table.querySelector(":scope>tbody");
+
+    if (!body) {
+        body = document.createElement("tbody");
+        table.append(body);
+    }
+
+    return body;
+}
+
+/**
+ * Creates an empty cell, holding a zero-width space so that the cursor can be placed in it.
+ *
+ * @param {Boolean} header - Whether the cell belongs to the header row.
+ * @param {String} [align=""] - The alignment of the column.
+ * @returns {HTMLElement} The cell element.
+ */
+function createCell(header, align = "") {
+    const cell = document.createElement(header ? "th" : "td");
+    cell.className = "md-e md-b";
+    cell.dataset.type = "tablecell";
+    cell.dataset.align = align;
+    cell.innerHTML = `<span class="md-i" data-type="inlineText">\u200b</span>`;
+
+    return cell;
+}
+
+/**
+ * Places a collapsed cursor at the end of the content of a cell, in its last text node: a position between
+ * two elements is not restored to a markdown offset.
+ *
+ * @param {HTMLElement} cell - The table cell element.
+ * @returns {void}
+ *
+ * @example
+ * focusTableCell(cell);
+ */
+export function focusTableCell(cell) {
+    const sel = window.getSelection();
+    const range = document.createRange();
+    const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+
+    let textNode = null;
+    while (walker.nextNode()) textNode = walker.currentNode;
+
+    range.selectNodeContents(textNode || cell);
+    range.collapse(false);
+
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+/**
+ * Moves the cursor to the next ( or previous ) cell of the table, row after row.
+ * Moving forward from the last cell appends a new row.
+ *
+ * @param {HTMLElement} cell - The cell that contains the cursor.
+ * @param {Boolean} [backward=false] - Whether the cursor moves to the previous cell.
+ * @returns {Boolean} True if the table has been modified ( a row has been appended ).
+ *
+ * @example
+ * // Tab
+ * moveToSiblingCell(cell);
+ * // Shift + Tab
+ * moveToSiblingCell(cell, true);
+ */
+export function moveToSiblingCell(cell, backward = false) {
+    const cells = getRows(getTable(cell)).flatMap(row => Array.from(row.children));
+    const target = cells[cells.indexOf(cell) + (backward ? -1 : 1)];
+
+    if (target) {
+        focusTableCell(target);
+        return false;
+    }
+
+    if (backward) return false;
+
+    focusTableCell(insertTableRow(cell).firstElementChild);
+    return true;
+}
+
+/**
+ * Moves the cursor to the cell below, in the same column. A new row is appended from the last row.
+ *
+ * @param {HTMLElement} cell - The cell that contains the cursor.
+ * @returns {Boolean} True if the table has been modified ( a row has been appended ).
+ */
+export function moveToCellBelow(cell) {
+    const rows = getRows(getTable(cell));
+    const below = rows[rows.indexOf(cell.parentElement) + 1];
+    const column = cell.cellIndex;
+
+    if (below) {
+        focusTableCell(below.children[column] || below.lastElementChild);
+        return false;
+    }
+
+    focusTableCell(insertTableRow(cell).children[column]);
+    return true;
+}
+
+/**
+ * Inserts an empty row before or after the row of the given cell.
+ * A row inserted around the header row is always the first row of the body.
+ *
+ * @param {HTMLElement} cell - A cell of the reference row.
+ * @param {Boolean} [after=true] - Whether the row is inserted after the reference row.
+ * @returns {HTMLElement} The new row.
+ *
+ * @example
+ * const row = insertTableRow(cell);
+ */
+export function insertTableRow(cell, after = true) {
+    const row = cell.parentElement;
+    const table = getTable(cell);
+
+    const newRow = document.createElement("tr");
+    newRow.append(...Array.from(getRows(table)[0].children).map(headerCell => createCell(false, headerCell.dataset.align)));
+
+    if (row.parentElement.tagName === "THEAD") {
+        getBody(table).prepend(newRow);
+    } else if (after) {
+        row.after(newRow);
+    } else {
+        row.before(newRow);
+    }
+
+    return newRow;
+}
+
+/**
+ * Deletes the row of the given cell. The header row cannot be deleted.
+ *
+ * @param {HTMLElement} cell - A cell of the row to delete.
+ * @returns {Boolean} True if the row has been deleted.
+ */
+export function deleteTableRow(cell) {
+    const row = cell.parentElement;
+    if (row.parentElement.tagName === "THEAD") return false;
+
+    const rows = getRows(getTable(cell));
+    const index = rows.indexOf(row);
+    // The cursor goes to the same column of the row that takes the place of the deleted one.
+    const next = rows[index + 1] || rows[index - 1];
+
+    row.remove();
+    focusTableCell(next.children[cell.cellIndex] || next.lastElementChild);
+
+    return true;
+}
+
+/**
+ * Inserts an empty column before or after the column of the given cell.
+ *
+ * @param {HTMLElement} cell - A cell of the reference column.
+ * @param {Boolean} [after=true] - Whether the column is inserted after the reference column.
+ * @returns {void}
+ */
+export function insertTableColumn(cell, after = true) {
+    const column = cell.cellIndex;
+
+    getRows(getTable(cell)).forEach((row, index) => {
+        const reference = row.children[column];
+        const newCell = createCell(index === 0);
+
+        if (!reference) {
+            row.append(newCell);
+        } else if (after) {
+            reference.after(newCell);
+        } else {
+            reference.before(newCell);
+        }
+    });
+}
+
+/**
+ * Deletes the column of the given cell. The last column of a table cannot be deleted.
+ *
+ * @param {HTMLElement} cell - A cell of the column to delete.
+ * @returns {Boolean} True if the column has been deleted.
+ */
+export function deleteTableColumn(cell) {
+    const row = cell.parentElement;
+    if (row.children.length <= 1) return false;
+
+    const column = cell.cellIndex;
+    const next = cell.nextElementSibling || cell.previousElementSibling;
+
+    getRows(getTable(cell)).forEach(row => row.children[column]?.remove());
+    focusTableCell(next);
+
+    return true;
+}
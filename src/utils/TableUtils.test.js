@@ -0,0 +1,122 @@
+import { getMarkdownSelection, parseHTMLElement } from "../renderer/Restorer";
+import { createDocument } from "../testUtils";
+import { getElementUnderCursor } from "./CursorUtils";
+import {
+    deleteTableColumn,
+    deleteTableRow,
+    findTableCell,
+    insertTableColumn,
+    insertTableRow,
+    moveToCellBelow,
+    moveToSiblingCell
+} from "./TableUtils";
+
+// The cells are padded to the width of their column, as the tables are restored.
+const table = "| a   |   b |\n| :-- | --: |\n| 1   |   2 |";
+
+/**
+ * Restores the markdown of a container, and the cursor in it.
+ *
+ * @param {HTMLElement} container - The container of the rendered markdown.
+ * @returns {{markdown: String, cursor: Number}} The markdown, and the offset of the cursor.
+ */
+function restore(container) {
+    return { markdown: parseHTMLElement(container).text, cursor: getMarkdownSelection(container).start };
+}
+
+describe("TableUtils", () => {
+    test.each([
+        ["after a row of the body", 31, true, "| a   |   b |\n| :-- | --: |\n| 1   |   2 |\n|     |     |"],
+        ["before a row of the body", 31, false, "| a   |   b |\n| :-- | --: |\n|     |     |\n| 1   |   2 |"],
+        ["after the header row, as the first row of the body", 3, true, "| a   |   b |\n| :-- | --: |\n|     |     |\n| 1   |   2 |"],
+        ["before the header row, as the first row of the body", 3, false, "| a   |   b |\n| :-- | --: |\n|     |     |\n| 1   |   2 |"]
+    ])("inserts an empty row %s, aligned as the columns", async (_, offset, after, expected) => {
+        const container = await createDocument(table, offset);
+        const row = insertTableRow(findTableCell(getElementUnderCursor(container)), after);
+
+        expect(Array.from(row.children).map(cell => cell.dataset.align)).toEqual(["left", "right"]);
+        expect(parseHTMLElement(container).text).toBe(expected);
+    });
+
+    test("deletes a row of the body, moving the cursor to the same column of the next row", async () => {
+        const container = await createDocument(`${table}\n| 3   |   4 |`, 39);
+
+        expect(deleteTableRow(findTableCell(getElementUnderCursor(container)))).toBe(true);
+        expect(restore(container)).toEqual({ markdown: "| a   |   b |\n| :-- | --: |\n| 3   |   4 |", cursor: 39 });
+    });
+
+    test("does not delete the header row", async () => {
+        const container = await createDocument(table, 3);
+
+        expect(deleteTableRow(findTableCell(getElementUnderCursor(container)))).toBe(false);
+        expect(parseHTMLElement(container).text).toBe(table);
+    });
+
+    test.each([
+        ["after a column", true, "| a   |     |   b |\n| :-- | --- | --: |\n| 1   |     |   2 |"],
+        ["before a column", false, "|     | a   |   b |\n| --- | :-- | --: |\n|     | 1   |   2 |"]
+    ])("inserts an empty column %s", async (_, after, expected) => {
+        const container = await createDocument(table, 31);
+        insertTableColumn(findTableCell(getElementUnderCursor(container)), after);
+
+        expect(parseHTMLElement(container).text).toBe(expected);
+    });
+
+    test.each([
+        ["the first column, moving the cursor to the next one", 31, "|   b |\n| --: |\n|   2 |", 21],
+        ["the last column, moving the cursor to the previous one", 39, "| a   |\n| :-- |\n| 1   |", 19]
+    ])("deletes %s", async (_, offset, expected, cursor) => {
+        const container = await createDocument(table, offset);
+
+        expect(deleteTableColumn(findTableCell(getElementUnderCursor(container)))).toBe(true);
+        expect(restore(container)).toEqual({ markdown: expected, cursor });
+    });
+
+    test("does not delete the only column of a table", async () => {
+        const markdown = "| a   |\n| --- |\n| 1   |";
+        const container = await createDocument(markdown, 18);
+
+        expect(deleteTableColumn(findTableCell(getElementUnderCursor(container)))).toBe(false);
+        expect(parseHTMLElement(container).text).toBe(markdown);
+    });
+
+    test("keeps the escaped pipes of the cells when the table is changed", async () => {
+        const container = await createDocument("| a \\| b | c   |\n| ------ | --- |\n| 1      | 2   |", 7);
+        const cell = findTableCell(getElementUnderCursor(container));
+        insertTableColumn(cell);
+        insertTableRow(cell);
+
+        expect(parseHTMLElement(container).text).toBe(
+            "| a \\| b |     | c   |\n| ------ | --- | --- |\n|        |     |     |\n| 1      |     | 2   |"
+        );
+    });
+
+    test.each([
+        ["to the next cell", 3, false, 11],
+        ["to the next row", 11, false, 31],
+        ["back to the previous row", 31, true, 11],
+        ["back from the first cell, staying in it", 3, true, 3]
+    ])("moves the cursor %s", async (_, offset, backward, cursor) => {
+        const container = await createDocument(table, offset);
+
+        expect(moveToSiblingCell(findTableCell(getElementUnderCursor(container)), backward)).toBe(false);
+        expect(restore(container)).toEqual({ markdown: table, cursor });
+    });
+
+    test("adds a row when the cursor moves forward from the last cell", async () => {
+        const container = await createDocument(table, 39);
+
+        expect(moveToSiblingCell(findTableCell(getElementUnderCursor(container)))).toBe(true);
+        expect(restore(container)).toEqual({ markdown: `${table}\n|     |     |`, cursor: 44 });
+    });
+
+    test.each([
+        ["to the cell below", 11, false, table, 39],
+        ["from the last row, adding a row", 39, true, `${table}\n|     |     |`, 53]
+    ])("moves the cursor %s, in the same column", async (_, offset, changed, expected, cursor) => {
+        const container = await createDocument(table, offset);
+
+        expect(moveToCellBelow(findTableCell(getElementUnderCursor(container)))).toBe(changed);
+        expect(restore(container)).toEqual({ markdown: expected, cursor });
+    });
+});